@@ -0,0 +1,36 @@
+module.exports = {
+  root: true,
+  env: {
+    es2022: true,
+    node: true,
+    browser: true
+  },
+  parserOptions: {
+    ecmaVersion: 'latest',
+    sourceType: 'module',
+    ecmaFeatures: { jsx: true }
+  },
+  settings: {
+    react: { version: 'detect' }
+  },
+  extends: [
+    'eslint:recommended',
+    'plugin:react/recommended',
+    'plugin:react-hooks/recommended',
+    'prettier'
+  ],
+  rules: {
+    'no-constant-condition': ['error', { checkLoops: false }],
+    'no-unused-vars': ['warn', { args: 'none', ignoreRestSiblings: true }],
+    'no-useless-catch': 'off',
+    'react/no-unescaped-entities': 'off',
+    'react/prop-types': 'off'
+  },
+  overrides: [
+    {
+      files: ['**/__tests__/**/*.js', 'jest.setup.js'],
+      env: { jest: true },
+      extends: ['plugin:jest/recommended']
+    }
+  ]
+};
@@ -0,0 +1,8 @@
+/**
+ * Jest setup
+ *
+ * Runs before every test file. Tests run as native ES modules under the node environment;
+ * component tests opt into jsdom with a `@jest-environment jsdom` docblock.
+ */
+
+import '@testing-library/jest-dom';
@@ -17,6 +17,9 @@ import Dashboard from './pages/Dashboard';
 import Chat from './pages/Chat';
 import Tools from './pages/Tools';
 import Settings from './pages/Settings';
+import Documents from './pages/Documents';
+import DocumentViewer from './pages/DocumentViewer';
+import ScheduledTasks from './pages/ScheduledTasks';
 import Login from './pages/Login';
 import Register from './pages/Register';
 import NotFound from './pages/NotFound';
@@ -90,6 +93,9 @@ function App() {
                         <Route path="/" element={<Dashboard />} />
                         <Route path="/chat" element={<Chat />} />
                         <Route path="/tools" element={<Tools />} />
+                        <Route path="/documents" element={<Documents />} />
+                        <Route path="/documents/:id" element={<DocumentViewer />} />
+                        <Route path="/scheduled-tasks" element={<ScheduledTasks />} />
                         <Route path="/settings" element={<Settings />} />
                       </Route>
 
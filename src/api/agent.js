@@ -23,6 +23,162 @@ export const sendQuery = async (text, options = {}) => {
   }
 };
 
+/**
+ * POST to a streaming agent endpoint and dispatch its Server-Sent Events
+ * 
+ * @param {string} path - Endpoint path relative to the API base URL
+ * @param {Object} body - Request body
+ * @param {Object} handlers - Event handlers (see streamQuery)
+ * @returns {Promise<Object>} Final agent response
+ */
+const streamAgentEvents = async (path, body, handlers = {}) => {
+  const token = localStorage.getItem('authToken');
+  const response = await fetch(`${apiClient.defaults.baseURL}${path}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'text/event-stream',
+      ...(token && { Authorization: `Bearer ${token}` }),
+    },
+    body: JSON.stringify(body),
+  });
+
+  if (!response.ok || !response.body) {
+    const data = await response.json().catch(() => ({}));
+    throw {
+      status: response.status,
+      message: data.error || 'Failed to process your request',
+      data,
+    };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let finalResponse = null;
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      rawEvent.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+
+      const payload = data ? JSON.parse(data) : {};
+
+      switch (event) {
+        case 'agent:delta':
+          handlers.onDelta?.(payload.delta);
+          break;
+        case 'agent:status':
+        case 'agent:progress':
+          handlers.onStatus?.(payload);
+          break;
+        case 'agent:approval_required':
+          handlers.onApprovalRequired?.(payload);
+          break;
+        case 'agent:response':
+          finalResponse = payload;
+          break;
+        case 'agent:error':
+          throw { message: payload.message, data: payload };
+        default:
+          break;
+      }
+    }
+  }
+
+  if (!finalResponse) {
+    throw { message: 'The response stream ended unexpectedly' };
+  }
+
+  return finalResponse;
+};
+
+/**
+ * Send a query to the agent and stream the response as Server-Sent Events
+ * 
+ * @param {string} text - The user's query text
+ * @param {Object} options - Additional options (sessionId, queryId, mode, metadata);
+ *                           mode 'plan-only' returns the plan without running it
+ * @param {Object} handlers - Event handlers
+ * @param {Function} handlers.onDelta - Called with each chunk of the answer text
+ * @param {Function} handlers.onStatus - Called with status and progress updates
+ * @param {Function} handlers.onApprovalRequired - Called when a tool step needs the user's approval
+ * @returns {Promise<Object>} Final agent response
+ */
+export const streamQuery = (text, options = {}, handlers = {}) =>
+  streamAgentEvents('/agent/query/stream', { text, ...options }, handlers);
+
+/**
+ * Execute a plan returned by a plan-only query and stream the response
+ * 
+ * @param {string} planId - Plan ID
+ * @param {Object} options - { sessionId, queryId, steps } where steps optionally replaces the plan's steps
+ * @param {Object} handlers - Event handlers (see streamQuery)
+ * @returns {Promise<Object>} Final agent response
+ */
+export const executePlan = (planId, options = {}, handlers = {}) =>
+  streamAgentEvents(`/agent/plans/${planId}/execute`, options, handlers);
+
+/**
+ * Cancel an in-flight query
+ * 
+ * @param {string} queryId - ID of the running query
+ * @returns {Promise<Object>} Cancellation result
+ */
+export const cancelQuery = async (queryId) => {
+  try {
+    const response = await apiClient.post(`/agent/query/${queryId}/cancel`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get tool approvals recorded for a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Array>} Approval requests
+ */
+export const getPendingApprovals = async (sessionId) => {
+  try {
+    const response = await apiClient.get('/agent/approvals', { params: { sessionId } });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Approve or reject a pending tool step
+ * 
+ * @param {string} approvalId - Approval ID
+ * @param {Object} decision - { approved, input } where input optionally replaces the step input
+ * @returns {Promise<Object>} Updated approval
+ */
+export const respondToApproval = async (approvalId, decision) => {
+  try {
+    const response = await apiClient.post(`/agent/approvals/${approvalId}`, decision);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 /**
  * Fetch available tools for the agent
  * 
@@ -53,6 +209,113 @@ export const getToolDetails = async (toolId) => {
   }
 };
 
+/**
+ * Get tools whose circuit breaker is open or recovering
+ * 
+ * @returns {Promise<Array>} Circuit breaker states
+ */
+export const getToolHealth = async () => {
+  try {
+    const response = await apiClient.get('/tools/health');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Reset a tool's circuit breaker
+ * 
+ * @param {string} toolId - Tool ID
+ * @returns {Promise<Object>} Updated circuit state
+ */
+export const resetToolCircuit = async (toolId) => {
+  try {
+    const response = await apiClient.post(`/tools/${toolId}/circuit/reset`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the version history of every tool
+ * 
+ * @returns {Promise<Array>} [{ name, defaultVersion, versions }] with the sessions that used each version
+ */
+export const getToolVersions = async () => {
+  try {
+    const response = await apiClient.get('/tools/versions');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the tool versions pinned for a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} { toolVersions } with version ranges by tool name
+ */
+export const getSessionToolVersions = async (sessionId) => {
+  try {
+    const response = await apiClient.get(`/sessions/${sessionId}/tool-versions`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Pin the tool versions a session uses
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {Object} toolVersions - Version ranges by tool name, e.g. { Weather: '^2.1' }
+ * @returns {Promise<Object>} { toolVersions }
+ */
+export const setSessionToolVersions = async (sessionId, toolVersions) => {
+  try {
+    const response = await apiClient.put(`/sessions/${sessionId}/tool-versions`, { toolVersions });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a tool's usage statistics per hour or day
+ * 
+ * @param {string} toolId - Tool ID
+ * @param {Object} params - { interval: 'hour'|'day', from, to, version }
+ * @returns {Promise<Object>} { summary, errorClasses, buckets } with the call count, error
+ *                            rate and p50/p95 latency of each bucket
+ */
+export const getToolStats = async (toolId, params = {}) => {
+  try {
+    const response = await apiClient.get(`/tools/${toolId}/stats`, { params });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Run a tool once with the given input
+ * 
+ * @param {string} toolId - Tool ID
+ * @param {*} input - Tool input, validated against the tool's input schema
+ * @returns {Promise<Object>} { output, executionTime, attempts }
+ */
+export const runTool = async (toolId, input) => {
+  try {
+    const response = await apiClient.post(`/tools/${toolId}/run`, { input });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 /**
  * Create a new session
  * 
@@ -100,6 +363,403 @@ export const updateSession = async (sessionId, updateData) => {
   }
 };
 
+/**
+ * Get what the agent remembers about a session
+ * 
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<Object>} Running summary, summary history and pinned facts
+ */
+export const getSessionMemory = async (sessionId) => {
+  try {
+    const response = await apiClient.get(`/sessions/${sessionId}/memory`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Pin a fact to a session's memory
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {Object} fact - { text, source }
+ * @returns {Promise<Object>} Pinned fact
+ */
+export const pinSessionFact = async (sessionId, fact) => {
+  try {
+    const response = await apiClient.post(`/sessions/${sessionId}/memory/pins`, fact);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Remove a pinned fact from a session's memory
+ * 
+ * @param {string} sessionId - Session ID
+ * @param {string} factId - Pinned fact ID
+ * @returns {Promise<void>}
+ */
+export const unpinSessionFact = async (sessionId, factId) => {
+  try {
+    await apiClient.delete(`/sessions/${sessionId}/memory/pins/${factId}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * List the current user's long-term memories
+ * 
+ * @param {Object} params - { q, limit } where q ranks memories by relevance to a search text
+ * @returns {Promise<Object>} { enabled, memories }
+ */
+export const getMemories = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/memories', { params });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete one of the current user's long-term memories
+ * 
+ * @param {string} memoryId - Memory ID
+ * @returns {Promise<void>}
+ */
+export const deleteMemory = async (memoryId) => {
+  try {
+    await apiClient.delete(`/memories/${memoryId}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete all of the current user's long-term memories
+ * 
+ * @returns {Promise<void>}
+ */
+export const deleteAllMemories = async () => {
+  try {
+    await apiClient.delete('/memories');
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Upload a document for the agent to answer from
+ * 
+ * @param {Object} document - { filename, contentType, content, encoding, title, scope }
+ *                            where content is base64 when encoding is 'base64'
+ * @returns {Promise<Object>} Stored document
+ */
+export const uploadDocument = async (document) => {
+  try {
+    const response = await apiClient.post('/documents', document);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * List the documents the current user can read
+ * 
+ * @returns {Promise<Array>} Documents, newest first
+ */
+export const getDocuments = async () => {
+  try {
+    const response = await apiClient.get('/documents');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get a document with its text and passage offsets
+ * 
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>} Document
+ */
+export const getDocument = async (documentId) => {
+  try {
+    const response = await apiClient.get(`/documents/${documentId}`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete an uploaded document
+ * 
+ * @param {string} documentId - Document ID
+ * @returns {Promise<void>}
+ */
+export const deleteDocument = async (documentId) => {
+  try {
+    await apiClient.delete(`/documents/${documentId}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's scheduled tasks
+ * 
+ * @returns {Promise<Array>} Scheduled tasks
+ */
+export const getScheduledTasks = async () => {
+  try {
+    const response = await apiClient.get('/scheduled-tasks');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Schedule a recurring query
+ * 
+ * @param {Object} taskData - { name, query, cron, enabled, webhookUrl }
+ * @returns {Promise<Object>} Created task
+ */
+export const createScheduledTask = async (taskData) => {
+  try {
+    const response = await apiClient.post('/scheduled-tasks', taskData);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update a scheduled task
+ * 
+ * @param {string} taskId - Task ID
+ * @param {Object} changes - Any of { name, query, cron, enabled, webhookUrl }
+ * @returns {Promise<Object>} Updated task
+ */
+export const updateScheduledTask = async (taskId, changes) => {
+  try {
+    const response = await apiClient.put(`/scheduled-tasks/${taskId}`, changes);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete a scheduled task and its run history
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise<void>}
+ */
+export const deleteScheduledTask = async (taskId) => {
+  try {
+    await apiClient.delete(`/scheduled-tasks/${taskId}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Run a scheduled task now
+ * 
+ * @param {string} taskId - Task ID
+ * @returns {Promise<Object>} The started run
+ */
+export const runScheduledTask = async (taskId) => {
+  try {
+    const response = await apiClient.post(`/scheduled-tasks/${taskId}/run`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the run history of a scheduled task
+ * 
+ * @param {string} taskId - Task ID
+ * @param {number} limit - Most runs to return
+ * @returns {Promise<Array>} Runs, newest first
+ */
+export const getScheduledTaskRuns = async (taskId, limit = 20) => {
+  try {
+    const response = await apiClient.get(`/scheduled-tasks/${taskId}/runs`, { params: { limit } });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the events webhook endpoints can subscribe to
+ * 
+ * @returns {Promise<Array>} [{ type, description }]
+ */
+export const getWebhookEvents = async () => {
+  try {
+    const response = await apiClient.get('/webhooks/events');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the current user's webhook endpoints
+ * 
+ * @returns {Promise<Array>} Endpoints, without their secrets
+ */
+export const getWebhookEndpoints = async () => {
+  try {
+    const response = await apiClient.get('/webhooks');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Register a webhook endpoint
+ * 
+ * @param {Object} endpointData - { url, events, description }
+ * @returns {Promise<Object>} Endpoint, including its signing secret
+ */
+export const createWebhookEndpoint = async (endpointData) => {
+  try {
+    const response = await apiClient.post('/webhooks', endpointData);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Update a webhook endpoint
+ * 
+ * @param {string} endpointId - Endpoint ID
+ * @param {Object} changes - Any of { url, events, description, enabled }
+ * @returns {Promise<Object>} Updated endpoint
+ */
+export const updateWebhookEndpoint = async (endpointId, changes) => {
+  try {
+    const response = await apiClient.put(`/webhooks/${endpointId}`, changes);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Delete a webhook endpoint and its delivery log
+ * 
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<void>}
+ */
+export const deleteWebhookEndpoint = async (endpointId) => {
+  try {
+    await apiClient.delete(`/webhooks/${endpointId}`);
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Replace the signing secret of a webhook endpoint
+ * 
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Endpoint, including its new secret
+ */
+export const rotateWebhookSecret = async (endpointId) => {
+  try {
+    const response = await apiClient.post(`/webhooks/${endpointId}/rotate-secret`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Send a test event to a webhook endpoint
+ * 
+ * @param {string} endpointId - Endpoint ID
+ * @returns {Promise<Object>} Delivery
+ */
+export const sendWebhookTest = async (endpointId) => {
+  try {
+    const response = await apiClient.post(`/webhooks/${endpointId}/test`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the webhook delivery log
+ * 
+ * @param {Object} params - { endpointId, limit }
+ * @returns {Promise<Array>} Deliveries, newest first
+ */
+export const getWebhookDeliveries = async (params = {}) => {
+  try {
+    const response = await apiClient.get('/webhooks/deliveries', { params });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Deliver a logged webhook again
+ * 
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object>} The new delivery
+ */
+export const replayWebhookDelivery = async (deliveryId) => {
+  try {
+    const response = await apiClient.post(`/webhooks/deliveries/${deliveryId}/replay`);
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Get the test receiver URL and the webhooks it received
+ * 
+ * @returns {Promise<Object>} { url, received }
+ */
+export const getWebhookTestReceiver = async () => {
+  try {
+    const response = await apiClient.get('/webhooks/test-receiver');
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
+/**
+ * Forget the webhooks the test receiver has recorded
+ * 
+ * @returns {Promise<void>}
+ */
+export const clearWebhookTestReceiver = async () => {
+  try {
+    await apiClient.delete('/webhooks/test-receiver');
+  } catch (error) {
+    throw error;
+  }
+};
+
 /**
  * Delete a session
  * 
@@ -130,6 +790,21 @@ export const getAgentMetrics = async (params = {}) => {
   }
 };
 
+/**
+ * Get the current user's LLM usage and spend
+ * 
+ * @param {number} days - Number of days of history
+ * @returns {Promise<Object>} Daily series, totals and budgets
+ */
+export const getUsage = async (days = 30) => {
+  try {
+    const response = await apiClient.get('/usage', { params: { days } });
+    return response.data;
+  } catch (error) {
+    throw error;
+  }
+};
+
 /**
  * Submit feedback for an agent response
  * 
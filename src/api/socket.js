@@ -0,0 +1,48 @@
+/**
+ * Socket.io connection for server notifications
+ */
+
+import { io } from 'socket.io-client';
+
+let socket = null;
+
+// Join the signed-in user's room, which carries notifications such as completed scheduled tasks
+const joinUserRoom = () => {
+  const token = localStorage.getItem('authToken');
+  if (token) {
+    socket.emit('user:subscribe', { token });
+  }
+};
+
+/**
+ * Get the shared Socket.io connection, opening it on first use
+ *
+ * The server is the one the REST API is served from. The socket rejoins the signed-in user's
+ * room whenever it reconnects.
+ *
+ * @returns {Object} Socket.io client socket
+ */
+export const getSocket = () => {
+  if (!socket) {
+    const { origin } = new URL(process.env.REACT_APP_BACKEND_URL || '/api', window.location.origin);
+    socket = io(origin, { transports: ['websocket', 'polling'] });
+    socket.on('connect', joinUserRoom);
+  }
+  return socket;
+};
+
+/**
+ * Receive the signed-in user's notifications
+ */
+export const subscribeToUser = () => {
+  if (getSocket().connected) {
+    joinUserRoom();
+  }
+};
+
+/**
+ * Stop receiving the notifications of the user who signed out
+ */
+export const unsubscribeFromUser = () => {
+  socket?.emit('user:unsubscribe');
+};
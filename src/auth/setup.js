@@ -87,6 +87,7 @@ export async function configureAuthentication(app) {
   const tokenManager = {
     generateToken,
     verifyToken,
+    authenticateToken,
     revokeToken,
   };
   
@@ -544,13 +545,38 @@ async function verifyToken(token) {
   }
 }
 
+/**
+ * Find the user a JWT token was issued to
+ * 
+ * Checks the token like the JWT strategy does for HTTP requests, for connections that
+ * authenticate outside of Passport, such as sockets.
+ * 
+ * @param {String} token - JWT token
+ * @returns {Promise<Object>} The user
+ * @throws {Error} If the token is invalid or the user is unknown or disabled
+ */
+async function authenticateToken(token) {
+  const payload = await verifyToken(token);
+  const user = await findUserById(payload.sub);
+  
+  if (!user) {
+    throw new Error('Unknown user');
+  }
+  
+  if (user.disabled) {
+    throw new Error('Account disabled');
+  }
+  
+  return user;
+}
+
 /**
  * Validate an API key
  * 
  * @param {String} apiKey - API key to validate
  * @returns {Promise<Object|null>} User data if valid, null otherwise
  */
-async function validateApiKey(apiKey) {
+export async function validateApiKey(apiKey) {
   try {
     // Implement API key validation logic
     // This would typically involve checking against a database
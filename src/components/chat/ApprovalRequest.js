@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+
+// Badge colours for each tool risk level
+const riskStyles = {
+  'read-only': 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  'writes-data': 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+  'external-side-effect': 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+};
+
+const formatInput = (input) =>
+  typeof input === 'string' ? input : JSON.stringify(input, null, 2);
+
+const ApprovalRequest = ({ approval, onRespond }) => {
+  const [editing, setEditing] = useState(false);
+  const [inputText, setInputText] = useState(formatInput(approval.input));
+  const [inputError, setInputError] = useState(null);
+  const [submitting, setSubmitting] = useState(false);
+
+  // Parse the edited input back into the type the tool received
+  const parseInput = () => {
+    if (typeof approval.input === 'string') {
+      return inputText;
+    }
+    return JSON.parse(inputText);
+  };
+
+  const handleRespond = async (approved) => {
+    let input;
+
+    if (approved && editing) {
+      try {
+        input = parseInput();
+      } catch (err) {
+        setInputError('Input must be valid JSON');
+        return;
+      }
+    }
+
+    setSubmitting(true);
+    await onRespond(approval.id, approved, input);
+  };
+
+  return (
+    <div className="rounded-lg border border-yellow-300 bg-yellow-50 p-4 dark:border-yellow-700 dark:bg-yellow-900/20">
+      <div className="mb-2 flex items-center justify-between">
+        <h3 className="font-semibold text-gray-900 dark:text-white">
+          Approve <span className="font-mono">{approval.tool}</span>?
+        </h3>
+        <span
+          className={`rounded-full px-3 py-1 text-xs font-medium ${
+            riskStyles[approval.riskLevel] || riskStyles['read-only']
+          }`}
+        >
+          {approval.riskLevel}
+        </span>
+      </div>
+
+      {approval.description && (
+        <p className="mb-2 text-sm text-gray-600 dark:text-gray-300">
+          {approval.description}
+        </p>
+      )}
+
+      {editing ? (
+        <textarea
+          value={inputText}
+          onChange={(e) => {
+            setInputText(e.target.value);
+            setInputError(null);
+          }}
+          className="input h-32 w-full font-mono text-xs"
+          aria-label="Tool input"
+        />
+      ) : (
+        <pre className="max-h-48 overflow-auto rounded bg-white p-2 text-xs text-gray-700 dark:bg-gray-800 dark:text-gray-300">
+          {formatInput(approval.input)}
+        </pre>
+      )}
+
+      {inputError && (
+        <p className="mt-1 text-xs text-red-600 dark:text-red-400">{inputError}</p>
+      )}
+
+      <div className="mt-3 flex items-center justify-between">
+        <span className="text-xs text-gray-500 dark:text-gray-400">
+          Expires at {new Date(approval.expiresAt).toLocaleTimeString()}
+        </span>
+        <div className="flex space-x-2">
+          <button
+            onClick={() => setEditing(!editing)}
+            className="btn btn-secondary"
+            disabled={submitting}
+          >
+            {editing ? 'Cancel edit' : 'Edit input'}
+          </button>
+          <button
+            onClick={() => handleRespond(false)}
+            className="btn btn-secondary"
+            disabled={submitting}
+          >
+            Reject
+          </button>
+          <button
+            onClick={() => handleRespond(true)}
+            className="btn btn-primary"
+            disabled={submitting}
+          >
+            Approve
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ApprovalRequest;
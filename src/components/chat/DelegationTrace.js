@@ -0,0 +1,51 @@
+import React from 'react';
+
+const formatTokens = (usage) => (usage ? `${usage.totalTokens.toLocaleString()} tokens` : null);
+
+const DelegationNode = ({ delegation }) => {
+  const failed = delegation.status === 'failed';
+
+  return (
+    <li className="mt-1">
+      <div className="flex flex-wrap items-center gap-x-2">
+        <span
+          className={`inline-block h-2 w-2 rounded-full ${failed ? 'bg-red-500' : 'bg-green-500'}`}
+          aria-hidden="true"
+        />
+        <span className="font-medium text-gray-700 dark:text-gray-200">{delegation.agent}</span>
+        {delegation.task && <span className="text-gray-600 dark:text-gray-300">{delegation.task}</span>}
+        <span className="text-gray-400 dark:text-gray-500">
+          {failed
+            ? delegation.error
+            : [
+                delegation.toolsUsed?.length ? delegation.toolsUsed.map((tool) => tool.name).join(', ') : 'no tools',
+                formatTokens(delegation.usage),
+                delegation.processingTime !== undefined && `${(delegation.processingTime / 1000).toFixed(1)}s`,
+              ]
+                .filter(Boolean)
+                .join(' · ')}
+        </span>
+      </div>
+      {delegation.delegations?.length > 0 && (
+        <ul className="ml-3 border-l border-gray-200 pl-3 dark:border-gray-700">
+          {delegation.delegations.map((child, idx) => (
+            <DelegationNode key={child.id || idx} delegation={child} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+};
+
+const DelegationTrace = ({ delegations }) => (
+  <div className="mt-2 border-t border-gray-200 pt-2 text-xs dark:border-gray-700">
+    <p className="text-gray-500 dark:text-gray-400">Delegated to:</p>
+    <ul>
+      {delegations.map((delegation, idx) => (
+        <DelegationNode key={delegation.id || idx} delegation={delegation} />
+      ))}
+    </ul>
+  </div>
+);
+
+export default DelegationTrace;
@@ -0,0 +1,82 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getSessionMemory, unpinSessionFact } from '../../api/agent';
+
+const MemoryPanel = ({ sessionId, refreshKey }) => {
+  const [memory, setMemory] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadMemory = useCallback(() => {
+    getSessionMemory(sessionId)
+      .then((data) => {
+        setMemory(data);
+        setError(null);
+      })
+      .catch((err) => setError(err.status === 404 ? null : err.message));
+  }, [sessionId]);
+
+  useEffect(() => {
+    loadMemory();
+  }, [loadMemory, refreshKey]);
+
+  const handleUnpin = async (factId) => {
+    try {
+      await unpinSessionFact(sessionId, factId);
+      loadMemory();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (error) {
+    return <p className="text-xs text-red-600 dark:text-red-400">{error}</p>;
+  }
+
+  if (!memory) {
+    return <p className="text-xs text-gray-500 dark:text-gray-400">Nothing remembered yet.</p>;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div>
+        <h3 className="mb-1 font-medium text-gray-800 dark:text-white">Pinned facts</h3>
+        {memory.pinnedFacts.length > 0 ? (
+          <ul className="space-y-1">
+            {memory.pinnedFacts.map((fact) => (
+              <li key={fact.id} className="flex items-start justify-between text-gray-600 dark:text-gray-300">
+                <span className="whitespace-pre-wrap">{fact.text}</span>
+                <button
+                  onClick={() => handleUnpin(fact.id)}
+                  className="ml-2 rounded p-1 text-xs text-gray-400 hover:bg-gray-100 hover:text-red-500 dark:hover:bg-gray-700"
+                  aria-label="Unpin fact"
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Pin a message to make sure the agent always remembers it.
+          </p>
+        )}
+      </div>
+
+      <div>
+        <h3 className="mb-1 font-medium text-gray-800 dark:text-white">Summary</h3>
+        {memory.summary ? (
+          <p className="whitespace-pre-wrap text-gray-600 dark:text-gray-300">{memory.summary}</p>
+        ) : (
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            The conversation is still short enough to be remembered word for word.
+          </p>
+        )}
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+          {memory.summarizedMessages} messages summarized · {memory.recentMessages} kept verbatim (~
+          {memory.recentTokens} tokens)
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default MemoryPanel;
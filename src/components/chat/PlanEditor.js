@@ -0,0 +1,191 @@
+import React, { useState } from 'react';
+
+const formatInput = (input) => {
+  if (input === undefined || input === null) return '';
+  return typeof input === 'string' ? input : JSON.stringify(input, null, 2);
+};
+
+// Inputs that look like JSON are sent as objects, everything else as text
+const parseInput = (text) => {
+  const trimmed = text.trim();
+  if (!trimmed) return undefined;
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    return JSON.parse(trimmed);
+  }
+  return text;
+};
+
+const PlanEditor = ({ plan, tools, disabled, onRun }) => {
+  const [steps, setSteps] = useState(() =>
+    plan.steps.map((step) => ({ ...step, inputText: formatInput(step.input) }))
+  );
+  const [validationError, setValidationError] = useState(null);
+
+  const editable = plan.status === 'pending' && !disabled;
+
+  const updateStep = (index, changes) => {
+    setValidationError(null);
+    setSteps((prev) => prev.map((step, i) => (i === index ? { ...step, ...changes } : step)));
+  };
+
+  const moveStep = (index, direction) => {
+    setSteps((prev) => {
+      const target = index + direction;
+      if (target < 0 || target >= prev.length) return prev;
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  // Steps that depended on a removed step now depend on its own dependencies
+  const removeStep = (index) => {
+    setSteps((prev) => {
+      const removed = prev[index];
+      return prev
+        .filter((_, i) => i !== index)
+        .map((step) =>
+          step.dependsOn && step.dependsOn.includes(removed.id)
+            ? {
+                ...step,
+                dependsOn: [
+                  ...new Set([
+                    ...step.dependsOn.filter((id) => id !== removed.id),
+                    ...(removed.dependsOn || []),
+                  ]),
+                ],
+              }
+            : step
+        );
+    });
+  };
+
+  const handleRun = () => {
+    try {
+      const editedSteps = steps.map(({ inputText, ...step }) => ({
+        ...step,
+        input: parseInput(inputText),
+      }));
+      onRun(editedSteps);
+    } catch (err) {
+      setValidationError('Step inputs starting with { or [ must be valid JSON');
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <p className="font-medium">Proposed plan</p>
+        {plan.estimatedCompletionTime && (
+          <span className="text-xs text-gray-500 dark:text-gray-400">
+            ~{Math.ceil(plan.estimatedCompletionTime / 1000)}s
+          </span>
+        )}
+      </div>
+
+      {steps.length > 0 ? (
+        <ol className="space-y-2">
+          {steps.map((step, index) => (
+            <li
+              key={`${step.id}-${index}`}
+              className="rounded-lg border border-gray-200 bg-white p-3 dark:border-gray-700 dark:bg-gray-800"
+            >
+              <div className="mb-2 flex items-center space-x-2">
+                <span className="text-xs font-semibold text-gray-500 dark:text-gray-400">
+                  {index + 1}.
+                </span>
+                <select
+                  value={step.tool}
+                  onChange={(e) => updateStep(index, { tool: e.target.value })}
+                  className="input flex-1 py-1 text-sm"
+                  disabled={!editable}
+                  aria-label="Tool"
+                >
+                  {!tools.some((tool) => tool.name === step.tool) && (
+                    <option value={step.tool}>{step.tool}</option>
+                  )}
+                  {tools.map((tool) => (
+                    <option key={tool.id || tool.name} value={tool.name}>
+                      {tool.name}
+                    </option>
+                  ))}
+                </select>
+                <button
+                  onClick={() => moveStep(index, -1)}
+                  className="rounded p-1 text-gray-500 hover:bg-gray-100 disabled:opacity-40 dark:hover:bg-gray-700"
+                  disabled={!editable || index === 0}
+                  aria-label="Move step up"
+                >
+                  ↑
+                </button>
+                <button
+                  onClick={() => moveStep(index, 1)}
+                  className="rounded p-1 text-gray-500 hover:bg-gray-100 disabled:opacity-40 dark:hover:bg-gray-700"
+                  disabled={!editable || index === steps.length - 1}
+                  aria-label="Move step down"
+                >
+                  ↓
+                </button>
+                <button
+                  onClick={() => removeStep(index)}
+                  className="rounded p-1 text-red-500 hover:bg-red-50 disabled:opacity-40 dark:hover:bg-red-900/30"
+                  disabled={!editable}
+                  aria-label="Remove step"
+                >
+                  ✕
+                </button>
+              </div>
+
+              {step.description && (
+                <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">{step.description}</p>
+              )}
+
+              {step.dependsOn && (
+                <p className="mb-2 text-xs text-gray-500 dark:text-gray-400">
+                  {step.dependsOn.length > 0
+                    ? `Runs after ${step.dependsOn.join(', ')}`
+                    : 'Runs in parallel with other independent steps'}
+                </p>
+              )}
+
+              <textarea
+                value={step.inputText}
+                onChange={(e) => updateStep(index, { inputText: e.target.value })}
+                className="input h-16 w-full font-mono text-xs"
+                placeholder={
+                  step.dependsOn
+                    ? "Uses its dependencies' output, or {{steps.<id>.output}}"
+                    : "Uses the previous step's output"
+                }
+                disabled={!editable}
+                aria-label="Step input"
+              />
+            </li>
+          ))}
+        </ol>
+      ) : (
+        <p className="text-sm text-gray-500 dark:text-gray-400">All steps were removed.</p>
+      )}
+
+      {validationError && (
+        <p className="text-xs text-red-600 dark:text-red-400">{validationError}</p>
+      )}
+
+      {plan.status === 'pending' ? (
+        <button
+          onClick={handleRun}
+          className="btn btn-primary"
+          disabled={!editable || steps.length === 0}
+        >
+          Run
+        </button>
+      ) : (
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          {plan.status === 'running' ? 'Running…' : 'Plan executed'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PlanEditor;
@@ -0,0 +1,37 @@
+import React from 'react';
+
+const statusStyles = {
+  pending: 'bg-gray-300 dark:bg-gray-600',
+  starting: 'bg-gray-300 dark:bg-gray-600',
+  running: 'animate-pulse bg-primary-500',
+  retrying: 'animate-pulse bg-yellow-400',
+  completed: 'bg-green-500',
+  failed: 'bg-red-500',
+  skipped: 'bg-yellow-400',
+  cancelled: 'bg-gray-400',
+};
+
+const statusLabels = {
+  pending: 'Waiting',
+  starting: 'Waiting',
+  running: 'Running',
+  retrying: 'Retrying',
+  completed: 'Done',
+  failed: 'Failed',
+  skipped: 'Skipped',
+  cancelled: 'Cancelled',
+};
+
+const StepProgress = ({ steps }) => (
+  <ul className="mb-2 space-y-1 text-xs">
+    {steps.map((step) => (
+      <li key={step.id} className="flex items-center space-x-2">
+        <span className={`inline-block h-2 w-2 rounded-full ${statusStyles[step.status] || statusStyles.pending}`}></span>
+        <span className="font-medium text-gray-700 dark:text-gray-300">{step.tool}</span>
+        <span className="text-gray-500 dark:text-gray-400">{statusLabels[step.status] || step.status}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+export default StepProgress;
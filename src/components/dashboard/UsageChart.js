@@ -0,0 +1,59 @@
+import React from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Tooltip,
+} from 'chart.js';
+import { Bar } from 'react-chartjs-2';
+
+ChartJS.register(CategoryScale, LinearScale, BarElement, Tooltip);
+
+const formatCost = (cost) => `$${cost < 0.01 && cost > 0 ? cost.toFixed(4) : cost.toFixed(2)}`;
+
+const UsageChart = ({ series }) => {
+  const data = {
+    labels: series.map((day) =>
+      new Date(`${day.date}T00:00:00Z`).toLocaleDateString(undefined, { month: 'short', day: 'numeric' })
+    ),
+    datasets: [
+      {
+        label: 'Spend',
+        data: series.map((day) => day.cost),
+        backgroundColor: 'rgba(99, 102, 241, 0.7)',
+        borderRadius: 4,
+      },
+    ],
+  };
+
+  const options = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (item) => {
+            const day = series[item.dataIndex];
+            return `${formatCost(day.cost)} · ${day.totalTokens.toLocaleString()} tokens`;
+          },
+        },
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: { callback: (value) => formatCost(value) },
+      },
+    },
+  };
+
+  return (
+    <div className="h-64">
+      <Bar data={data} options={options} />
+    </div>
+  );
+};
+
+export { formatCost };
+export default UsageChart;
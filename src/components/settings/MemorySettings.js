@@ -0,0 +1,133 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { getMemories, deleteMemory, deleteAllMemories } from '../../api/agent';
+
+const MemorySettings = () => {
+  const [memories, setMemories] = useState([]);
+  const [enabled, setEnabled] = useState(true);
+  const [search, setSearch] = useState('');
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadMemories = useCallback(async (query = '') => {
+    setIsLoading(true);
+
+    try {
+      const data = await getMemories(query ? { q: query } : {});
+      setMemories(data.memories);
+      setEnabled(data.enabled);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load memories');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadMemories();
+  }, [loadMemories]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    loadMemories(search.trim());
+  };
+
+  const handleDelete = async (memoryId) => {
+    try {
+      await deleteMemory(memoryId);
+      setMemories((prev) => prev.filter((memory) => memory.id !== memoryId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete memory');
+    }
+  };
+
+  const handleDeleteAll = async () => {
+    if (!window.confirm('Delete everything the agent remembers about you? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await deleteAllMemories();
+      setMemories([]);
+    } catch (err) {
+      setError(err.message || 'Failed to delete memories');
+    }
+  };
+
+  if (!enabled) {
+    return (
+      <p className="text-gray-600 dark:text-gray-300">
+        Long-term memory is turned off for this deployment.
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      <p className="text-gray-600 dark:text-gray-300">
+        Facts the agent learned about you in earlier conversations. Relevant memories are recalled
+        automatically when you ask something new.
+      </p>
+
+      {error && (
+        <div className="rounded-lg bg-red-50 p-3 text-sm text-red-800 dark:bg-red-900/30 dark:text-red-200">
+          {error}
+        </div>
+      )}
+
+      <form onSubmit={handleSearch} className="flex space-x-2">
+        <input
+          type="text"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="input flex-1"
+          placeholder="Search memories"
+        />
+        <button type="submit" className="btn btn-primary">
+          Search
+        </button>
+      </form>
+
+      {isLoading ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">Loading memories...</p>
+      ) : memories.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400">
+          {search ? 'No memories match your search.' : 'The agent has not remembered anything about you yet.'}
+        </p>
+      ) : (
+        <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+          {memories.map((memory) => (
+            <li key={memory.id} className="flex items-start justify-between py-3">
+              <div>
+                <p className="text-gray-800 dark:text-gray-200">{memory.text}</p>
+                <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                  {new Date(memory.updatedAt).toLocaleString()}
+                  {memory.score !== undefined && ` · ${Math.round(memory.score * 100)}% match`}
+                </p>
+              </div>
+              <button
+                onClick={() => handleDelete(memory.id)}
+                className="ml-4 rounded-lg px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 hover:text-red-600 dark:text-gray-400 dark:hover:bg-gray-700"
+              >
+                Delete
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {memories.length > 0 && !search && (
+        <div className="flex justify-end">
+          <button
+            onClick={handleDeleteAll}
+            className="rounded-lg border border-red-300 px-4 py-2 text-sm font-medium text-red-700 hover:bg-red-50 dark:border-red-700 dark:text-red-400 dark:hover:bg-red-900/30"
+          >
+            Delete all memories
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MemorySettings;
@@ -0,0 +1,384 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getWebhookEvents,
+  getWebhookEndpoints,
+  createWebhookEndpoint,
+  updateWebhookEndpoint,
+  deleteWebhookEndpoint,
+  rotateWebhookSecret,
+  sendWebhookTest,
+  getWebhookDeliveries,
+  replayWebhookDelivery,
+  getWebhookTestReceiver,
+  clearWebhookTestReceiver,
+} from '../../api/agent';
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+};
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const StatusBadge = ({ status }) => (
+  <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status] || ''}`}>{status}</span>
+);
+
+const WebhookSettings = () => {
+  const [events, setEvents] = useState([]);
+  const [endpoints, setEndpoints] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [receiver, setReceiver] = useState(null);
+  const [form, setForm] = useState({ url: '', description: '', events: [] });
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadActivity = useCallback(async () => {
+    try {
+      const [deliveryData, receiverData] = await Promise.all([getWebhookDeliveries(), getWebhookTestReceiver()]);
+      setDeliveries(deliveryData);
+      setReceiver(receiverData);
+    } catch (err) {
+      setError(err.message || 'Failed to load webhook deliveries');
+    }
+  }, []);
+
+  const loadWebhooks = useCallback(async () => {
+    setIsLoading(true);
+
+    try {
+      const [eventData, endpointData] = await Promise.all([getWebhookEvents(), getWebhookEndpoints()]);
+      setEvents(eventData);
+      setEndpoints(endpointData);
+      setError(null);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message || 'Failed to load webhooks');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [loadActivity]);
+
+  useEffect(() => {
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const toggleFormEvent = (type) => {
+    setForm((prev) => ({
+      ...prev,
+      events: prev.events.includes(type) ? prev.events.filter((event) => event !== type) : [...prev.events, type],
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const { secret, ...endpoint } = await createWebhookEndpoint(form);
+      setEndpoints((prev) => [...prev, endpoint]);
+      setRevealedSecret(secret);
+      setForm({ url: '', description: '', events: [] });
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to register the endpoint');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const replaceEndpoint = (updated) =>
+    setEndpoints((prev) => prev.map((endpoint) => (endpoint.id === updated.id ? updated : endpoint)));
+
+  const handleToggle = async (endpoint) => {
+    try {
+      replaceEndpoint(await updateWebhookEndpoint(endpoint.id, { enabled: !endpoint.enabled }));
+    } catch (err) {
+      setError(err.message || 'Failed to update the endpoint');
+    }
+  };
+
+  const handleRotate = async (endpoint) => {
+    if (!window.confirm('Rotate the signing secret? Deliveries signed with the old secret will no longer verify.')) return;
+
+    try {
+      const { secret, ...updated } = await rotateWebhookSecret(endpoint.id);
+      replaceEndpoint(updated);
+      setRevealedSecret(secret);
+    } catch (err) {
+      setError(err.message || 'Failed to rotate the secret');
+    }
+  };
+
+  const handleTest = async (endpoint) => {
+    try {
+      await sendWebhookTest(endpoint.id);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message || 'Failed to send the test event');
+    }
+  };
+
+  const handleDelete = async (endpoint) => {
+    if (!window.confirm(`Delete the endpoint ${endpoint.url} and its delivery log?`)) return;
+
+    try {
+      await deleteWebhookEndpoint(endpoint.id);
+      setEndpoints((prev) => prev.filter((entry) => entry.id !== endpoint.id));
+      setDeliveries((prev) => prev.filter((delivery) => delivery.endpointId !== endpoint.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the endpoint');
+    }
+  };
+
+  const handleReplay = async (delivery) => {
+    try {
+      await replayWebhookDelivery(delivery.id);
+      await loadActivity();
+    } catch (err) {
+      setError(err.message || 'Failed to replay the delivery');
+    }
+  };
+
+  const handleClearReceiver = async () => {
+    try {
+      await clearWebhookTestReceiver();
+      setReceiver((prev) => ({ ...prev, received: [] }));
+    } catch (err) {
+      setError(err.message || 'Failed to clear the test receiver');
+    }
+  };
+
+  const endpointUrl = (endpointId) => endpoints.find((endpoint) => endpoint.id === endpointId)?.url || endpointId;
+
+  if (isLoading) {
+    return <p className="text-gray-500 dark:text-gray-400">Loading webhooks...</p>;
+  }
+
+  return (
+    <div className="space-y-8">
+      <p className="text-sm text-gray-600 dark:text-gray-300">
+        Get an HTTP POST whenever a query completes or fails, a tool fails or a session starts. Every request
+        is signed with the endpoint's secret in the <span className="font-mono">X-Webhook-Signature</span>{' '}
+        header and failed deliveries are retried with backoff.
+      </p>
+
+      {error && (
+        <div className="rounded-lg bg-red-50 p-4 text-red-800 dark:bg-red-900/30 dark:text-red-200">{error}</div>
+      )}
+
+      {revealedSecret && (
+        <div className="rounded-lg bg-yellow-50 p-4 text-sm text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-200">
+          <p className="font-medium">Copy the signing secret now, it will not be shown again:</p>
+          <p className="mt-2 break-all font-mono">{revealedSecret}</p>
+          <button onClick={() => setRevealedSecret(null)} className="mt-2 text-xs underline">
+            Done
+          </button>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+          <div className="form-group">
+            <label htmlFor="webhook-url" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Endpoint URL
+            </label>
+            <input
+              id="webhook-url"
+              type="url"
+              required
+              value={form.url}
+              onChange={(e) => setForm((prev) => ({ ...prev, url: e.target.value }))}
+              placeholder="https://example.com/hooks/agent"
+              className="input w-full"
+            />
+          </div>
+          <div className="form-group">
+            <label
+              htmlFor="webhook-description"
+              className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300"
+            >
+              Description <span className="font-normal text-gray-400">(optional)</span>
+            </label>
+            <input
+              id="webhook-description"
+              value={form.description}
+              onChange={(e) => setForm((prev) => ({ ...prev, description: e.target.value }))}
+              className="input w-full"
+            />
+          </div>
+        </div>
+        <div className="grid grid-cols-1 gap-2 sm:grid-cols-2">
+          {events.map((event) => (
+            <label key={event.type} className="flex items-start text-sm text-gray-700 dark:text-gray-300">
+              <input
+                type="checkbox"
+                checked={form.events.includes(event.type)}
+                onChange={() => toggleFormEvent(event.type)}
+                className="mr-2 mt-1 rounded border-gray-300 text-primary-600 focus:ring-primary-500"
+              />
+              <span>
+                <span className="font-mono">{event.type}</span>
+                <span className="block text-xs text-gray-500 dark:text-gray-400">{event.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <button type="submit" className="btn btn-primary" disabled={isSaving || form.events.length === 0}>
+            {isSaving ? 'Saving...' : 'Add endpoint'}
+          </button>
+        </div>
+      </form>
+
+      <div>
+        <h3 className="mb-2 text-lg font-medium text-gray-900 dark:text-white">Endpoints</h3>
+        {endpoints.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No webhook endpoints yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+            {endpoints.map((endpoint) => (
+              <li key={endpoint.id} className="flex flex-col gap-2 py-3 sm:flex-row sm:items-start sm:justify-between">
+                <div className="min-w-0">
+                  <p className="truncate font-mono text-sm text-gray-900 dark:text-white">{endpoint.url}</p>
+                  {endpoint.description && (
+                    <p className="text-sm text-gray-600 dark:text-gray-300">{endpoint.description}</p>
+                  )}
+                  <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                    {endpoint.enabled ? endpoint.events.join(', ') : 'disabled'} · secret {endpoint.secretHint}
+                  </p>
+                </div>
+                <div className="flex shrink-0 items-center gap-1">
+                  <button
+                    onClick={() => handleTest(endpoint)}
+                    className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                  >
+                    Send test
+                  </button>
+                  <button
+                    onClick={() => handleToggle(endpoint)}
+                    className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                  >
+                    {endpoint.enabled ? 'Disable' : 'Enable'}
+                  </button>
+                  <button
+                    onClick={() => handleRotate(endpoint)}
+                    className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                  >
+                    Rotate secret
+                  </button>
+                  <button
+                    onClick={() => handleDelete(endpoint)}
+                    className="rounded-lg px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 hover:text-red-600 dark:text-gray-400 dark:hover:bg-gray-700"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div>
+        <div className="mb-2 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900 dark:text-white">Recent deliveries</h3>
+          <button
+            onClick={loadActivity}
+            className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+          >
+            Refresh
+          </button>
+        </div>
+        {deliveries.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Nothing delivered yet.</p>
+        ) : (
+          <ul className="space-y-2">
+            {deliveries.map((delivery) => {
+              const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+              return (
+                <li
+                  key={delivery.id}
+                  className="flex flex-col gap-2 rounded-lg border border-gray-200 p-3 sm:flex-row sm:items-center sm:justify-between dark:border-gray-700"
+                >
+                  <div className="min-w-0 text-xs text-gray-500 dark:text-gray-400">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <StatusBadge status={delivery.status} />
+                      <span className="font-mono text-gray-800 dark:text-gray-200">{delivery.event}</span>
+                      <span>{formatTime(delivery.createdAt)}</span>
+                      {delivery.replayOf && <span>· replay</span>}
+                    </div>
+                    <p className="mt-1 truncate">
+                      {endpointUrl(delivery.endpointId)} · {delivery.attempts.length}{' '}
+                      {delivery.attempts.length === 1 ? 'attempt' : 'attempts'}
+                      {lastAttempt?.error && ` · ${lastAttempt.error}`}
+                      {delivery.status === 'pending' && delivery.nextAttemptAt && ` · next ${formatTime(delivery.nextAttemptAt)}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleReplay(delivery)}
+                    className="shrink-0 rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                  >
+                    Replay
+                  </button>
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+
+      {receiver && (
+        <div>
+          <div className="mb-2 flex items-center justify-between">
+            <h3 className="text-lg font-medium text-gray-900 dark:text-white">Test receiver</h3>
+            <button
+              onClick={handleClearReceiver}
+              className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+            >
+              Clear
+            </button>
+          </div>
+          <p className="text-sm text-gray-600 dark:text-gray-300">
+            Register this URL as an endpoint to see what your webhooks look like. Add{' '}
+            <span className="font-mono">?status=500</span> to watch retries.
+          </p>
+          <div className="mt-2 flex items-center gap-2">
+            <input readOnly value={receiver.url} className="input w-full font-mono text-xs" />
+            <button
+              onClick={() => setForm((prev) => ({ ...prev, url: receiver.url }))}
+              className="shrink-0 rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+            >
+              Use as endpoint
+            </button>
+          </div>
+          {receiver.received.length > 0 && (
+            <ul className="mt-3 space-y-2">
+              {receiver.received.map((entry) => (
+                <li key={entry.id} className="rounded-lg bg-gray-50 p-3 dark:bg-gray-800">
+                  <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+                    <span className="font-mono text-gray-800 dark:text-gray-200">{entry.event}</span>
+                    <span>{formatTime(entry.receivedAt)}</span>
+                    <span>· responded {entry.respondedWith}</span>
+                    <span className={entry.signatureValid ? 'text-green-600' : 'text-red-600'}>
+                      · signature {entry.signatureValid ? 'valid' : 'invalid'}
+                    </span>
+                  </div>
+                  <pre className="mt-2 max-h-40 overflow-auto text-xs text-gray-700 dark:text-gray-300">
+                    {JSON.stringify(entry.body, null, 2)}
+                  </pre>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WebhookSettings;
@@ -0,0 +1,94 @@
+import React from 'react';
+
+// Constraints shown next to a parameter's type
+const CONSTRAINTS = [
+  ['minLength', 'min length'],
+  ['maxLength', 'max length'],
+  ['minimum', 'min'],
+  ['maximum', 'max'],
+  ['minItems', 'min items'],
+  ['maxItems', 'max items'],
+  ['pattern', 'pattern'],
+  ['format', 'format'],
+  ['default', 'default'],
+];
+
+const describeType = (schema = {}) => {
+  if (schema.enum) return schema.enum.map((value) => JSON.stringify(value)).join(' | ');
+  if (schema.const !== undefined) return JSON.stringify(schema.const);
+
+  const variants = schema.anyOf || schema.oneOf;
+  if (variants) return variants.map(describeType).join(' | ');
+
+  const types = [].concat(schema.type ?? 'any');
+  return types.map((type) => (type === 'array' && schema.items ? `${describeType(schema.items)}[]` : type)).join(' | ');
+};
+
+const describeConstraints = (schema = {}) =>
+  CONSTRAINTS.filter(([keyword]) => schema[keyword] !== undefined)
+    .map(([keyword, label]) => `${label}: ${JSON.stringify(schema[keyword])}`)
+    .join(', ');
+
+// Flatten nested object properties into rows named like `filters.dateRange.from` and `items[].id`
+const collectRows = (schema, prefix = '', rows = []) => {
+  const required = schema.required || [];
+
+  Object.entries(schema.properties || {}).forEach(([name, property]) => {
+    const path = `${prefix}${name}`;
+    rows.push({ path, schema: property || {}, required: required.includes(name) });
+
+    if (property?.properties) {
+      collectRows(property, `${path}.`, rows);
+    } else if (property?.items?.properties) {
+      collectRows(property.items, `${path}[].`, rows);
+    }
+  });
+
+  return rows;
+};
+
+const SchemaTable = ({ schema }) => {
+  if (!schema) return null;
+
+  // Tools that take or return a single value have no properties to list
+  const rows = schema.properties ? collectRows(schema) : [{ path: '(value)', schema, required: true }];
+
+  if (rows.length === 0) {
+    return <p className="text-sm text-gray-500 dark:text-gray-400">Any {describeType(schema)}</p>;
+  }
+
+  return (
+    <div className="overflow-x-auto">
+      <table className="min-w-full text-left text-sm">
+        <thead>
+          <tr className="border-b border-gray-200 text-xs uppercase text-gray-500 dark:border-gray-700 dark:text-gray-400">
+            <th className="py-2 pr-3 font-medium">Name</th>
+            <th className="py-2 pr-3 font-medium">Type</th>
+            <th className="py-2 font-medium">Description</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map(({ path, schema: property, required }) => {
+            const constraints = describeConstraints(property);
+
+            return (
+              <tr key={path} className="border-b border-gray-100 align-top last:border-0 dark:border-gray-700">
+                <td className="py-2 pr-3 font-mono text-gray-900 dark:text-white">
+                  {path}
+                  {required && <span className="ml-1 text-red-600 dark:text-red-400" title="Required">*</span>}
+                </td>
+                <td className="py-2 pr-3 font-mono text-gray-600 dark:text-gray-400">{describeType(property)}</td>
+                <td className="py-2 text-gray-600 dark:text-gray-400">
+                  {property.description || '—'}
+                  {constraints && <div className="text-xs text-gray-500 dark:text-gray-500">{constraints}</div>}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default SchemaTable;
@@ -0,0 +1,204 @@
+import React, { useState } from 'react';
+import { runTool } from '../../api/agent';
+
+const typeOf = (schema = {}) => [].concat(schema.type ?? [])[0];
+
+// Kind of form control for a parameter; anything that is not a plain value is edited as JSON
+const controlFor = (schema = {}) => {
+  if (schema.enum) return 'select';
+  const type = typeOf(schema);
+  if (type === 'boolean') return 'checkbox';
+  if (type === 'number' || type === 'integer') return 'number';
+  if (type === 'string') return 'text';
+  return 'json';
+};
+
+// Tools whose input is not an object get a single field for the whole input
+const fieldsFor = (schema = {}) =>
+  typeOf(schema) === 'object' && schema.properties
+    ? Object.entries(schema.properties).map(([name, property]) => ({
+        name,
+        schema: property || {},
+        required: (schema.required || []).includes(name),
+      }))
+    : [{ name: null, schema, required: true }];
+
+const initialValue = (field) => {
+  const { default: defaultValue } = field.schema;
+  if (defaultValue === undefined) return controlFor(field.schema) === 'checkbox' ? false : '';
+  return controlFor(field.schema) === 'json' ? JSON.stringify(defaultValue, null, 2) : defaultValue;
+};
+
+const parseValue = (field, value) => {
+  const control = controlFor(field.schema);
+  if (control === 'checkbox') return value;
+  if (value === '') return undefined;
+  if (control === 'number') return Number(value);
+  if (control === 'select') return field.schema.enum.find((option) => String(option) === value) ?? value;
+  if (control === 'json') {
+    try {
+      return JSON.parse(value);
+    } catch (err) {
+      throw new Error(`${field.name || 'Input'} is not valid JSON`);
+    }
+  }
+  return value;
+};
+
+const ToolRunForm = ({ tool }) => {
+  const fields = fieldsFor(tool.inputSchema);
+  const [values, setValues] = useState(() =>
+    Object.fromEntries(fields.map((field) => [field.name ?? '', initialValue(field)]))
+  );
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  const setValue = (key, value) => setValues((prev) => ({ ...prev, [key]: value }));
+
+  // Empty optional fields are left out so the tool's defaults apply
+  const buildInput = () => {
+    if (fields.length === 1 && fields[0].name === null) {
+      return parseValue(fields[0], values['']);
+    }
+
+    return Object.fromEntries(
+      fields
+        .map((field) => [field.name, parseValue(field, values[field.name])])
+        .filter(([, value]) => value !== undefined)
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setResult(null);
+    setError(null);
+
+    let input;
+    try {
+      input = buildInput();
+    } catch (err) {
+      setError({ message: err.message });
+      return;
+    }
+
+    setIsRunning(true);
+    try {
+      setResult(await runTool(tool.id, input));
+    } catch (err) {
+      setError({ message: err.message || 'Failed to run the tool', validationErrors: err.data?.validationErrors });
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const renderControl = (field, id) => {
+    const key = field.name ?? '';
+    const value = values[key];
+    const control = controlFor(field.schema);
+
+    if (control === 'checkbox') {
+      return (
+        <input
+          id={id}
+          type="checkbox"
+          checked={Boolean(value)}
+          onChange={(e) => setValue(key, e.target.checked)}
+          className="h-4 w-4 rounded border-gray-300 text-primary-600"
+        />
+      );
+    }
+
+    if (control === 'select') {
+      return (
+        <select id={id} value={value} onChange={(e) => setValue(key, e.target.value)} className="input w-full">
+          {!field.required && <option value="">—</option>}
+          {field.schema.enum.map((option) => (
+            <option key={String(option)} value={String(option)}>
+              {String(option)}
+            </option>
+          ))}
+        </select>
+      );
+    }
+
+    if (control === 'json') {
+      return (
+        <textarea
+          id={id}
+          rows={3}
+          value={value}
+          onChange={(e) => setValue(key, e.target.value)}
+          placeholder="JSON"
+          className="input w-full font-mono text-xs"
+        />
+      );
+    }
+
+    return (
+      <input
+        id={id}
+        type={control === 'number' ? 'number' : 'text'}
+        step={typeOf(field.schema) === 'integer' ? 1 : 'any'}
+        required={field.required}
+        value={value}
+        onChange={(e) => setValue(key, e.target.value)}
+        className="input w-full"
+      />
+    );
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      {fields.map((field) => {
+        const id = `tool-${tool.id}-${field.name ?? 'input'}`;
+
+        return (
+          <div key={id} className="form-group">
+            <label htmlFor={id} className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+              <span className="font-mono">{field.name ?? 'input'}</span>
+              {field.required && <span className="ml-1 text-red-600 dark:text-red-400">*</span>}
+            </label>
+            {renderControl(field, id)}
+            {field.schema.description && (
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{field.schema.description}</p>
+            )}
+          </div>
+        );
+      })}
+
+      <button type="submit" disabled={isRunning} className="btn btn-primary">
+        {isRunning ? 'Running...' : 'Run tool'}
+      </button>
+
+      {error && (
+        <div className="rounded-lg bg-red-50 p-3 text-sm text-red-800 dark:bg-red-900/30 dark:text-red-200">
+          <p>{error.message}</p>
+          {error.validationErrors?.length > 0 && (
+            <ul className="mt-2 list-disc pl-5 font-mono text-xs">
+              {error.validationErrors.map((validationError, index) => (
+                <li key={index}>
+                  {validationError.path}: {validationError.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {result && (
+        <div>
+          <p className="mb-1 text-xs text-gray-500 dark:text-gray-400">
+            Completed in {result.executionTime} ms
+            {result.attempts > 1 && ` after ${result.attempts} attempts`}
+          </p>
+          <pre className="max-h-64 overflow-auto rounded-lg bg-white p-3 text-xs text-gray-800 dark:bg-gray-800 dark:text-gray-200">
+            {typeof result.output === 'string' ? result.output : JSON.stringify(result.output, null, 2)}
+          </pre>
+        </div>
+      )}
+    </form>
+  );
+};
+
+export default ToolRunForm;
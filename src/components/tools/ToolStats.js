@@ -0,0 +1,187 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  Tooltip,
+  Legend,
+} from 'chart.js';
+import { Bar, Line } from 'react-chartjs-2';
+import { getToolStats } from '../../api/agent';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+const INTERVALS = [
+  ['hour', 'Last 24 hours'],
+  ['day', 'Last 30 days'],
+];
+
+const formatLatency = (ms) => (ms === null ? '–' : ms >= 1000 ? `${(ms / 1000).toFixed(1)} s` : `${Math.round(ms)} ms`);
+
+const formatRate = (rate) => `${(rate * 100).toFixed(rate > 0 && rate < 0.1 ? 1 : 0)}%`;
+
+const formatBucket = (start, interval) =>
+  interval === 'hour'
+    ? new Date(start).toLocaleTimeString(undefined, { hour: 'numeric' })
+    : new Date(start).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+// Call counts, error rates and latency percentiles of a tool, loaded when it is shown
+const ToolStats = ({ toolId, versions = [] }) => {
+  const [interval, setBucketInterval] = useState('hour');
+  const [version, setVersion] = useState('');
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    getToolStats(toolId, { interval, ...(version && { version }) })
+      .then((result) => {
+        if (!cancelled) {
+          setStats(result);
+          setError(null);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.data?.error || 'Failed to load usage statistics');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [toolId, interval, version]);
+
+  const labels = stats ? stats.buckets.map((bucket) => formatBucket(bucket.start, stats.interval)) : [];
+  const errorClasses = stats ? Object.entries(stats.errorClasses).sort((a, b) => b[1] - a[1]) : [];
+
+  const latencyData = {
+    labels,
+    datasets: [
+      {
+        label: 'p50',
+        data: stats?.buckets.map((bucket) => bucket.p50),
+        borderColor: 'rgba(99, 102, 241, 1)',
+        backgroundColor: 'rgba(99, 102, 241, 0.7)',
+        spanGaps: true,
+      },
+      {
+        label: 'p95',
+        data: stats?.buckets.map((bucket) => bucket.p95),
+        borderColor: 'rgba(245, 158, 11, 1)',
+        backgroundColor: 'rgba(245, 158, 11, 0.7)',
+        spanGaps: true,
+      },
+    ],
+  };
+
+  const errorData = {
+    labels,
+    datasets: [
+      {
+        label: 'Error rate',
+        data: stats?.buckets.map((bucket) => bucket.errorRate),
+        backgroundColor: 'rgba(239, 68, 68, 0.7)',
+        borderRadius: 4,
+      },
+    ],
+  };
+
+  const latencyOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      tooltip: { callbacks: { label: (item) => `${item.dataset.label}: ${formatLatency(item.parsed.y)}` } },
+    },
+    scales: {
+      y: { beginAtZero: true, ticks: { callback: (value) => formatLatency(value) } },
+    },
+  };
+
+  const errorOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    plugins: {
+      legend: { display: false },
+      tooltip: {
+        callbacks: {
+          label: (item) => {
+            const bucket = stats.buckets[item.dataIndex];
+            return `${formatRate(bucket.errorRate)} · ${bucket.errorCount} of ${bucket.count} calls failed`;
+          },
+        },
+      },
+    },
+    scales: {
+      y: { beginAtZero: true, suggestedMax: 0.1, ticks: { callback: (value) => formatRate(value) } },
+    },
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <select value={interval} onChange={(e) => setBucketInterval(e.target.value)} className="input py-1 text-sm">
+          {INTERVALS.map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {versions.length > 1 && (
+          <select value={version} onChange={(e) => setVersion(e.target.value)} className="input py-1 text-sm">
+            <option value="">All versions</option>
+            {versions.map((entry) => (
+              <option key={entry.id} value={entry.version}>
+                v{entry.version}
+              </option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-red-600 dark:text-red-400">{error}</p>}
+
+      {stats && (
+        <>
+          <div className="grid grid-cols-4 gap-2 text-center">
+            {[
+              ['Calls', stats.summary.count.toLocaleString()],
+              ['Errors', formatRate(stats.summary.errorRate)],
+              ['p50', formatLatency(stats.summary.p50)],
+              ['p95', formatLatency(stats.summary.p95)],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-lg bg-white p-2 dark:bg-gray-800">
+                <div className="text-xs text-gray-500 dark:text-gray-400">{label}</div>
+                <div className="font-semibold text-gray-900 dark:text-white">{value}</div>
+              </div>
+            ))}
+          </div>
+
+          {stats.summary.count > 0 ? (
+            <>
+              <div className="h-40">
+                <Line data={latencyData} options={latencyOptions} />
+              </div>
+              <div className="h-32">
+                <Bar data={errorData} options={errorOptions} />
+              </div>
+              {errorClasses.length > 0 && (
+                <p className="text-xs text-gray-600 dark:text-gray-400">
+                  Errors: {errorClasses.map(([errorClass, count]) => `${errorClass} (${count})`).join(', ')}
+                </p>
+              )}
+            </>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">No calls in this period.</p>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ToolStats;
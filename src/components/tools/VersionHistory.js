@@ -0,0 +1,108 @@
+import React from 'react';
+
+const formatDate = (value) => new Date(value).toLocaleDateString();
+
+const shortId = (sessionId) => sessionId.slice(0, 8);
+
+const describeStatus = (version) => {
+  const badges = [];
+
+  if (version.isDefault) {
+    badges.push(['Default', 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300']);
+  }
+  if (version.prerelease) {
+    badges.push(['Prerelease', 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300']);
+  }
+  if (version.retired) {
+    badges.push([`Retired ${formatDate(version.sunsetAt)}`, 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300']);
+  } else if (version.deprecated) {
+    badges.push([
+      version.sunsetAt ? `Deprecated, sunset ${formatDate(version.sunsetAt)}` : 'Deprecated',
+      'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300',
+    ]);
+  }
+
+  return badges;
+};
+
+const describeUsage = (usage) => {
+  const calls = usage ? usage.successCount + usage.failureCount : 0;
+  if (calls === 0) return 'No calls';
+  return `${calls} calls, ${Math.round((usage.successCount / calls) * 100)}% successful`;
+};
+
+// Versions of a tool, newest first, with the sessions that still use the older ones
+const VersionHistory = ({ history, pinnedRange = null, onPin = null, onUnpin = null }) => {
+  if (!history) return null;
+
+  return (
+    <div className="space-y-3">
+      {pinnedRange && (
+        <div className="flex items-center justify-between rounded-lg bg-primary-50 px-3 py-2 text-sm text-primary-800 dark:bg-primary-900/30 dark:text-primary-200">
+          <span>
+            The current conversation is pinned to <span className="font-mono">{pinnedRange}</span>
+          </span>
+          {onUnpin && (
+            <button onClick={onUnpin} className="text-xs font-medium hover:underline">
+              Unpin
+            </button>
+          )}
+        </div>
+      )}
+
+      <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+        {history.versions.map((version) => {
+          const olderSessions = version.isDefault ? [] : version.sessions;
+
+          return (
+            <li key={version.id} className="py-2 text-sm">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="font-mono font-medium text-gray-900 dark:text-white">v{version.version}</span>
+                {describeStatus(version).map(([label, className]) => (
+                  <span key={label} className={`rounded-full px-2 py-0.5 text-xs font-medium ${className}`}>
+                    {label}
+                  </span>
+                ))}
+                {onPin && !version.retired && pinnedRange !== version.version && (
+                  <button
+                    onClick={() => onPin(version.version)}
+                    className="ml-auto text-xs font-medium text-primary-600 hover:underline dark:text-primary-400"
+                  >
+                    Use in current conversation
+                  </button>
+                )}
+              </div>
+
+              {version.deprecationMessage && (
+                <p className="mt-1 text-xs text-gray-600 dark:text-gray-400">{version.deprecationMessage}</p>
+              )}
+              <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">{describeUsage(version.usage)}</p>
+
+              {olderSessions.length > 0 && (
+                <details className="mt-1 text-xs text-gray-600 dark:text-gray-400">
+                  <summary className="cursor-pointer">
+                    Still used by {version.sessionCount} {version.sessionCount === 1 ? 'session' : 'sessions'}
+                  </summary>
+                  <ul className="mt-1 space-y-0.5 pl-4">
+                    {olderSessions.map((session) => (
+                      <li key={session.sessionId}>
+                        <span className="font-mono">{shortId(session.sessionId)}</span>
+                        {session.range && <> pinned to <span className="font-mono">{session.range}</span></>}
+                        , last used {new Date(session.lastUsed).toLocaleString()}
+                      </li>
+                    ))}
+                    {version.sessionCount > olderSessions.length && (
+                      <li>and {version.sessionCount - olderSessions.length} more</li>
+                    )}
+                  </ul>
+                </details>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+};
+
+export default VersionHistory;
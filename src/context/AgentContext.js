@@ -1,11 +1,17 @@
-import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
+import React, { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import { v4 as uuidv4 } from 'uuid';
 import { useAuth } from './AuthContext';
 import { 
   fetchAvailableTools, 
-  sendQuery, 
+  streamQuery, 
+  executePlan,
+  cancelQuery as cancelAgentQuery,
+  getPendingApprovals,
+  respondToApproval as respondToAgentApproval,
   getSessionHistory, 
   createSession 
 } from '../api/agent';
+import { getSocket, subscribeToUser, unsubscribeFromUser } from '../api/socket';
 
 // Create agent context
 const AgentContext = createContext();
@@ -21,6 +27,8 @@ export const AgentProvider = ({ children }) => {
   const [toolsLoading, setToolsLoading] = useState(true);
   const [sessionsLoading, setSessionsLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [pendingApprovals, setPendingApprovals] = useState([]);
+  const activeQueryRef = useRef(null);
 
   // Load available tools
   useEffect(() => {
@@ -40,6 +48,27 @@ export const AgentProvider = ({ children }) => {
     loadTools();
   }, []);
 
+  const refreshTools = useCallback(() => fetchAvailableTools().then(setTools), []);
+
+  // Receive the user's notifications, such as completed scheduled tasks, while signed in
+  useEffect(() => {
+    if (!user) return undefined;
+
+    subscribeToUser();
+    return () => unsubscribeFromUser();
+  }, [user]);
+
+  // Refresh the tools when the server reloads a tool definition
+  useEffect(() => {
+    const socket = getSocket();
+    const handleToolsUpdated = () => {
+      refreshTools().catch((err) => console.error('Failed to refresh tools:', err));
+    };
+
+    socket.on('tools:updated', handleToolsUpdated);
+    return () => socket.off('tools:updated', handleToolsUpdated);
+  }, [refreshTools]);
+
   // Load user sessions when user changes
   useEffect(() => {
     const loadSessions = async () => {
@@ -47,6 +76,7 @@ export const AgentProvider = ({ children }) => {
         setSessions([]);
         setCurrentSession(null);
         setMessages([]);
+        setPendingApprovals([]);
         return;
       }
 
@@ -87,6 +117,14 @@ export const AgentProvider = ({ children }) => {
       console.error(`Failed to load messages for session ${sessionId}:`, err);
       setError(`Failed to load conversation history`);
     }
+
+    // Approvals survive reloads, so pick up any that are still waiting
+    try {
+      const approvals = await getPendingApprovals(sessionId);
+      setPendingApprovals(approvals.filter(approval => approval.status === 'pending'));
+    } catch (err) {
+      console.error(`Failed to load pending approvals for session ${sessionId}:`, err);
+    }
   };
 
   // Create a new session
@@ -113,6 +151,84 @@ export const AgentProvider = ({ children }) => {
     await loadSessionMessages(sessionId);
   };
 
+  // Convert a final agent response into a chat message
+  const toAgentMessage = (response) => {
+    const message = {
+      id: response.id || `response-${Date.now()}`,
+      role: 'assistant',
+      content: response.text || '',
+      timestamp: new Date().toISOString(),
+      pending: false,
+      cancelled: response.cancelled || false,
+      toolsUsed: response.toolsUsed || [],
+      failedSteps: response.failedSteps || [],
+      trace: response.trace || null,
+      sources: response.sources || []
+    };
+
+    // Plan-only responses are rendered as an editable plan instead of text
+    if (response.mode === 'plan-only') {
+      message.type = 'plan';
+      message.plan = {
+        planId: response.planId,
+        query: response.query,
+        steps: response.steps,
+        estimatedCompletionTime: response.estimatedCompletionTime,
+        status: 'pending'
+      };
+    }
+
+    return message;
+  };
+
+  // Show a pending agent message and fill it from a streaming request
+  const streamIntoPendingMessage = async (startStream) => {
+    const pendingAgentMessage = {
+      id: `pending-${Date.now()}`,
+      role: 'assistant',
+      content: '',
+      timestamp: new Date().toISOString(),
+      pending: true,
+      toolsUsed: []
+    };
+    
+    setMessages(prev => [...prev, pendingAgentMessage]);
+    
+    const queryId = uuidv4();
+    activeQueryRef.current = queryId;
+    
+    // Render the answer as it streams in
+    const response = await startStream(queryId, {
+      onApprovalRequired: (approval) => {
+        setPendingApprovals(prev => [...prev, approval]);
+      },
+      onStatus: (status) => {
+        // Progress events carry the state of every plan step
+        if (status.steps) {
+          setMessages(prev => prev.map(msg => 
+            msg.id === pendingAgentMessage.id 
+              ? { ...msg, steps: status.steps }
+              : msg
+          ));
+        }
+      },
+      onDelta: (delta) => {
+        setMessages(prev => prev.map(msg => 
+          msg.id === pendingAgentMessage.id 
+            ? { ...msg, content: msg.content + delta }
+            : msg
+        ));
+      }
+    });
+    
+    // Update with actual response
+    setMessages(prev => prev.map(msg => 
+      msg.id === pendingAgentMessage.id ? toAgentMessage(response) : msg
+    ));
+    
+    return response;
+  };
+
   // Send a query to the agent
   const sendAgentQuery = async (query, options = {}) => {
     setError(null);
@@ -137,38 +253,9 @@ export const AgentProvider = ({ children }) => {
       
       setMessages(prev => [...prev, userMessage]);
       
-      // Add pending agent message
-      const pendingAgentMessage = {
-        id: `pending-${Date.now()}`,
-        role: 'assistant',
-        content: '',
-        timestamp: new Date().toISOString(),
-        pending: true,
-        toolsUsed: []
-      };
-      
-      setMessages(prev => [...prev, pendingAgentMessage]);
-      
-      // Send query to API
-      const response = await sendQuery(query, {
-        sessionId,
-        ...options
-      });
-      
-      // Update with actual response
-      setMessages(prev => prev.map(msg => 
-        msg.id === pendingAgentMessage.id 
-          ? {
-              id: response.id || `response-${Date.now()}`,
-              role: 'assistant',
-              content: response.text,
-              timestamp: new Date().toISOString(),
-              pending: false,
-              toolsUsed: response.toolsUsed || [],
-              sources: response.sources || []
-            }
-          : msg
-      ));
+      const response = await streamIntoPendingMessage((queryId, handlers) => 
+        streamQuery(query, { sessionId, queryId, ...options }, handlers)
+      );
       
       // Update session in list
       setSessions(prev => prev.map(s => 
@@ -191,10 +278,79 @@ export const AgentProvider = ({ children }) => {
       
       throw err;
     } finally {
+      activeQueryRef.current = null;
       setIsProcessing(false);
     }
   };
 
+  // Run a reviewed plan, optionally with user-edited steps
+  const runPlan = async (planMessageId, steps) => {
+    const planMessage = messages.find(msg => msg.id === planMessageId);
+    if (!planMessage?.plan || !currentSession) return;
+
+    setError(null);
+    setIsProcessing(true);
+
+    const setPlanStatus = (status) => {
+      setMessages(prev => prev.map(msg => 
+        msg.id === planMessageId 
+          ? { ...msg, plan: { ...msg.plan, steps, status } }
+          : msg
+      ));
+    };
+
+    try {
+      setPlanStatus('running');
+      
+      const response = await streamIntoPendingMessage((queryId, handlers) => 
+        executePlan(planMessage.plan.planId, {
+          sessionId: currentSession.id,
+          queryId,
+          steps
+        }, handlers)
+      );
+      
+      setPlanStatus('executed');
+      return response;
+    } catch (err) {
+      console.error('Plan execution error:', err);
+      setError(err.message || 'Failed to run the plan');
+      setPlanStatus('pending');
+      
+      // Remove pending message on error
+      setMessages(prev => prev.filter(msg => !msg.pending));
+      
+      throw err;
+    } finally {
+      activeQueryRef.current = null;
+      setIsProcessing(false);
+    }
+  };
+
+  // Stop the query that is currently being processed
+  const cancelQuery = async () => {
+    const queryId = activeQueryRef.current;
+    if (!queryId) return;
+
+    try {
+      await cancelAgentQuery(queryId);
+    } catch (err) {
+      console.error(`Failed to cancel query ${queryId}:`, err);
+    }
+  };
+
+  // Approve or reject a tool step, optionally with an edited input
+  const respondToApproval = async (approvalId, approved, input) => {
+    try {
+      await respondToAgentApproval(approvalId, { approved, input });
+    } catch (err) {
+      console.error(`Failed to respond to approval ${approvalId}:`, err);
+      setError(err.message || 'Failed to respond to the approval request');
+    } finally {
+      setPendingApprovals(prev => prev.filter(approval => approval.id !== approvalId));
+    }
+  };
+
   // Clear messages in current session
   const clearMessages = async () => {
     if (!currentSession) return;
@@ -238,16 +394,20 @@ export const AgentProvider = ({ children }) => {
     sessions,
     currentSession,
     messages,
+    pendingApprovals,
     isProcessing,
     toolsLoading,
     sessionsLoading,
     error,
     sendQuery: sendAgentQuery,
+    runPlan,
+    cancelQuery,
+    respondToApproval,
     startNewSession,
     switchSession,
     clearMessages,
     deleteSession,
-    refreshTools: () => fetchAvailableTools().then(setTools)
+    refreshTools
   };
 
   return (
@@ -0,0 +1,100 @@
+import { planner, defineTool, createTestOrchestrator, createTestSocket, planOf } from './helpers/orchestrator.js';
+import { createApprovalManager, requiresApproval } from '../approvals.js';
+
+describe('requiresApproval', () => {
+  it('requires approval at and above the threshold', () => {
+    expect(requiresApproval('external-side-effect', 'writes-data')).toBe(true);
+    expect(requiresApproval('writes-data', 'writes-data')).toBe(true);
+    expect(requiresApproval('read-only', 'writes-data')).toBe(false);
+    expect(requiresApproval(undefined, 'writes-data')).toBe(false);
+  });
+
+  it('requires nothing when the gate is off or misconfigured', () => {
+    expect(requiresApproval('external-side-effect', 'none')).toBe(false);
+    expect(requiresApproval('external-side-effect', 'dangerous')).toBe(false);
+  });
+});
+
+describe('approval manager', () => {
+  const request = (approvals, overrides = {}) => approvals.request({
+    queryId: 'query-1',
+    sessionId: 'session-1',
+    userId: 'user-1',
+    context: {},
+    step: { id: 'send' },
+    tool: { name: 'SendEmail', riskLevel: 'external-side-effect' },
+    input: { to: 'team@example.com' },
+    ...overrides
+  });
+
+  it('fails the step when nobody decides in time', async () => {
+    const approvals = createApprovalManager({ timeoutMs: 10 });
+
+    await expect(request(approvals)).rejects.toMatchObject({ code: 'APPROVAL_TIMEOUT', approval: { tool: 'SendEmail' } });
+    expect(approvals.hasPendingForQuery('query-1')).toBe(false);
+  });
+
+  it('only accepts the decision of the user who asked', async () => {
+    const context = {};
+    const approvals = createApprovalManager();
+    const answers = [];
+    const socket = createTestSocket((event, { id }) => {
+      answers.push(approvals.resolve(id, { approved: true, userId: 'user-2' }));
+      answers.push(approvals.resolve(id, { approved: true, input: { to: 'me@example.com' }, userId: 'user-1' }));
+    });
+
+    await expect(request(approvals, { context, socket })).resolves.toEqual({ input: { to: 'me@example.com' } });
+    expect(answers).toEqual([null, expect.objectContaining({ status: 'approved' })]);
+    expect(context.pendingApprovals).toEqual([]);
+  });
+
+  it('stops waiting when the query is cancelled', async () => {
+    const controller = new AbortController();
+    const decision = request(createApprovalManager(), { signal: controller.signal });
+
+    controller.abort();
+
+    await expect(decision).rejects.toMatchObject({ code: 'QUERY_CANCELLED' });
+  });
+});
+
+describe('approval gate', () => {
+  let orchestrator;
+  let sent;
+
+  beforeEach(async () => {
+    sent = [];
+    ({ orchestrator } = await createTestOrchestrator([
+      defineTool('Lookup', async () => ({ address: 'team@example.com' })),
+      defineTool('SendEmail', async (input) => { sent.push(input); return { sent: true }; }, { riskLevel: 'external-side-effect' })
+    ], { approvalThreshold: 'external-side-effect' }));
+    planner.generateToolPlan.mockResolvedValueOnce(planOf('Lookup', 'SendEmail'));
+  });
+
+  const answerApprovals = (decision) => createTestSocket((event, approval) => {
+    if (event === 'agent:approval_required') {
+      orchestrator.approvals.resolve(approval.id, { userId: approval.userId, ...decision });
+    }
+  });
+
+  it('runs the step with the input the user approved', async () => {
+    const socket = answerApprovals({ approved: true, input: { to: 'me@example.com' } });
+
+    const response = await orchestrator.processQuery({ text: 'Email the team', sessionId: 'session-1', userId: 'user-1' }, socket);
+
+    expect(response.error).toBeUndefined();
+    expect(sent).toEqual([{ to: 'me@example.com' }]);
+    expect(socket.events.filter(({ event }) => event === 'agent:approval_required')).toEqual([
+      { event: 'agent:approval_required', data: expect.objectContaining({ tool: 'SendEmail', stepId: 'step-2', userId: 'user-1' }) }
+    ]);
+  });
+
+  it('does not run a rejected step and ends the query', async () => {
+    const socket = answerApprovals({ approved: false });
+
+    const response = await orchestrator.processQuery({ text: 'Email the team', sessionId: 'session-1', userId: 'user-1' }, socket);
+
+    expect(sent).toEqual([]);
+    expect(response).toMatchObject({ error: true, errorType: 'approval_rejected' });
+  });
+});
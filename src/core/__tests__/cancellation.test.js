@@ -0,0 +1,97 @@
+import { planner, sessions, defineTool, createTestOrchestrator, planOf } from './helpers/orchestrator.js';
+import { executeToolChain } from '../executor.js';
+import { bindClientSignal } from '../cancellation.js';
+
+// Tool that only finishes when its signal aborts
+const waitForAbort = (input, { signal }) => new Promise((resolve, reject) => {
+  if (signal.aborted) {
+    reject(signal.reason);
+  }
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+describe('cancelling a tool chain', () => {
+  it('stops at the running step and keeps the results of the completed ones', async () => {
+    const controller = new AbortController();
+    const calls = [];
+    const { toolRegistry } = await createTestOrchestrator([
+      defineTool('First', async () => { calls.push('First'); return { done: true }; }),
+      defineTool('Second', async (input, context) => {
+        calls.push('Second');
+        controller.abort();
+        return waitForAbort(input, context);
+      }),
+      defineTool('Third', async () => { calls.push('Third'); return {}; })
+    ]);
+    const progress = [];
+
+    const error = await executeToolChain({
+      plan: planOf('First', 'Second', 'Third'),
+      context: { sessionId: 'session-1', userId: 'user-1' },
+      toolRegistry,
+      signal: controller.signal,
+      onProgress: state => progress.push(`${state.stepId}:${state.status}`)
+    }).catch(caught => caught);
+
+    expect(error.name).toBe('AbortError');
+    expect(error.partialResults.outputs).toEqual([{ stepId: 'step-1', tool: 'First', output: { done: true } }]);
+    expect(calls).toEqual(['First', 'Second']);
+    expect(progress).toContain('step-2:cancelled');
+  });
+});
+
+describe('bindClientSignal', () => {
+  it('passes the query signal to every request and refuses requests once it aborted', async () => {
+    const controller = new AbortController();
+    const requests = [];
+    const client = {
+      chat: { completions: { create: async (body, options) => { requests.push(options); return {}; } } }
+    };
+    const bound = bindClientSignal(client, controller.signal);
+
+    await bound.chat.completions.create({ messages: [] });
+    controller.abort();
+
+    await expect(async () => bound.chat.completions.create({ messages: [] })).rejects.toMatchObject({ code: 'QUERY_CANCELLED' });
+    expect(requests).toEqual([{ signal: controller.signal }]);
+  });
+});
+
+describe('cancelling a query', () => {
+  let orchestrator;
+  let cancelledBy;
+
+  beforeEach(async () => {
+    sessions.clear();
+    ({ orchestrator } = await createTestOrchestrator([
+      defineTool('Lookup', async () => ({ found: true })),
+      defineTool('Crawl', async (input, context) => {
+        orchestrator.cancelQuery('query-1', cancelledBy);
+        return context.signal.aborted ? waitForAbort(input, context) : { crawled: true };
+      })
+    ]));
+    planner.generateToolPlan.mockResolvedValueOnce(planOf('Lookup', 'Crawl'));
+  });
+
+  it('returns the partial results and records the cancelled turn', async () => {
+    cancelledBy = 'user-1';
+
+    const response = await orchestrator.processQuery({ text: 'Crawl the docs', sessionId: 'session-1', userId: 'user-1', queryId: 'query-1' });
+
+    expect(response).toMatchObject({ cancelled: true, toolsUsed: [{ name: 'Lookup' }] });
+    expect(orchestrator.activeQueries.size).toBe(0);
+    expect(sessions.get('session-1').conversationHistory).toEqual([
+      expect.objectContaining({ role: 'user', content: 'Crawl the docs' }),
+      expect.objectContaining({ role: 'assistant', cancelled: true, toolsUsed: ['Lookup'] })
+    ]);
+  });
+
+  it('only lets the owner of a query cancel it', async () => {
+    cancelledBy = 'user-2';
+
+    const response = await orchestrator.processQuery({ text: 'Crawl the docs', sessionId: 'session-1', userId: 'user-1', queryId: 'query-1' });
+
+    expect(response.cancelled).toBeUndefined();
+    expect(response.toolsUsed.map(tool => tool.name)).toEqual(['Lookup', 'Crawl']);
+  });
+});
@@ -0,0 +1,78 @@
+import { parseChatRequest, createConversationIndex, toToolCalls } from '../chatCompletions.js';
+
+describe('parseChatRequest', () => {
+  it('takes the last user message as the query', () => {
+    const request = parseChatRequest({
+      messages: [
+        { role: 'developer', content: 'Be brief.' },
+        { role: 'user', content: [{ type: 'text', text: 'What is' }, { type: 'image_url', image_url: {} }, { type: 'text', text: 'the weather?' }] }
+      ],
+      stream: true,
+      stream_options: { include_usage: true },
+      response_format: { type: 'json_object' }
+    });
+
+    expect(request).toMatchObject({
+      messages: [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'What is\nthe weather?' }],
+      query: 'What is\nthe weather?',
+      model: 'emergent-agent',
+      stream: true,
+      includeUsage: true,
+      output: { schema: { type: 'object' } },
+      user: null
+    });
+  });
+
+  it.each([
+    [{}, 'messages'],
+    [{ messages: [{ role: 'user', content: 'Hi' }, { role: 'assistant', content: 'Hello' }] }, 'messages[1]'],
+    [{ messages: [{ role: 'user', content: '   ' }] }, 'messages[0]'],
+    [{ messages: [{ role: 'user', content: 'Hi' }], n: 2 }, 'n'],
+    [{ messages: [{ role: 'user', content: 'Hi' }], response_format: { type: 'json_schema' } }, 'response_format']
+  ])('rejects %j', (body, param) => {
+    expect(() => parseChatRequest(body)).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST', expose: true, param }));
+  });
+});
+
+describe('conversation index', () => {
+  const conversation = [
+    { role: 'user', content: 'Weather in Paris?' },
+    { role: 'assistant', content: 'Sunny.' }
+  ];
+
+  it('finds the session of a remembered conversation for its owner only', () => {
+    const conversations = createConversationIndex();
+    conversations.remember('user-1:', conversation, 'session-1');
+
+    expect(conversations.lookup('user-1:', conversation)).toBe('session-1');
+    expect(conversations.lookup('user-2:', conversation)).toBeNull();
+    expect(conversations.lookup('user-1:', [conversation[0]])).toBeNull();
+  });
+
+  it('forgets the least recently used conversations first', () => {
+    const conversations = createConversationIndex({ maxEntries: 2 });
+    const other = (text) => [{ role: 'user', content: text }, { role: 'assistant', content: 'Ok.' }];
+    conversations.remember('user-1:', conversation, 'session-1');
+    conversations.remember('user-1:', other('Second'), 'session-2');
+
+    conversations.lookup('user-1:', conversation);
+    conversations.remember('user-1:', other('Third'), 'session-3');
+
+    expect(conversations.lookup('user-1:', conversation)).toBe('session-1');
+    expect(conversations.lookup('user-1:', other('Second'))).toBeNull();
+  });
+});
+
+describe('toToolCalls', () => {
+  it('reports completed steps before failed ones', () => {
+    const calls = toToolCalls({
+      toolsUsed: [{ name: 'Lookup', input: { city: 'Paris' }, executionTime: 5, attempts: 2 }],
+      failedSteps: [{ tool: 'Forecast', error: 'Service down' }]
+    });
+
+    expect(calls).toEqual([
+      { id: 'call_1', type: 'function', function: { name: 'Lookup', arguments: '{"city":"Paris"}' }, execution: { status: 'completed', time_ms: 5, attempts: 2 } },
+      { id: 'call_2', type: 'function', function: { name: 'Forecast', arguments: '{}' }, execution: { status: 'failed', error: 'Service down', attempts: 1 } }
+    ]);
+  });
+});
@@ -0,0 +1,63 @@
+import { parseCron, nextCronRun } from '../cron.js';
+
+const sorted = (set) => [...set].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('parses numbers, ranges, steps and lists', () => {
+    const schedule = parseCron('*/15 9-17 1,15 * MON-FRI');
+
+    expect(sorted(schedule.minutes)).toEqual([0, 15, 30, 45]);
+    expect(sorted(schedule.hours)).toEqual([9, 10, 11, 12, 13, 14, 15, 16, 17]);
+    expect(sorted(schedule.daysOfMonth)).toEqual([1, 15]);
+    expect(schedule.months.size).toBe(12);
+    expect(sorted(schedule.daysOfWeek)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('parses stepped ranges and stepped starting values', () => {
+    expect(sorted(parseCron('0-30/10 * * * *').minutes)).toEqual([0, 10, 20, 30]);
+    expect(sorted(parseCron('50/5 * * * *').minutes)).toEqual([50, 55]);
+  });
+
+  it('expands macros and treats 7 as Sunday', () => {
+    expect(sorted(parseCron('@hourly').minutes)).toEqual([0]);
+    expect(sorted(parseCron('0 0 * * 7').daysOfWeek)).toEqual([0]);
+  });
+
+  it.each([
+    ['0 0 * *', /needs 5 fields/],
+    ['60 * * * *', /minute must be between 0 and 59/],
+    ['* * * 13 *', /month must be between 1 and 12/],
+    ['* * * * FUNDAY', /Invalid day of week 'FUNDAY'/],
+    ['5-1 * * * *', /Invalid range '5-1'/],
+    ['1-2-3 * * * *', /Invalid range '1-2-3'/],
+    ['1- * * * *', /Invalid minute ''/],
+    ['*/0 * * * *', /Invalid step '0'/],
+    ['*/5/2 * * * *', /Invalid step '\*\/5\/2'/]
+  ])('rejects %s', (expression, message) => {
+    expect(() => parseCron(expression)).toThrow(message);
+    expect(() => parseCron(expression)).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST', expose: true }));
+  });
+});
+
+describe('nextCronRun', () => {
+  const at = (...args) => new Date(2024, ...args);
+
+  it('finds the next matching minute after the given time', () => {
+    expect(nextCronRun('*/15 * * * *', at(0, 1, 10, 7, 30))).toEqual(at(0, 1, 10, 15));
+    expect(nextCronRun('*/15 * * * *', at(0, 1, 10, 15))).toEqual(at(0, 1, 10, 30));
+  });
+
+  it('skips to the next matching day', () => {
+    // 5 January 2024 is a Friday
+    expect(nextCronRun('0 8 * * MON-FRI', at(0, 5, 9, 0))).toEqual(at(0, 8, 8, 0));
+  });
+
+  it('matches either restricted day field, as cron does', () => {
+    // 2 January 2024 is a Tuesday, so Sunday the 7th comes before the 15th
+    expect(nextCronRun('0 0 15 * SUN', at(0, 2))).toEqual(at(0, 7));
+  });
+
+  it('returns null for schedules that never fire', () => {
+    expect(nextCronRun('0 0 31 2 *', at(0, 1))).toBeNull();
+  });
+});
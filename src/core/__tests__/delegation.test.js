@@ -0,0 +1,131 @@
+import { planner, defineTool, createTestOrchestrator, planOf } from './helpers/orchestrator.js';
+import { registerAgentTools, isToolAllowed } from '../agents.js';
+
+const profiles = [
+  { name: 'researcher', description: 'Finds things', systemPrompt: 'Research.', toolCategories: ['search'], model: null, budget: null, timeoutMs: 5000 },
+  { name: 'analyst', description: 'Computes things', systemPrompt: 'Analyze.', toolCategories: ['math'], model: null, budget: null, timeoutMs: 5000 }
+];
+
+describe('delegation to sub-agents', () => {
+  let calls;
+
+  const createOrchestrator = async (options = {}) => {
+    calls = [];
+    const { orchestrator, toolRegistry } = await createTestOrchestrator([
+      defineTool('WebSearch', async () => { calls.push('WebSearch'); return { hits: 3 }; }, { category: 'search' }),
+      defineTool('Calculator', async () => { calls.push('Calculator'); return { value: 42 }; }, { category: 'math' })
+    ], { agentProfiles: profiles, maxReplans: 0, ...options });
+    return { orchestrator, toolRegistry };
+  };
+
+  const ask = (orchestrator) => orchestrator.processQuery({ text: 'Research Paris', sessionId: 'session-1', userId: 'user-1' });
+
+  beforeEach(() => {
+    planner.generateToolPlan.mockReset();
+  });
+
+  it('runs the sub-agent with only its profile\'s tools and reports the delegation', async () => {
+    const { orchestrator } = await createOrchestrator({ maxDelegationDepth: 1 });
+    let subAgentPlanning;
+    planner.generateToolPlan
+      .mockResolvedValueOnce({ steps: [{ id: 'step-1', tool: 'ResearcherAgent', input: { task: 'Find facts about Paris' } }] })
+      .mockImplementationOnce(async (params) => {
+        subAgentPlanning = { context: params.context, unavailableTools: params.unavailableTools };
+        return planOf('WebSearch', 'Calculator');
+      });
+
+    const response = await ask(orchestrator);
+
+    // The analyst's tool is hidden and dropped, as are delegations beyond the depth limit
+    expect(calls).toEqual(['WebSearch']);
+    expect(subAgentPlanning.context).toMatchObject({ agent: 'researcher', agentDepth: 1, currentQuery: 'Find facts about Paris', userId: 'user-1' });
+    expect(subAgentPlanning.unavailableTools).toEqual(expect.arrayContaining(['Calculator', 'AnalystAgent']));
+    expect(subAgentPlanning.unavailableTools).not.toContain('WebSearch');
+    expect(response.trace.delegations).toEqual([expect.objectContaining({
+      agent: 'researcher',
+      task: 'Find facts about Paris',
+      depth: 1,
+      status: 'completed',
+      toolsUsed: [expect.objectContaining({ name: 'WebSearch' })],
+      delegations: []
+    })]);
+  });
+
+  it('lets sub-agents delegate to other agents within the depth limit', async () => {
+    const { orchestrator } = await createOrchestrator({ maxDelegationDepth: 2 });
+    let nestedUnavailableTools;
+    planner.generateToolPlan
+      .mockResolvedValueOnce({ steps: [{ id: 'step-1', tool: 'ResearcherAgent', input: { task: 'Find and count' } }] })
+      .mockResolvedValueOnce({ steps: [{ id: 'step-1', tool: 'AnalystAgent', input: { task: 'Count' } }] })
+      .mockImplementationOnce(async ({ unavailableTools }) => {
+        nestedUnavailableTools = unavailableTools;
+        return planOf('Calculator');
+      });
+
+    const response = await ask(orchestrator);
+
+    expect(calls).toEqual(['Calculator']);
+    expect(nestedUnavailableTools).toEqual(expect.arrayContaining(['ResearcherAgent', 'AnalystAgent', 'WebSearch']));
+    expect(response.trace.delegations).toEqual([expect.objectContaining({
+      agent: 'researcher',
+      depth: 1,
+      delegations: [expect.objectContaining({ agent: 'analyst', depth: 2, toolsUsed: [expect.objectContaining({ name: 'Calculator' })] })]
+    })]);
+  });
+
+  it('refuses to delegate outside of a query', async () => {
+    const { orchestrator } = await createOrchestrator();
+
+    await expect(orchestrator.runDelegation({
+      profile: profiles[0],
+      task: 'Find facts',
+      context: { sessionId: 'session-1' },
+      depth: 1,
+      parentQueryId: 'unknown-query'
+    })).rejects.toMatchObject({ code: 'INVALID_REQUEST', expose: true });
+  });
+});
+
+describe('delegation tools', () => {
+  const registerFor = (maxDepth) => {
+    const tools = [];
+    const delegate = async ({ profile, task, depth }) => ({ agent: profile.name, task, text: `Done at depth ${depth}` });
+    const count = registerAgentTools({ registerTool: tool => tools.push(tool) > 0 }, profiles, { maxDepth, delegate });
+    return { tools, count };
+  };
+
+  it('registers one tool per profile', () => {
+    const { tools, count } = registerFor(2);
+
+    expect(count).toBe(2);
+    expect(tools.map(tool => [tool.name, tool.category, tool.agentProfile])).toEqual([
+      ['ResearcherAgent', 'agent', 'researcher'],
+      ['AnalystAgent', 'agent', 'analyst']
+    ]);
+  });
+
+  it('delegates one level deeper than the calling context', async () => {
+    const [researcher] = registerFor(2).tools;
+
+    await expect(researcher.execute({ task: 'Find' }, { agentDepth: 1, queryId: 'query-1' }))
+      .resolves.toMatchObject({ text: 'Done at depth 2' });
+  });
+
+  it('fails without retrying beyond the maximum depth', async () => {
+    const [researcher] = registerFor(2).tools;
+
+    await expect(researcher.execute({ task: 'Find' }, { agentDepth: 2, queryId: 'query-1' })).rejects.toMatchObject({
+      code: 'DELEGATION_DEPTH_EXCEEDED',
+      expose: true,
+      retryable: false
+    });
+  });
+
+  it('never lets an agent delegate to itself', () => {
+    const [researcher, analyst] = registerFor(2).tools;
+
+    expect(isToolAllowed(profiles[0], researcher)).toBe(false);
+    expect(isToolAllowed(profiles[0], analyst)).toBe(true);
+    expect(isToolAllowed(profiles[0], { category: 'math' })).toBe(false);
+  });
+});
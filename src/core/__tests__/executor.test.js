@@ -0,0 +1,279 @@
+import { executeToolChain, resolveStepDependencies, validateStepDependencies } from '../executor.js';
+import { registerAgentTools } from '../agents.js';
+
+// The parts of the tool registry the executor uses, with every tool available
+function createRegistry(tools) {
+  const registry = new Map(tools.map(tool => [tool.name, { inputSchema: { type: 'object' }, ...tool, id: tool.name }]));
+
+  return Object.assign(registry, {
+    usage: [],
+    resolveToolId: (idOrName) => (registry.has(idOrName) ? idOrName : null),
+    getReleaseState: () => ({ retired: false, sunsetAt: null }),
+    isToolAvailable: () => true,
+    acquireInvocation: () => () => {},
+    getCircuitState: () => ({ resetAt: null }),
+    recordToolUsage: (toolId, usage) => registry.usage.push({ toolId, ...usage }),
+    registerTool: (tool) => registry.set(tool.name, { ...tool, id: tool.name })
+  });
+}
+
+// Tool returning its input, tagged with its name, after an optional delay
+const echoTool = (name, { delayMs = 0, calls = [] } = {}) => ({
+  name,
+  execute: async (input) => {
+    calls.push(name);
+    await new Promise(resolve => setTimeout(resolve, delayMs));
+    return { from: name, input };
+  }
+});
+
+const context = { sessionId: 'session-1', userId: 'user-1', currentQuery: 'Query' };
+
+describe('step dependencies', () => {
+  it('chains steps without dependencies in order', () => {
+    const steps = resolveStepDependencies([{ tool: 'A' }, { tool: 'B' }, { tool: 'C' }]);
+
+    expect(steps.map(({ id, dependsOn }) => ({ id, dependsOn }))).toEqual([
+      { id: 'step-1', dependsOn: [] },
+      { id: 'step-2', dependsOn: ['step-1'] },
+      { id: 'step-3', dependsOn: ['step-2'] }
+    ]);
+  });
+
+  it('keeps declared dependencies, so steps without any run independently', () => {
+    const steps = resolveStepDependencies([{ id: 'a', tool: 'A' }, { id: 'b', tool: 'B' }, { id: 'c', tool: 'C', dependsOn: ['a', 'b'] }]);
+
+    expect(steps.map(step => step.dependsOn)).toEqual([[], [], ['a', 'b']]);
+  });
+
+  it.each([
+    ['duplicate IDs', [{ id: 'a', dependsOn: [] }, { id: 'a', dependsOn: [] }], 'Plan step IDs must be unique'],
+    ['unknown steps', [{ id: 'a', dependsOn: ['missing'] }], 'Step a depends on unknown steps: missing'],
+    ['cycles', [{ id: 'a', dependsOn: ['b'] }, { id: 'b', dependsOn: ['a'] }], 'Plan contains a dependency cycle']
+  ])('rejects %s', (name, steps, message) => {
+    expect(() => validateStepDependencies(steps)).toThrow(message);
+  });
+
+  it('accepts dependencies on steps completed in an earlier run', () => {
+    expect(() => validateStepDependencies([{ id: 'b', dependsOn: ['a'] }], ['a'])).not.toThrow();
+  });
+});
+
+describe('DAG execution', () => {
+  it('runs independent steps concurrently, up to the concurrency limit', async () => {
+    let active = 0;
+    let maxActive = 0;
+    const tracked = {
+      name: 'Slow',
+      execute: async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        active--;
+        return {};
+      }
+    };
+    const steps = ['a', 'b', 'c', 'd'].map(id => ({ id, tool: 'Slow', input: {}, dependsOn: [] }));
+
+    const { outputs } = await executeToolChain({ plan: { steps }, context, toolRegistry: createRegistry([tracked]), maxConcurrency: 2 });
+
+    expect(outputs).toHaveLength(4);
+    expect(maxActive).toBe(2);
+  });
+
+  it('passes outputs along the dependency edges', async () => {
+    const toolRegistry = createRegistry([echoTool('A'), echoTool('B'), echoTool('Join'), echoTool('Format')]);
+    const plan = {
+      steps: [
+        { id: 'a', tool: 'A', input: { city: 'Paris' }, dependsOn: [] },
+        { id: 'b', tool: 'B', input: { city: 'Rome' }, dependsOn: [] },
+        { id: 'join', tool: 'Join', dependsOn: ['a', 'b'] },
+        { id: 'format', tool: 'Format', input: { text: 'From {{steps.a.output.input.city}}', cities: '{{steps.join.output.input}}' }, dependsOn: ['join'] }
+      ]
+    };
+
+    const { outputs } = await executeToolChain({ plan, context, toolRegistry });
+    const outputOf = (id) => outputs.find(output => output.stepId === id).output;
+
+    expect(outputOf('join').input).toEqual({ a: outputOf('a'), b: outputOf('b') });
+    expect(outputOf('format').input).toEqual({ text: 'From Paris', cities: outputOf('join').input });
+  });
+
+  it('skips the steps downstream of a failure and completes the other branches', async () => {
+    const failing = { name: 'Broken', execute: async () => { throw new Error('Service unavailable'); } };
+    const toolRegistry = createRegistry([failing, echoTool('A'), echoTool('B')]);
+    const progress = [];
+    const plan = {
+      steps: [
+        { id: 'broken', tool: 'Broken', input: {}, dependsOn: [] },
+        { id: 'after-broken', tool: 'A', dependsOn: ['broken'] },
+        { id: 'last', tool: 'A', dependsOn: ['after-broken'] },
+        { id: 'other', tool: 'B', input: {}, dependsOn: [] }
+      ]
+    };
+
+    const { outputs, failures } = await executeToolChain({ plan, context, toolRegistry, onProgress: state => progress.push(state) });
+
+    expect(outputs.map(output => output.stepId)).toEqual(['other']);
+    expect(failures).toEqual([
+      expect.objectContaining({ stepId: 'broken', error: 'Service unavailable', skippedSteps: ['after-broken', 'last'] })
+    ]);
+    expect(progress.at(-1).steps).toEqual([
+      { id: 'broken', tool: 'Broken', status: 'failed' },
+      { id: 'after-broken', tool: 'A', status: 'skipped' },
+      { id: 'last', tool: 'A', status: 'skipped' },
+      { id: 'other', tool: 'B', status: 'completed' }
+    ]);
+  });
+
+  it('fails the execution when no step succeeds', async () => {
+    const failing = { name: 'Broken', execute: async () => { throw new Error('Service unavailable'); } };
+    const plan = { steps: [{ id: 'broken', tool: 'Broken', input: {} }, { id: 'next', tool: 'Broken' }] };
+
+    await expect(executeToolChain({ plan, context, toolRegistry: createRegistry([failing]) })).rejects.toMatchObject({
+      code: 'TOOL_EXECUTION_FAILED',
+      message: 'Tool Broken failed: Service unavailable',
+      failures: [expect.objectContaining({ stepId: 'broken', skippedSteps: ['next'] })]
+    });
+  });
+
+  it('does not run again the steps completed before replanning', async () => {
+    const calls = [];
+    const toolRegistry = createRegistry([echoTool('A', { calls }), echoTool('B', { calls })]);
+    const plan = {
+      steps: [
+        { id: 'a', tool: 'A', input: {}, dependsOn: [] },
+        { id: 'b', tool: 'B', dependsOn: ['a'] }
+      ]
+    };
+    const previousOutputs = [{ stepId: 'a', tool: 'A', output: { from: 'earlier run' } }];
+
+    const { outputs } = await executeToolChain({ plan, context, toolRegistry, previousOutputs });
+
+    expect(calls).toEqual(['B']);
+    expect(outputs).toEqual([{ stepId: 'b', tool: 'B', output: { from: 'B', input: { from: 'earlier run' } } }]);
+  });
+});
+
+describe('retries', () => {
+  // Tool failing its first calls with the given errors, then returning { ok: true }
+  const flakyTool = (errors, policy = {}) => ({
+    name: 'Flaky',
+    retry: { attempts: 2, backoffMs: 1 },
+    ...policy,
+    calls: 0,
+    async execute() {
+      const error = errors[this.calls++];
+      if (error) throw error;
+      return { ok: true };
+    }
+  });
+  const plan = { steps: [{ id: 'flaky', tool: 'Flaky', input: {} }] };
+
+  it('retries failed attempts and records every attempt', async () => {
+    const toolRegistry = createRegistry([flakyTool([new Error('Timeout from upstream')])]);
+    const progress = [];
+
+    const { toolsUsed } = await executeToolChain({ plan, context, toolRegistry, onProgress: state => progress.push(state) });
+
+    expect(toolsUsed[0]).toMatchObject({ output: { ok: true }, attempts: 2 });
+    expect(toolRegistry.usage.map(({ success }) => success)).toEqual([false, true]);
+    expect(progress.map(({ status }) => status)).toEqual(['running', 'retrying', 'completed']);
+    expect(progress[1]).toMatchObject({ attempt: 1, error: 'Timeout from upstream' });
+  });
+
+  it('gives up after the attempts of the tool policy', async () => {
+    const errors = [1, 2, 3].map(attempt => new Error(`Failure ${attempt}`));
+    const toolRegistry = createRegistry([flakyTool(errors)]);
+
+    await expect(executeToolChain({ plan, context, toolRegistry })).rejects.toMatchObject({
+      failures: [expect.objectContaining({ error: 'Failure 3', attempts: 3 })]
+    });
+    expect(toolRegistry.usage).toHaveLength(3);
+  });
+
+  it('does not retry errors marked as permanent', async () => {
+    const permanent = Object.assign(new Error('Unknown city'), { retryable: false });
+    const toolRegistry = createRegistry([flakyTool([permanent])]);
+
+    await expect(executeToolChain({ plan, context, toolRegistry })).rejects.toMatchObject({
+      failures: [expect.objectContaining({ error: 'Unknown city', attempts: 1 })]
+    });
+  });
+
+  it('stops retrying once the circuit breaker opens', async () => {
+    const toolRegistry = createRegistry([flakyTool([new Error('Down'), new Error('Down')])]);
+    // The circuit opens on the first recorded failure
+    toolRegistry.isToolAvailable = () => toolRegistry.usage.length === 0;
+    const progress = [];
+
+    await expect(executeToolChain({ plan, context, toolRegistry, onProgress: state => progress.push(state) })).rejects.toMatchObject({
+      failures: [expect.objectContaining({ error: 'Down', attempts: 1 })]
+    });
+    expect(progress.map(({ status }) => status)).toEqual(['running', 'failed']);
+  });
+
+  it('fails the step without calling the tool when the invocation cannot be claimed', async () => {
+    const tool = flakyTool([]);
+    const toolRegistry = createRegistry([tool]);
+    toolRegistry.acquireInvocation = () => null;
+
+    await expect(executeToolChain({ plan, context, toolRegistry })).rejects.toMatchObject({
+      failures: [expect.objectContaining({ code: 'TOOL_UNAVAILABLE' })]
+    });
+    expect(toolRegistry.get('Flaky').calls).toBe(0);
+  });
+
+  it('releases the invocation once the step is over', async () => {
+    const toolRegistry = createRegistry([flakyTool([new Error('Down'), new Error('Down'), new Error('Down')])]);
+    const released = [];
+    toolRegistry.acquireInvocation = (toolId) => () => released.push(toolId);
+
+    await expect(executeToolChain({ plan, context, toolRegistry })).rejects.toThrow();
+    expect(released).toEqual(['Flaky']);
+  });
+
+  it('times out attempts and retries them', async () => {
+    const hanging = new Promise(() => {});
+    const tool = {
+      name: 'Flaky',
+      timeoutMs: 20,
+      retry: { attempts: 1, backoffMs: 1 },
+      calls: 0,
+      async execute(input, { signal }) {
+        if (this.calls++ === 0) {
+          await hanging;
+        }
+        return { aborted: signal.aborted };
+      }
+    };
+    const toolRegistry = createRegistry([tool]);
+
+    const { toolsUsed } = await executeToolChain({ plan, context, toolRegistry });
+
+    expect(toolsUsed[0]).toMatchObject({ output: { aborted: false }, attempts: 2 });
+    expect(toolRegistry.usage[0].error).toMatchObject({ code: 'TOOL_TIMEOUT', message: 'Tool Flaky timed out after 20ms' });
+  });
+});
+
+describe('delegation', () => {
+  it('passes the query running the step to the delegated agent', async () => {
+    const delegations = [];
+    const toolRegistry = createRegistry([]);
+    registerAgentTools(toolRegistry, [{ name: 'researcher', toolCategories: [], timeoutMs: 1000 }], {
+      maxDepth: 2,
+      delegate: async ({ parentQueryId, task }) => {
+        delegations.push(parentQueryId);
+        return { agent: 'researcher', task, text: 'Done', sources: [] };
+      }
+    });
+
+    // Two queries of one session share its context
+    const sessionContext = { ...context, currentQueryId: 'query-2' };
+    const step = (task) => ({ plan: { steps: [{ id: 'delegate', tool: 'ResearcherAgent', input: { task } }] }, context: sessionContext, toolRegistry });
+
+    await executeToolChain({ ...step('First'), queryId: 'query-1' });
+    await executeToolChain({ ...step('Second'), queryId: 'query-2' });
+
+    expect(delegations).toEqual(['query-1', 'query-2']);
+  });
+});
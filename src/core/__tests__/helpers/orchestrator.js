@@ -0,0 +1,132 @@
+/**
+ * Orchestrator test helpers
+ *
+ * Replaces the analysis, planning, synthesis and session storage modules with in-memory test
+ * doubles so the orchestrator can run plans against a real tool registry offline. Importing
+ * this module registers the mocks, so it must be imported before anything that loads the
+ * orchestrator.
+ */
+
+import { jest } from '@jest/globals';
+
+// Plans returned by generateToolPlan, set per test with mockResolvedValueOnce
+export const planner = { generateToolPlan: jest.fn() };
+
+// Sessions stored by the orchestrator, by session ID
+export const sessions = new Map();
+
+jest.unstable_mockModule('../../planner.js', () => planner);
+
+jest.unstable_mockModule('../../../nlp/intentAnalysis.js', () => ({
+  analyzeIntent: async () => ({ primary: 'information', confidence: 1 })
+}));
+
+jest.unstable_mockModule('../../../nlp/entityExtraction.js', () => ({
+  extractEntities: async () => []
+}));
+
+// The answer lists the tools whose outputs it was given
+jest.unstable_mockModule('../../synthesizer.js', () => ({
+  synthesizeResults: async ({ results }) => ({
+    text: `Answer from ${results.map(result => result.tool).join(', ') || 'no tools'}`,
+    html: null,
+    sources: []
+  })
+}));
+
+jest.unstable_mockModule('../../context.js', () => ({
+  createToolExecutionContext: (sessionId, userId) => ({
+    id: `context-${sessionId}`,
+    sessionId,
+    userId,
+    conversationHistory: [],
+    createdAt: new Date().toISOString(),
+    lastActivity: new Date().toISOString()
+  })
+}));
+
+jest.unstable_mockModule('../../../data/sessionManager.js', () => ({
+  storeSession: async (sessionId, context) => {
+    sessions.set(sessionId, context);
+  },
+  retrieveSession: async (sessionId) => sessions.get(sessionId) || null
+}));
+
+jest.unstable_mockModule('../../../monitoring/evaluator.js', () => ({
+  evaluateToolSuccess: async () => {}
+}));
+
+const { initializeAgentOrchestrator } = await import('../../orchestrator.js');
+const { setupToolRegistry } = await import('../../../tools/registry.js');
+const { createLLMRouter, createFakeProvider } = await import('../../../llm/index.js');
+
+/**
+ * Tool definition with the schemas the registry requires
+ *
+ * @param {String} name - Tool name
+ * @param {Function} execute - Tool implementation
+ * @param {Object} fields - Other fields of the definition, e.g. riskLevel
+ * @returns {Object} - Tool definition
+ */
+export function defineTool(name, execute, fields = {}) {
+  return {
+    name,
+    description: `${name} test tool`,
+    inputSchema: { type: 'object' },
+    outputSchema: { type: 'object' },
+    execute,
+    ...fields
+  };
+}
+
+/**
+ * Create an orchestrator over a registry holding the given tools
+ *
+ * @param {Array} tools - Tool definitions
+ * @param {Object} options - Orchestrator options
+ * @returns {Promise<Object>} - { orchestrator, toolRegistry }
+ */
+export async function createTestOrchestrator(tools = [], options = {}) {
+  process.env.TOOL_HOT_RELOAD = 'false';
+  const toolRegistry = await setupToolRegistry();
+  await toolRegistry.mcpServers.stop();
+  tools.forEach(tool => toolRegistry.registerTool(tool));
+
+  const llmRouter = createLLMRouter({ defaultProvider: 'fake', stages: {} }, { fake: createFakeProvider() });
+  const orchestrator = await initializeAgentOrchestrator(toolRegistry, { llmRouter, ...options });
+
+  return { orchestrator, toolRegistry };
+}
+
+/**
+ * Socket double recording the events emitted to it
+ *
+ * @param {Function} onEmit - Optional (event, data) callback, e.g. to answer approvals
+ * @returns {Object} - Socket with `emit` and the recorded `events`
+ */
+export function createTestSocket(onEmit = null) {
+  const events = [];
+
+  return {
+    events,
+    emit(event, data) {
+      events.push({ event, data });
+      if (onEmit) {
+        onEmit(event, data);
+      }
+    }
+  };
+}
+
+/**
+ * Plan running the given tools one after the other
+ *
+ * @param {...String} toolNames - Tool names
+ * @returns {Object} - Plan as returned by generateToolPlan
+ */
+export function planOf(...toolNames) {
+  return {
+    steps: toolNames.map((tool, index) => ({ id: `step-${index + 1}`, tool, input: {} })),
+    estimatedCompletionTime: 1000
+  };
+}
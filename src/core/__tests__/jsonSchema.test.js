@@ -0,0 +1,126 @@
+import { validateJsonSchema, checkJsonSchema, formatPath } from '../jsonSchema.js';
+
+describe('formatPath', () => {
+  it('renders property names and indexes', () => {
+    expect(formatPath(['items', 2, 'price'])).toBe('$.items[2].price');
+    expect(formatPath(['first name'])).toBe('$["first name"]');
+  });
+});
+
+describe('validateJsonSchema', () => {
+  const order = {
+    type: 'object',
+    required: ['id', 'items'],
+    additionalProperties: false,
+    properties: {
+      id: { type: 'string', pattern: '^ord-\\d+$' },
+      items: {
+        type: 'array',
+        minItems: 1,
+        items: { $ref: '#/definitions/item' }
+      }
+    },
+    definitions: {
+      item: {
+        type: 'object',
+        required: ['price'],
+        properties: { price: { type: 'number', minimum: 0 } }
+      }
+    }
+  };
+
+  it('accepts a conforming value', () => {
+    expect(validateJsonSchema(order, { id: 'ord-1', items: [{ price: 3 }] })).toEqual({ valid: true, errors: [] });
+  });
+
+  it('reports every violation with its path', () => {
+    const { valid, errors } = validateJsonSchema(order, { id: 'x', items: [{ price: -1 }, {}], extra: true });
+
+    expect(valid).toBe(false);
+    expect(errors.map(({ path, keyword }) => `${path} ${keyword}`)).toEqual([
+      '$.id pattern',
+      '$.items[0].price minimum',
+      '$.items[1].price required',
+      '$.extra additionalProperties'
+    ]);
+  });
+
+  it('reports the closest anyOf branch', () => {
+    const schema = { anyOf: [{ type: 'object', required: ['a', 'b'] }, { type: 'object', required: ['a'] }] };
+    expect(validateJsonSchema(schema, {}).errors).toEqual([
+      { path: '$.a', keyword: 'required', message: 'Required property is missing' }
+    ]);
+  });
+
+  it('follows recursive $refs into nested values', () => {
+    const tree = {
+      type: 'object',
+      properties: { children: { type: 'array', items: { $ref: '#' } } }
+    };
+    expect(validateJsonSchema(tree, { children: [{ children: [{ children: [] }] }] }).valid).toBe(true);
+    expect(validateJsonSchema(tree, { children: [{ children: [1] }] }).errors[0].path).toBe('$.children[0].children[0]');
+  });
+
+  it('reports $ref cycles instead of recursing forever', () => {
+    const schema = { definitions: { a: { allOf: [{ $ref: '#/definitions/b' }] }, b: { $ref: '#/definitions/a' } }, $ref: '#/definitions/a' };
+    expect(validateJsonSchema(schema, 1).errors).toEqual([
+      { path: '$', keyword: '$ref', message: "Circular $ref '#/definitions/a'" }
+    ]);
+  });
+
+  it('does not run patterns that could backtrack catastrophically', () => {
+    const started = Date.now();
+    const { errors } = validateJsonSchema({ type: 'string', pattern: '^(a+)+$' }, `${'a'.repeat(40)}!`);
+
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(errors[0].keyword).toBe('pattern');
+  });
+});
+
+describe('checkJsonSchema', () => {
+  it('accepts a well-formed schema', () => {
+    expect(checkJsonSchema({ type: 'object', properties: { name: { type: 'string', pattern: '^[a-z]+(-[a-z]+)?$' } } })).toEqual([]);
+  });
+
+  it('reports malformed keywords', () => {
+    expect(checkJsonSchema({ type: 'text', minimum: '1', required: 'id', $ref: '#/missing' })).toEqual([
+      "$.type: unknown type 'text'",
+      '$.minimum: must be a number',
+      '$.required: must be an array of property names',
+      "$.$ref: Unresolvable $ref '#/missing'"
+    ]);
+  });
+
+  it.each([
+    '^(a+)+$',
+    '(\\w*\\s?)*x',
+    '^((ab)*c)+$',
+    '(a{2,})*'
+  ])('refuses the nested repetition %s', (pattern) => {
+    expect(checkJsonSchema({ type: 'string', pattern })).toEqual([
+      '$.pattern: repeats a group that itself repeats, which can take exponential time'
+    ]);
+  });
+
+  it.each([
+    '^[a-z]+$',
+    '^(ab)+$',
+    '^(\\d+)?$',
+    '^([+*]a)+$',
+    '^\\(a+\\)+$'
+  ])('accepts the pattern %s', (pattern) => {
+    expect(checkJsonSchema({ type: 'string', pattern })).toEqual([]);
+  });
+
+  it('refuses long and invalid patterns', () => {
+    expect(checkJsonSchema({ pattern: 'a'.repeat(257) })).toEqual(['$.pattern: must be at most 256 characters']);
+    expect(checkJsonSchema({ pattern: '(' })[0]).toMatch(/^\$\.pattern: Invalid regular expression/);
+  });
+
+  it('reports $refs that refer back to themselves', () => {
+    expect(checkJsonSchema({ $ref: '#' })).toEqual([
+      "$.$ref: '#' refers back to itself without a nested value in between"
+    ]);
+    expect(checkJsonSchema({ properties: { child: { $ref: '#' } } })).toEqual([]);
+  });
+});
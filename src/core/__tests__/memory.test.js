@@ -0,0 +1,137 @@
+import { createMemoryManager, withMemory } from '../memory.js';
+
+const turns = (count, length = 20) => Array.from({ length: count }, (_, index) => ({
+  role: index % 2 === 0 ? 'user' : 'assistant',
+  content: `Message ${index + 1} `.padEnd(length, '.'),
+  timestamp: `2024-01-01T00:00:${String(index).padStart(2, '0')}.000Z`
+}));
+
+// OpenAI-compatible client answering every request with the given text, or failing
+function createClient(reply) {
+  const requests = [];
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async (body) => {
+          requests.push(body);
+          if (reply instanceof Error) throw reply;
+          return { choices: [{ message: { content: reply } }] };
+        }
+      }
+    }
+  };
+}
+
+describe('compact', () => {
+  it('rolls the messages before the most recent ones into the summary', async () => {
+    const memory = createMemoryManager({ recentMessages: 4 });
+    const context = { sessionId: 'session-1', conversationHistory: turns(10) };
+    const llmClient = createClient('The user asked about ten things.');
+
+    await expect(memory.compact(context, llmClient)).resolves.toBe(true);
+
+    expect(context.conversationHistory).toEqual(turns(10).slice(6));
+    expect(context.memory).toMatchObject({
+      summary: 'The user asked about ten things.',
+      summarizedMessages: 6,
+      summaries: [{ messageCount: 6, from: '2024-01-01T00:00:00.000Z', to: '2024-01-01T00:00:05.000Z' }]
+    });
+    expect(llmClient.requests[0].messages[1].content).toContain('Message 6');
+  });
+
+  it('summarizes more messages when the recent ones exceed the token budget', async () => {
+    const memory = createMemoryManager({ recentMessages: 6, maxHistoryTokens: 100 });
+    const context = { conversationHistory: turns(6, 200) };
+
+    await memory.compact(context, createClient('Summary'));
+
+    expect(context.conversationHistory).toHaveLength(2);
+    expect(context.memory.summarizedMessages).toBe(4);
+  });
+
+  it('leaves short conversations alone', async () => {
+    const memory = createMemoryManager({ recentMessages: 4 });
+    const llmClient = createClient('Summary');
+    const context = { conversationHistory: turns(4) };
+
+    await expect(memory.compact(context, llmClient)).resolves.toBe(false);
+    expect(context.conversationHistory).toHaveLength(4);
+    expect(llmClient.requests).toEqual([]);
+  });
+
+  it('falls back to an extractive summary when the LLM fails', async () => {
+    const memory = createMemoryManager({ recentMessages: 2 });
+    const context = { conversationHistory: turns(4) };
+
+    await memory.compact(context, createClient(new Error('Rate limited')));
+
+    expect(context.memory.summary).toBe([
+      '- user: Message 1 ..........',
+      '- assistant: Message 2 ..........'
+    ].join('\n'));
+  });
+});
+
+describe('prompts', () => {
+  const context = {
+    memory: { summary: 'The user plans a trip to Lisbon.', summarizedMessages: 8, summaries: [], pinnedFacts: [] },
+    conversationHistory: []
+  };
+
+  it('adds the memory after the system prompt', () => {
+    const memory = createMemoryManager();
+    memory.pinFact(context, { text: 'Budget is 2000 EUR' });
+
+    const [system, memoryMessage, question] = memory.prepareMessages([
+      { role: 'system', content: 'You are helpful.' },
+      { role: 'user', content: 'Which hotel?' }
+    ], context);
+
+    expect(system.content).toBe('You are helpful.');
+    expect(memoryMessage.role).toBe('system');
+    expect(memoryMessage.content).toContain('- Budget is 2000 EUR');
+    expect(memoryMessage.content).toContain('The user plans a trip to Lisbon.');
+    expect(question.content).toBe('Which hotel?');
+  });
+
+  it('drops the oldest messages to stay within the prompt limit', () => {
+    const memory = createMemoryManager({ maxPromptTokens: 120 });
+    const messages = [
+      { role: 'system', content: 'You are helpful.' },
+      ...turns(6, 120),
+      { role: 'user', content: 'And now?' }
+    ];
+
+    const prepared = memory.prepareMessages(messages, { conversationHistory: [] });
+
+    expect(prepared[0]).toEqual(messages[0]);
+    expect(prepared[prepared.length - 1]).toEqual({ role: 'user', content: 'And now?' });
+    expect(prepared.length).toBeLessThan(messages.length);
+    expect(prepared.slice(1, -1)).toEqual(messages.slice(messages.length - prepared.length + 1, -1));
+  });
+
+  it('applies the memory to every request of a client', async () => {
+    const llmClient = createClient('Hotel Lisboa');
+    const client = withMemory(llmClient, { memory: createMemoryManager(), context });
+
+    await client.chat.completions.create({ messages: [{ role: 'user', content: 'Which hotel?' }] });
+
+    expect(llmClient.requests[0].messages[0].content).toContain('The user plans a trip to Lisbon.');
+  });
+});
+
+describe('pinned facts', () => {
+  it('refuses empty facts and facts beyond the limit', () => {
+    const memory = createMemoryManager({ maxPinnedFacts: 1 });
+    const context = {};
+
+    expect(() => memory.pinFact(context, { text: '  ' })).toThrow(expect.objectContaining({ code: 'INVALID_REQUEST', expose: true }));
+    const fact = memory.pinFact(context, { text: ' Prefers trains ' });
+    expect(fact.text).toBe('Prefers trains');
+    expect(() => memory.pinFact(context, { text: 'Vegetarian' })).toThrow('at most 1 pinned facts');
+
+    expect(memory.unpinFact(context, fact.id)).toBe(true);
+    expect(memory.unpinFact(context, fact.id)).toBe(false);
+  });
+});
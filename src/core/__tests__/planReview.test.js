@@ -0,0 +1,89 @@
+import { planner, sessions, defineTool, createTestOrchestrator, planOf } from './helpers/orchestrator.js';
+
+describe('plan-only queries', () => {
+  let orchestrator;
+  let calls;
+
+  beforeEach(async () => {
+    sessions.clear();
+    calls = [];
+    const record = (name) => async (input) => { calls.push({ name, input }); return { from: name }; };
+    ({ orchestrator } = await createTestOrchestrator([
+      defineTool('Search', record('Search')),
+      defineTool('Summarize', record('Summarize')),
+      defineTool('Translate', record('Translate'))
+    ]));
+    planner.generateToolPlan.mockResolvedValueOnce(planOf('Search', 'Summarize'));
+  });
+
+  const review = () => orchestrator.processQuery({ text: 'Summarize the news', sessionId: 'session-1', userId: 'user-1', mode: 'plan-only' });
+
+  it('returns the plan for review without running any tool', async () => {
+    const response = await review();
+
+    expect(response).toMatchObject({
+      mode: 'plan-only',
+      planId: expect.any(String),
+      steps: [
+        { id: 'step-1', tool: 'Search', input: {}, description: null },
+        { id: 'step-2', tool: 'Summarize', input: {}, description: null }
+      ]
+    });
+    expect(calls).toEqual([]);
+    expect(sessions.get('session-1').plans[response.planId]).toMatchObject({ status: 'pending', userId: 'user-1' });
+  });
+
+  it('runs the steps as the user edited them', async () => {
+    const { planId } = await review();
+
+    const response = await orchestrator.executePlan({
+      planId,
+      sessionId: 'session-1',
+      userId: 'user-1',
+      steps: [
+        { id: 'search', tool: 'Search', input: { query: 'news in French' } },
+        { id: 'translate', tool: 'Translate', input: { to: 'en' }, dependsOn: ['search'] }
+      ]
+    });
+
+    expect(response.error).toBeUndefined();
+    expect(calls).toEqual([
+      { name: 'Search', input: { query: 'news in French' } },
+      { name: 'Translate', input: { to: 'en' } }
+    ]);
+    expect(response.text).toBe('Answer from Search, Translate');
+  });
+
+  it('runs a plan only once', async () => {
+    const { planId } = await review();
+    await orchestrator.executePlan({ planId, sessionId: 'session-1', userId: 'user-1' });
+
+    await expect(orchestrator.executePlan({ planId, sessionId: 'session-1', userId: 'user-1' }))
+      .rejects.toMatchObject({ code: 'PLAN_ALREADY_EXECUTED', expose: true });
+    expect(calls.map(call => call.name)).toEqual(['Search', 'Summarize']);
+  });
+
+  it('refuses edited plans that cannot run', async () => {
+    const { planId } = await review();
+    const execute = (steps) => orchestrator.executePlan({ planId, sessionId: 'session-1', userId: 'user-1', steps });
+
+    await expect(execute([])).rejects.toMatchObject({ code: 'INVALID_REQUEST', message: 'A plan needs at least one step' });
+    await expect(execute([{ tool: 'Teleport', input: {} }])).rejects.toMatchObject({ code: 'INVALID_REQUEST', message: 'Unknown tools in plan: Teleport' });
+    await expect(execute([
+      { id: 'a', tool: 'Search', input: {}, dependsOn: ['b'] },
+      { id: 'b', tool: 'Summarize', input: {}, dependsOn: ['a'] }
+    ])).rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+    expect(calls).toEqual([]);
+
+    // The plan can still be run once it is fixed
+    await expect(execute([{ tool: 'Search', input: {} }])).resolves.toMatchObject({ text: 'Answer from Search' });
+  });
+
+  it('does not let another user run the plan', async () => {
+    const { planId } = await review();
+
+    await expect(orchestrator.executePlan({ planId, sessionId: 'session-1', userId: 'user-2' }))
+      .rejects.toMatchObject({ expose: true });
+    expect(calls).toEqual([]);
+  });
+});
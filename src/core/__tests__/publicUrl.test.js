@@ -0,0 +1,71 @@
+import http from 'http';
+import { isPrivateAddress, resolvePublicUrl, sendRequest } from '../publicUrl.js';
+
+describe('isPrivateAddress', () => {
+  it.each(['127.0.0.1', '10.1.2.3', '169.254.169.254', '192.168.0.1', '::1', 'fd00::1', '::ffff:127.0.0.1', 'not-an-ip'])('refuses %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(['93.184.216.34', '2606:2800:220:1:248:1893:25c8:1946'])('accepts %s', (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe('resolvePublicUrl', () => {
+  const lookup = async (host) => ({
+    'hooks.example.com': [{ address: '93.184.216.34', family: 4 }],
+    'mixed.example.com': [{ address: '93.184.216.34', family: 4 }, { address: '10.0.0.5', family: 4 }]
+  })[host] || [];
+
+  it('returns the address to connect to', async () => {
+    await expect(resolvePublicUrl('https://hooks.example.com/in', { lookup }))
+      .resolves.toEqual({ problem: null, address: '93.184.216.34', family: 4 });
+  });
+
+  it('refuses hosts with any private address', async () => {
+    await expect(resolvePublicUrl('https://mixed.example.com/in', { lookup }))
+      .resolves.toEqual({ problem: 'The host mixed.example.com is not a public internet address' });
+  });
+
+  it('refuses URLs that are not http(s)', async () => {
+    await expect(resolvePublicUrl('file:///etc/passwd', { lookup })).resolves.toEqual({ problem: 'The URL must be an http(s) URL' });
+  });
+});
+
+describe('sendRequest', () => {
+  let server;
+  let port;
+  const received = [];
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ host: req.headers.host, url: req.url, body });
+        res.statusCode = req.url === '/slow' ? 200 : 202;
+        if (req.url !== '/slow') res.end();
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    ({ port } = server.address());
+  });
+
+  afterAll(async () => {
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  it('connects to the given address and keeps the URL host', async () => {
+    // The host does not resolve; the request only arrives because the address is pinned
+    const response = await sendRequest(`http://hooks.invalid:${port}/in`, { body: '{"ok":true}', address: '127.0.0.1', family: 4 });
+
+    expect(response).toEqual({ ok: true, status: 202 });
+    expect(received.at(-1)).toEqual({ host: `hooks.invalid:${port}`, url: '/in', body: '{"ok":true}' });
+  });
+
+  it('gives up after the timeout', async () => {
+    await expect(sendRequest(`http://hooks.invalid:${port}/slow`, { address: '127.0.0.1', timeoutMs: 50 }))
+      .rejects.toMatchObject({ name: 'TimeoutError' });
+  });
+});
@@ -0,0 +1,84 @@
+import { planner, defineTool, createTestOrchestrator, planOf } from './helpers/orchestrator.js';
+
+describe('replanning after failed steps', () => {
+  let calls;
+
+  const createOrchestrator = async (options = {}) => {
+    calls = [];
+    const { orchestrator } = await createTestOrchestrator([
+      defineTool('Lookup', async () => { calls.push('Lookup'); return { city: 'Paris' }; }),
+      defineTool('Forecast', async () => { calls.push('Forecast'); throw new Error('Service down'); }),
+      defineTool('BackupForecast', async () => { calls.push('BackupForecast'); return { sky: 'clear' }; })
+    ], options);
+    return orchestrator;
+  };
+
+  const ask = (orchestrator) => orchestrator.processQuery({ text: 'Weather in Paris?', sessionId: 'session-1', userId: 'user-1' });
+
+  beforeEach(() => {
+    planner.generateToolPlan.mockReset();
+  });
+
+  it('asks the planner to repair the plan and runs only the new steps', async () => {
+    const orchestrator = await createOrchestrator();
+    let replan;
+    planner.generateToolPlan
+      .mockResolvedValueOnce(planOf('Lookup', 'Forecast'))
+      .mockImplementationOnce(async (params) => {
+        replan = structuredClone(params.replan);
+        return { steps: [{ tool: 'BackupForecast', input: {} }] };
+      });
+
+    const response = await ask(orchestrator);
+
+    expect(calls).toEqual(['Lookup', 'Forecast', 'BackupForecast']);
+    expect(replan).toMatchObject({
+      failures: [{ stepId: 'step-2', tool: 'Forecast', error: 'Service down' }],
+      completedSteps: [{ stepId: 'step-1', tool: 'Lookup', output: { city: 'Paris' } }]
+    });
+    expect(response).toMatchObject({
+      text: 'Answer from Lookup, BackupForecast',
+      replans: [{ round: 1, failedSteps: [{ stepId: 'step-2', tool: 'Forecast' }], steps: [{ id: 'replan-1-1', tool: 'BackupForecast' }] }],
+      failedSteps: []
+    });
+    expect(response.toolsUsed.map(({ name, replanned }) => [name, replanned])).toEqual([['Lookup', false], ['BackupForecast', true]]);
+  });
+
+  it('stops after the replan limit and answers with what succeeded', async () => {
+    const orchestrator = await createOrchestrator({ maxReplans: 1 });
+    planner.generateToolPlan.mockResolvedValue(planOf('Lookup', 'Forecast'));
+
+    const response = await ask(orchestrator);
+
+    // The first plan and one repaired plan; the repaired plan reuses the completed step-1
+    expect(planner.generateToolPlan).toHaveBeenCalledTimes(2);
+    expect(calls).toEqual(['Lookup', 'Forecast', 'Forecast']);
+    expect(response).toMatchObject({
+      text: 'Answer from Lookup',
+      replans: [{ round: 1 }],
+      failedSteps: [{ stepId: 'step-2', tool: 'Forecast', error: 'Service down' }]
+    });
+  });
+
+  it('keeps the results so far when the planner cannot repair the plan', async () => {
+    const orchestrator = await createOrchestrator();
+    planner.generateToolPlan
+      .mockResolvedValueOnce(planOf('Lookup', 'Forecast'))
+      .mockRejectedValueOnce(new Error('Planner unavailable'));
+
+    const response = await ask(orchestrator);
+
+    expect(calls).toEqual(['Lookup', 'Forecast']);
+    expect(response).toMatchObject({ text: 'Answer from Lookup', replans: [], failedSteps: [{ tool: 'Forecast' }] });
+  });
+
+  it('reports a tool failure when no step succeeds', async () => {
+    const orchestrator = await createOrchestrator({ maxReplans: 0 });
+    planner.generateToolPlan.mockResolvedValueOnce(planOf('Forecast'));
+
+    const response = await ask(orchestrator);
+
+    expect(planner.generateToolPlan).toHaveBeenCalledTimes(1);
+    expect(response).toMatchObject({ error: true, errorType: 'tool_failure' });
+  });
+});
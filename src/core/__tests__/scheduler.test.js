@@ -0,0 +1,30 @@
+import { createScheduler } from '../scheduler.js';
+import { createMemoryTaskStore } from '../../data/scheduledTaskStore.js';
+
+describe('scheduled task webhooks', () => {
+  const lookup = async (host) => [{ address: host === 'hooks.example.com' ? '93.184.216.34' : '10.1.2.3', family: 4 }];
+  const owner = { userId: 'user-1' };
+  const fields = { query: 'Summarize the news', cron: '@daily' };
+
+  const setup = () => createScheduler({ orchestrator: { toolRegistry: {} }, store: createMemoryTaskStore(), lookup });
+
+  it('accepts public webhook URLs', async () => {
+    const task = await setup().createTask(owner, { ...fields, webhookUrl: 'https://hooks.example.com/news' });
+    expect(task.webhookUrl).toBe('https://hooks.example.com/news');
+  });
+
+  it.each([
+    'http://169.254.169.254/latest/meta-data',
+    'http://127.0.0.1:8080/',
+    'https://intranet.example.com/hook'
+  ])('refuses %s', async (webhookUrl) => {
+    const scheduler = setup();
+
+    await expect(scheduler.createTask(owner, { ...fields, webhookUrl }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', expose: true });
+
+    const task = await scheduler.createTask(owner, fields);
+    await expect(scheduler.updateTask('user-1', task.id, { webhookUrl }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST' });
+  });
+});
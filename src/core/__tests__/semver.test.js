@@ -0,0 +1,102 @@
+import { parseVersion, compareVersions, isPrerelease, isValidRange, satisfiesRange, maxSatisfying } from '../semver.js';
+
+describe('parseVersion', () => {
+  it('parses full and partial versions', () => {
+    expect(parseVersion('1.4.2')).toEqual({ major: 1, minor: 4, patch: 2, prerelease: [] });
+    expect(parseVersion('v1.2')).toEqual({ major: 1, minor: 2, patch: 0, prerelease: [] });
+    expect(parseVersion('2.0.0-beta.1+build.5')).toEqual({ major: 2, minor: 0, patch: 0, prerelease: ['beta', 1] });
+  });
+
+  it.each(['', 'latest', '1.2.3.4', '1.x', '1.2.3-', null, 3])('rejects %p', (version) => {
+    expect(parseVersion(version)).toBeNull();
+  });
+});
+
+describe('compareVersions', () => {
+  it('orders versions by major, minor and patch', () => {
+    expect(compareVersions('1.2.3', '1.2.3')).toBe(0);
+    expect(compareVersions('1.2', '1.2.0')).toBe(0);
+    expect(compareVersions('1.10.0', '1.9.9')).toBeGreaterThan(0);
+    expect(compareVersions('1.9.9', '2.0.0')).toBeLessThan(0);
+  });
+
+  it('orders prereleases below their release, as semver does', () => {
+    const ordered = ['1.0.0-alpha', '1.0.0-alpha.1', '1.0.0-alpha.beta', '1.0.0-beta', '1.0.0-beta.2', '1.0.0-beta.11', '1.0.0-rc.1', '1.0.0'];
+
+    expect([...ordered].reverse().sort(compareVersions)).toEqual(ordered);
+  });
+
+  it('throws for invalid versions', () => {
+    expect(() => compareVersions('1.0.0', 'next')).toThrow('Cannot compare versions 1.0.0 and next');
+  });
+});
+
+describe('isPrerelease', () => {
+  it('recognizes prerelease versions', () => {
+    expect(isPrerelease('2.0.0-beta.1')).toBe(true);
+    expect(isPrerelease('2.0.0')).toBe(false);
+    expect(isPrerelease('nonsense')).toBe(false);
+  });
+});
+
+describe('satisfiesRange', () => {
+  it.each([
+    ['^1.2.3', ['1.2.3', '1.9.0'], ['1.2.2', '2.0.0']],
+    ['^0.2.3', ['0.2.3', '0.2.9'], ['0.3.0', '0.2.2']],
+    ['^0.0.3', ['0.0.3'], ['0.0.4']],
+    ['^1.2', ['1.2.0', '1.99.0'], ['2.0.0']],
+    ['~1.2.3', ['1.2.3', '1.2.9'], ['1.3.0']],
+    ['~1', ['1.0.0', '1.9.9'], ['2.0.0']],
+    ['>=1.2.0 <2', ['1.2.0', '1.9.9'], ['1.1.9', '2.0.0']],
+    ['>= 1.2', ['1.2.0', '3.0.0'], ['1.1.0']],
+    ['>1.2', ['1.3.0'], ['1.2.5']],
+    ['<=1.2', ['1.2.9'], ['1.3.0']],
+    ['1.x', ['1.0.0', '1.5.2'], ['2.0.0', '0.9.0']],
+    ['*', ['0.0.1', '9.9.9'], []],
+    ['1.2.3', ['1.2.3'], ['1.2.4']],
+    ['1.0 - 1.4', ['1.0.0', '1.4.9'], ['1.5.0', '0.9.9']],
+    ['1.x || >=3.1', ['1.2.0', '3.1.0'], ['2.0.0', '3.0.9']]
+  ])('%s', (range, matching, other) => {
+    matching.forEach(version => expect(satisfiesRange(version, range)).toBe(true));
+    other.forEach(version => expect(satisfiesRange(version, range)).toBe(false));
+  });
+
+  it('only matches prereleases of the version the range names', () => {
+    expect(satisfiesRange('1.3.0-beta', '^1.2.0')).toBe(false);
+    expect(satisfiesRange('1.3.0-beta', '^1.3.0-alpha')).toBe(true);
+    expect(satisfiesRange('1.3.0-alpha', '^1.3.0-beta')).toBe(false);
+    expect(satisfiesRange('1.4.0-alpha', '^1.3.0-alpha')).toBe(false);
+    expect(satisfiesRange('2.0.0-rc.1', '<2.0.0')).toBe(false);
+  });
+
+  it('does not match invalid versions or ranges', () => {
+    expect(satisfiesRange('latest', '^1.0.0')).toBe(false);
+    expect(satisfiesRange('1.0.0', '^one')).toBe(false);
+  });
+});
+
+describe('isValidRange', () => {
+  it.each(['^1.2', '~1.2.3', '>=1.0.0 <2', '1.x || 2.x', '*', '', '1.0 - 2.0'])('accepts %p', (range) => {
+    expect(isValidRange(range)).toBe(true);
+  });
+
+  it.each(['^one', '1.x.3', '>>1', '1.0 -', '>*', null])('rejects %p', (range) => {
+    expect(isValidRange(range)).toBe(false);
+  });
+});
+
+describe('maxSatisfying', () => {
+  const versions = ['1.0.0', '1.4.2', '1.10.0', '2.0.0-beta.1', '2.0.0', '2.1.0'];
+
+  it('picks the newest matching version', () => {
+    expect(maxSatisfying(versions, '^1.0.0')).toBe('1.10.0');
+    expect(maxSatisfying(versions, '~1.4')).toBe('1.4.2');
+    expect(maxSatisfying(versions, '*')).toBe('2.1.0');
+    expect(maxSatisfying(versions, '2.0.0-beta.1')).toBe('2.0.0-beta.1');
+  });
+
+  it('returns null when nothing matches', () => {
+    expect(maxSatisfying(versions, '^3')).toBeNull();
+    expect(maxSatisfying([], '*')).toBeNull();
+  });
+});
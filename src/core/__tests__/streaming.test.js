@@ -0,0 +1,125 @@
+import { EventEmitter } from 'events';
+import { synthesizeResultsStream, collectSources, createSseEmitter } from '../streaming.js';
+
+// OpenAI-compatible client streaming the given chunks of text, failing afterwards if asked to
+function createStreamingClient(chunks, { failAfter = null } = {}) {
+  const requests = [];
+
+  return {
+    requests,
+    chat: {
+      completions: {
+        create: async (request) => {
+          requests.push(request);
+          return (async function* () {
+            for (const [index, content] of chunks.entries()) {
+              if (index === failAfter) {
+                throw new Error('Connection reset');
+              }
+              yield { choices: [{ delta: { content } }] };
+            }
+            // Chunks without content, such as the final one, carry no text
+            yield { choices: [{ delta: {}, finish_reason: 'stop' }] };
+          })();
+        }
+      }
+    }
+  };
+}
+
+// The parts of an Express response the SSE emitter uses
+function createResponse() {
+  const res = new EventEmitter();
+  return Object.assign(res, {
+    headers: {},
+    written: [],
+    ended: false,
+    set(headers) { Object.assign(res.headers, headers); },
+    flushHeaders() {},
+    write(chunk) { res.written.push(chunk); },
+    end() { res.ended = true; }
+  });
+}
+
+const results = [
+  { stepId: 'search', tool: 'WebSearch', output: { sources: [{ title: 'Forecast', url: 'https://weather.example/today' }] } },
+  { stepId: 'page', tool: 'WebPage', output: { title: 'Forecast again', url: 'https://weather.example/today', text: 'Sunny' } }
+];
+const context = { conversationHistory: [] };
+
+describe('synthesizeResultsStream', () => {
+  it('passes each chunk of text to onDelta as it arrives and returns the whole answer', async () => {
+    const llmClient = createStreamingClient(['It is ', 'sunny ', 'today [1].']);
+    const deltas = [];
+
+    const response = await synthesizeResultsStream({
+      results,
+      context,
+      intent: { primary: 'weather' },
+      query: 'Weather today?',
+      llmClient,
+      onDelta: delta => deltas.push(delta)
+    });
+
+    expect(deltas).toEqual(['It is ', 'sunny ', 'today [1].']);
+    expect(response).toEqual({
+      text: 'It is sunny today [1].',
+      html: null,
+      sources: [{ title: 'Forecast', url: 'https://weather.example/today' }]
+    });
+    expect(llmClient.requests[0]).toMatchObject({ stream: true });
+  });
+
+  it('rejects when the stream breaks, after emitting the text received so far', async () => {
+    const llmClient = createStreamingClient(['It is ', 'sunny'], { failAfter: 1 });
+    const deltas = [];
+
+    await expect(synthesizeResultsStream({
+      results,
+      context,
+      query: 'Weather today?',
+      llmClient,
+      onDelta: delta => deltas.push(delta)
+    })).rejects.toThrow('Connection reset');
+    expect(deltas).toEqual(['It is ']);
+  });
+});
+
+describe('collectSources', () => {
+  it('keeps the first source for each URL, in the order of the results', () => {
+    expect(collectSources([
+      ...results,
+      { output: { sources: [{ url: 'https://docs.example/a', documentId: 'doc-1', chunkIndex: 2 }] } },
+      { output: 'plain text' }
+    ])).toEqual([
+      { title: 'Forecast', url: 'https://weather.example/today' },
+      { title: 'https://docs.example/a', url: 'https://docs.example/a', documentId: 'doc-1', chunkIndex: 2, excerpt: null }
+    ]);
+  });
+});
+
+describe('createSseEmitter', () => {
+  it('writes events until the client disconnects', () => {
+    const res = createResponse();
+    const emitter = createSseEmitter(res);
+
+    expect(res.headers['Content-Type']).toBe('text/event-stream');
+    expect(emitter.emit('agent:delta', { queryId: 'q-1', delta: 'Hi' })).toBe(true);
+
+    res.emit('close');
+
+    expect(emitter.emit('agent:delta', { queryId: 'q-1', delta: ' there' })).toBe(false);
+    expect(res.written).toEqual(['event: agent:delta\ndata: {"queryId":"q-1","delta":"Hi"}\n\n']);
+  });
+
+  it('ends the response once when closed', () => {
+    const res = createResponse();
+    const emitter = createSseEmitter(res);
+
+    emitter.close();
+    emitter.close();
+
+    expect(res.ended).toBe(true);
+    expect(emitter.emit('agent:complete', {})).toBe(false);
+  });
+});
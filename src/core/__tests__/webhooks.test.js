@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { jest } from '@jest/globals';
+import { signWebhookPayload, verifyWebhookSignature, createWebhookDispatcher } from '../webhooks.js';
+import { createMemoryWebhookStore } from '../../data/webhookStore.js';
+
+const secret = 'whsec_test';
+const now = () => Math.floor(Date.now() / 1000);
+
+describe('webhook signatures', () => {
+  const body = JSON.stringify({ id: 'evt_1', type: 'query.completed' });
+
+  it('signs the timestamp and body with HMAC-SHA256', () => {
+    const expected = crypto.createHmac('sha256', secret).update(`1700000000.${body}`).digest('hex');
+    expect(signWebhookPayload(secret, 1700000000, body)).toBe(`sha256=${expected}`);
+  });
+
+  it('verifies a signature made with the same secret', () => {
+    const timestamp = now();
+    const signature = signWebhookPayload(secret, timestamp, body);
+
+    expect(verifyWebhookSignature({ secret, timestamp, body, signature })).toBe(true);
+  });
+
+  it('rejects a changed body, timestamp or secret', () => {
+    const timestamp = now();
+    const signature = signWebhookPayload(secret, timestamp, body);
+
+    expect(verifyWebhookSignature({ secret, timestamp, body: `${body} `, signature })).toBe(false);
+    expect(verifyWebhookSignature({ secret, timestamp: timestamp - 1, body, signature })).toBe(false);
+    expect(verifyWebhookSignature({ secret: 'whsec_other', timestamp, body, signature })).toBe(false);
+    expect(verifyWebhookSignature({ secret, timestamp, body, signature: 'sha256=00' })).toBe(false);
+  });
+
+  it('rejects old timestamps', () => {
+    const timestamp = now() - 600;
+    const signature = signWebhookPayload(secret, timestamp, body);
+
+    expect(verifyWebhookSignature({ secret, timestamp, body, signature })).toBe(false);
+    expect(verifyWebhookSignature({ secret, timestamp, body, signature, toleranceSeconds: 900 })).toBe(true);
+  });
+});
+
+describe('webhook dispatcher', () => {
+  const addresses = { 'hooks.example.com': '93.184.216.34', 'internal.example.com': '10.0.0.5' };
+  const lookup = async (host) => {
+    if (!addresses[host]) throw new Error('ENOTFOUND');
+    return [{ address: addresses[host], family: 4 }];
+  };
+
+  const setup = (options = {}) => {
+    const send = jest.fn(async () => ({ ok: true, status: 200 }));
+    const webhooks = createWebhookDispatcher({ store: createMemoryWebhookStore(), send, lookup, maxAttempts: 1, ...options });
+    return { webhooks, send };
+  };
+
+  it('delivers signed events to subscribed endpoints', async () => {
+    const { webhooks, send } = setup();
+    const endpoint = await webhooks.createEndpoint('user-1', { url: 'https://hooks.example.com/in', events: ['query.completed'] });
+
+    const [delivery] = await webhooks.dispatch({ id: 'evt_1', type: 'query.completed', userId: 'user-1', createdAt: 'now', data: {} });
+
+    expect(delivery.status).toBe('succeeded');
+    const [url, request] = send.mock.calls[0];
+    expect(url).toBe('https://hooks.example.com/in');
+    expect(request).toMatchObject({ address: '93.184.216.34', family: 4 });
+    expect(verifyWebhookSignature({
+      secret: endpoint.secret,
+      timestamp: request.headers['X-Webhook-Timestamp'],
+      body: request.body,
+      signature: request.headers['X-Webhook-Signature']
+    })).toBe(true);
+  });
+
+  it.each([
+    'http://localhost:8080/hook',
+    'http://127.0.0.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://192.168.1.10/hook',
+    'http://[::1]/hook',
+    'https://internal.example.com/hook'
+  ])('refuses to register %s', async (url) => {
+    const { webhooks } = setup({ lookup: async (host) => (host === 'localhost' ? [{ address: '127.0.0.1', family: 4 }] : lookup(host)) });
+
+    await expect(webhooks.createEndpoint('user-1', { url, events: ['query.completed'] }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', expose: true });
+  });
+
+  it('does not deliver to hosts that came to resolve to private addresses', async () => {
+    const { webhooks, send } = setup();
+    await webhooks.createEndpoint('user-1', { url: 'https://hooks.example.com/in', events: ['query.completed'] });
+    addresses['hooks.example.com'] = '127.0.0.1';
+
+    try {
+      const [delivery] = await webhooks.dispatch({ id: 'evt_1', type: 'query.completed', userId: 'user-1', createdAt: 'now', data: {} });
+
+      expect(send).not.toHaveBeenCalled();
+      expect(delivery.status).toBe('failed');
+      expect(delivery.attempts[0].error).toBe('The host hooks.example.com is not a public internet address');
+    } finally {
+      addresses['hooks.example.com'] = '93.184.216.34';
+    }
+  });
+
+  it('sends to the address it checked, not to one the host resolves to afterwards', async () => {
+    // A rebinding host answers with a public address, then with a private one
+    let lookups = 0;
+    const rebinding = async () => [{ address: lookups++ < 2 ? '93.184.216.34' : '127.0.0.1', family: 4 }];
+    const { webhooks, send } = setup({ lookup: rebinding });
+    await webhooks.createEndpoint('user-1', { url: 'https://hooks.example.com/in', events: ['query.completed'] });
+
+    const [delivery] = await webhooks.dispatch({ id: 'evt_1', type: 'query.completed', userId: 'user-1', createdAt: 'now', data: {} });
+
+    expect(delivery.status).toBe('succeeded');
+    expect(lookups).toBe(2);
+    expect(send.mock.calls[0][1].address).toBe('93.184.216.34');
+  });
+
+  it('delivers to the test receiver over loopback', async () => {
+    const { webhooks, send } = setup({
+      localReceiverUrl: (url) => (url.includes('/test-receiver/') ? 'http://127.0.0.1:3000/api/webhooks/test-receiver/abc' : null)
+    });
+    const endpoint = await webhooks.createEndpoint('user-1', {
+      url: 'http://localhost:3000/api/webhooks/test-receiver/abc',
+      events: ['query.completed']
+    });
+
+    await webhooks.sendTest('user-1', endpoint.id);
+
+    expect(send.mock.calls[0][0]).toBe('http://127.0.0.1:3000/api/webhooks/test-receiver/abc');
+    expect(send.mock.calls[0][1].address).toBeNull();
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Agent Profiles
+ *
+ * Named specialist sub-agents the orchestrator can delegate sub-tasks to. Each profile has
+ * its own system prompt, the tool categories it may use, and optionally its own model and
+ * token budget. Every profile is registered in the tool registry as a delegation tool, so the
+ * planner selects specialists the same way it selects any other tool.
+ *
+ * Configuration:
+ *   AGENT_PROFILES       - JSON array of profiles, replacing the defaults below
+ *   MAX_DELEGATION_DEPTH - How deeply sub-agents may delegate to other sub-agents (default 2)
+ *   AGENT_TIMEOUT_MS     - Time a delegated task may take (default 120000)
+ */
+
+import { logger } from '../utils/logger.js';
+import { createExposedError } from './errors.js';
+
+/**
+ * Category of the delegation tools
+ */
+export const AGENT_TOOL_CATEGORY = 'agent';
+
+/**
+ * Profiles available when AGENT_PROFILES is not set
+ */
+export const DEFAULT_AGENT_PROFILES = [
+  {
+    name: 'researcher',
+    description: 'Finds, reads and summarizes information from the web and the user\'s documents',
+    systemPrompt: `You are a research specialist. Gather information from reliable sources, compare them
+                   and report the findings with their sources. Say so when sources disagree or are missing.`,
+    toolCategories: ['search', 'web', 'knowledge'],
+    model: null,
+    budget: null
+  },
+  {
+    name: 'analyst',
+    description: 'Analyzes data, runs calculations and explains the results',
+    systemPrompt: `You are a data analysis specialist. Work step by step, show the numbers behind every
+                   conclusion and state your assumptions.`,
+    toolCategories: ['data', 'math', 'analysis'],
+    model: null,
+    budget: null
+  }
+];
+
+// Schemas of the delegation tools' input and of the sub-agent result they return
+const DELEGATION_INPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    task: { type: 'string', minLength: 1, description: 'Self-contained description of the sub-task' }
+  },
+  required: ['task']
+};
+
+const DELEGATION_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    agent: { type: 'string' },
+    task: { type: 'string' },
+    text: { type: 'string' },
+    sources: { type: 'array' },
+    delegation: { type: 'object' }
+  },
+  required: ['agent', 'task', 'text']
+};
+
+/**
+ * Name of the delegation tool for a profile, e.g. 'researcher' => 'ResearcherAgent'
+ *
+ * @param {String} profileName - Profile name
+ * @returns {String} - Tool name
+ */
+export function agentToolName(profileName) {
+  return `${profileName.charAt(0).toUpperCase()}${profileName.slice(1)}Agent`;
+}
+
+/**
+ * Read agent profiles from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Array} - Normalized profiles
+ */
+export function loadAgentProfiles(env = process.env) {
+  let profiles = DEFAULT_AGENT_PROFILES;
+
+  if (env.AGENT_PROFILES) {
+    try {
+      profiles = JSON.parse(env.AGENT_PROFILES);
+    } catch (error) {
+      logger.warn('Ignoring invalid AGENT_PROFILES configuration:', error);
+    }
+  }
+
+  return profiles
+    .filter(profile => profile && /^[a-z][a-z0-9_-]*$/i.test(profile.name || ''))
+    .map(profile => ({
+      name: profile.name,
+      description: profile.description || `Specialist agent '${profile.name}'`,
+      systemPrompt: profile.systemPrompt || '',
+      toolCategories: Array.isArray(profile.toolCategories) ? profile.toolCategories : [],
+      model: profile.model || null,
+      budget: profile.budget || null,
+      timeoutMs: profile.timeoutMs || Number(env.AGENT_TIMEOUT_MS) || 120000
+    }));
+}
+
+/**
+ * Check whether a profile may use a tool
+ *
+ * Profiles without tool categories may use every tool. Delegation tools are governed by the
+ * depth limit rather than by categories, but an agent never delegates to itself.
+ *
+ * @param {Object} profile - Agent profile
+ * @param {Object} tool - Tool definition
+ * @returns {Boolean} - True if the tool is allowed
+ */
+export function isToolAllowed(profile, tool) {
+  if (tool.category === AGENT_TOOL_CATEGORY) {
+    return tool.agentProfile !== profile.name;
+  }
+
+  return profile.toolCategories.length === 0 || profile.toolCategories.includes(tool.category);
+}
+
+/**
+ * Apply a profile's system prompt and model to an OpenAI-compatible client
+ *
+ * @param {Object} client - OpenAI-compatible client
+ * @param {Object} profile - Agent profile
+ * @returns {Object} - Client whose requests carry the profile's instructions
+ */
+export function withAgentProfile(client, profile) {
+  if (!client || (!profile.systemPrompt && !profile.model)) {
+    return client;
+  }
+
+  return {
+    ...client,
+    model: profile.model || client.model,
+    chat: {
+      ...client.chat,
+      completions: {
+        create: (body, options) => client.chat.completions.create({
+          ...body,
+          ...(profile.model && { model: profile.model }),
+          messages: profile.systemPrompt
+            ? [{ role: 'system', content: profile.systemPrompt }, ...(body.messages || [])]
+            : body.messages
+        }, options)
+      }
+    }
+  };
+}
+
+/**
+ * Register a delegation tool for every profile
+ *
+ * @param {Object} toolRegistry - Tool registry
+ * @param {Array} profiles - Agent profiles
+ * @param {Object} options - { maxDepth, delegate } where
+ *                           delegate({ profile, task, context, depth, parentQueryId }) runs the
+ *                           sub-agent and returns its result
+ * @returns {Number} - Number of registered tools
+ */
+export function registerAgentTools(toolRegistry, profiles, { maxDepth, delegate }) {
+  let registered = 0;
+
+  for (const profile of profiles) {
+    const ok = toolRegistry.registerTool({
+      name: agentToolName(profile.name),
+      description: `Delegates a self-contained sub-task to the ${profile.name} agent. ${profile.description}`,
+      category: AGENT_TOOL_CATEGORY,
+      version: '1.0.0',
+      author: 'System',
+      capabilities: ['delegation', ...profile.toolCategories],
+      keywords: [profile.name, 'delegate', 'agent', 'specialist'],
+      // Steps run by the sub-agent are approved individually
+      riskLevel: 'read-only',
+      agentProfile: profile.name,
+      timeoutMs: profile.timeoutMs,
+      retry: { attempts: 0 },
+      inputSchema: DELEGATION_INPUT_SCHEMA,
+      outputSchema: DELEGATION_OUTPUT_SCHEMA,
+      execute: async ({ task }, context) => {
+        const depth = (context.agentDepth || 0) + 1;
+
+        if (depth > maxDepth) {
+          throw createExposedError(
+            'DELEGATION_DEPTH_EXCEEDED',
+            `Delegation to the ${profile.name} agent exceeds the maximum depth of ${maxDepth}`,
+            { retryable: false }
+          );
+        }
+
+        return delegate({ profile, task, context, depth, parentQueryId: context.queryId });
+      }
+    });
+
+    if (ok) registered++;
+  }
+
+  return registered;
+}
@@ -0,0 +1,209 @@
+/**
+ * Tool Approval Gate
+ *
+ * Pauses plan execution before tool steps whose declared risk level meets the configured
+ * threshold, until the user approves (optionally editing the input) or rejects the step.
+ * Pending approvals are written to the session so a reloaded client can find and answer them.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { storeSession, retrieveSession } from '../data/sessionManager.js';
+import { RISK_LEVELS } from '../tools/registry.js';
+import { createCancellationError } from './cancellation.js';
+
+/**
+ * Create the error thrown when a step is rejected or its approval times out
+ */
+function createApprovalError(code, message, approval) {
+  const error = new Error(message);
+  error.code = code;
+  error.approval = approval;
+  return error;
+}
+
+/**
+ * Check whether a tool's risk level requires approval
+ *
+ * @param {String} riskLevel - Risk level declared by the tool
+ * @param {String} threshold - Lowest risk level that requires approval, or 'none'
+ * @returns {Boolean} - True if the step must be approved before it runs
+ */
+export function requiresApproval(riskLevel, threshold) {
+  if (!threshold || threshold === 'none' || !RISK_LEVELS.includes(threshold)) {
+    return false;
+  }
+
+  return RISK_LEVELS.indexOf(riskLevel || 'read-only') >= RISK_LEVELS.indexOf(threshold);
+}
+
+/**
+ * Create an approval manager
+ *
+ * @param {Object} options - Manager options
+ * @param {Number} options.timeoutMs - How long a step waits for a decision before failing
+ * @returns {Object} - Approval manager
+ */
+export function createApprovalManager(options = {}) {
+  const timeoutMs = options.timeoutMs || Number(process.env.TOOL_APPROVAL_TIMEOUT_MS) || 5 * 60 * 1000;
+  const pending = new Map();
+
+  // Remove a settled approval from the session and persist the change
+  const removeFromSession = async (approval, context) => {
+    context.pendingApprovals = (context.pendingApprovals || []).filter(a => a.id !== approval.id);
+
+    try {
+      await storeSession(approval.sessionId, context);
+    } catch (error) {
+      logger.warn(`Failed to update session ${approval.sessionId} after approval ${approval.id}:`, error);
+    }
+  };
+
+  return {
+    /**
+     * Request approval for a tool step and wait for the decision
+     *
+     * @param {Object} params - Approval request
+     * @returns {Promise<Object>} - { input } to run the step with; rejects if the step is
+     *                              rejected, times out or the query is cancelled
+     */
+    async request({ queryId, sessionId, userId, context, step, tool, input, socket = null, signal = null }) {
+      const now = Date.now();
+      const approval = {
+        id: uuidv4(),
+        queryId,
+        sessionId,
+        userId,
+        stepId: step.id,
+        tool: tool.name,
+        riskLevel: tool.riskLevel,
+        description: step.description || tool.description,
+        input,
+        status: 'pending',
+        requestedAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + timeoutMs).toISOString()
+      };
+
+      context.pendingApprovals = [...(context.pendingApprovals || []), approval];
+      await storeSession(sessionId, context);
+
+      logger.info(`Approval ${approval.id} required for ${tool.name} (${tool.riskLevel}) in query ${queryId}`);
+
+      try {
+        return await new Promise((resolve, reject) => {
+          // The query may have been cancelled while the session was stored
+          if (signal?.aborted) {
+            reject(createCancellationError());
+            return;
+          }
+
+          const onAbort = () => {
+            cleanup();
+            reject(createCancellationError());
+          };
+
+          const timer = setTimeout(() => {
+            cleanup();
+            logger.warn(`Approval ${approval.id} for ${tool.name} timed out`);
+            reject(createApprovalError(
+              'APPROVAL_TIMEOUT',
+              `Approval for ${tool.name} was not given within ${Math.round(timeoutMs / 1000)}s`,
+              approval
+            ));
+          }, timeoutMs);
+
+          const cleanup = () => {
+            clearTimeout(timer);
+            if (signal) {
+              signal.removeEventListener('abort', onAbort);
+            }
+            pending.delete(approval.id);
+          };
+
+          if (signal) {
+            signal.addEventListener('abort', onAbort, { once: true });
+          }
+
+          pending.set(approval.id, {
+            approval,
+            settle: (decision) => {
+              cleanup();
+
+              if (!decision.approved) {
+                reject(createApprovalError('APPROVAL_REJECTED', `The user rejected ${tool.name}`, approval));
+                return;
+              }
+
+              resolve({ input: decision.input !== undefined ? decision.input : input });
+            }
+          });
+
+          // Announce the approval once a decision can be recorded for it
+          if (socket) {
+            socket.emit('agent:approval_required', approval);
+          }
+        });
+      } finally {
+        await removeFromSession(approval, context);
+      }
+    },
+
+    /**
+     * Record the user's decision for a pending approval
+     *
+     * @param {String} approvalId - Approval ID
+     * @param {Object} decision - { approved, input, userId }
+     * @returns {Object|null} - The approval, or null if it is unknown, settled or owned by another user
+     */
+    resolve(approvalId, { approved, input, userId = null }) {
+      const entry = pending.get(approvalId);
+
+      if (!entry || (userId && entry.approval.userId !== userId)) {
+        return null;
+      }
+
+      logger.info(`Approval ${approvalId} ${approved ? 'approved' : 'rejected'}`);
+      entry.settle({ approved: Boolean(approved), input });
+
+      return { ...entry.approval, status: approved ? 'approved' : 'rejected' };
+    },
+
+    /**
+     * Get a pending approval
+     *
+     * @param {String} approvalId - Approval ID
+     * @returns {Object|null} - The approval record, or null if it is not pending
+     */
+    get(approvalId) {
+      const entry = pending.get(approvalId);
+      return entry ? entry.approval : null;
+    },
+
+    /**
+     * List the approvals recorded for a session
+     *
+     * Approvals that are in the session store but no longer waiting (for example after a server
+     * restart) are reported as expired.
+     *
+     * @param {String} sessionId - Session ID
+     * @returns {Promise<Array>} - Approval records
+     */
+    async listForSession(sessionId) {
+      const session = await retrieveSession(sessionId);
+
+      return (session?.pendingApprovals || []).map(approval => (
+        pending.has(approval.id) ? approval : { ...approval, status: 'expired' }
+      ));
+    },
+
+    /**
+     * Check whether a query is waiting for approval
+     *
+     * @param {String} queryId - Query ID
+     * @returns {Boolean} - True if any approval for the query is pending
+     */
+    hasPendingForQuery(queryId) {
+      return [...pending.values()].some(entry => entry.approval.queryId === queryId);
+    }
+  };
+}
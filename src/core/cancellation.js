@@ -0,0 +1,76 @@
+/**
+ * Query Cancellation
+ *
+ * Helpers for cooperative cancellation of in-flight queries. Each query owns an AbortController;
+ * its signal is threaded through planning, tool execution and every LLM request so that work
+ * stops at the next checkpoint once the user cancels.
+ */
+
+/**
+ * Create the error thrown when a query has been cancelled
+ *
+ * @param {String} message - Optional error message
+ * @returns {Error} - Error with code QUERY_CANCELLED
+ */
+export function createCancellationError(message = 'Query was cancelled') {
+  const error = new Error(message);
+  error.code = 'QUERY_CANCELLED';
+  return error;
+}
+
+/**
+ * Throw a cancellation error if the signal has been aborted
+ *
+ * @param {AbortSignal} signal - Abort signal for the current query
+ */
+export function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw createCancellationError();
+  }
+}
+
+/**
+ * Check whether an error was caused by cancelling the query
+ *
+ * @param {Error} error - The caught error
+ * @param {AbortSignal} signal - Abort signal for the current query
+ * @returns {Boolean} - True if the error is a cancellation
+ */
+export function isCancellation(error, signal) {
+  return Boolean(
+    (signal && signal.aborted) ||
+    (error && (error.code === 'QUERY_CANCELLED' || error.name === 'AbortError'))
+  );
+}
+
+/**
+ * Bind an abort signal to an OpenAI-compatible client
+ *
+ * Every `chat.completions.create` and `embeddings.create` call made through the returned client
+ * is aborted together with the query, including calls made by modules that only receive the client.
+ *
+ * @param {Object} client - OpenAI-compatible client
+ * @param {AbortSignal} signal - Abort signal for the current query
+ * @returns {Object} - Client wrapper with the signal applied to each request
+ */
+export function bindClientSignal(client, signal) {
+  if (!client || !signal) {
+    return client;
+  }
+
+  const withSignal = (resource) => ({
+    create: (body, options = {}) => {
+      throwIfCancelled(signal);
+      return resource.create(body, { ...options, signal });
+    }
+  });
+
+  return {
+    ...client,
+    chat: {
+      ...client.chat,
+      completions: withSignal(client.chat.completions)
+    },
+    ...(client.embeddings && { embeddings: withSignal(client.embeddings) })
+  };
+}
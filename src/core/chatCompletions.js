@@ -0,0 +1,300 @@
+/**
+ * Chat Completions Compatibility
+ *
+ * Maps the OpenAI Chat Completions wire format onto orchestrator queries and back. The last
+ * user message becomes the query and the earlier messages identify the session: once the
+ * agent has answered, the conversation including that answer is remembered, so a client that
+ * sends it back with a new user message continues the same session. Conversations the server
+ * does not know (new ones, edited ones, or ones from before a restart) get a new session
+ * seeded with the messages the client sent.
+ *
+ * The tools the agent ran are reported as `tool_calls` on the assistant message. They have
+ * already been executed, so the finish reason stays `stop` and clients must not answer them.
+ *
+ * Configuration:
+ *   CHAT_COMPLETIONS_MODEL - Model name reported to clients (default emergent-agent)
+ *   CHAT_COMPLETIONS_CONVERSATIONS - Conversations remembered for continuation (default 1000)
+ */
+
+import crypto from 'crypto';
+import { createExposedError } from './errors.js';
+
+export const CHAT_COMPLETIONS_MODEL = process.env.CHAT_COMPLETIONS_MODEL || 'emergent-agent';
+
+// Roles accepted in requests; `developer` is the newer name for `system`
+const ROLE_ALIASES = {
+  system: 'system',
+  developer: 'system',
+  user: 'user',
+  assistant: 'assistant'
+};
+
+/**
+ * Read the text of a message, which may be a string or a list of content parts
+ *
+ * @param {String|Array|null} content - Message content
+ * @returns {String} - Text of the message; non-text parts are ignored
+ */
+function contentText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n');
+  }
+
+  return '';
+}
+
+/**
+ * Translate `response_format` into the orchestrator's structured output option
+ *
+ * @param {Object} responseFormat - `response_format` request parameter
+ * @returns {Object|null} - `output` option for the query
+ */
+function toOutputOption(responseFormat) {
+  if (!responseFormat || responseFormat.type === 'text') {
+    return null;
+  }
+
+  if (responseFormat.type === 'json_object') {
+    return { schema: { type: 'object' } };
+  }
+
+  if (responseFormat.type === 'json_schema' && responseFormat.json_schema?.schema) {
+    return { name: responseFormat.json_schema.name || null, schema: responseFormat.json_schema.schema };
+  }
+
+  throw createExposedError('INVALID_REQUEST', 'response_format must be text, json_object or json_schema with a schema', { param: 'response_format' });
+}
+
+/**
+ * Validate a chat completion request and extract the query
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} - { messages, query, model, stream, includeUsage, output, user }
+ * @throws {Error} - INVALID_REQUEST with the offending `param`
+ */
+export function parseChatRequest(body = {}) {
+  const { messages, model, stream = false, stream_options: streamOptions, n = 1, user } = body;
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw createExposedError('INVALID_REQUEST', 'messages must be a non-empty array', { param: 'messages' });
+  }
+
+  const normalized = messages.map((message, index) => {
+    const role = ROLE_ALIASES[message?.role];
+    if (!role) {
+      throw createExposedError(
+        'INVALID_REQUEST',
+        `Unsupported role '${message?.role}': only system, user and assistant messages are accepted`,
+        { param: `messages[${index}].role` }
+      );
+    }
+    return { role, content: contentText(message.content) };
+  });
+
+  const last = normalized[normalized.length - 1];
+  if (last.role !== 'user' || !last.content.trim()) {
+    throw createExposedError('INVALID_REQUEST', 'The last message must be a user message with text content', { param: `messages[${normalized.length - 1}]` });
+  }
+
+  if (n !== 1) {
+    throw createExposedError('INVALID_REQUEST', 'Only n=1 is supported', { param: 'n' });
+  }
+
+  return {
+    messages: normalized,
+    query: last.content,
+    model: typeof model === 'string' && model ? model : CHAT_COMPLETIONS_MODEL,
+    stream: stream === true,
+    includeUsage: Boolean(streamOptions?.include_usage),
+    output: toOutputOption(body.response_format),
+    user: typeof user === 'string' ? user : null
+  };
+}
+
+/**
+ * Create the index that maps conversations to the sessions they continue
+ *
+ * Conversations are keyed by a hash of their messages and the API key's user, so one user
+ * can never continue another user's session. The oldest conversations are forgotten first.
+ *
+ * @param {Object} options - { maxEntries }
+ * @returns {Object} - Conversation index
+ */
+export function createConversationIndex({ maxEntries = Number(process.env.CHAT_COMPLETIONS_CONVERSATIONS) || 1000 } = {}) {
+  const sessions = new Map();
+
+  const keyFor = (owner, messages) => crypto
+    .createHash('sha256')
+    .update(JSON.stringify([owner, messages.map(message => [message.role, message.content.trim()])]))
+    .digest('hex');
+
+  return {
+    /**
+     * Find the session a conversation continues
+     *
+     * @param {String} owner - User the conversation belongs to
+     * @param {Array} messages - Messages before the new user message
+     * @returns {String|null} - Session ID, or null for conversations the server does not know
+     */
+    lookup(owner, messages) {
+      if (!messages.some(message => message.role === 'assistant')) {
+        return null;
+      }
+
+      const key = keyFor(owner, messages);
+      const sessionId = sessions.get(key);
+      if (sessionId) {
+        // Refresh the entry so active conversations are kept longest
+        sessions.delete(key);
+        sessions.set(key, sessionId);
+      }
+      return sessionId || null;
+    },
+
+    /**
+     * Remember a conversation so the next request in it continues the session
+     *
+     * @param {String} owner - User the conversation belongs to
+     * @param {Array} messages - All messages so far, including the agent's answer
+     * @param {String} sessionId - Session the conversation ran in
+     */
+    remember(owner, messages, sessionId) {
+      sessions.set(keyFor(owner, messages), sessionId);
+
+      while (sessions.size > maxEntries) {
+        sessions.delete(sessions.keys().next().value);
+      }
+    }
+  };
+}
+
+/**
+ * Text of the assistant message for an orchestrator response
+ *
+ * @param {Object} result - Orchestrator response
+ * @returns {String} - Answer text, or the validated JSON for structured answers
+ */
+export function answerContent(result) {
+  return result.data !== undefined && result.data !== null ? JSON.stringify(result.data) : result.text || '';
+}
+
+/**
+ * Describe the tools the agent ran as OpenAI tool calls
+ *
+ * Besides the standard fields every call carries a non-standard `execution` object with the
+ * outcome of the step.
+ *
+ * @param {Object} result - Orchestrator response
+ * @returns {Array} - Tool calls, successful steps first
+ */
+export function toToolCalls(result) {
+  const completed = (result.toolsUsed || []).map(tool => ({
+    name: tool.name,
+    input: tool.input,
+    execution: {
+      status: 'completed',
+      time_ms: tool.executionTime ?? null,
+      attempts: tool.attempts ?? 1
+    }
+  }));
+
+  const failed = (result.failedSteps || []).map(failure => ({
+    name: failure.tool,
+    execution: {
+      status: 'failed',
+      error: failure.error,
+      attempts: failure.attempts ?? 1
+    }
+  }));
+
+  return [...completed, ...failed].map((call, index) => ({
+    id: `call_${index + 1}`,
+    type: 'function',
+    function: {
+      name: call.name,
+      arguments: JSON.stringify(call.input ?? {})
+    },
+    execution: call.execution
+  }));
+}
+
+/**
+ * Convert orchestrator token usage to the OpenAI usage object
+ *
+ * @param {Object|null} usage - Orchestrator query usage
+ * @returns {Object} - { prompt_tokens, completion_tokens, total_tokens }
+ */
+export function toUsage(usage) {
+  return {
+    prompt_tokens: usage?.promptTokens || 0,
+    completion_tokens: usage?.completionTokens || 0,
+    total_tokens: usage?.totalTokens || 0
+  };
+}
+
+/**
+ * Build a `chat.completion` response for an orchestrator response
+ *
+ * @param {Object} result - Orchestrator response
+ * @param {Object} options - { id, model, created }
+ * @returns {Object} - Chat completion
+ */
+export function toChatCompletion(result, { id, model, created }) {
+  const toolCalls = toToolCalls(result);
+
+  return {
+    id,
+    object: 'chat.completion',
+    created,
+    model,
+    choices: [
+      {
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: answerContent(result),
+          ...(toolCalls.length > 0 && { tool_calls: toolCalls })
+        },
+        finish_reason: 'stop'
+      }
+    ],
+    usage: toUsage(result.usage),
+    session_id: result.sessionId
+  };
+}
+
+/**
+ * Build a `chat.completion.chunk` for a streamed response
+ *
+ * @param {Object} options - { id, model, created }
+ * @param {Object} delta - Message delta
+ * @param {String|null} finishReason - Finish reason of the last chunk
+ * @returns {Object} - Chat completion chunk
+ */
+export function toChunk({ id, model, created }, delta, finishReason = null) {
+  return {
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  };
+}
+
+/**
+ * Build the OpenAI error body for a failed query
+ *
+ * @param {String} message - Error message
+ * @param {Object} options - { type, code, param }
+ * @returns {Object} - { error }
+ */
+export function toErrorBody(message, { type = 'server_error', code = null, param = null } = {}) {
+  return { error: { message, type, param, code } };
+}
@@ -0,0 +1,169 @@
+/**
+ * Cron Expressions
+ *
+ * Parses standard five-field cron expressions (minute, hour, day of month, month, day of
+ * week) and computes their next occurrence in the server's time zone. Fields accept `*`,
+ * numbers, ranges (`1-5`), steps (`*\/15`, `0-30/10`), lists (`1,15`) and month or weekday
+ * names (`JAN`, `MON-FRI`). The macros `@hourly`, `@daily`, `@weekly`, `@monthly` and
+ * `@yearly` are supported as well.
+ */
+
+import { createExposedError } from './errors.js';
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'], offset: 0 }
+];
+
+// Give up looking for a match after this many years, e.g. for `0 0 31 2 *`
+const SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+  const upper = value.toUpperCase();
+  const nameIndex = field.names ? field.names.indexOf(upper) : -1;
+  const number = nameIndex !== -1 ? nameIndex + field.offset : Number(value);
+
+  if (!/^\d+$/.test(value) && nameIndex === -1) {
+    throw createExposedError('INVALID_REQUEST', `Invalid ${field.name} '${value}'`);
+  }
+  if (number < field.min || number > field.max) {
+    throw createExposedError('INVALID_REQUEST', `The ${field.name} must be between ${field.min} and ${field.max}, got ${value}`);
+  }
+  return number;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [range, stepSource, ...extra] = part.split('/');
+    if (extra.length > 0) {
+      throw createExposedError('INVALID_REQUEST', `Invalid step '${part}' in the ${field.name} field`);
+    }
+    const step = stepSource === undefined ? 1 : Number(stepSource);
+
+    if (!Number.isInteger(step) || step < 1) {
+      throw createExposedError('INVALID_REQUEST', `Invalid step '${stepSource}' in the ${field.name} field`);
+    }
+
+    let start;
+    let end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const bounds = range.split('-');
+      if (bounds.length !== 2) {
+        throw createExposedError('INVALID_REQUEST', `Invalid range '${range}' in the ${field.name} field`);
+      }
+      [start, end] = bounds.map(value => parseValue(value, field));
+      if (start > end) {
+        throw createExposedError('INVALID_REQUEST', `Invalid range '${range}' in the ${field.name} field`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // `5/15` means every 15 starting at 5
+      end = stepSource === undefined ? start : field.max;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {String} expression - Five-field cron expression or macro
+ * @returns {Object} - { expression, minutes, hours, daysOfMonth, months, daysOfWeek } where
+ *                     each field is a Set, plus whether the day fields were restricted
+ * @throws {Error} - INVALID_REQUEST describing the first invalid field
+ */
+export function parseCron(expression) {
+  const source = String(expression || '').trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+
+  if (fields.length !== 5) {
+    throw createExposedError('INVALID_REQUEST', `A cron expression needs 5 fields (minute hour day month weekday), got '${source}'`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseField(field, FIELDS[index]));
+
+  // Sunday may be written as 0 or 7
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    expression: source,
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    dayOfMonthRestricted: fields[2] !== '*',
+    dayOfWeekRestricted: fields[4] !== '*'
+  };
+}
+
+function matchesDay(schedule, date) {
+  const dayOfMonth = schedule.daysOfMonth.has(date.getDate());
+  const dayOfWeek = schedule.daysOfWeek.has(date.getDay());
+
+  // As in cron, a restricted day of month and day of week match if either one does
+  if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+    return dayOfMonth || dayOfWeek;
+  }
+  return dayOfMonth && dayOfWeek;
+}
+
+/**
+ * Compute the next time a cron expression fires
+ *
+ * @param {String|Object} expression - Cron expression, or the result of parseCron
+ * @param {Date} after - Find the first occurrence strictly after this time
+ * @returns {Date|null} - Next occurrence, or null if the expression never fires
+ */
+export function nextCronRun(expression, after = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const date = new Date(after.getTime());
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+
+  const limit = new Date(date.getTime());
+  limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+  while (date < limit) {
+    if (!schedule.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0);
+    } else if (!matchesDay(schedule, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0);
+    } else if (!schedule.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0);
+    } else if (!schedule.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1);
+    } else {
+      return date;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,22 @@
+/**
+ * Errors
+ *
+ * Errors raised for the user carry a `code`, which the routes map to an HTTP status, and
+ * `expose`, which marks their message as safe to show to the user. Other errors are reported
+ * with a generic message.
+ */
+
+/**
+ * Create an error whose message is safe to show to the user
+ *
+ * @param {String} code - Error code, e.g. INVALID_REQUEST or NOT_FOUND
+ * @param {String} message - Message shown to the user
+ * @param {Object} details - Further properties of the error, e.g. { budget } or { param }
+ * @returns {Error} - Error with `code` and `expose` set
+ */
+export function createExposedError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.expose = true;
+  return Object.assign(error, details);
+}
@@ -0,0 +1,468 @@
+/**
+ * Tool Chain Executor
+ *
+ * Runs the steps of a tool execution plan against the tool registry. Steps may declare
+ * `dependsOn` (IDs of earlier steps); the plan is then executed as a DAG, running independent
+ * steps concurrently up to a concurrency limit and passing outputs along the dependency edges.
+ * Plans whose steps declare no dependencies run as a linear chain, each step depending on
+ * the one before it.
+ *
+ * Each invocation runs under the tool's timeout and retry policy. Inputs are validated against
+ * the tool's input schema before the tool runs and outputs against its output schema after
+ * each attempt; an invalid input fails the step without calling the tool. A failed step only
+ * fails the branches downstream of it; unrelated branches still complete. Usage statistics
+ * are recorded for every attempt (feeding the registry's circuit breakers) and per-step state
+ * is reported as steps start and finish.
+ */
+
+import { logger } from '../utils/logger.js';
+import { throwIfCancelled, isCancellation } from './cancellation.js';
+import { executeWithPolicy } from '../tools/policies.js';
+import { prepareToolInput, checkToolOutput } from '../tools/validator.js';
+
+// Matches {{steps.<id>.output}} and {{steps.<id>.output.some.path}} placeholders
+const STEP_REFERENCE = /\{\{\s*steps\.([\w-]+)\.output((?:\.[\w-]+)*)\s*\}\}/g;
+
+/**
+ * Create the error thrown when execution fails, carrying the results produced so far
+ */
+function createExecutionError(code, message, { step = null, cause = null, outputs = [], toolsUsed = [], failures = [] } = {}) {
+  const error = new Error(message);
+  error.code = code;
+  error.step = step;
+  error.cause = cause;
+  error.failures = failures;
+  error.partialResults = { outputs, toolsUsed };
+  return error;
+}
+
+/**
+ * Resolve step IDs and dependencies for a plan
+ *
+ * @param {Array} steps - Plan steps
+ * @returns {Array} - Steps with `id` and `dependsOn` filled in
+ */
+export function resolveStepDependencies(steps) {
+  const withIds = steps.map((step, index) => ({ ...step, id: step.id || `step-${index + 1}` }));
+  const isDag = withIds.some(step => Array.isArray(step.dependsOn));
+
+  return withIds.map((step, index) => ({
+    ...step,
+    dependsOn: isDag
+      ? (step.dependsOn || [])
+      : (index > 0 ? [withIds[index - 1].id] : [])
+  }));
+}
+
+/**
+ * Validate that dependencies reference known steps and contain no cycles
+ *
+ * @param {Array} steps - Steps returned by resolveStepDependencies
+ * @param {Array} completedStepIds - IDs of steps completed in an earlier run that steps may depend on
+ * @throws {Error} - INVALID_PLAN if the dependency graph is invalid
+ */
+export function validateStepDependencies(steps, completedStepIds = []) {
+  const byId = new Map(steps.map(step => [step.id, step]));
+  const completed = new Set(completedStepIds);
+
+  if (byId.size !== steps.length) {
+    throw createExecutionError('INVALID_PLAN', 'Plan step IDs must be unique');
+  }
+
+  for (const step of steps) {
+    const unknown = step.dependsOn.filter(id => !byId.has(id) && !completed.has(id));
+    if (unknown.length > 0) {
+      throw createExecutionError('INVALID_PLAN', `Step ${step.id} depends on unknown steps: ${unknown.join(', ')}`);
+    }
+  }
+
+  // Depth-first search for cycles
+  const visiting = new Set();
+  const visited = new Set();
+
+  const visit = (id) => {
+    if (visited.has(id) || completed.has(id)) return;
+    if (visiting.has(id)) {
+      throw createExecutionError('INVALID_PLAN', `Plan contains a dependency cycle at step ${id}`);
+    }
+    visiting.add(id);
+    byId.get(id).dependsOn.forEach(visit);
+    visiting.delete(id);
+    visited.add(id);
+  };
+
+  steps.forEach(step => visit(step.id));
+}
+
+/**
+ * Read a dotted path from a value
+ */
+function getPath(value, path) {
+  return path
+    .split('.')
+    .filter(Boolean)
+    .reduce((current, key) => (current === undefined || current === null ? undefined : current[key]), value);
+}
+
+/**
+ * Substitute {{steps.<id>.output}} placeholders in a step input
+ */
+function resolveReferences(input, outputsById) {
+  if (typeof input === 'string') {
+    // A placeholder that is the whole string is replaced by the raw value
+    const whole = input.match(/^\{\{\s*steps\.([\w-]+)\.output((?:\.[\w-]+)*)\s*\}\}$/);
+    if (whole) {
+      return getPath(outputsById.get(whole[1]), whole[2]);
+    }
+
+    return input.replace(STEP_REFERENCE, (match, id, path) => {
+      const value = getPath(outputsById.get(id), path);
+      return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+  }
+
+  if (Array.isArray(input)) {
+    return input.map(item => resolveReferences(item, outputsById));
+  }
+
+  if (input && typeof input === 'object') {
+    return Object.fromEntries(
+      Object.entries(input).map(([key, value]) => [key, resolveReferences(value, outputsById)])
+    );
+  }
+
+  return input;
+}
+
+/**
+ * Build the input for a step from its declared input or its dependencies' outputs
+ */
+function buildStepInput(step, outputsById, query) {
+  if (step.input !== undefined) {
+    return resolveReferences(step.input, outputsById);
+  }
+
+  if (step.dependsOn.length === 0) {
+    return query;
+  }
+
+  if (step.dependsOn.length === 1) {
+    return outputsById.get(step.dependsOn[0]);
+  }
+
+  return Object.fromEntries(step.dependsOn.map(id => [id, outputsById.get(id)]));
+}
+
+/**
+ * Execute a tool plan as a dependency graph
+ *
+ * @param {Object} params - Execution parameters
+ * @param {Object} params.plan - Plan produced by generateToolPlan
+ *                               ({ steps: [{ id, tool, input, dependsOn }] })
+ * @param {Object} params.context - Session context passed to each tool
+ * @param {String} params.queryId - Query the plan runs for, passed to each tool as `queryId`
+ * @param {ToolRegistry} params.toolRegistry - Registry used to resolve and account for tools
+ * @param {Function} params.onProgress - Optional progress callback, receives per-step state
+ * @param {AbortSignal} params.signal - Optional abort signal for the query
+ * @param {Function} params.beforeStep - Optional async hook ({ step, tool, input, index }) called
+ *                                       before each step; may return { input } to replace the input
+ * @param {Number} params.maxConcurrency - Maximum number of steps running at once
+ * @param {Array} params.previousOutputs - Outputs of steps completed in an earlier run of the
+ *                                         query (e.g. before replanning); plan steps with these
+ *                                         IDs are not run again and their outputs can be used
+ * @returns {Promise<Object>} - { outputs, toolsUsed, failures } for the steps run by this call
+ */
+export async function executeToolChain({
+  plan,
+  context,
+  queryId = null,
+  toolRegistry,
+  onProgress = null,
+  signal = null,
+  beforeStep = null,
+  maxConcurrency = Number(process.env.TOOL_MAX_CONCURRENCY) || 3,
+  previousOutputs = []
+}) {
+  const completedIds = previousOutputs.map(result => result.stepId);
+  const steps = resolveStepDependencies(plan.steps).filter(step => !completedIds.includes(step.id));
+  validateStepDependencies(steps, completedIds);
+
+  const states = new Map([
+    ...completedIds.map(id => [id, 'completed']),
+    ...steps.map(step => [step.id, 'pending'])
+  ]);
+  const outputsById = new Map(previousOutputs.map(result => [result.stepId, result.output]));
+  const toolsUsedById = new Map();
+  const failures = [];
+  const running = new Map();
+  let cancellationError = null;
+
+  const collectOutputs = () => steps
+    .filter(step => outputsById.has(step.id))
+    .map(step => ({ stepId: step.id, tool: step.tool, output: outputsById.get(step.id) }));
+
+  const collectToolsUsed = () => steps
+    .filter(step => toolsUsedById.has(step.id))
+    .map(step => toolsUsedById.get(step.id));
+
+  const setState = (step, status, details = {}) => {
+    states.set(step.id, status);
+
+    if (onProgress) {
+      onProgress({
+        stepId: step.id,
+        tool: step.tool,
+        status,
+        ...details,
+        totalSteps: steps.length,
+        completedSteps: steps.filter(s => states.get(s.id) === 'completed').length,
+        steps: steps.map(s => ({ id: s.id, tool: s.tool, status: states.get(s.id) }))
+      });
+    }
+  };
+
+  const runStep = async (step, index) => {
+    // Tools named by the plan run in the version the session pinned, or the default version
+    const toolId = toolRegistry.resolveToolId(step.toolId || step.tool, { versions: context.toolVersions });
+    const tool = toolId ? toolRegistry.get(toolId) : null;
+
+    if (!tool) {
+      const range = step.tool && context.toolVersions?.[step.tool];
+      failures.push({
+        stepId: step.id,
+        tool: step.tool,
+        error: range
+          ? `No available version of ${step.tool} matches ${range}, the version pinned for this session`
+          : `Tool not found: ${step.tool || step.toolId}`
+      });
+      setState(step, 'failed', { error: 'Tool not found' });
+      return;
+    }
+
+    const { retired, sunsetAt } = toolRegistry.getReleaseState(tool);
+    if (retired) {
+      failures.push({ stepId: step.id, tool: tool.name, error: `Version ${tool.version} of ${tool.name} was retired on ${sunsetAt}`, code: 'TOOL_RETIRED' });
+      setState(step, 'failed', { error: 'Tool version is retired' });
+      return;
+    }
+
+    if (!toolRegistry.isToolAvailable(toolId)) {
+      const { resetAt } = toolRegistry.getCircuitState(toolId);
+      failures.push({ stepId: step.id, tool: tool.name, error: `Tool ${tool.name} is unavailable until ${resetAt}`, code: 'TOOL_UNAVAILABLE' });
+      setState(step, 'failed', { error: 'Tool is temporarily unavailable' });
+      return;
+    }
+    
+    let releaseInvocation = null;
+    try {
+      let input = prepareToolInput(tool, buildStepInput(step, outputsById, context.currentQuery));
+
+      if (beforeStep) {
+        const override = await beforeStep({ step, tool, input, index });
+        if (override && override.input !== undefined) {
+          input = prepareToolInput(tool, override.input);
+        }
+        throwIfCancelled(signal);
+      }
+
+      setState(step, 'running');
+
+      // An output that breaks the schema fails the attempt, so it counts against the tool
+      const checkedTool = {
+        ...tool,
+        execute: async (attemptInput, attemptContext) => checkToolOutput(tool, await tool.execute(attemptInput, attemptContext))
+      };
+
+      // A half-open circuit breaker lets a single trial call through, so claim the invocation
+      // right before running it rather than holding it through the approval gate
+      releaseInvocation = toolRegistry.acquireInvocation(toolId);
+      if (!releaseInvocation) {
+        const { resetAt } = toolRegistry.getCircuitState(toolId);
+        throw createExecutionError('TOOL_UNAVAILABLE', `Tool ${tool.name} is unavailable until ${resetAt}`);
+      }
+
+      const executionStart = Date.now();
+      const { output, attempts } = await executeWithPolicy(checkedTool, input, { ...context, queryId, stepId: step.id }, {
+        signal,
+        onAttempt: ({ success, executionTime, error }) => {
+          toolRegistry.recordToolUsage(toolId, {
+            success,
+            executionTime,
+            error,
+            userId: context.userId,
+            sessionId: context.sessionId,
+            range: context.toolVersions?.[tool.name] || null
+          });
+        },
+        canRetry: () => toolRegistry.isToolAvailable(toolId),
+        onRetry: ({ attempt, error }) => setState(step, 'retrying', { attempt, error: error.message })
+      });
+      const executionTime = Date.now() - executionStart;
+
+      outputsById.set(step.id, output);
+      toolsUsedById.set(step.id, {
+        id: toolId,
+        stepId: step.id,
+        name: tool.name,
+        version: tool.version,
+        input,
+        output,
+        executionTime,
+        attempts,
+        ...(step.substitutedFor && { substitutedFor: step.substitutedFor })
+      });
+
+      setState(step, 'completed', { executionTime, attempts });
+    } catch (error) {
+      if (isCancellation(error, signal)) {
+        cancellationError = cancellationError || error;
+        setState(step, 'cancelled');
+        return;
+      }
+
+      // Approval decisions are not tool failures and abort the whole query
+      if (error.code === 'APPROVAL_REJECTED' || error.code === 'APPROVAL_TIMEOUT') {
+        throw error;
+      }
+
+      logger.error(`Step ${step.id} (${tool.name}) failed:`, error);
+
+      failures.push({
+        stepId: step.id,
+        tool: tool.name,
+        error: error.message,
+        code: error.code || 'TOOL_EXECUTION_FAILED',
+        attempts: error.attempts || 1,
+        ...(error.validationErrors && { validationErrors: error.validationErrors }),
+        cause: error
+      });
+      setState(step, 'failed', { error: error.message });
+    } finally {
+      if (releaseInvocation) {
+        releaseInvocation();
+      }
+    }
+  };
+
+  while (true) {
+    if (cancellationError || (signal && signal.aborted)) {
+      // Wait for running steps so their results are included in the partial results
+      await Promise.allSettled(running.values());
+      const error = cancellationError || createExecutionError('QUERY_CANCELLED', 'Query was cancelled');
+      error.partialResults = { outputs: collectOutputs(), toolsUsed: collectToolsUsed() };
+      throw error;
+    }
+
+    // Skip steps downstream of a failure, then start every step whose dependencies completed
+    let progressed = true;
+    while (progressed) {
+      progressed = false;
+      for (const step of steps) {
+        if (states.get(step.id) !== 'pending') continue;
+
+        const blocked = step.dependsOn.some(id => ['failed', 'skipped'].includes(states.get(id)));
+        if (blocked) {
+          setState(step, 'skipped', { reason: 'An upstream step failed' });
+          progressed = true;
+        }
+      }
+    }
+
+    for (const [index, step] of steps.entries()) {
+      if (running.size >= maxConcurrency) break;
+      if (states.get(step.id) !== 'pending' || running.has(step.id)) continue;
+      if (!step.dependsOn.every(id => states.get(id) === 'completed')) continue;
+
+      states.set(step.id, 'starting');
+      const promise = runStep(step, index).finally(() => running.delete(step.id));
+      running.set(step.id, promise);
+    }
+
+    if (running.size === 0) {
+      break;
+    }
+
+    try {
+      await Promise.race(running.values());
+    } catch (error) {
+      await Promise.allSettled(running.values());
+      error.partialResults = { outputs: collectOutputs(), toolsUsed: collectToolsUsed() };
+      throw error;
+    }
+  }
+
+  const outputs = collectOutputs();
+  const toolsUsed = collectToolsUsed();
+
+  const reportedFailures = failures.map(({ cause, ...failure }) => ({
+    ...failure,
+    skippedSteps: steps
+      .filter(step => states.get(step.id) === 'skipped' && dependsTransitivelyOn(steps, step, failure.stepId))
+      .map(step => step.id)
+  }));
+
+  // Only fail the whole execution if nothing succeeded
+  if (failures.length > 0 && outputs.length === 0 && previousOutputs.length === 0) {
+    const [firstFailure] = failures;
+    throw createExecutionError(
+      'TOOL_EXECUTION_FAILED',
+      `Tool ${firstFailure.tool} failed: ${firstFailure.error}`,
+      {
+        step: steps.find(step => step.id === firstFailure.stepId),
+        cause: firstFailure.cause,
+        outputs,
+        toolsUsed,
+        failures: reportedFailures
+      }
+    );
+  }
+
+  return { outputs, toolsUsed, failures: reportedFailures };
+}
+
+/**
+ * Run a single tool outside of a plan
+ *
+ * The tool runs as a one-step plan, so its circuit breaker, timeout and retry policy apply
+ * and every attempt is recorded in the registry's usage statistics, as for plan steps.
+ *
+ * @param {Object} params - Execution parameters
+ * @param {String} params.tool - Tool ID or name
+ * @param {*} params.input - Tool input
+ * @param {Object} params.context - Context passed to the tool
+ * @param {ToolRegistry} params.toolRegistry - Registry used to resolve and account for the tool
+ * @param {AbortSignal} params.signal - Optional abort signal
+ * @returns {Promise<Object>} - { output, executionTime, attempts }
+ * @throws {Error} - TOOL_EXECUTION_FAILED with `failures` if the tool is unknown, unavailable or fails
+ */
+export async function executeTool({ tool, input, context, toolRegistry, signal = null }) {
+  const { toolsUsed: [used] } = await executeToolChain({
+    plan: { steps: [{ id: 'call', tool, input }] },
+    context,
+    toolRegistry,
+    signal,
+    // Step placeholders only mean something inside a plan, so the input is passed as given
+    beforeStep: async () => ({ input })
+  });
+
+  return { output: used.output, executionTime: used.executionTime, attempts: used.attempts };
+}
+
+/**
+ * Check whether a step depends, directly or indirectly, on another step
+ */
+function dependsTransitivelyOn(steps, step, targetId) {
+  const byId = new Map(steps.map(s => [s.id, s]));
+  const stack = [...step.dependsOn];
+  const seen = new Set();
+
+  while (stack.length > 0) {
+    const id = stack.pop();
+    if (id === targetId) return true;
+    if (seen.has(id) || !byId.has(id)) continue;
+    seen.add(id);
+    stack.push(...byId.get(id).dependsOn);
+  }
+
+  return false;
+}
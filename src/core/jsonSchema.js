@@ -0,0 +1,427 @@
+/**
+ * JSON Schema Validation
+ *
+ * A small validator for the JSON Schema subset callers use to describe structured data:
+ * type, enum, const, properties, required, additionalProperties, items, the string, number
+ * and array bounds, pattern, format, anyOf/oneOf/allOf/not and local $ref pointers into
+ * `definitions` or `$defs`. Errors name the exact location of every violation, e.g.
+ * `$.items[2].price`, so they can be fed back to an LLM or shown to API callers.
+ *
+ * Schemas come from API callers and tool authors, so patterns that could backtrack for a
+ * long time (longer than MAX_PATTERN_LENGTH, or with a repeated group that itself repeats,
+ * e.g. `(a+)+`) are refused, and $ref cycles that never reach a nested value are reported
+ * instead of recursing forever.
+ */
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+
+const NUMERIC_KEYWORDS = [
+  'minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'multipleOf',
+  'minLength', 'maxLength', 'minItems', 'maxItems', 'minProperties', 'maxProperties'
+];
+
+const MAX_PATTERN_LENGTH = 256;
+
+// A quantifier that repeats what precedes it: *, +, {n,}, {n,m} or {n} with n > 1
+const REPEAT = /^(?:[*+]|\{\d+,\d*\}|\{(?:[2-9]|\d{2,})\})/;
+
+const FORMATS = {
+  'date-time': value => !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value),
+  date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:\S+$/i.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Render a path as `$.a.b[0]`
+ *
+ * @param {Array} segments - Property names and array indexes
+ * @returns {String} - Path string
+ */
+export function formatPath(segments = []) {
+  return segments.reduce((path, segment) => (
+    typeof segment === 'number' || !/^[A-Za-z_$][\w$]*$/.test(segment)
+      ? `${path}[${JSON.stringify(segment)}]`
+      : `${path}.${segment}`
+  ), '$');
+}
+
+function plural(count, noun) {
+  return count === 1 ? `1 ${noun}` : `${count} ${noun.replace(/y$/, 'ie')}s`;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeOf(value) === type;
+  }
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Whether a pattern repeats a group that contains a repetition, e.g. `(a+)+` or `(\w*\s)*`,
+ * the usual cause of catastrophic backtracking
+ *
+ * @param {String} pattern - Regular expression source
+ * @returns {Boolean} - True if a repeated group contains a repetition
+ */
+function hasNestedRepetition(pattern) {
+  const groups = [{ repeats: false }];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')' && groups.length > 1) {
+      const group = groups.pop();
+      const repeated = REPEAT.test(pattern.slice(i + 1));
+
+      if (group.repeats && repeated) {
+        return true;
+      }
+      groups[groups.length - 1].repeats ||= group.repeats;
+    } else if (REPEAT.test(pattern.slice(i))) {
+      groups[groups.length - 1].repeats = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Why a pattern cannot be used
+ *
+ * @param {String} pattern - Regular expression source
+ * @returns {String|null} - The problem, or null if the pattern can be used
+ */
+function patternProblem(pattern) {
+  if (typeof pattern !== 'string') {
+    return 'must be a string';
+  }
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, 'u');
+  } catch (error) {
+    return error.message;
+  }
+
+  return hasNestedRepetition(pattern) ? 'repeats a group that itself repeats, which can take exponential time' : null;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#')) {
+    throw new Error(`Only local $ref pointers are supported, got '${ref}'`);
+  }
+
+  const target = ref.slice(1).split('/').filter(Boolean).reduce((node, part) => (
+    node === undefined ? undefined : node[part.replace(/~1/g, '/').replace(/~0/g, '~')]
+  ), root);
+
+  if (target === undefined) {
+    throw new Error(`Unresolvable $ref '${ref}'`);
+  }
+  return target;
+}
+
+// `refs` holds the $refs followed for the current value; it starts empty for each nested value
+function validateNode(schema, value, path, root, errors, refs = new Set()) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path: formatPath(path), keyword: 'false', message: 'No value is allowed here' });
+    return;
+  }
+
+  if (schema.$ref) {
+    if (refs.has(schema.$ref)) {
+      errors.push({ path: formatPath(path), keyword: '$ref', message: `Circular $ref '${schema.$ref}'` });
+      return;
+    }
+    validateNode(resolveRef(root, schema.$ref), value, path, root, errors, new Set(refs).add(schema.$ref));
+    return;
+  }
+
+  const fail = (keyword, message) => errors.push({ path: formatPath(path), keyword, message });
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (schema.nullable === true) types.push('null');
+
+    if (!types.some(type => matchesType(value, type))) {
+      fail('type', `Expected ${types.join(' or ')}, got ${typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => isEqual(option, value))) {
+    fail('enum', `Must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+
+  if (schema.const !== undefined && !isEqual(schema.const, value)) {
+    fail('const', `Must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail('minLength', `Must be at least ${plural(schema.minLength, 'character')}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail('maxLength', `Must be at most ${plural(schema.maxLength, 'character')}`);
+    }
+    if (schema.pattern) {
+      const problem = patternProblem(schema.pattern);
+      if (problem) {
+        fail('pattern', `The pattern ${problem}`);
+      } else if (!new RegExp(schema.pattern, 'u').test(value)) {
+        fail('pattern', `Must match the pattern ${schema.pattern}`);
+      }
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      fail('format', `Must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail('minimum', `Must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail('maximum', `Must be at most ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      fail('exclusiveMinimum', `Must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      fail('exclusiveMaximum', `Must be less than ${schema.exclusiveMaximum}`);
+    }
+    if (schema.multipleOf && Math.abs(value / schema.multipleOf - Math.round(value / schema.multipleOf)) > 1e-9) {
+      fail('multipleOf', `Must be a multiple of ${schema.multipleOf}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail('minItems', `Must have at least ${plural(schema.minItems, 'item')}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail('maxItems', `Must have at most ${plural(schema.maxItems, 'item')}`);
+    }
+    if (schema.uniqueItems && new Set(value.map(item => JSON.stringify(item))).size !== value.length) {
+      fail('uniqueItems', 'Items must be unique');
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => validateNode(schema.items, item, [...path, index], root, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    // Properties set to undefined are dropped when the value is serialized, so they count as absent
+    const keys = Object.keys(value).filter(key => value[key] !== undefined);
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ path: formatPath([...path, name]), keyword: 'required', message: 'Required property is missing' });
+      }
+    }
+
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      fail('minProperties', `Must have at least ${plural(schema.minProperties, 'property')}`);
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      fail('maxProperties', `Must have at most ${plural(schema.maxProperties, 'property')}`);
+    }
+
+    for (const key of keys) {
+      if (properties[key] !== undefined) {
+        validateNode(properties[key], value[key], [...path, key], root, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: formatPath([...path, key]), keyword: 'additionalProperties', message: 'Unknown property' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        validateNode(schema.additionalProperties, value[key], [...path, key], root, errors);
+      }
+    }
+  }
+
+  for (const subschema of schema.allOf || []) {
+    validateNode(subschema, value, path, root, errors, refs);
+  }
+
+  const branchErrors = (subschemas) => subschemas.map(subschema => {
+    const branch = [];
+    validateNode(subschema, value, path, root, branch, refs);
+    return branch;
+  });
+
+  if (schema.anyOf) {
+    const branches = branchErrors(schema.anyOf);
+    if (!branches.some(branch => branch.length === 0)) {
+      // Report the branch that came closest to matching
+      const closest = branches.reduce((best, branch) => (branch.length < best.length ? branch : best));
+      errors.push(...closest);
+    }
+  }
+
+  if (schema.oneOf) {
+    const matching = branchErrors(schema.oneOf).filter(branch => branch.length === 0).length;
+    if (matching !== 1) {
+      fail('oneOf', matching === 0 ? 'Must match one of the allowed shapes' : 'Matches more than one of the allowed shapes');
+    }
+  }
+
+  if (schema.not && branchErrors([schema.not])[0].length === 0) {
+    fail('not', 'Matches a shape that is not allowed');
+  }
+}
+
+/**
+ * Validate a value against a JSON Schema
+ *
+ * @param {Object|Boolean} schema - JSON Schema
+ * @param {*} value - Value to validate
+ * @returns {Object} - { valid, errors } where errors are [{ path, keyword, message }]
+ */
+export function validateJsonSchema(schema, value) {
+  const errors = [];
+  validateNode(schema, value, [], schema, errors);
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Whether following a schema's $refs through the keywords that apply to the same value
+ * (allOf, anyOf, oneOf, not) leads back to a $ref already followed
+ *
+ * @param {Object} root - Root schema $refs point into
+ * @param {Object|Boolean} node - Schema to start from
+ * @param {Set<String>} refs - $refs followed so far
+ * @returns {Boolean} - True if there is a cycle
+ */
+function hasRefCycle(root, node, refs = new Set()) {
+  if (!node || typeof node !== 'object') return false;
+
+  if (node.$ref !== undefined) {
+    if (refs.has(node.$ref)) return true;
+
+    let target;
+    try {
+      target = resolveRef(root, node.$ref);
+    } catch {
+      return false;
+    }
+    return hasRefCycle(root, target, new Set(refs).add(node.$ref));
+  }
+
+  const subschemas = ['allOf', 'anyOf', 'oneOf']
+    .flatMap(keyword => (Array.isArray(node[keyword]) ? node[keyword] : []))
+    .concat(node.not === undefined ? [] : [node.not]);
+
+  return subschemas.some(subschema => hasRefCycle(root, subschema, refs));
+}
+
+/**
+ * Check that a JSON Schema is well-formed before it is used
+ *
+ * @param {Object|Boolean} schema - JSON Schema
+ * @returns {Array<String>} - Problems found, empty if the schema can be used
+ */
+export function checkJsonSchema(schema) {
+  const problems = [];
+
+  const visit = (node, path) => {
+    if (typeof node === 'boolean') return;
+    if (!node || typeof node !== 'object' || Array.isArray(node)) {
+      problems.push(`${path}: must be an object or boolean`);
+      return;
+    }
+
+    for (const type of [].concat(node.type ?? [])) {
+      if (!TYPES.includes(type)) {
+        problems.push(`${path}.type: unknown type '${type}'`);
+      }
+    }
+
+    for (const keyword of NUMERIC_KEYWORDS) {
+      if (node[keyword] !== undefined && typeof node[keyword] !== 'number') {
+        problems.push(`${path}.${keyword}: must be a number`);
+      }
+    }
+
+    if (node.required !== undefined && (!Array.isArray(node.required) || node.required.some(name => typeof name !== 'string'))) {
+      problems.push(`${path}.required: must be an array of property names`);
+    }
+
+    if (node.enum !== undefined && (!Array.isArray(node.enum) || node.enum.length === 0)) {
+      problems.push(`${path}.enum: must be a non-empty array`);
+    }
+
+    if (node.pattern !== undefined) {
+      const problem = patternProblem(node.pattern);
+      if (problem) {
+        problems.push(`${path}.pattern: ${problem}`);
+      }
+    }
+
+    if (node.$ref !== undefined) {
+      try {
+        resolveRef(schema, node.$ref);
+        if (hasRefCycle(schema, node)) {
+          problems.push(`${path}.$ref: '${node.$ref}' refers back to itself without a nested value in between`);
+        }
+      } catch (error) {
+        problems.push(`${path}.$ref: ${error.message}`);
+      }
+    }
+
+    for (const keyword of ['properties', 'definitions', '$defs']) {
+      if (node[keyword] !== undefined) {
+        if (typeof node[keyword] !== 'object' || Array.isArray(node[keyword])) {
+          problems.push(`${path}.${keyword}: must be an object`);
+        } else {
+          Object.entries(node[keyword]).forEach(([name, child]) => visit(child, `${path}.${keyword}.${name}`));
+        }
+      }
+    }
+
+    for (const keyword of ['items', 'additionalProperties', 'not']) {
+      if (node[keyword] !== undefined && typeof node[keyword] !== 'boolean') {
+        visit(node[keyword], `${path}.${keyword}`);
+      }
+    }
+
+    for (const keyword of ['anyOf', 'oneOf', 'allOf']) {
+      if (node[keyword] !== undefined) {
+        if (!Array.isArray(node[keyword]) || node[keyword].length === 0) {
+          problems.push(`${path}.${keyword}: must be a non-empty array`);
+        } else {
+          node[keyword].forEach((child, index) => visit(child, `${path}.${keyword}[${index}]`));
+        }
+      }
+    }
+  };
+
+  visit(schema, '$');
+  return problems;
+}
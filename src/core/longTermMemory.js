@@ -0,0 +1,247 @@
+/**
+ * Long-Term Memory
+ *
+ * Remembers facts about a user across sessions. After each turn, salient facts are extracted
+ * from the exchange, embedded and upserted into the vector store under the user's namespace;
+ * before planning, the memories most relevant to the new query are recalled and added to the
+ * session context, where they are included in prompts alongside the conversation memory.
+ *
+ * Anonymous users have no long-term memory, since their memories could not be kept apart.
+ *
+ * Configuration:
+ *   LONG_TERM_MEMORY_ENABLED   - Set to 'false' to disable long-term memory
+ *   LONG_TERM_MEMORY_TOP_K     - Memories recalled per query (default 5)
+ *   LONG_TERM_MEMORY_MIN_SCORE - Lowest similarity of a recalled memory (default 0.5)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { embedTexts } from '../llm/embeddings.js';
+import { createExposedError } from './errors.js';
+
+// Memories at least this similar to a new fact are replaced by it instead of duplicated
+const DUPLICATE_SCORE = 0.95;
+
+// Facts extracted from a single turn
+const MAX_FACTS_PER_TURN = 5;
+
+// Longest fact kept, in characters
+const MAX_FACT_LENGTH = 500;
+
+// Statements about the user that are worth remembering when no LLM is available
+const FACT_PATTERN = /\b(i am|i'm|i work|i live|i prefer|i like|i love|i hate|i don't like|i use|my|remember that|call me)\b/i;
+
+function namespaceFor(userId) {
+  return `user:${userId}`;
+}
+
+function toMemory({ id, score, metadata }) {
+  return {
+    id,
+    text: metadata.text,
+    sessionId: metadata.sessionId || null,
+    createdAt: metadata.createdAt,
+    updatedAt: metadata.updatedAt || metadata.createdAt,
+    ...(score !== undefined && { score })
+  };
+}
+
+/**
+ * Extract facts about the user from their message without an LLM
+ */
+function extractFactsHeuristically(query) {
+  return String(query)
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(sentence => sentence.trim())
+    .filter(sentence => sentence.length > 10 && FACT_PATTERN.test(sentence) && !sentence.endsWith('?'))
+    .slice(0, MAX_FACTS_PER_TURN);
+}
+
+/**
+ * Create a long-term memory
+ *
+ * @param {Object} options - Memory options, defaulting to the environment configuration
+ * @param {Object} options.vectorStore - Vector store (see data/vectorStore.js)
+ * @returns {Object} - Long-term memory
+ */
+export function createLongTermMemory(options = {}) {
+  const { vectorStore } = options;
+  const enabled = options.enabled ?? process.env.LONG_TERM_MEMORY_ENABLED !== 'false';
+  const topK = options.topK || Number(process.env.LONG_TERM_MEMORY_TOP_K) || 5;
+  const minScore = options.minScore ?? (Number(process.env.LONG_TERM_MEMORY_MIN_SCORE) || 0.5);
+
+  const isActive = (userId) => enabled && Boolean(vectorStore) && Boolean(userId) && userId !== 'anonymous';
+
+  const embed = (texts, llmClient) => embedTexts(texts, llmClient, { model: options.embeddingModel });
+
+  const extractFacts = async ({ query, response }, llmClient) => {
+    if (!llmClient) {
+      return extractFactsHeuristically(query);
+    }
+
+    try {
+      const completion = await llmClient.chat.completions.create({
+        model: process.env.OPENAI_MEMORY_MODEL || 'gpt-3.5-turbo',
+        messages: [
+          {
+            role: 'system',
+            content: `Extract lasting facts about the user from this exchange that would help in future
+                      conversations: who they are, their preferences, projects, constraints and decisions.
+                      Ignore the content of the question itself and anything only relevant right now.
+                      Reply with a JSON array of short, self-contained statements, or [] if there are none.`
+          },
+          {
+            role: 'user',
+            content: `User: ${query}\n\nAssistant: ${response}`
+          }
+        ],
+        max_tokens: 300
+      });
+
+      const content = completion.choices?.[0]?.message?.content || '[]';
+      const facts = JSON.parse(content.slice(content.indexOf('['), content.lastIndexOf(']') + 1));
+
+      return Array.isArray(facts)
+        ? facts.filter(fact => typeof fact === 'string' && fact.trim()).slice(0, MAX_FACTS_PER_TURN)
+        : [];
+    } catch (error) {
+      logger.warn('Falling back to heuristic fact extraction:', error);
+      return extractFactsHeuristically(query);
+    }
+  };
+
+  return {
+    enabled,
+
+    /**
+     * Extract salient facts from a turn and store them
+     *
+     * Never throws: failing to remember must not fail the query.
+     *
+     * @param {Object} turn - { userId, sessionId, query, response }
+     * @param {Object} llmClient - Optional client used for extraction and embeddings
+     * @returns {Promise<Array>} - Stored memories
+     */
+    async remember({ userId, sessionId, query, response }, llmClient = null) {
+      if (!isActive(userId)) {
+        return [];
+      }
+
+      try {
+        const facts = (await extractFacts({ query, response }, llmClient))
+          .map(fact => fact.trim().slice(0, MAX_FACT_LENGTH));
+
+        if (facts.length === 0) {
+          return [];
+        }
+
+        const namespace = namespaceFor(userId);
+        const vectors = await embed(facts, llmClient);
+        const now = new Date().toISOString();
+        const records = [];
+
+        for (let i = 0; i < facts.length; i++) {
+          const [closest] = await vectorStore.query(namespace, vectors[i], { topK: 1 });
+          const duplicate = closest && closest.score >= DUPLICATE_SCORE;
+
+          records.push({
+            id: duplicate ? closest.id : uuidv4(),
+            values: vectors[i],
+            metadata: {
+              text: facts[i],
+              userId,
+              sessionId,
+              createdAt: duplicate ? closest.metadata.createdAt : now,
+              updatedAt: now
+            }
+          });
+        }
+
+        await vectorStore.upsert(namespace, records);
+        logger.debug(`Stored ${records.length} long-term memories for user ${userId}`);
+
+        return records.map(toMemory);
+      } catch (error) {
+        logger.error(`Failed to store long-term memories for user ${userId}:`, error);
+        return [];
+      }
+    },
+
+    /**
+     * Recall the memories most relevant to a query
+     *
+     * Never throws: a query is answered without memories if recall fails.
+     *
+     * @param {String} userId - User ID
+     * @param {String} text - Query text
+     * @param {Object} llmClient - Optional client used for embeddings
+     * @returns {Promise<Array>} - Memories with their similarity `score`, most relevant first
+     */
+    async recall(userId, text, llmClient = null) {
+      if (!isActive(userId) || !text) {
+        return [];
+      }
+
+      try {
+        const [vector] = await embed([text], llmClient);
+        const matches = await vectorStore.query(namespaceFor(userId), vector, { topK });
+        return matches.filter(match => match.score >= minScore).map(toMemory);
+      } catch (error) {
+        logger.error(`Failed to recall long-term memories for user ${userId}:`, error);
+        return [];
+      }
+    },
+
+    /**
+     * List a user's memories, optionally ranked by relevance to a search text
+     *
+     * @param {String} userId - User ID
+     * @param {Object} params - { search, limit }
+     * @param {Object} llmClient - Optional client used for embeddings
+     * @returns {Promise<Array>} - Memories, newest first unless searching
+     */
+    async list(userId, { search = '', limit = 100 } = {}, llmClient = null) {
+      if (!isActive(userId)) {
+        return [];
+      }
+
+      const namespace = namespaceFor(userId);
+
+      if (search) {
+        const [vector] = await embed([search], llmClient);
+        return (await vectorStore.query(namespace, vector, { topK: limit })).map(toMemory);
+      }
+
+      return (await vectorStore.list(namespace, { limit }))
+        .map(toMemory)
+        .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    },
+
+    /**
+     * Delete one of a user's memories
+     *
+     * @param {String} userId - User ID
+     * @param {String} memoryId - Memory ID
+     */
+    async forget(userId, memoryId) {
+      if (!isActive(userId)) {
+        throw createExposedError('INVALID_REQUEST', 'Long-term memory is not available');
+      }
+
+      await vectorStore.delete(namespaceFor(userId), [memoryId]);
+    },
+
+    /**
+     * Delete all of a user's memories
+     *
+     * @param {String} userId - User ID
+     */
+    async forgetAll(userId) {
+      if (!isActive(userId)) {
+        throw createExposedError('INVALID_REQUEST', 'Long-term memory is not available');
+      }
+
+      await vectorStore.deleteAll(namespaceFor(userId));
+    }
+  };
+}
@@ -0,0 +1,311 @@
+/**
+ * Conversation Memory
+ *
+ * Keeps a session's history inside the model context window. The most recent messages stay
+ * verbatim in `context.conversationHistory`; older messages are rolled into a running summary,
+ * and facts the user pinned are always remembered. Before every LLM call the summary, pinned
+ * facts and any long-term memories recalled for the query (`context.recalledMemories`) are
+ * added to the prompt and the prompt is trimmed to the token limit.
+ *
+ * Configuration:
+ *   MEMORY_RECENT_MESSAGES    - Messages kept verbatim (default 12)
+ *   MEMORY_MAX_HISTORY_TOKENS - Verbatim history size that triggers summarization (default 3000)
+ *   MEMORY_MAX_PINNED_FACTS   - Pinned facts per session (default 20)
+ *   LLM_MAX_PROMPT_TOKENS     - Size every prompt is trimmed to (default 6000)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { estimateTokens } from '../llm/usage.js';
+import { createExposedError } from './errors.js';
+
+// Marks the system message carrying the summary and pinned facts
+const MEMORY_MESSAGE_PREFIX = 'Conversation memory';
+
+// Summaries kept for inspection, newest last
+const MAX_SUMMARY_HISTORY = 10;
+
+// Upper bound for the running summary when it is built without an LLM
+const MAX_SUMMARY_CHARS = 4000;
+
+/**
+ * Create the memory state stored on a session context
+ *
+ * @returns {Object} - { summary, summarizedMessages, summaries, pinnedFacts }
+ */
+export function createMemoryState() {
+  return { summary: '', summarizedMessages: 0, summaries: [], pinnedFacts: [] };
+}
+
+function contentOf(message) {
+  return typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+}
+
+function countTokens(messages) {
+  return messages.reduce((total, message) => total + estimateTokens(contentOf(message)) + 4, 0);
+}
+
+/**
+ * Summarize messages without an LLM by keeping the start of each message
+ */
+function summarizeExtractively(previousSummary, messages) {
+  const lines = messages.map(message => `- ${message.role}: ${contentOf(message).replace(/\s+/g, ' ').slice(0, 200)}`);
+  const summary = [previousSummary, ...lines].filter(Boolean).join('\n');
+
+  // Keep the most recent part when the summary grows too long
+  return summary.length > MAX_SUMMARY_CHARS ? summary.slice(-MAX_SUMMARY_CHARS) : summary;
+}
+
+/**
+ * Create a memory manager
+ *
+ * @param {Object} options - Manager options, defaulting to the environment configuration
+ * @returns {Object} - Memory manager
+ */
+export function createMemoryManager(options = {}) {
+  const recentMessages = options.recentMessages || Number(process.env.MEMORY_RECENT_MESSAGES) || 12;
+  const maxHistoryTokens = options.maxHistoryTokens || Number(process.env.MEMORY_MAX_HISTORY_TOKENS) || 3000;
+  const maxPinnedFacts = options.maxPinnedFacts || Number(process.env.MEMORY_MAX_PINNED_FACTS) || 20;
+  const maxPromptTokens = options.maxPromptTokens || Number(process.env.LLM_MAX_PROMPT_TOKENS) || 6000;
+
+  const ensure = (context) => {
+    context.memory = context.memory || createMemoryState();
+    return context.memory;
+  };
+
+  const summarize = async (previousSummary, messages, llmClient) => {
+    if (!llmClient) {
+      return summarizeExtractively(previousSummary, messages);
+    }
+
+    try {
+      const response = await llmClient.chat.completions.create({
+        model: process.env.OPENAI_MEMORY_MODEL || 'gpt-3.5-turbo',
+        messages: [
+          {
+            role: 'system',
+            content: `You maintain a running summary of a conversation between a user and an AI agent.
+                      Update the summary with the new messages. Keep facts, decisions, user preferences
+                      and open questions; drop small talk. Reply with the updated summary only, in at
+                      most 200 words.`
+          },
+          {
+            role: 'user',
+            content: `Current summary:\n${previousSummary || '(empty)'}\n\nNew messages:\n` +
+              messages.map(message => `${message.role}: ${contentOf(message)}`).join('\n')
+          }
+        ],
+        max_tokens: 400
+      });
+
+      const text = response.choices?.[0]?.message?.content?.trim();
+      return text || summarizeExtractively(previousSummary, messages);
+    } catch (error) {
+      logger.warn('Falling back to extractive conversation summary:', error);
+      return summarizeExtractively(previousSummary, messages);
+    }
+  };
+
+  return {
+    limits: { recentMessages, maxHistoryTokens, maxPinnedFacts, maxPromptTokens },
+
+    /**
+     * Roll older messages into the running summary
+     *
+     * Keeps the last `recentMessages` messages verbatim, and fewer if they exceed
+     * `maxHistoryTokens`.
+     *
+     * @param {Object} context - Session context
+     * @param {Object} llmClient - Optional client used to write the summary
+     * @returns {Promise<Boolean>} - True if messages were summarized
+     */
+    async compact(context, llmClient = null) {
+      const memory = ensure(context);
+      const history = context.conversationHistory || [];
+
+      let cut = Math.max(0, history.length - recentMessages);
+      while (history.length - cut > 2 && countTokens(history.slice(cut)) > maxHistoryTokens) {
+        cut++;
+      }
+
+      if (cut === 0) {
+        return false;
+      }
+
+      const olderMessages = history.slice(0, cut);
+      memory.summary = await summarize(memory.summary, olderMessages, llmClient);
+      memory.summarizedMessages += cut;
+      memory.summaries = [
+        ...memory.summaries,
+        {
+          id: uuidv4(),
+          text: memory.summary,
+          messageCount: cut,
+          from: olderMessages[0].timestamp || null,
+          to: olderMessages[olderMessages.length - 1].timestamp || null,
+          createdAt: new Date().toISOString()
+        }
+      ].slice(-MAX_SUMMARY_HISTORY);
+
+      context.conversationHistory = history.slice(cut);
+      logger.debug(`Summarized ${cut} messages for session ${context.sessionId || context.id}`);
+      return true;
+    },
+
+    /**
+     * Add the summary and pinned facts to a prompt and trim it to the token limit
+     *
+     * System messages and the final message are always kept. The oldest other messages are
+     * dropped first; if that is not enough, the longest remaining message is truncated.
+     *
+     * @param {Array} messages - Chat messages
+     * @param {Object} context - Session context
+     * @returns {Array} - Messages to send
+     */
+    prepareMessages(messages = [], context = null) {
+      let prepared = [...messages];
+      const memoryContent = context ? this.describe(context) : null;
+
+      if (memoryContent && !prepared.some(m => m.role === 'system' && contentOf(m).startsWith(MEMORY_MESSAGE_PREFIX))) {
+        const insertAt = prepared.findIndex(message => message.role !== 'system');
+        const memoryMessage = { role: 'system', content: memoryContent };
+        prepared.splice(insertAt === -1 ? prepared.length : insertAt, 0, memoryMessage);
+      }
+
+      while (countTokens(prepared) > maxPromptTokens) {
+        const dropIndex = prepared.findIndex((message, index) => message.role !== 'system' && index < prepared.length - 1);
+        if (dropIndex === -1) break;
+        prepared.splice(dropIndex, 1);
+      }
+
+      const excess = countTokens(prepared) - maxPromptTokens;
+      if (excess > 0) {
+        const longest = prepared.reduce((best, message, index) => (
+          contentOf(message).length > contentOf(prepared[best]).length ? index : best
+        ), 0);
+        const content = contentOf(prepared[longest]);
+        prepared[longest] = {
+          ...prepared[longest],
+          content: content.slice(0, Math.max(0, content.length - excess * 4 - 20)) + '\n[truncated]'
+        };
+      }
+
+      return prepared;
+    },
+
+    /**
+     * Describe what the agent remembers beyond the verbatim history
+     *
+     * @param {Object} context - Session context
+     * @returns {String|null} - Memory text for the prompt, or null if there is nothing to add
+     */
+    describe(context) {
+      const memory = context.memory || createMemoryState();
+      const recalled = context.recalledMemories || [];
+      if (!memory.summary && memory.pinnedFacts.length === 0 && recalled.length === 0) {
+        return null;
+      }
+
+      const sections = [`${MEMORY_MESSAGE_PREFIX} (earlier in this session):`];
+      if (recalled.length > 0) {
+        sections.push('Things you remember about the user from earlier sessions:\n' +
+          recalled.map(item => `- ${item.text}`).join('\n'));
+      }
+      if (memory.pinnedFacts.length > 0) {
+        sections.push('Facts the user asked you to remember:\n' +
+          memory.pinnedFacts.map(fact => `- ${fact.text}`).join('\n'));
+      }
+      if (memory.summary) {
+        sections.push(`Summary of earlier conversation:\n${memory.summary}`);
+      }
+
+      return sections.join('\n\n');
+    },
+
+    /**
+     * Pin a fact so it is always included in prompts
+     *
+     * @param {Object} context - Session context
+     * @param {Object} fact - { text, source } where source optionally identifies the message
+     * @returns {Object} - The pinned fact
+     */
+    pinFact(context, { text, source = null }) {
+      const memory = ensure(context);
+
+      if (!text || typeof text !== 'string' || !text.trim()) {
+        throw createExposedError('INVALID_REQUEST', 'Pinned fact text is required');
+      }
+
+      if (memory.pinnedFacts.length >= maxPinnedFacts) {
+        throw createExposedError('INVALID_REQUEST', `A session can have at most ${maxPinnedFacts} pinned facts`);
+      }
+
+      const fact = { id: uuidv4(), text: text.trim(), source, pinnedAt: new Date().toISOString() };
+      memory.pinnedFacts.push(fact);
+      return fact;
+    },
+
+    /**
+     * Remove a pinned fact
+     *
+     * @param {Object} context - Session context
+     * @param {String} factId - Pinned fact ID
+     * @returns {Boolean} - True if the fact was found
+     */
+    unpinFact(context, factId) {
+      const memory = ensure(context);
+      const remaining = memory.pinnedFacts.filter(fact => fact.id !== factId);
+      const removed = remaining.length !== memory.pinnedFacts.length;
+      memory.pinnedFacts = remaining;
+      return removed;
+    },
+
+    /**
+     * Get a debugging view of a session's memory
+     *
+     * @param {Object} context - Session context
+     * @returns {Object} - Summary, summary history, pinned facts and verbatim history size
+     */
+    inspect(context) {
+      const memory = ensure(context);
+      const history = context.conversationHistory || [];
+
+      return {
+        summary: memory.summary,
+        summarizedMessages: memory.summarizedMessages,
+        summaries: memory.summaries,
+        pinnedFacts: memory.pinnedFacts,
+        recentMessages: history.length,
+        recentTokens: countTokens(history),
+        prompt: this.describe(context),
+        limits: this.limits
+      };
+    }
+  };
+}
+
+/**
+ * Apply session memory to every request made through an OpenAI-compatible client
+ *
+ * @param {Object} client - OpenAI-compatible client
+ * @param {Object} options - { memory, context } memory manager and session context
+ * @returns {Object} - Client that adds memory to and trims each prompt
+ */
+export function withMemory(client, { memory, context }) {
+  if (!client || !memory) {
+    return client;
+  }
+
+  return {
+    ...client,
+    chat: {
+      ...client.chat,
+      completions: {
+        create: (body, options) => client.chat.completions.create({
+          ...body,
+          messages: memory.prepareMessages(body.messages, context)
+        }, options)
+      }
+    }
+  };
+}
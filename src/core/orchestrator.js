@@ -6,90 +6,247 @@
  * which tools to use and how to combine their outputs to fulfill user requests.
  */
 
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import { OpenAI } from 'openai';
 import { logger } from '../utils/logger.js';
 import { createToolExecutionContext } from './context.js';
 import { extractEntities } from '../nlp/entityExtraction.js';
 import { analyzeIntent } from '../nlp/intentAnalysis.js';
 import { generateToolPlan } from './planner.js';
-import { executeToolChain } from './executor.js';
+import { executeToolChain, resolveStepDependencies, validateStepDependencies } from './executor.js';
+import { prepareToolInput, checkToolOutput } from '../tools/validator.js';
 import { synthesizeResults } from './synthesizer.js';
+import { synthesizeResultsStream, collectSources } from './streaming.js';
+import { resolveOutputSpec, synthesizeStructured } from './structuredOutput.js';
+import { bindClientSignal, throwIfCancelled, isCancellation } from './cancellation.js';
+import { createApprovalManager, requiresApproval } from './approvals.js';
+import { createMemoryManager, withMemory } from './memory.js';
+import { createLongTermMemory } from './longTermMemory.js';
+import { loadAgentProfiles, registerAgentTools, isToolAllowed, withAgentProfile, AGENT_TOOL_CATEGORY } from './agents.js';
+import { createVectorStore } from '../data/vectorStore.js';
 import { storeSession, retrieveSession } from '../data/sessionManager.js';
 import { evaluateToolSuccess } from '../monitoring/evaluator.js';
+import { initializeLLMProviders } from '../llm/index.js';
+import { createUsageLedger, createUsageTotals, meterClient } from '../llm/usage.js';
+import { createExposedError } from './errors.js';
 
-// LLM client instances
-let openaiClient;
+// LLM provider router, hands out a client per pipeline stage
+let llmRouter;
+
+// Number of reviewable plans kept per session
+const MAX_STORED_PLANS = 10;
+
+// Assumed duration of a step whose tool has no recorded executions
+const DEFAULT_STEP_TIME_MS = 1000;
 
 /**
  * Initializes the Agent Orchestrator with necessary resources and configurations
  * 
  * @param {Map} toolRegistry - Registry of available tools for the agent to use
+ * @param {Object} options - Optional overrides
+ * @param {Object} options.llmRouter - LLM router to use instead of the environment configuration
+ *                                     (e.g. one backed by the fake provider for offline tests)
+ * @param {String} options.approvalThreshold - Lowest tool risk level that requires user approval
+ *                                             ('read-only', 'writes-data', 'external-side-effect' or 'none')
+ * @param {Number} options.maxReplans - How many times a plan is repaired after failed steps
+ *                                      before falling back to a tool-less answer
+ * @param {Object} options.usageLedger - Ledger for LLM token usage and budgets
+ * @param {Object} options.memoryManager - Manager for conversation summaries and pinned facts
+ * @param {Object} options.longTermMemory - User-scoped memory kept across sessions
+ * @param {Object} options.vectorStore - Vector store for long-term memory when none is given
+ * @param {Array} options.agentProfiles - Specialist sub-agents the orchestrator can delegate to
+ * @param {Number} options.maxDelegationDepth - How deeply sub-agents may delegate to each other
  * @returns {Object} - The configured orchestrator instance
  */
-export async function initializeAgentOrchestrator(toolRegistry) {
+export async function initializeAgentOrchestrator(toolRegistry, options = {}) {
   logger.info('Initializing Agent Orchestrator');
   
-  // Initialize LLM clients
-  if (process.env.OPENAI_API_KEY) {
-    openaiClient = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    logger.info('OpenAI client initialized');
-  } else {
-    logger.warn('OpenAI API key not found, LLM capabilities will be limited');
-  }
+  // Initialize LLM providers for each pipeline stage
+  llmRouter = options.llmRouter || initializeLLMProviders();
+  
+  const approvalThreshold = options.approvalThreshold || 
+    process.env.TOOL_APPROVAL_THRESHOLD || 
+    'external-side-effect';
+  
+  const maxReplans = options.maxReplans ?? (Number(process.env.MAX_REPLANS) || 2);
+  
+  const agentProfiles = options.agentProfiles || loadAgentProfiles();
+  const maxDelegationDepth = options.maxDelegationDepth ?? (Number(process.env.MAX_DELEGATION_DEPTH) || 2);
   
   // Create and return the orchestrator instance
   const orchestrator = {
     toolRegistry,
+    llm: llmRouter,
+    approvals: createApprovalManager(),
+    usage: options.usageLedger || createUsageLedger(),
+    memory: options.memoryManager || createMemoryManager(),
+    longTermMemory: options.longTermMemory || createLongTermMemory({
+      vectorStore: options.vectorStore || createVectorStore()
+    }),
+    approvalThreshold,
+    maxReplans,
+    agentProfiles,
+    maxDelegationDepth,
     activeContexts: new Map(),
+    activeQueries: new Map(),
+    // Publishes `lifecycle` events ({ id, type, userId, createdAt, data }) for webhooks
+    events: new EventEmitter(),
+    
+    /**
+     * Publish a lifecycle event such as `query.completed`
+     * 
+     * @param {String} type - Event type
+     * @param {String} userId - User the event concerns
+     * @param {Object} data - Event details
+     */
+    emitEvent(type, userId, data) {
+      this.events.emit('lifecycle', { id: uuidv4(), type, userId, createdAt: new Date().toISOString(), data });
+    },
     
     /**
      * Process a user query through the orchestration pipeline
      * 
+     * Pass `mode: 'plan-only'` to stop after planning and get the plan back for review;
+     * the reviewed (and possibly edited) plan is then run with `executePlan`. Pass `output`
+     * (see resolveOutputSpec) to get a schema-validated `data` object along with the text.
+     * Pass `toolVersions` (version ranges by tool name) to pin the session's tool versions.
+     * 
      * @param {Object} queryData - The query data from the user
-     * @param {Object} socket - Optional socket for real-time updates
+     * @param {Object} socket - Optional socket (or SSE emitter) for real-time updates
+     * @param {Object} preparedPlan - Internal: { intent, plan } from a reviewed plan, skips analysis and planning
      * @returns {Object} - The processed response
      */
-    async processQuery(queryData, socket = null) {
-      const { text, sessionId = uuidv4(), userId = 'anonymous', metadata = {} } = queryData;
+    async processQuery(queryData, socket = null, preparedPlan = null) {
+      const { 
+        text, 
+        sessionId = uuidv4(), 
+        userId = 'anonymous', 
+        workspaceId = null,
+        queryId = uuidv4(), 
+        mode = 'execute',
+        output = null,
+        history = [],
+        toolVersions = null,
+        metadata = {} 
+      } = queryData;
       const startTime = Date.now();
       let contextId = uuidv4();
+      let context = null;
+      let executionResults = null;
+      let partialText = '';
+      
+      // Clients may choose the ID so they can cancel before the query starts; an ID that is
+      // already running belongs to another query and must not replace it
+      if (this.activeQueries.has(queryId)) {
+        throw createExposedError('QUERY_ID_IN_USE', `Query ${queryId} is already running`);
+      }
+      
+      // Register the query so it can be cancelled while in flight
+      const abortController = new AbortController();
+      const { signal } = abortController;
+      const activeQuery = { abortController, signal, sessionId, userId, startTime, socket, beforeStep: null };
+      this.activeQueries.set(queryId, activeQuery);
+      // Every LLM call is cancellable with the query and metered against its budgets, and
+      // prompts carry the session memory trimmed to the context window
+      const llmClientFor = (stage) => {
+        const client = meterClient(
+          bindClientSignal(llmRouter.getClient(stage), signal),
+          { ledger: this.usage, queryId, stage }
+        );
+        return stage === 'memory' ? client : withMemory(client, { memory: this.memory, context });
+      };
+      
+      if (socket) {
+        socket.emit('agent:status', { 
+          status: 'started',
+          queryId,
+          sessionId
+        });
+      }
       
       try {
+        // Reject an unusable output schema before doing any work
+        const outputSpec = resolveOutputSpec(output);
+        
         // Step 1: Create or retrieve session context
-        const context = await this.getOrCreateContext(sessionId, userId);
+        context = await this.getOrCreateContext(sessionId, userId);
         context.currentQuery = text;
+        context.currentQueryId = queryId;
         contextId = context.id;
         
-        // Step 2: Analyze query intent and entities
-        const [intent, entities] = await Promise.all([
-          analyzeIntent(text, openaiClient),
-          extractEntities(text, openaiClient)
-        ]);
+        // Clients that keep the conversation themselves send the earlier turns along; they only
+        // seed a session that has no history of its own yet
+        if (history.length > 0 && context.conversationHistory.length === 0) {
+          context.conversationHistory.push(...history.map(turn => ({
+            role: turn.role,
+            content: turn.content,
+            timestamp: new Date().toISOString()
+          })));
+        }
+        
+        // Pins sent along, e.g. by a scheduled task, replace the ones the session had
+        if (toolVersions) {
+          context.toolVersions = this.toolRegistry.validateVersionPins(toolVersions);
+        }
         
-        logger.info(`Query analysis - Intent: ${intent.primary}, Entities: ${entities.length}`);
-        context.currentIntent = intent;
-        context.currentEntities = entities;
+        // Tools such as DocumentSearch also read the documents shared with the user's workspace,
+        // which is the workspace of the user running this query
+        context.workspaceId = workspaceId;
         
-        // Send real-time update if socket is available
-        if (socket) {
-          socket.emit('agent:status', { 
-            status: 'analyzing',
-            message: 'Analyzing your request...'
+        // Session usage is kept on the context so it is persisted with the session
+        context.usage = context.usage || createUsageTotals();
+        await this.usage.loadUser(userId);
+        this.usage.startQuery({ queryId, sessionId, userId, sessionUsage: context.usage });
+        
+        // Recall what the agent knows about the user from earlier sessions; the memories are
+        // included in every prompt of this query
+        context.recalledMemories = await this.longTermMemory.recall(userId, text, llmClientFor('memory'));
+        throwIfCancelled(signal);
+        
+        let intent;
+        let plan;
+        
+        if (preparedPlan) {
+          // Running a reviewed plan: analysis and planning already happened
+          ({ intent, plan } = preparedPlan);
+          context.currentIntent = intent;
+        } else {
+          // Step 2: Analyze query intent and entities
+          const [analyzedIntent, entities] = await Promise.all([
+            analyzeIntent(text, llmClientFor('intent')),
+            extractEntities(text, llmClientFor('entities'))
+          ]);
+          throwIfCancelled(signal);
+          intent = analyzedIntent;
+          
+          logger.info(`Query analysis - Intent: ${intent.primary}, Entities: ${entities.length}`);
+          context.currentIntent = intent;
+          context.currentEntities = entities;
+          
+          // Send real-time update if socket is available
+          if (socket) {
+            socket.emit('agent:status', { 
+              status: 'analyzing',
+              message: 'Analyzing your request...'
+            });
+          }
+          
+          // Step 3: Generate tool execution plan
+          plan = await generateToolPlan({
+            intent,
+            entities,
+            context,
+            toolRegistry: this.toolRegistry,
+            unavailableTools: this.toolRegistry.getUnavailableTools().map(tool => tool.name),
+            llmClient: llmClientFor('planning'),
+            signal
           });
+          throwIfCancelled(signal);
         }
         
-        // Step 3: Generate tool execution plan
-        const plan = await generateToolPlan({
-          intent,
-          entities,
-          context,
-          toolRegistry: this.toolRegistry,
-          llmClient: openaiClient
-        });
-        
+        // Swap out tools whose circuit breaker tripped since the plan was made
+        plan = this.substituteUnavailableTools(plan);
+          
         logger.info(`Generated execution plan with ${plan.steps.length} steps`);
         context.currentPlan = plan;
         
@@ -105,27 +262,119 @@ export async function initializeAgentOrchestrator(toolRegistry) {
           });
         }
         
-        // Step 4: Execute the tool chain according to the plan
-        const executionResults = await executeToolChain({
+        // Plan-only mode stops here so the user can review and edit the plan before it runs
+        if (mode === 'plan-only') {
+          const reviewResponse = await this.storePlanForReview({
+            sessionId,
+            queryId,
+            userId,
+            text,
+            intent,
+            plan,
+            context,
+            processingTime: Date.now() - startTime
+          });
+          return { ...reviewResponse, usage: this.usage.getQueryUsage(queryId) };
+        }
+        
+        // Step 4: Execute the tool chain according to the plan, replanning around failed
+        // steps. Tools receive the signal through their execution context so long-running
+        // work can stop early, and steps at or above the approval threshold wait for the
+        // user's decision. Sub-agents the plan delegates to ask for approval the same way.
+        activeQuery.beforeStep = async ({ step, tool, input }) => {
+          if (!requiresApproval(tool.riskLevel, this.approvalThreshold)) {
+            return null;
+          }
+          
+          if (socket) {
+            socket.emit('agent:status', { 
+              status: 'awaiting_approval',
+              message: `Waiting for approval to run ${tool.name}...`
+            });
+          }
+          
+          return this.approvals.request({
+            queryId,
+            sessionId,
+            userId,
+            context,
+            step,
+            tool,
+            input,
+            socket,
+            signal
+          });
+        };
+        
+        executionResults = await this.executeWithReplanning({
           plan,
           context,
-          toolRegistry: this.toolRegistry,
+          queryId,
+          intent,
+          signal,
+          socket,
+          planningClient: llmClientFor('planning'),
           onProgress: socket ? (progress) => {
             socket.emit('agent:progress', progress);
-          } : null
+          } : null,
+          beforeStep: activeQuery.beforeStep
         });
+        throwIfCancelled(signal);
         
-        logger.info(`Tool execution completed with ${executionResults.outputs.length} results`);
+        logger.info(`Tool execution completed with ${executionResults.outputs.length} results` +
+          (executionResults.failures.length > 0 ? ` and ${executionResults.failures.length} failed steps` : '') +
+          (executionResults.replans.length > 0 ? ` after ${executionResults.replans.length} replans` : ''));
         context.lastExecutionResults = executionResults;
+        executionResults.failures.forEach(failure => this.emitEvent('tool.failed', userId, { queryId, sessionId, ...failure }));
         
-        // Step 5: Synthesize results into a coherent response
-        const response = await synthesizeResults({
-          results: executionResults.outputs,
-          context,
-          intent,
-          query: text,
-          llmClient: openaiClient
-        });
+        // Step 5: Synthesize results into a coherent response, streaming partial text
+        // to the client when a real-time channel is attached. Structured answers are not
+        // streamed since partial JSON is of no use before it validates.
+        let response;
+        
+        if (outputSpec) {
+          if (socket) {
+            socket.emit('agent:status', { 
+              status: 'synthesizing',
+              message: 'Writing the structured response...'
+            });
+          }
+          
+          response = await synthesizeStructured({
+            results: executionResults.outputs,
+            context,
+            intent,
+            query: text,
+            llmClient: llmClientFor('synthesis'),
+            output: outputSpec
+          });
+        } else if (socket) {
+          socket.emit('agent:status', { 
+            status: 'synthesizing',
+            message: 'Writing the response...'
+          });
+          
+          response = await synthesizeResultsStream({
+            results: executionResults.outputs,
+            context,
+            intent,
+            query: text,
+            llmClient: llmClientFor('synthesis'),
+            onDelta: (delta) => {
+              partialText += delta;
+              socket.emit('agent:delta', { sessionId, delta });
+            }
+          });
+        } else {
+          response = await synthesizeResults({
+            results: executionResults.outputs,
+            context,
+            intent,
+            query: text,
+            llmClient: llmClientFor('synthesis')
+          });
+        }
+        throwIfCancelled(signal);
         
         // Step 6: Update context with the final response
         context.conversationHistory.push({
@@ -146,71 +395,889 @@ export async function initializeAgentOrchestrator(toolRegistry) {
           this.scheduleToolEvaluation(executionResults, context, text, response);
         }
         
-        // Step 8: Store updated session data
+        // Step 8: Roll older turns into the session summary, remember lasting facts about the
+        // user and store updated session data
+        await Promise.all([
+          this.memory.compact(context, llmClientFor('memory')),
+          this.longTermMemory.remember({ userId, sessionId, query: text, response: response.text }, llmClientFor('memory'))
+        ]);
         await storeSession(sessionId, context);
         
         const processingTime = Date.now() - startTime;
         logger.info(`Query processed in ${processingTime}ms`);
         
-        return {
+        const result = {
           sessionId,
+          queryId,
           text: response.text,
           html: response.html,
           sources: response.sources,
+          ...(outputSpec && {
+            data: response.data,
+            validation: { schema: outputSpec.name, ...response.validation }
+          }),
           processingTime,
           toolsUsed: executionResults.toolsUsed.map(t => ({
             name: t.name,
-            executionTime: t.executionTime
-          }))
+            input: t.input,
+            executionTime: t.executionTime,
+            attempts: t.attempts,
+            retried: t.attempts > 1,
+            substitutedFor: t.substitutedFor || null,
+            replanned: Boolean(t.replanRound)
+          })),
+          failedSteps: executionResults.failures,
+          replans: executionResults.replans,
+          trace: { delegations: this.collectDelegations(executionResults) },
+          recalledMemories: context.recalledMemories.map(memory => ({ id: memory.id, text: memory.text })),
+          usage: this.usage.getQueryUsage(queryId)
         };
+        
+        this.emitEvent('query.completed', userId, {
+          queryId,
+          sessionId,
+          query: text,
+          text: result.text,
+          ...(outputSpec && { data: result.data }),
+          sources: result.sources,
+          toolsUsed: result.toolsUsed.map(tool => tool.name),
+          failedSteps: result.failedSteps.length,
+          processingTime,
+          usage: result.usage,
+          metadata
+        });
+        
+        return result;
       } catch (error) {
+        if (isCancellation(error, signal)) {
+          const cancelledResponse = await this.handleCancellation({
+            sessionId,
+            queryId,
+            text,
+            context,
+            partialText,
+            toolsUsed: (executionResults || error.partialResults || {}).toolsUsed || [],
+            processingTime: Date.now() - startTime
+          });
+          return { ...cancelledResponse, usage: this.usage.getQueryUsage(queryId) };
+        }
+        
         logger.error(`Error processing query (Context ID: ${contextId}):`, error);
         
         // Attempt to handle the error gracefully
-        const errorResponse = await this.handleExecutionError(error, text, contextId);
+        const errorResponse = await this.handleExecutionError(error, text, contextId, llmClientFor('fallback'));
+        
+        if (error.code === 'TOOL_EXECUTION_FAILED') {
+          (error.failures || []).forEach(failure => this.emitEvent('tool.failed', userId, { queryId, sessionId, ...failure }));
+        }
+        this.emitEvent('query.failed', userId, {
+          queryId,
+          sessionId,
+          query: text,
+          errorType: errorResponse.type,
+          message: errorResponse.userMessage,
+          processingTime: Date.now() - startTime,
+          metadata
+        });
         
         return {
           sessionId,
+          queryId,
           text: errorResponse.text,
           error: true,
           errorType: errorResponse.type,
           errorMessage: process.env.NODE_ENV === 'production' 
             ? errorResponse.userMessage 
-            : error.message
+            : error.message,
+          ...(error.validationErrors && {
+            data: null,
+            validation: { valid: false, attempts: error.attempts, errors: error.validationErrors }
+          }),
+          usage: this.usage.getQueryUsage(queryId)
         };
+      } finally {
+        this.activeQueries.delete(queryId);
+        this.usage.endQuery(queryId);
+      }
+    },
+    
+    /**
+     * Cancel an in-flight query
+     * 
+     * @param {String} queryId - ID of the query to cancel
+     * @param {String} userId - Optional user ID; when given, only the query owner may cancel
+     * @returns {Boolean} - True if a matching query was found and cancelled
+     */
+    cancelQuery(queryId, userId = null) {
+      const activeQuery = this.activeQueries.get(queryId);
+      
+      if (!activeQuery || (userId && activeQuery.userId !== userId)) {
+        return false;
+      }
+      
+      logger.info(`Cancelling query ${queryId}`);
+      activeQuery.abortController.abort();
+      return true;
+    },
+    
+    /**
+     * Record the partial results of a cancelled query and build its response
+     */
+    async handleCancellation({ sessionId, queryId, text, context, partialText, toolsUsed, processingTime }) {
+      logger.info(`Query ${queryId} cancelled after ${processingTime}ms`);
+      
+      if (context) {
+        context.conversationHistory.push({
+          role: 'user',
+          content: text,
+          timestamp: new Date().toISOString()
+        });
+        
+        context.conversationHistory.push({
+          role: 'assistant',
+          content: partialText,
+          toolsUsed: toolsUsed.map(t => t.name),
+          cancelled: true,
+          timestamp: new Date().toISOString()
+        });
+        
+        try {
+          await storeSession(sessionId, context);
+        } catch (storeError) {
+          logger.error(`Failed to store cancelled query ${queryId}:`, storeError);
+        }
+      }
+      
+      return {
+        sessionId,
+        queryId,
+        text: partialText,
+        cancelled: true,
+        processingTime,
+        toolsUsed: toolsUsed.map(t => ({
+          name: t.name,
+          executionTime: t.executionTime
+        }))
+      };
+    },
+    
+    /**
+     * Store a generated plan in the session so it can be reviewed, edited and executed later
+     */
+    async storePlanForReview({ sessionId, queryId, userId, text, intent, plan, context, processingTime }) {
+      const planId = plan.id || uuidv4();
+      const steps = this.normalizePlanSteps(plan.steps);
+      
+      // Keep only the most recent plans to bound the session size
+      const storedPlans = Object.values(context.plans || {})
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+        .slice(0, MAX_STORED_PLANS - 1);
+      
+      context.plans = Object.fromEntries(storedPlans.map(storedPlan => [storedPlan.id, storedPlan]));
+      context.plans[planId] = {
+        id: planId,
+        userId,
+        query: text,
+        intent,
+        steps,
+        estimatedCompletionTime: plan.estimatedCompletionTime,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+      };
+      
+      await storeSession(sessionId, context);
+      logger.info(`Stored plan ${planId} with ${steps.length} steps for review`);
+      
+      return {
+        sessionId,
+        queryId,
+        mode: 'plan-only',
+        planId,
+        query: text,
+        steps,
+        estimatedCompletionTime: plan.estimatedCompletionTime,
+        processingTime
+      };
+    },
+    
+    /**
+     * Execute a plan previously returned by a plan-only query
+     * 
+     * @param {Object} planData - { planId, sessionId, userId, queryId, steps, output }, where
+     *                            `steps` optionally replaces the stored steps with a user-edited
+     *                            list and `output` requests a structured answer
+     * @param {Object} socket - Optional socket (or SSE emitter) for real-time updates
+     * @returns {Object} - The processed response, as returned by processQuery
+     */
+    async executePlan(planData, socket = null) {
+      const { 
+        planId, 
+        sessionId, 
+        userId = 'anonymous', 
+        workspaceId = null, 
+        queryId = uuidv4(), 
+        steps = null, 
+        output = null 
+      } = planData;
+      
+      if (this.activeQueries.has(queryId)) {
+        throw createExposedError('QUERY_ID_IN_USE', `Query ${queryId} is already running`);
+      }
+      
+      const context = await this.getOrCreateContext(sessionId, userId);
+      const storedPlan = context.plans && context.plans[planId];
+      
+      if (!storedPlan || storedPlan.userId !== userId) {
+        throw createExposedError('PLAN_NOT_FOUND', `Plan ${planId} not found`);
+      }
+      
+      if (storedPlan.status !== 'pending') {
+        throw createExposedError('PLAN_ALREADY_EXECUTED', `Plan ${planId} has already been executed`);
+      }
+      
+      const planSteps = steps ? this.normalizePlanSteps(steps) : storedPlan.steps;
+      
+      if (planSteps.length === 0) {
+        throw createExposedError('INVALID_REQUEST', 'A plan needs at least one step');
+      }
+      
+      const unknownTools = planSteps
+        .filter(step => !this.toolRegistry.resolveToolId(step.tool))
+        .map(step => step.tool);
+      
+      if (unknownTools.length > 0) {
+        throw createExposedError('INVALID_REQUEST', `Unknown tools in plan: ${unknownTools.join(', ')}`);
+      }
+      
+      try {
+        validateStepDependencies(resolveStepDependencies(planSteps));
+      } catch (error) {
+        throw createExposedError('INVALID_REQUEST', error.message);
+      }
+      
+      storedPlan.status = 'executed';
+      storedPlan.executedAt = new Date().toISOString();
+      
+      const plan = {
+        id: planId,
+        steps: planSteps,
+        estimatedCompletionTime: steps
+          ? this.estimatePlanTime(planSteps)
+          : storedPlan.estimatedCompletionTime
+      };
+      
+      return this.processQuery(
+        { text: storedPlan.query, sessionId, userId, workspaceId, queryId, output },
+        socket,
+        { intent: storedPlan.intent, plan }
+      );
+    },
+    
+    /**
+     * Run a sub-task with a specialist sub-agent
+     * 
+     * The sub-agent plans and executes the task in a nested context of its own, restricted to
+     * the tools its profile allows, and meters its LLM calls as a child of the delegating query
+     * so its usage counts towards the parent's budgets as well as its own.
+     * 
+     * @param {Object} params - Delegation parameters
+     * @param {Object} params.profile - Agent profile
+     * @param {String} params.task - Sub-task description
+     * @param {Object} params.context - Execution context of the delegating step
+     * @param {Number} params.depth - Delegation depth, 1 for sub-agents of the main orchestrator
+     * @param {String} params.parentQueryId - Query that runs the delegating step; the session
+     *                                        context is shared by concurrent queries, so it
+     *                                        cannot tell which one delegates
+     * @returns {Promise<Object>} - { agent, task, text, sources, delegation } where delegation is
+     *                              the sub-agent's trace including its own delegations
+     */
+    async runDelegation({ profile, task, context: parentContext, depth, parentQueryId }) {
+      const parentQuery = this.activeQueries.get(parentQueryId);
+      
+      if (!parentQuery) {
+        throw createExposedError('INVALID_REQUEST', `Cannot delegate to the ${profile.name} agent outside of a query`);
+      }
+      
+      // The step's own signal also fires when the delegation times out
+      const signal = parentContext.signal || parentQuery.signal;
+      const { socket, beforeStep } = parentQuery;
+      const queryId = uuidv4();
+      const startTime = Date.now();
+      
+      const context = {
+        id: uuidv4(),
+        sessionId: parentContext.sessionId,
+        userId: parentContext.userId,
+        workspaceId: parentContext.workspaceId,
+        parentContextId: parentContext.id,
+        agent: profile.name,
+        agentDepth: depth,
+        currentQuery: task,
+        currentQueryId: queryId,
+        conversationHistory: [],
+        recalledMemories: parentContext.recalledMemories || [],
+        usage: parentContext.usage
+      };
+      
+      this.activeQueries.set(queryId, { ...parentQuery, signal, parentQueryId, startTime });
+      this.usage.startQuery({
+        queryId,
+        sessionId: context.sessionId,
+        userId: context.userId,
+        sessionUsage: parentContext.usage,
+        parentQueryId,
+        budget: profile.budget
+      });
+      
+      const llmClientFor = (stage) => withMemory(
+        meterClient(
+          bindClientSignal(withAgentProfile(llmRouter.getClient(stage), profile), signal),
+          { ledger: this.usage, queryId, stage }
+        ),
+        { memory: this.memory, context }
+      );
+      
+      const emitDelegation = (update) => {
+        if (socket) {
+          socket.emit('agent:delegation', {
+            queryId: parentQueryId,
+            delegationId: queryId,
+            agent: profile.name,
+            task,
+            depth,
+            ...update
+          });
+        }
+      };
+      
+      logger.info(`Delegating to the ${profile.name} agent at depth ${depth}: ${task}`);
+      emitDelegation({ status: 'started' });
+      
+      try {
+        const [intent, entities] = await Promise.all([
+          analyzeIntent(task, llmClientFor('intent')),
+          extractEntities(task, llmClientFor('entities'))
+        ]);
+        throwIfCancelled(signal);
+        
+        // Hide tools outside the profile, and delegation tools once the depth limit is reached
+        const disallowedTools = [...this.toolRegistry.values()]
+          .filter(tool => !isToolAllowed(profile, tool) ||
+            (tool.category === AGENT_TOOL_CATEGORY && depth >= this.maxDelegationDepth))
+          .map(tool => tool.name);
+        
+        const plan = await generateToolPlan({
+          intent,
+          entities,
+          context,
+          toolRegistry: this.toolRegistry,
+          unavailableTools: [
+            ...this.toolRegistry.getUnavailableTools().map(tool => tool.name),
+            ...disallowedTools
+          ],
+          llmClient: llmClientFor('planning'),
+          signal
+        });
+        throwIfCancelled(signal);
+        
+        // The planner may still pick a hidden tool, so drop those steps and their dependencies
+        const resolvedSteps = resolveStepDependencies(plan.steps);
+        const steps = resolvedSteps.filter(step => !disallowedTools.includes(
+          this.toolRegistry.get(this.toolRegistry.resolveToolId(step.tool))?.name
+        ));
+        const keptIds = new Set(steps.map(step => step.id));
+        steps.forEach(step => {
+          step.dependsOn = step.dependsOn.filter(id => keptIds.has(id));
+        });
+        
+        if (steps.length < resolvedSteps.length) {
+          logger.warn(`Dropped ${resolvedSteps.length - steps.length} steps outside the ${profile.name} agent's tools`);
+        }
+        
+        let results = { outputs: [], toolsUsed: [], failures: [] };
+        
+        if (steps.length > 0) {
+          try {
+            results = await executeToolChain({
+              plan: { ...plan, steps },
+              context,
+              queryId,
+              toolRegistry: this.toolRegistry,
+              signal,
+              beforeStep,
+              onProgress: (progress) => emitDelegation({ status: 'running', ...progress })
+            });
+          } catch (error) {
+            if (error.code !== 'TOOL_EXECUTION_FAILED') {
+              throw error;
+            }
+            results.failures = error.failures || [];
+          }
+        }
+        throwIfCancelled(signal);
+        
+        const response = await synthesizeResults({
+          results: results.outputs,
+          context,
+          intent,
+          query: task,
+          llmClient: llmClientFor('synthesis')
+        });
+        throwIfCancelled(signal);
+        
+        const delegation = {
+          id: queryId,
+          agent: profile.name,
+          task,
+          depth,
+          status: 'completed',
+          processingTime: Date.now() - startTime,
+          toolsUsed: results.toolsUsed.map(t => ({
+            name: t.name,
+            executionTime: t.executionTime,
+            attempts: t.attempts
+          })),
+          failedSteps: results.failures,
+          usage: this.usage.getQueryUsage(queryId),
+          delegations: this.collectDelegations(results)
+        };
+        
+        emitDelegation({ status: 'completed', processingTime: delegation.processingTime });
+        
+        return {
+          agent: profile.name,
+          task,
+          text: response.text,
+          sources: response.sources || collectSources(results.outputs),
+          delegation
+        };
+      } catch (error) {
+        emitDelegation({ status: 'failed', error: error.expose ? error.message : 'The agent could not complete its task' });
+        throw error;
+      } finally {
+        this.usage.endQuery(queryId);
+        this.activeQueries.delete(queryId);
+      }
+    },
+    
+    /**
+     * Build the delegation tree of an execution from its sub-agent steps
+     * 
+     * @param {Object} executionResults - { toolsUsed, failures } from tool execution
+     * @returns {Array} - Completed delegations with their own nested delegations, followed by
+     *                    failed ones
+     */
+    collectDelegations({ toolsUsed = [], failures = [] }) {
+      const completed = toolsUsed
+        .filter(t => t.output && t.output.delegation)
+        .map(t => t.output.delegation);
+      
+      const failed = failures
+        .map(failure => ({ failure, tool: this.toolRegistry.get(this.toolRegistry.resolveToolId(failure.tool)) }))
+        .filter(({ tool }) => tool && tool.category === AGENT_TOOL_CATEGORY)
+        .map(({ failure, tool }) => ({
+          agent: tool.agentProfile,
+          stepId: failure.stepId,
+          status: 'failed',
+          error: failure.error,
+          code: failure.code
+        }));
+      
+      return [...completed, ...failed];
+    },
+    
+    /**
+     * Execute a plan, replanning around failed steps
+     * 
+     * When steps fail, the failures and the outputs produced so far are fed back to the planner
+     * for a repaired plan covering the remaining work; completed steps are not run again. Once
+     * `maxReplans` repairs have been tried, whatever succeeded is returned. If nothing did, the
+     * tool error is rethrown so `handleExecutionError` can fall back to a tool-less answer.
+     * 
+     * @param {Object} params - Execution parameters, plus `onProgress` and `beforeStep` for the executor
+     * @returns {Promise<Object>} - { outputs, toolsUsed, failures, replans }
+     */
+    async executeWithReplanning({ plan, context, queryId, intent, signal, socket, planningClient, onProgress, beforeStep }) {
+      const outputs = [];
+      const toolsUsed = [];
+      const replans = [];
+      let currentPlan = plan;
+      let failures = [];
+      let lastError = null;
+      
+      for (let round = 0; ; round++) {
+        let result;
+        
+        try {
+          result = await executeToolChain({
+            plan: currentPlan,
+            context,
+            queryId,
+            toolRegistry: this.toolRegistry,
+            signal,
+            onProgress,
+            beforeStep,
+            previousOutputs: outputs
+          });
+        } catch (error) {
+          const partial = error.partialResults || { outputs: [], toolsUsed: [] };
+          
+          if (error.code === 'TOOL_EXECUTION_FAILED') {
+            lastError = error;
+            result = { ...partial, failures: error.failures || [] };
+          } else if (error.code === 'INVALID_PLAN' && round > 0) {
+            // A repaired plan that cannot run ends replanning with the failures we already have
+            logger.warn(`Repaired plan is invalid: ${error.message}`);
+            break;
+          } else {
+            error.partialResults = {
+              outputs: [...outputs, ...partial.outputs],
+              toolsUsed: [...toolsUsed, ...partial.toolsUsed]
+            };
+            throw error;
+          }
+        }
+        
+        outputs.push(...result.outputs);
+        toolsUsed.push(...result.toolsUsed.map(tool => (round > 0 ? { ...tool, replanRound: round } : tool)));
+        failures = result.failures;
+        
+        if (failures.length === 0 || round >= this.maxReplans) {
+          break;
+        }
+        
+        throwIfCancelled(signal);
+        
+        if (socket) {
+          socket.emit('agent:status', { 
+            status: 'replanning',
+            message: `Some steps failed, adjusting the plan (attempt ${round + 1} of ${this.maxReplans})...`,
+            failedSteps: failures.map(failure => failure.stepId)
+          });
+        }
+        
+        const repairedPlan = await this.replanAfterFailure({
+          plan: currentPlan,
+          round: round + 1,
+          context,
+          intent,
+          failures,
+          outputs,
+          planningClient,
+          signal
+        });
+        
+        if (!repairedPlan) {
+          break;
+        }
+        
+        replans.push({
+          round: round + 1,
+          failedSteps: failures.map(({ stepId, tool, error }) => ({ stepId, tool, error })),
+          steps: repairedPlan.steps.map(step => ({ id: step.id, tool: step.tool }))
+        });
+        currentPlan = repairedPlan;
+      }
+      
+      if (outputs.length === 0 && lastError) {
+        lastError.partialResults = { outputs, toolsUsed };
+        throw lastError;
+      }
+      
+      return { outputs, toolsUsed, failures, replans };
+    },
+    
+    /**
+     * Ask the planner for a repaired plan after steps failed
+     * 
+     * @returns {Promise<Object|null>} - Plan containing only the steps still to run, or null if
+     *                                   the planner could not produce one
+     */
+    async replanAfterFailure({ plan, round, context, intent, failures, outputs, planningClient, signal }) {
+      let repairedPlan;
+      
+      try {
+        repairedPlan = await generateToolPlan({
+          intent,
+          entities: context.currentEntities || [],
+          context,
+          toolRegistry: this.toolRegistry,
+          unavailableTools: this.toolRegistry.getUnavailableTools().map(tool => tool.name),
+          llmClient: planningClient,
+          signal,
+          replan: {
+            previousPlan: plan,
+            failures: failures.map(({ stepId, tool, error, code, validationErrors, skippedSteps }) => ({ stepId, tool, error, code, validationErrors, skippedSteps })),
+            completedSteps: outputs
+          }
+        });
+      } catch (error) {
+        if (isCancellation(error, signal)) {
+          throw error;
+        }
+        logger.warn(`Replanning failed in round ${round}:`, error);
+        return null;
+      }
+      
+      const completedIds = new Set(outputs.map(result => result.stepId));
+      
+      // Give new steps IDs that cannot clash with completed ones, and drop completed steps
+      const steps = (repairedPlan?.steps || [])
+        .map((step, index) => ({ ...step, id: step.id || `replan-${round}-${index + 1}` }))
+        .filter(step => !completedIds.has(step.id));
+      
+      if (steps.length === 0) {
+        logger.warn(`Planner returned no steps to repair the plan in round ${round}`);
+        return null;
+      }
+      
+      logger.info(`Replanned ${failures.length} failed steps with ${steps.length} new steps (round ${round})`);
+      return this.substituteUnavailableTools({ ...repairedPlan, steps });
+    },
+    
+    /**
+     * Replace plan steps that use an unavailable tool with the best available alternative
+     * 
+     * Steps without an alternative are kept and fail at execution time, which only affects
+     * the branch of the plan that depends on them.
+     */
+    substituteUnavailableTools(plan) {
+      const steps = plan.steps.map(step => {
+        const toolIdentifier = step.toolId || step.tool;
+        
+        if (this.toolRegistry.isToolAvailable(toolIdentifier)) {
+          return step;
+        }
+        
+        const [alternative] = this.toolRegistry.findAlternativeTools(toolIdentifier);
+        
+        if (!alternative) {
+          logger.warn(`No alternative available for unavailable tool ${toolIdentifier}`);
+          return step;
+        }
+        
+        const unavailableName = this.toolRegistry.getTool(toolIdentifier)?.name || toolIdentifier;
+        logger.info(`Substituting ${alternative.name} for unavailable tool ${unavailableName}`);
+        const { toolId, ...rest } = step;
+        return { ...rest, tool: alternative.name, substitutedFor: unavailableName };
+      });
+      
+      return { ...plan, steps };
+    },
+    
+    /**
+     * Reduce plan steps to the fields a reviewer can see and edit
+     */
+    normalizePlanSteps(steps = []) {
+      return steps.map((step, index) => ({
+        id: step.id || `step-${index + 1}`,
+        tool: step.tool || this.toolRegistry.getTool(step.toolId)?.name,
+        input: step.input,
+        ...(Array.isArray(step.dependsOn) && { dependsOn: step.dependsOn }),
+        description: step.description || null
+      }));
+    },
+    
+    /**
+     * Estimate plan duration in milliseconds from the tools' average execution times
+     *
+     * Independent steps run in parallel, so the estimate is the longest path through
+     * the dependency graph rather than the sum of all steps.
+     */
+    estimatePlanTime(steps) {
+      const finishTimes = new Map();
+      
+      const finishTime = (step) => {
+        if (!finishTimes.has(step.id)) {
+          const stats = this.toolRegistry.usageStats.get(this.toolRegistry.resolveToolId(step.tool));
+          const duration = stats && stats.averageExecutionTime ? stats.averageExecutionTime : DEFAULT_STEP_TIME_MS;
+          const start = Math.max(0, ...step.dependsOn.map(id => finishTime(byId.get(id))));
+          finishTimes.set(step.id, start + duration);
+        }
+        return finishTimes.get(step.id);
+      };
+      
+      const resolved = resolveStepDependencies(steps);
+      const byId = new Map(resolved.map(step => [step.id, step]));
+      
+      return Math.max(0, ...resolved.map(finishTime));
+    },
+    
+    /**
+     * Find the context of an existing session owned by a user
+     * 
+     * @param {String} sessionId - Session ID
+     * @param {String} userId - User ID
+     * @returns {Promise<Object|null>} - The context, or null if the session does not exist or
+     *                                   is not known to belong to the user
+     */
+    async findSessionContext(sessionId, userId) {
+      if (!userId) {
+        return null;
+      }
+      
+      let context = this.activeContexts.get(sessionId);
+      
+      if (!context) {
+        context = await retrieveSession(sessionId);
+        if (!context || context.userId !== userId) {
+          return null;
+        }
+        this.activeContexts.set(sessionId, context);
+      }
+      
+      return context.userId === userId ? context : null;
+    },
+    
+    /**
+     * Get what the agent remembers about a session
+     * 
+     * @returns {Promise<Object|null>} - Memory view, or null if the session is not found
+     */
+    async getSessionMemory(sessionId, userId) {
+      const context = await this.findSessionContext(sessionId, userId);
+      return context ? this.memory.inspect(context) : null;
+    },
+    
+    /**
+     * Pin a fact to a session's memory
+     * 
+     * @returns {Promise<Object|null>} - The pinned fact, or null if the session is not found
+     */
+    async pinFact(sessionId, userId, fact) {
+      const context = await this.findSessionContext(sessionId, userId);
+      if (!context) {
+        return null;
+      }
+      
+      const pinned = this.memory.pinFact(context, fact);
+      await storeSession(sessionId, context);
+      return pinned;
+    },
+    
+    /**
+     * Remove a pinned fact from a session's memory
+     * 
+     * @returns {Promise<Boolean>} - True if the fact was removed
+     */
+    async unpinFact(sessionId, userId, factId) {
+      const context = await this.findSessionContext(sessionId, userId);
+      if (!context || !this.memory.unpinFact(context, factId)) {
+        return false;
+      }
+      
+      await storeSession(sessionId, context);
+      return true;
+    },
+    
+    /**
+     * Get the tool versions pinned for a session
+     * 
+     * @returns {Promise<Object|null>} - Version ranges by tool name, or null if the session is not found
+     */
+    async getToolVersions(sessionId, userId) {
+      const context = await this.findSessionContext(sessionId, userId);
+      return context ? context.toolVersions || {} : null;
+    },
+    
+    /**
+     * Pin the tool versions a session uses
+     * 
+     * Tools that are not pinned use their default version.
+     * 
+     * @param {Object} toolVersions - Version ranges by tool name; replaces the current pins
+     * @returns {Promise<Object|null>} - The pins, or null if the session is not found
+     */
+    async setToolVersions(sessionId, userId, toolVersions) {
+      const context = await this.findSessionContext(sessionId, userId);
+      if (!context) {
+        return null;
+      }
+      
+      context.toolVersions = this.toolRegistry.validateVersionPins(toolVersions);
+      await storeSession(sessionId, context);
+      return context.toolVersions;
+    },
+    
+    /**
+     * List a user's long-term memories
+     * 
+     * @param {String} userId - User ID
+     * @param {Object} params - { search, limit }
+     * @returns {Promise<Array>} - Memories, ranked by relevance when searching
+     */
+    async listMemories(userId, params = {}) {
+      return this.longTermMemory.list(userId, params, llmRouter.getClient('memory'));
+    },
+    
+    /**
+     * Delete one or all of a user's long-term memories
+     * 
+     * @param {String} userId - User ID
+     * @param {String} memoryId - Memory ID, or null to delete all of them
+     */
+    async forgetMemories(userId, memoryId = null) {
+      if (memoryId) {
+        await this.longTermMemory.forget(userId, memoryId);
+      } else {
+        await this.longTermMemory.forgetAll(userId);
+      }
+      
+      // Drop the deleted memories from prompts of the user's open sessions
+      for (const context of this.activeContexts.values()) {
+        if (context.userId === userId && context.recalledMemories) {
+          context.recalledMemories = memoryId
+            ? context.recalledMemories.filter(memory => memory.id !== memoryId)
+            : [];
+        }
       }
     },
     
     /**
      * Get an existing context or create a new one for a session
+     * 
+     * Tools run with the identity on the session context, e.g. DocumentSearch searches its
+     * user's documents, so a session owned by another user is never returned.
+     * 
+     * @throws {Error} - NOT_FOUND if the session belongs to another user
      */
     async getOrCreateContext(sessionId, userId) {
+      const owned = (context) => {
+        if (context.userId !== userId) {
+          throw createExposedError('NOT_FOUND', 'Session not found');
+        }
+        return context;
+      };
+      
       // Try to get existing context from memory
       if (this.activeContexts.has(sessionId)) {
-        return this.activeContexts.get(sessionId);
+        return owned(this.activeContexts.get(sessionId));
       }
       
       // Try to retrieve from persistent storage
+      let savedSession = null;
       try {
-        const savedSession = await retrieveSession(sessionId);
-        if (savedSession) {
-          this.activeContexts.set(sessionId, savedSession);
-          return savedSession;
-        }
+        savedSession = await retrieveSession(sessionId);
       } catch (error) {
         logger.warn(`Failed to retrieve session ${sessionId}:`, error);
       }
       
+      if (savedSession) {
+        this.activeContexts.set(sessionId, savedSession);
+        return owned(savedSession);
+      }
+      
       // Create new context
       const newContext = createToolExecutionContext(sessionId, userId);
       this.activeContexts.set(sessionId, newContext);
+      this.emitEvent('session.created', userId, { sessionId });
       return newContext;
     },
     
     /**
      * Handle execution errors and generate appropriate responses
      */
-    async handleExecutionError(error, originalQuery, contextId) {
+    async handleExecutionError(error, originalQuery, contextId, fallbackClient = llmRouter.getClient('fallback')) {
       logger.error(`Processing error in context ${contextId}:`, error);
       
       // Categorize the error
@@ -219,24 +1286,41 @@ export async function initializeAgentOrchestrator(toolRegistry) {
       
       if (error.code === 'TOOL_EXECUTION_FAILED') {
         errorType = 'tool_failure';
-        userMessage = 'I had trouble using one of my tools to answer your question.';
+        userMessage = error.cause?.code === 'TOOL_TIMEOUT'
+          ? 'One of my tools took too long to respond.'
+          : 'I had trouble using one of my tools to answer your question.';
       } else if (error.code === 'CONTEXT_LIMIT_EXCEEDED') {
         errorType = 'context_limit';
-        userMessage = 'Your question is too complex for me to handle at once.';
+        userMessage = error.budget ? error.message : 'Your question is too complex for me to handle at once.';
       } else if (error.code === 'RATE_LIMIT_EXCEEDED') {
         errorType = 'rate_limit';
-        userMessage = 'I\'m currently handling too many requests. Please try again shortly.';
+        userMessage = error.budget ? error.message : 'I\'m currently handling too many requests. Please try again shortly.';
+      } else if (error.code === 'APPROVAL_REJECTED') {
+        errorType = 'approval_rejected';
+        userMessage = `I didn't run ${error.approval?.tool || 'the requested tool'} because you declined it.`;
+      } else if (error.code === 'APPROVAL_TIMEOUT') {
+        errorType = 'approval_timeout';
+        userMessage = `I stopped because ${error.approval?.tool || 'a tool'} was not approved in time.`;
+      } else if (error.code === 'NOT_FOUND') {
+        errorType = 'not_found';
+        userMessage = error.message;
       } else if (error.code === 'INVALID_REQUEST') {
         errorType = 'invalid_request';
         userMessage = 'I couldn\'t understand your request properly.';
+      } else if (error.code === 'INVALID_OUTPUT_SCHEMA') {
+        errorType = 'invalid_output_schema';
+        userMessage = error.message;
+      } else if (error.code === 'OUTPUT_VALIDATION_FAILED') {
+        errorType = 'output_validation_failed';
+        userMessage = error.message;
       }
       
       // Try to generate a fallback response for retriable errors
       let responseText = userMessage;
       
-      if (['tool_failure', 'general'].includes(errorType) && openaiClient) {
+      if (['tool_failure', 'general'].includes(errorType) && fallbackClient) {
         try {
-          const fallbackResponse = await openaiClient.chat.completions.create({
+          const fallbackResponse = await fallbackClient.chat.completions.create({
             model: process.env.OPENAI_FALLBACK_MODEL || 'gpt-3.5-turbo',
             messages: [
               {
@@ -314,10 +1398,17 @@ export async function initializeAgentOrchestrator(toolRegistry) {
     }
   };
   
-  // Set up periodic cleanup of idle contexts
+  // Register the specialist sub-agents as delegation tools
+  const agentToolCount = registerAgentTools(toolRegistry, agentProfiles, {
+    maxDepth: maxDelegationDepth,
+    delegate: (params) => orchestrator.runDelegation(params)
+  });
+  logger.info(`Registered ${agentToolCount} agent profiles for delegation`);
+  
+  // Set up periodic cleanup of idle contexts; the timer does not keep the process alive
   setInterval(() => {
     orchestrator.cleanupIdleContexts();
-  }, 15 * 60 * 1000); // Run every 15 minutes
+  }, 15 * 60 * 1000).unref(); // Run every 15 minutes
   
   return orchestrator;
 }
@@ -347,8 +1438,8 @@ export function createSimpleOrchestrator(toolRegistry) {
           conversationHistory: []
         };
         
-        // Find a suitable tool (simplified selection)
-        const bestTool = this.findBestTool(text);
+        // Find a suitable tool
+        const bestTool = await this.findBestTool(text);
         
         if (!bestTool) {
           return {
@@ -358,8 +1449,8 @@ export function createSimpleOrchestrator(toolRegistry) {
           };
         }
         
-        // Execute the tool
-        const result = await bestTool.execute(text, {});
+        // Execute the tool with the same input and output checks the executor applies
+        const result = checkToolOutput(bestTool, await bestTool.execute(prepareToolInput(bestTool, text), {}));
         
         // Update conversation history
         context.conversationHistory.push({
@@ -390,14 +1481,11 @@ export function createSimpleOrchestrator(toolRegistry) {
       }
     },
     
-    findBestTool(query) {
-      // Simplified tool selection based on keyword matching
-      // In a real implementation, this would use more sophisticated NLP
-      for (const [name, tool] of this.toolRegistry.entries()) {
-        if (tool.keywords && tool.keywords.some(keyword => 
-          query.toLowerCase().includes(keyword.toLowerCase()))) {
-          return tool;
-        }
+    async findBestTool(query) {
+      // Same ranking the planner gets recommendations from
+      const [bestTool] = await this.toolRegistry.getToolRecommendations(query);
+      if (bestTool) {
+        return bestTool;
       }
       
       // Return default tool if available
@@ -0,0 +1,146 @@
+/**
+ * Public URL Checks
+ *
+ * Users can make the server send requests to URLs they choose, such as webhook endpoints.
+ * Such URLs must reach the public internet: a URL whose host is, or resolves to, a loopback,
+ * private, link-local (e.g. the cloud metadata address 169.254.169.254) or otherwise reserved
+ * address could be used to reach services that are only exposed to this server.
+ *
+ * Hosts are checked again before every request, since DNS records can change after a URL was
+ * accepted, and the request is then sent to the address that was checked: resolving the host
+ * again to connect would let a host that answers with a public address first and a private one
+ * next (DNS rebinding) pass the check. Requests are sent with `sendRequest`, which connects to
+ * the checked address while keeping the URL's host for the Host header and TLS, and does not
+ * follow redirects, which would bypass the check.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+
+const BLOCKED = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv4'));
+
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['100::', 64], ['2001:db8::', 32],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether an IP address is loopback, private, link-local or otherwise not on the internet
+ *
+ * @param {String} address - IPv4 or IPv6 address
+ * @returns {Boolean} - True if requests must not be sent to the address
+ */
+export function isPrivateAddress(address) {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return true;
+  }
+  // IPv4-mapped IPv6 addresses are checked against the IPv4 ranges
+  return BLOCKED.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Resolve the host of a URL that is to be requested on a user's behalf
+ *
+ * @param {String} url - http(s) URL
+ * @param {Object} options - { lookup } replaces dns.promises.lookup, e.g. in tests
+ * @returns {Promise<Object>} - { problem } if the URL must not be requested, else
+ *                              { problem: null, address, family } with the address to connect to
+ */
+export async function resolvePublicUrl(url, { lookup = dns.promises.lookup } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return { problem: 'The URL is not valid' };
+  }
+
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return { problem: 'The URL must be an http(s) URL' };
+  }
+
+  const host = parsed.hostname.replace(/^\[(.*)\]$/, '$1');
+  let entries;
+
+  if (net.isIP(host)) {
+    entries = [{ address: host, family: net.isIP(host) }];
+  } else {
+    try {
+      entries = await lookup(host, { all: true, verbatim: true });
+    } catch {
+      return { problem: `The host ${host} could not be resolved` };
+    }
+  }
+
+  // Every address must be public, since a client could connect to any of them
+  if (entries.length === 0 || entries.some(entry => isPrivateAddress(entry.address))) {
+    return { problem: `The host ${host} is not a public internet address` };
+  }
+
+  return { problem: null, address: entries[0].address, family: entries[0].family };
+}
+
+/**
+ * Find out why a URL cannot be requested on a user's behalf
+ *
+ * @param {String} url - http(s) URL
+ * @param {Object} options - { lookup } replaces dns.promises.lookup, e.g. in tests
+ * @returns {Promise<String|null>} - The problem, or null if the URL's host only resolves to
+ *                                   public addresses
+ */
+export async function checkPublicUrl(url, options = {}) {
+  return (await resolvePublicUrl(url, options)).problem;
+}
+
+/**
+ * Send an HTTP request, optionally to an address resolved beforehand
+ *
+ * With `address`, the connection goes to that address instead of resolving the URL's host
+ * again; the Host header and the TLS server name and certificate check still use the host.
+ * Redirects are not followed and the response body is discarded.
+ *
+ * @param {String} url - http(s) URL
+ * @param {Object} options - { method, headers, body, timeoutMs, address, family } where
+ *                           address and family come from resolvePublicUrl
+ * @returns {Promise<Object>} - { ok, status }
+ * @throws {Error} - On network errors, or a TimeoutError after timeoutMs
+ */
+export function sendRequest(url, { method = 'POST', headers = {}, body = null, timeoutMs = 10000, address = null, family = 0 } = {}) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  // Node asks for every address when it may try several families; there is only one
+  const lookup = address
+    ? (hostname, lookupOptions, callback) => (lookupOptions.all
+      ? callback(null, [{ address, family: family || net.isIP(address) }])
+      : callback(null, address, family || net.isIP(address)))
+    : undefined;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, { method, headers, lookup }, (response) => {
+      clearTimeout(timer);
+      response.resume();
+      resolve({ ok: response.statusCode >= 200 && response.statusCode < 300, status: response.statusCode });
+    });
+
+    const timer = setTimeout(() => {
+      const error = new Error(`No response within ${timeoutMs}ms`);
+      error.name = 'TimeoutError';
+      request.destroy(error);
+    }, timeoutMs);
+
+    request.on('error', (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    request.end(body ?? undefined);
+  });
+}
@@ -0,0 +1,402 @@
+/**
+ * Task Scheduler
+ *
+ * Runs saved queries on a cron schedule. Each task has a dedicated session, so the agent
+ * keeps the context of earlier runs, and every run is recorded in the task's history. When
+ * a run finishes the owner is notified on their `user:<id>` Socket.io room and, if the task
+ * has one, by POSTing the result to its webhook URL, which must be on the public internet
+ * (see publicUrl.js).
+ *
+ * Configuration:
+ *   SCHEDULED_TASKS_PER_USER - Tasks a user may have (default 10)
+ *   SCHEDULED_TASK_HISTORY   - Runs kept per task (default 50)
+ *   SCHEDULER_TICK_MS        - How often due tasks are checked for (default 30000)
+ *   SCHEDULER_WEBHOOK_TIMEOUT_MS - Time a webhook notification may take (default 10000)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { parseCron, nextCronRun } from './cron.js';
+import { checkPublicUrl, resolvePublicUrl, sendRequest } from './publicUrl.js';
+import { createExposedError } from './errors.js';
+
+/**
+ * Check and normalize task fields sent by a client
+ *
+ * @param {Object} fields - { name, query, cron, enabled, webhookUrl, toolVersions }
+ * @param {Boolean} partial - True for updates, where every field is optional
+ * @param {Object} toolRegistry - Registry the tool version pins are checked against
+ * @returns {Object} - Normalized fields
+ */
+function validateTaskFields(fields, partial, toolRegistry) {
+  const task = {};
+
+  if (!partial || fields.query !== undefined) {
+    if (typeof fields.query !== 'string' || !fields.query.trim()) {
+      throw createExposedError('INVALID_REQUEST', 'A scheduled task needs a query');
+    }
+    task.query = fields.query.trim();
+  }
+
+  if (!partial || fields.cron !== undefined) {
+    const schedule = parseCron(fields.cron);
+    if (!nextCronRun(schedule)) {
+      throw createExposedError('INVALID_REQUEST', `The schedule '${fields.cron}' never runs`);
+    }
+    task.cron = schedule.expression;
+  }
+
+  if (fields.name !== undefined || !partial) {
+    task.name = String(fields.name || '').trim() || (task.query || '').slice(0, 60);
+  }
+
+  if (fields.enabled !== undefined) {
+    task.enabled = Boolean(fields.enabled);
+  }
+
+  if (fields.webhookUrl !== undefined) {
+    if (fields.webhookUrl && !/^https?:\/\/\S+$/i.test(fields.webhookUrl)) {
+      throw createExposedError('INVALID_REQUEST', 'The webhook URL must be an http(s) URL');
+    }
+    task.webhookUrl = fields.webhookUrl || null;
+  }
+
+  // Version ranges by tool name, so a new tool version cannot change what the task does
+  if (fields.toolVersions !== undefined) {
+    task.toolVersions = fields.toolVersions ? toolRegistry.validateVersionPins(fields.toolVersions) : null;
+  }
+
+  return task;
+}
+
+/**
+ * Create a task scheduler
+ *
+ * @param {Object} options - Scheduler options
+ * @param {Object} options.orchestrator - Agent orchestrator that runs the queries
+ * @param {Object} options.store - Task store (see data/scheduledTaskStore.js)
+ * @param {Object} options.io - Optional Socket.io server used to notify task owners
+ * @param {Function} options.lookup - DNS lookup used to check webhook hosts, defaults to
+ *                                    dns.promises.lookup
+ * @param {Function} options.send - Sends webhook notifications, defaults to sendRequest (see
+ *                                  publicUrl.js)
+ * @returns {Object} - Scheduler
+ */
+export function createScheduler(options = {}) {
+  const { orchestrator, store, io = null, lookup, send = sendRequest } = options;
+  const maxTasksPerUser = options.maxTasksPerUser || Number(process.env.SCHEDULED_TASKS_PER_USER) || 10;
+  const historySize = options.historySize || Number(process.env.SCHEDULED_TASK_HISTORY) || 50;
+  const tickMs = options.tickMs || Number(process.env.SCHEDULER_TICK_MS) || 30000;
+  const webhookTimeoutMs = Number(process.env.SCHEDULER_WEBHOOK_TIMEOUT_MS) || 10000;
+
+  // Tasks with a run in progress; a task never overlaps with itself
+  const running = new Set();
+  let timer = null;
+
+  const computeNextRun = (task, after = new Date()) => (
+    task.enabled ? nextCronRun(task.cron, after)?.toISOString() || null : null
+  );
+
+  // Load a task for a user, hiding tasks owned by someone else
+  const getOwnedTask = async (userId, taskId) => {
+    const task = await store.get(taskId);
+    if (!task || task.userId !== userId) {
+      throw createExposedError('NOT_FOUND', 'Scheduled task not found');
+    }
+    return task;
+  };
+
+  // Refuse webhooks that would make the server call into its own network
+  const checkWebhookUrl = async (url) => {
+    const problem = url ? await checkPublicUrl(url, { lookup }) : null;
+    if (problem) {
+      throw createExposedError('INVALID_REQUEST', problem);
+    }
+  };
+
+  const notify = async (task, run) => {
+    if (io) {
+      io.to(`user:${task.userId}`).emit('scheduler:run_completed', { task, run });
+    }
+
+    if (!task.webhookUrl) {
+      return;
+    }
+
+    try {
+      // The host is checked again, since its DNS records may have changed, and the
+      // notification goes to the address that was checked
+      const { problem, address, family } = await resolvePublicUrl(task.webhookUrl, { lookup });
+      if (problem) {
+        throw createExposedError('INVALID_REQUEST', problem);
+      }
+
+      const response = await send(task.webhookUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ event: 'scheduled_task.run_completed', task, run }),
+        timeoutMs: webhookTimeoutMs,
+        address,
+        family
+      });
+      if (!response.ok) {
+        logger.warn(`Webhook for scheduled task ${task.id} responded with ${response.status}`);
+      }
+    } catch (error) {
+      logger.warn(`Failed to notify webhook for scheduled task ${task.id}:`, error);
+    }
+  };
+
+  // Run the task's query and record the outcome
+  const executeRun = async (task, run) => {
+    try {
+      const response = await orchestrator.processQuery({
+        text: task.query,
+        sessionId: task.sessionId,
+        userId: task.userId,
+        workspaceId: task.workspaceId,
+        queryId: run.queryId,
+        // The task's pins replace whatever its session had, so unpinning takes effect too
+        toolVersions: task.toolVersions || {},
+        metadata: { scheduledTaskId: task.id, scheduledRunId: run.id }
+      });
+
+      Object.assign(run, {
+        status: response.error || response.cancelled ? 'failed' : 'succeeded',
+        text: response.text,
+        sources: response.sources || [],
+        toolsUsed: (response.toolsUsed || []).map(tool => tool.name),
+        error: response.error ? response.errorMessage || response.errorType : null,
+        processingTime: response.processingTime ?? null,
+        usage: response.usage || null
+      });
+    } catch (error) {
+      logger.error(`Scheduled task ${task.id} failed:`, error);
+      Object.assign(run, { status: 'failed', text: null, error: error.expose ? error.message : 'The query failed' });
+    }
+
+    run.finishedAt = new Date().toISOString();
+    await store.addRun(run, historySize);
+
+    // The task may have been edited or deleted while it ran
+    const current = await store.get(task.id);
+    if (current) {
+      const updated = { ...current, lastRunAt: run.startedAt, lastRunStatus: run.status };
+      await store.save(updated);
+      await notify(updated, run);
+    }
+
+    return run;
+  };
+
+  return {
+    /**
+     * Start checking for due tasks
+     *
+     * Tasks that were due while the server was down run once on the first check.
+     */
+    start() {
+      if (timer) return;
+      timer = setInterval(() => this.runDueTasks(), tickMs);
+      timer.unref?.();
+      this.runDueTasks();
+      logger.info(`Task scheduler started, checking every ${tickMs}ms`);
+    },
+
+    /**
+     * Stop checking for due tasks; runs in progress finish on their own
+     */
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+
+    /**
+     * Run every enabled task whose next run time has passed
+     *
+     * @returns {Promise<Number>} - Number of runs started
+     */
+    async runDueTasks() {
+      let tasks;
+      try {
+        tasks = await store.listAll();
+      } catch (error) {
+        logger.error('Failed to load scheduled tasks:', error);
+        return 0;
+      }
+
+      const now = new Date().toISOString();
+      const due = tasks.filter(task => task.enabled && task.nextRunAt && task.nextRunAt <= now && !running.has(task.id));
+
+      // Runs are not awaited so a slow task does not hold up the others
+      due.forEach(task => this.startRun(task)
+        .then(({ finished }) => finished)
+        .catch(error => logger.error(`Scheduled task ${task.id} failed to run:`, error)));
+      return due.length;
+    },
+
+    /**
+     * Start running a task, record the run and notify the owner when it finishes
+     *
+     * @param {Object} task - Stored task
+     * @param {String} trigger - 'schedule' or 'manual'
+     * @returns {Promise<Object>} - { run, finished } where run is the recorded run as it
+     *                              started and finished resolves with the completed run
+     */
+    async startRun(task, trigger = 'schedule') {
+      if (running.has(task.id)) {
+        throw createExposedError('TASK_RUNNING', 'This task is already running');
+      }
+      running.add(task.id);
+
+      const run = {
+        id: uuidv4(),
+        taskId: task.id,
+        userId: task.userId,
+        queryId: uuidv4(),
+        trigger,
+        status: 'running',
+        startedAt: new Date().toISOString(),
+        finishedAt: null
+      };
+
+      try {
+        // Schedule the next run first so a crash mid-run does not run the task again
+        await store.save({ ...task, nextRunAt: computeNextRun(task), lastRunAt: run.startedAt });
+        await store.addRun(run, historySize);
+      } catch (error) {
+        running.delete(task.id);
+        throw error;
+      }
+
+      logger.info(`Running scheduled task ${task.id} (${trigger})`);
+      const finished = executeRun(task, { ...run }).finally(() => running.delete(task.id));
+      return { run, finished };
+    },
+
+    /**
+     * List a user's tasks
+     *
+     * @param {String} userId - Owner ID
+     * @returns {Promise<Array>} - Tasks, oldest first, with whether each is running
+     */
+    async listTasks(userId) {
+      const tasks = await store.list(userId);
+      return tasks.map(task => ({ ...task, running: running.has(task.id) }));
+    },
+
+    /**
+     * Get one of a user's tasks
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} taskId - Task ID
+     * @returns {Promise<Object>} - The task; rejects with NOT_FOUND for other users' tasks
+     */
+    async getTask(userId, taskId) {
+      const task = await getOwnedTask(userId, taskId);
+      return { ...task, running: running.has(task.id) };
+    },
+
+    /**
+     * Create a task
+     *
+     * @param {Object} owner - { userId, workspaceId }
+     * @param {Object} fields - { name, query, cron, enabled, webhookUrl, toolVersions }
+     * @returns {Promise<Object>} - The stored task
+     */
+    async createTask({ userId, workspaceId = null }, fields = {}) {
+      const existing = await store.list(userId);
+      if (existing.length >= maxTasksPerUser) {
+        throw createExposedError('TASK_LIMIT_EXCEEDED', `You can have at most ${maxTasksPerUser} scheduled tasks`);
+      }
+
+      const validated = validateTaskFields(fields, false, orchestrator.toolRegistry);
+      await checkWebhookUrl(validated.webhookUrl);
+
+      const now = new Date().toISOString();
+      const task = {
+        id: uuidv4(),
+        userId,
+        workspaceId,
+        // Runs share a session of their own so they see each other but not the user's chats
+        sessionId: uuidv4(),
+        enabled: true,
+        webhookUrl: null,
+        toolVersions: null,
+        ...validated,
+        createdAt: now,
+        updatedAt: now,
+        lastRunAt: null,
+        lastRunStatus: null
+      };
+      task.nextRunAt = computeNextRun(task);
+
+      await store.save(task);
+      logger.info(`User ${userId} scheduled task ${task.id} (${task.cron})`);
+      return task;
+    },
+
+    /**
+     * Update a task
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} taskId - Task ID
+     * @param {Object} changes - Any of { name, query, cron, enabled, webhookUrl, toolVersions }
+     * @returns {Promise<Object>} - The updated task
+     */
+    async updateTask(userId, taskId, changes = {}) {
+      const task = await getOwnedTask(userId, taskId);
+      const validated = validateTaskFields(changes, true, orchestrator.toolRegistry);
+      await checkWebhookUrl(validated.webhookUrl);
+
+      const updated = {
+        ...task,
+        ...validated,
+        updatedAt: new Date().toISOString()
+      };
+      updated.nextRunAt = computeNextRun(updated);
+
+      await store.save(updated);
+      return { ...updated, running: running.has(task.id) };
+    },
+
+    /**
+     * Delete a task and its run history
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} taskId - Task ID
+     */
+    async deleteTask(userId, taskId) {
+      await getOwnedTask(userId, taskId);
+      await store.delete(taskId);
+      logger.info(`User ${userId} deleted scheduled task ${taskId}`);
+    },
+
+    /**
+     * Start a task immediately, outside its schedule
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} taskId - Task ID
+     * @returns {Promise<Object>} - The run as it started
+     */
+    async runNow(userId, taskId) {
+      const task = await getOwnedTask(userId, taskId);
+      const { run, finished } = await this.startRun(task, 'manual');
+      finished.catch(error => logger.error(`Scheduled task ${task.id} failed to run:`, error));
+      return run;
+    },
+
+    /**
+     * List a task's runs, newest first
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} taskId - Task ID
+     * @param {Number} limit - Most runs to return
+     * @returns {Promise<Array>} - Runs
+     */
+    async listRuns(userId, taskId, limit = historySize) {
+      await getOwnedTask(userId, taskId);
+      return store.listRuns(taskId, Math.min(limit, historySize));
+    }
+  };
+}
@@ -0,0 +1,272 @@
+/**
+ * Semantic Versions
+ *
+ * Parses semantic versions (`1.4.2`, `2.0.0-beta.1`) and the version ranges npm accepts:
+ * comparators (`>=1.2.0`, `<2`), caret and tilde ranges (`^1.2`, `~1.2.3`), wildcards
+ * (`1.x`, `*`), hyphen ranges (`1.0 - 1.4`), comparators separated by spaces, which must all
+ * match, and alternatives separated by `||`. Missing parts of a version count as 0, so
+ * `1.2` is `1.2.0`.
+ *
+ * As in npm, a prerelease version only satisfies a range that names a prerelease of the same
+ * major, minor and patch version: `^1.2.0` does not match `1.3.0-beta`, `^1.3.0-alpha` does.
+ */
+
+const VERSION_PATTERN = /^v?(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/;
+const PARTIAL_PATTERN = /^v?(\d+|[xX*])(?:\.(\d+|[xX*]))?(?:\.(\d+|[xX*]))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+[0-9A-Za-z.-]+)?$/;
+const COMPARATOR_PATTERN = /^(<=|>=|<|>|=|\^|~)?\s*(.+)$/;
+
+const ANY = { op: '>=', version: { major: 0, minor: 0, patch: 0, prerelease: [] }, bound: true };
+
+/**
+ * Parse a semantic version
+ *
+ * @param {String} version - Version such as `1.4.2` or `2.0.0-beta.1`
+ * @returns {Object|null} - { major, minor, patch, prerelease }, or null if it is not a version
+ */
+export function parseVersion(version) {
+  const match = typeof version === 'string' && VERSION_PATTERN.exec(version.trim());
+
+  if (!match) {
+    return null;
+  }
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] || 0),
+    patch: Number(match[3] || 0),
+    prerelease: match[4] ? match[4].split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : []
+  };
+}
+
+function compareParsed(a, b) {
+  for (const part of ['major', 'minor', 'patch']) {
+    if (a[part] !== b[part]) {
+      return a[part] < b[part] ? -1 : 1;
+    }
+  }
+
+  // A release is newer than its prereleases
+  if (a.prerelease.length === 0 && b.prerelease.length === 0) return 0;
+  if (a.prerelease.length === 0) return 1;
+  if (b.prerelease.length === 0) return -1;
+
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [left, right] = [a.prerelease[i], b.prerelease[i]];
+    if (left === right) continue;
+    if (left === undefined) return -1;
+    if (right === undefined) return 1;
+    // Numeric identifiers sort before alphanumeric ones
+    if (typeof left !== typeof right) return typeof left === 'number' ? -1 : 1;
+    return left < right ? -1 : 1;
+  }
+
+  return 0;
+}
+
+/**
+ * Compare two semantic versions
+ *
+ * @param {String} a - First version
+ * @param {String} b - Second version
+ * @returns {Number} - Negative if a is older than b, positive if it is newer, 0 if they are equal
+ */
+export function compareVersions(a, b) {
+  const [left, right] = [parseVersion(a), parseVersion(b)];
+
+  if (!left || !right) {
+    throw new Error(`Cannot compare versions ${a} and ${b}`);
+  }
+  return compareParsed(left, right);
+}
+
+/**
+ * Check whether a version is a prerelease
+ *
+ * @param {String} version - Semantic version
+ * @returns {Boolean} - True for versions such as `2.0.0-beta.1`
+ */
+export function isPrerelease(version) {
+  return (parseVersion(version)?.prerelease.length || 0) > 0;
+}
+
+function version(major, minor, patch, prerelease = []) {
+  return { major, minor, patch, prerelease };
+}
+
+// Lowest version of the next major, minor or patch release, below all of its prereleases
+function upperBound(major, minor = 0, patch = 0) {
+  return { op: '<', version: version(major, minor, patch, [0]), bound: true };
+}
+
+function parsePartial(source) {
+  const match = PARTIAL_PATTERN.exec(source);
+
+  if (!match) {
+    return null;
+  }
+
+  const parts = [match[1], match[2], match[3]].map(part => (part === undefined || /^[xX*]$/.test(part) ? null : Number(part)));
+
+  // Nothing may follow a wildcard, e.g. `1.x.3`
+  const firstWildcard = parts.indexOf(null);
+  if (firstWildcard !== -1 && parts.slice(firstWildcard).some(part => part !== null)) {
+    return null;
+  }
+
+  return {
+    parts,
+    // How many parts were given, e.g. 2 for `1.2` and `1.2.x`
+    precision: firstWildcard === -1 ? 3 : firstWildcard,
+    prerelease: match[4] ? match[4].split('.').map(part => (/^\d+$/.test(part) ? Number(part) : part)) : []
+  };
+}
+
+// Turn one comparator of a range into primitive { op, version } comparators
+function desugar(op, partial) {
+  const { parts: [major, minor, patch], precision, prerelease } = partial;
+  const lower = version(major ?? 0, minor ?? 0, patch ?? 0, prerelease);
+
+  if (precision === 0) {
+    return op === '<' || op === '>' ? null : [ANY];
+  }
+
+  switch (op) {
+    case '^':
+      if (major > 0 || precision === 1) return [{ op: '>=', version: lower }, upperBound(major + 1)];
+      if (minor > 0 || precision === 2) return [{ op: '>=', version: lower }, upperBound(0, minor + 1)];
+      return [{ op: '>=', version: lower }, upperBound(0, 0, patch + 1)];
+    case '~':
+      return precision === 1
+        ? [{ op: '>=', version: lower }, upperBound(major + 1)]
+        : [{ op: '>=', version: lower }, upperBound(major, minor + 1)];
+    case '>':
+      if (precision === 3) return [{ op: '>', version: lower }];
+      return [{ op: '>=', version: precision === 1 ? version(major + 1, 0, 0) : version(major, minor + 1, 0) }];
+    case '>=':
+      return [{ op: '>=', version: lower }];
+    case '<':
+      return precision === 3 ? [{ op: '<', version: lower }] : [{ op: '<', version: version(major, minor ?? 0, 0, [0]), bound: true }];
+    case '<=':
+      if (precision === 3) return [{ op: '<=', version: lower }];
+      return [precision === 1 ? upperBound(major + 1) : upperBound(major, minor + 1)];
+    default:
+      if (precision === 3) return [{ op: '=', version: lower }];
+      return [{ op: '>=', version: lower }, precision === 1 ? upperBound(major + 1) : upperBound(major, minor + 1)];
+  }
+}
+
+function parseComparatorSet(source) {
+  const text = source.trim();
+
+  if (text === '' || text === '*' || /^[xX]$/.test(text)) {
+    return [ANY];
+  }
+
+  // Hyphen ranges: `1.2 - 2.3.4` is `>=1.2.0 <=2.3.4`
+  const hyphen = /^(\S+)\s+-\s+(\S+)$/.exec(text);
+  if (hyphen) {
+    const [from, to] = [parsePartial(hyphen[1]), parsePartial(hyphen[2])];
+    const lower = from && desugar('>=', from);
+    const upper = to && desugar('<=', to);
+    return lower && upper ? [...lower, ...upper] : null;
+  }
+
+  // Operators may be separated from their version, e.g. `>= 1.2`
+  const tokens = text.replace(/(<=|>=|<|>|=|\^|~)\s+/g, '$1').split(/\s+/);
+  const comparators = [];
+
+  for (const token of tokens) {
+    const [, op = '', rest] = COMPARATOR_PATTERN.exec(token) || [];
+    const partial = rest && parsePartial(rest);
+    const desugared = partial && desugar(op, partial);
+
+    if (!desugared) {
+      return null;
+    }
+    comparators.push(...desugared);
+  }
+
+  return comparators;
+}
+
+/**
+ * Parse a version range
+ *
+ * @param {String} range - Range such as `^1.2`, `>=1.0.0 <2` or `1.x || 2.x`
+ * @returns {Array|null} - Alternatives, each a list of comparators that must all match, or
+ *                         null if the range is invalid
+ */
+export function parseRange(range) {
+  if (typeof range !== 'string') {
+    return null;
+  }
+
+  const alternatives = range.split('||').map(parseComparatorSet);
+  return alternatives.every(Boolean) ? alternatives : null;
+}
+
+/**
+ * Check whether a string is a valid version range
+ *
+ * @param {String} range - Version range
+ * @returns {Boolean} - True if the range can be parsed
+ */
+export function isValidRange(range) {
+  return parseRange(range) !== null;
+}
+
+function testComparator({ op, version: bound }, parsed) {
+  const order = compareParsed(parsed, bound);
+
+  switch (op) {
+    case '>': return order > 0;
+    case '>=': return order >= 0;
+    case '<': return order < 0;
+    case '<=': return order <= 0;
+    default: return order === 0;
+  }
+}
+
+/**
+ * Check whether a version satisfies a range
+ *
+ * @param {String} version - Semantic version
+ * @param {String} range - Version range
+ * @returns {Boolean} - False if the version does not match or either is invalid
+ */
+export function satisfiesRange(version, range) {
+  const parsed = parseVersion(version);
+  const alternatives = parseRange(range);
+
+  if (!parsed || !alternatives) {
+    return false;
+  }
+
+  return alternatives.some(comparators => {
+    if (!comparators.every(comparator => testComparator(comparator, parsed))) {
+      return false;
+    }
+
+    if (parsed.prerelease.length === 0) {
+      return true;
+    }
+
+    // Prereleases only match ranges that ask for a prerelease of the same version
+    return comparators.some(({ version: bound, bound: synthetic }) => !synthetic &&
+      bound.prerelease.length > 0 &&
+      bound.major === parsed.major && bound.minor === parsed.minor && bound.patch === parsed.patch);
+  });
+}
+
+/**
+ * Find the newest version that satisfies a range
+ *
+ * @param {Array} versions - Semantic versions
+ * @param {String} range - Version range
+ * @returns {String|null} - The newest matching version, or null if none matches
+ */
+export function maxSatisfying(versions, range) {
+  return versions
+    .filter(candidate => satisfiesRange(candidate, range))
+    .reduce((newest, candidate) => (newest === null || compareVersions(candidate, newest) > 0 ? candidate : newest), null);
+}
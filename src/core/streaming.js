@@ -0,0 +1,186 @@
+/**
+ * Streaming Synthesis
+ *
+ * Produces the final answer token-by-token so clients can render partial text while the
+ * LLM is still generating. Used by the orchestrator whenever a real-time channel (Socket.io
+ * or Server-Sent Events) is attached to a query.
+ */
+
+import { logger } from '../utils/logger.js';
+import { synthesizeResults } from './synthesizer.js';
+
+/**
+ * Collect citation sources from tool outputs
+ *
+ * @param {Array} results - Tool execution outputs
+ * @returns {Array} - De-duplicated list of { title, url } sources; passages of uploaded
+ *                    documents also carry { documentId, chunkIndex, excerpt }
+ */
+export function collectSources(results = []) {
+  const seen = new Set();
+  const sources = [];
+
+  const addSource = (source) => {
+    if (!source || !source.url || seen.has(source.url)) {
+      return;
+    }
+    seen.add(source.url);
+    sources.push({
+      title: source.title || source.url,
+      url: source.url,
+      ...(source.documentId && {
+        documentId: source.documentId,
+        chunkIndex: source.chunkIndex,
+        excerpt: source.excerpt || null
+      })
+    });
+  };
+
+  for (const result of results) {
+    const output = result && result.output !== undefined ? result.output : result;
+    if (!output || typeof output !== 'object') {
+      continue;
+    }
+
+    if (Array.isArray(output.sources)) {
+      output.sources.forEach(addSource);
+    }
+    addSource(output);
+  }
+
+  return sources;
+}
+
+/**
+ * Build the synthesis prompt from tool outputs and the conversation so far
+ *
+ * @param {Object} params - { results, context, intent, query } as for synthesizeResultsStream
+ * @returns {Array} - Chat messages
+ */
+export function buildSynthesisMessages({ results, context, intent, query }) {
+  const toolOutputs = results.map((result, index) => {
+    const name = result.tool || result.name || `step ${index + 1}`;
+    const output = result.output !== undefined ? result.output : result;
+    return `### ${name}\n${typeof output === 'string' ? output : JSON.stringify(output, null, 2)}`;
+  }).join('\n\n');
+
+  const history = (context.conversationHistory || []).slice(-6).map(entry => ({
+    role: entry.role,
+    content: entry.content
+  }));
+
+  // Sources are numbered in the order the client lists them, so [n] markers line up
+  const sources = collectSources(results);
+  const sourceList = sources.map((source, index) => `[${index + 1}] ${source.title}`).join('\n');
+
+  return [
+    {
+      role: 'system',
+      content: `You are an AI agent that answers the user using the outputs of the tools you ran.
+                Combine the tool outputs into a single clear answer. Do not invent facts that are
+                not supported by the outputs. The user's intent is "${intent?.primary || 'unknown'}".` +
+               (sources.length > 0
+                 ? ' Cite the sources you rely on inline with their number in brackets, e.g. [1].'
+                 : '')
+    },
+    ...history,
+    {
+      role: 'user',
+      content: `${query}\n\nTool outputs:\n\n${toolOutputs || 'No tools were used.'}` +
+        (sourceList ? `\n\nSources:\n${sourceList}` : '')
+    }
+  ];
+}
+
+/**
+ * Synthesize results into a response while streaming partial text
+ *
+ * @param {Object} params - Synthesis parameters
+ * @param {Array} params.results - Tool execution outputs
+ * @param {Object} params.context - Session context
+ * @param {Object} params.intent - Analyzed query intent
+ * @param {String} params.query - The original user query
+ * @param {Object} params.llmClient - OpenAI-compatible client
+ * @param {Function} params.onDelta - Called with each chunk of generated text
+ * @returns {Promise<Object>} - { text, html, sources } like synthesizeResults
+ */
+export async function synthesizeResultsStream({ results, context, intent, query, llmClient, onDelta }) {
+  // Without an LLM there is nothing to stream, so emit the whole answer at once
+  if (!llmClient) {
+    const response = await synthesizeResults({ results, context, intent, query, llmClient });
+    if (onDelta && response.text) {
+      onDelta(response.text);
+    }
+    return response;
+  }
+
+  const stream = await llmClient.chat.completions.create({
+    model: process.env.OPENAI_SYNTHESIS_MODEL || 'gpt-4',
+    messages: buildSynthesisMessages({ results, context, intent, query }),
+    stream: true
+  });
+
+  let text = '';
+
+  for await (const chunk of stream) {
+    const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta
+      ? chunk.choices[0].delta.content
+      : null;
+
+    if (delta) {
+      text += delta;
+      if (onDelta) {
+        onDelta(delta);
+      }
+    }
+  }
+
+  logger.debug(`Streamed synthesis completed with ${text.length} characters`);
+
+  return {
+    text,
+    html: null,
+    sources: collectSources(results)
+  };
+}
+
+/**
+ * Create an event emitter that writes Server-Sent Events to an HTTP response
+ *
+ * The returned object mimics the `emit` method of a Socket.io socket so it can be
+ * passed to `orchestrator.processQuery` in place of a socket.
+ *
+ * @param {Object} res - Express response object
+ * @returns {Object} - Emitter with `emit(event, data)` and `close()`
+ */
+export function createSseEmitter(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on('close', () => {
+    closed = true;
+  });
+
+  return {
+    emit(event, data) {
+      if (closed) {
+        return false;
+      }
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      return true;
+    },
+
+    close() {
+      if (!closed) {
+        closed = true;
+        res.end();
+      }
+    }
+  };
+}
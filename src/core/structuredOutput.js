@@ -0,0 +1,298 @@
+/**
+ * Structured Output
+ *
+ * Lets callers ask for a machine-readable answer instead of free text. A query may carry
+ * `output: { schema }` with a JSON Schema, or `output: { name }` naming a zod schema
+ * registered on the server. The synthesizer is then asked for JSON, the reply is validated,
+ * and the validation errors are sent back to the LLM until it produces a valid value or runs
+ * out of attempts.
+ *
+ * Configuration:
+ *   STRUCTURED_OUTPUT_MAX_ATTEMPTS - Synthesis attempts before giving up (default 3)
+ */
+
+import { z } from 'zod';
+import { logger } from '../utils/logger.js';
+import { buildSynthesisMessages, collectSources } from './streaming.js';
+import { validateJsonSchema, checkJsonSchema, formatPath } from './jsonSchema.js';
+import { createExposedError } from './errors.js';
+
+// Upper bound for attempts requested by callers
+const MAX_ATTEMPTS_LIMIT = 5;
+
+// zod schemas registered by name
+const registeredSchemas = new Map();
+
+/**
+ * Describe a zod schema as JSON Schema, so it can be shown to the LLM and to API callers
+ *
+ * Covers the zod types used for output schemas; anything else is described as an
+ * unconstrained value.
+ *
+ * @param {Object} schema - zod schema
+ * @returns {Object} - JSON Schema
+ */
+export function zodToJsonSchema(schema) {
+  const def = schema._def;
+  const withDescription = (json) => (def.description ? { ...json, description: def.description } : json);
+  const checks = def.checks || [];
+  const check = (kind) => checks.find(entry => entry.kind === kind);
+
+  switch (def.typeName) {
+    case 'ZodString':
+      return withDescription({
+        type: 'string',
+        ...(check('min') && { minLength: check('min').value }),
+        ...(check('max') && { maxLength: check('max').value }),
+        ...(check('email') && { format: 'email' }),
+        ...(check('url') && { format: 'uri' }),
+        ...(check('uuid') && { format: 'uuid' }),
+        ...(check('datetime') && { format: 'date-time' }),
+        ...(check('regex') && { pattern: check('regex').regex.source })
+      });
+    case 'ZodNumber':
+      return withDescription({
+        type: check('int') ? 'integer' : 'number',
+        ...(check('min') && { [check('min').inclusive ? 'minimum' : 'exclusiveMinimum']: check('min').value }),
+        ...(check('max') && { [check('max').inclusive ? 'maximum' : 'exclusiveMaximum']: check('max').value })
+      });
+    case 'ZodBoolean':
+      return withDescription({ type: 'boolean' });
+    case 'ZodNull':
+      return withDescription({ type: 'null' });
+    case 'ZodDate':
+      return withDescription({ type: 'string', format: 'date-time' });
+    case 'ZodLiteral':
+      return withDescription({ const: def.value });
+    case 'ZodEnum':
+      return withDescription({ type: 'string', enum: def.values });
+    case 'ZodNativeEnum':
+      return withDescription({ enum: Object.values(def.values).filter(value => typeof def.values[value] !== 'number') });
+    case 'ZodArray':
+      return withDescription({
+        type: 'array',
+        items: zodToJsonSchema(def.type),
+        ...(def.minLength && { minItems: def.minLength.value }),
+        ...(def.maxLength && { maxItems: def.maxLength.value })
+      });
+    case 'ZodObject': {
+      const shape = def.shape();
+      const required = Object.keys(shape).filter(key => !shape[key].isOptional());
+      return withDescription({
+        type: 'object',
+        properties: Object.fromEntries(Object.entries(shape).map(([key, value]) => [key, zodToJsonSchema(value)])),
+        ...(required.length > 0 && { required }),
+        ...(def.unknownKeys === 'strict' && { additionalProperties: false })
+      });
+    }
+    case 'ZodRecord':
+      return withDescription({ type: 'object', additionalProperties: zodToJsonSchema(def.valueType) });
+    case 'ZodUnion':
+    case 'ZodDiscriminatedUnion':
+      return withDescription({ anyOf: def.options.map(zodToJsonSchema) });
+    case 'ZodOptional':
+    case 'ZodDefault':
+      return withDescription(zodToJsonSchema(def.innerType));
+    case 'ZodNullable':
+      return withDescription({ anyOf: [zodToJsonSchema(def.innerType), { type: 'null' }] });
+    case 'ZodEffects':
+      return withDescription(zodToJsonSchema(def.schema));
+    default:
+      return withDescription({});
+  }
+}
+
+/**
+ * Register a named zod schema that queries can request with `output: { name }`
+ *
+ * @param {String} name - Schema name
+ * @param {Object} schema - zod schema
+ * @param {Object} options - { description }
+ */
+export function registerOutputSchema(name, schema, { description = '' } = {}) {
+  if (!schema || typeof schema.safeParse !== 'function') {
+    throw new Error(`Output schema '${name}' must be a zod schema`);
+  }
+
+  registeredSchemas.set(name, { name, description, schema, jsonSchema: zodToJsonSchema(schema) });
+}
+
+/**
+ * List the registered output schemas
+ *
+ * @returns {Array} - [{ name, description, jsonSchema }]
+ */
+export function listOutputSchemas() {
+  return [...registeredSchemas.values()].map(({ name, description, jsonSchema }) => ({ name, description, jsonSchema }));
+}
+
+registerOutputSchema('answer', z.object({
+  answer: z.string().describe('The answer to the query'),
+  confidence: z.number().min(0).max(1).describe('How confident the answer is, from 0 to 1'),
+  sources: z.array(z.object({
+    title: z.string(),
+    url: z.string()
+  })).describe('Sources the answer is based on')
+}), { description: 'A single answer with a confidence score and its sources' });
+
+registerOutputSchema('list', z.object({
+  items: z.array(z.object({
+    title: z.string(),
+    description: z.string().optional(),
+    url: z.string().optional()
+  }))
+}), { description: 'A list of items, e.g. search results or recommendations' });
+
+/**
+ * Resolve the `output` option of a query into a validator
+ *
+ * @param {Object|String} output - { schema } with a JSON Schema, { name } of a registered zod
+ *                                 schema, or the name alone; maxAttempts may be given with either
+ * @returns {Object|null} - { name, jsonSchema, maxAttempts, validate(value) }, or null if no
+ *                          structured output was requested
+ */
+export function resolveOutputSpec(output) {
+  if (!output) {
+    return null;
+  }
+
+  const spec = typeof output === 'string' ? { name: output } : output;
+  const maxAttempts = Math.min(
+    Math.max(Number(spec.maxAttempts) || Number(process.env.STRUCTURED_OUTPUT_MAX_ATTEMPTS) || 3, 1),
+    MAX_ATTEMPTS_LIMIT
+  );
+
+  if (spec.schema) {
+    const problems = checkJsonSchema(spec.schema);
+    if (problems.length > 0) {
+      throw createExposedError('INVALID_OUTPUT_SCHEMA', `The output schema is invalid: ${problems.join('; ')}`, { problems });
+    }
+
+    return {
+      name: spec.name || null,
+      jsonSchema: spec.schema,
+      maxAttempts,
+      validate: (value) => {
+        const { valid, errors } = validateJsonSchema(spec.schema, value);
+        return { valid, data: valid ? value : null, errors };
+      }
+    };
+  }
+
+  const registered = registeredSchemas.get(spec.name);
+  if (!registered) {
+    throw createExposedError('INVALID_OUTPUT_SCHEMA', spec.name
+      ? `Unknown output schema '${spec.name}'`
+      : 'Structured output needs a JSON Schema or the name of a registered schema');
+  }
+
+  return {
+    name: registered.name,
+    jsonSchema: registered.jsonSchema,
+    maxAttempts,
+    validate: (value) => {
+      const result = registered.schema.safeParse(value);
+      return result.success
+        ? { valid: true, data: result.data, errors: [] }
+        : {
+            valid: false,
+            data: null,
+            errors: result.error.issues.map(issue => ({
+              path: formatPath(issue.path),
+              keyword: issue.code,
+              message: issue.message
+            }))
+          };
+    }
+  };
+}
+
+/**
+ * Parse an LLM reply as JSON, tolerating a surrounding code fence
+ */
+function parseReply(content) {
+  const fenced = String(content || '').match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const body = (fenced ? fenced[1] : String(content || '')).trim();
+
+  try {
+    return { value: JSON.parse(body), errors: [] };
+  } catch (error) {
+    return { value: undefined, errors: [{ path: '$', keyword: 'json', message: `Not valid JSON: ${error.message}` }] };
+  }
+}
+
+/**
+ * Synthesize results into a value that conforms to the requested schema
+ *
+ * @param {Object} params - Synthesis parameters
+ * @param {Array} params.results - Tool execution outputs
+ * @param {Object} params.context - Session context
+ * @param {Object} params.intent - Analyzed query intent
+ * @param {String} params.query - The original user query
+ * @param {Object} params.llmClient - OpenAI-compatible client
+ * @param {Object} params.output - Resolved output spec (see resolveOutputSpec)
+ * @returns {Promise<Object>} - { text, html, sources, data, validation: { valid, attempts, errors } }
+ * @throws {Error} - OUTPUT_VALIDATION_FAILED with `validationErrors` when no attempt validates
+ */
+export async function synthesizeStructured({ results, context, intent, query, llmClient, output }) {
+  if (!llmClient) {
+    throw createExposedError('OUTPUT_VALIDATION_FAILED', 'Structured output requires an LLM provider', {
+      validationErrors: [],
+      attempts: 0
+    });
+  }
+
+  const isObject = output.jsonSchema.type === 'object';
+  const messages = [
+    ...buildSynthesisMessages({ results, context, intent, query }),
+    {
+      role: 'system',
+      content: `Reply with a single JSON value that conforms to the JSON Schema below. Output only the
+                JSON, without prose or code fences.\n\n${JSON.stringify(output.jsonSchema, null, 2)}`
+    }
+  ];
+
+  let errors = [];
+
+  for (let attempt = 1; attempt <= output.maxAttempts; attempt++) {
+    const completion = await llmClient.chat.completions.create({
+      messages,
+      temperature: 0,
+      ...(isObject && { response_format: { type: 'json_object' } })
+    });
+
+    const content = completion.choices?.[0]?.message?.content || '';
+    const parsed = parseReply(content);
+    const result = parsed.errors.length > 0 ? { valid: false, errors: parsed.errors } : output.validate(parsed.value);
+
+    if (result.valid) {
+      logger.debug(`Structured output validated on attempt ${attempt}`);
+      return {
+        text: JSON.stringify(result.data, null, 2),
+        html: null,
+        sources: collectSources(results),
+        data: result.data,
+        validation: { valid: true, attempts: attempt, errors: [] }
+      };
+    }
+
+    errors = result.errors;
+    logger.debug(`Structured output attempt ${attempt} failed validation with ${errors.length} errors`);
+
+    messages.push(
+      { role: 'assistant', content },
+      {
+        role: 'user',
+        content: `Your reply does not conform to the schema:\n` +
+          errors.map(error => `- ${error.path}: ${error.message}`).join('\n') +
+          '\n\nReply again with corrected JSON only.'
+      }
+    );
+  }
+
+  throw createExposedError(
+    'OUTPUT_VALIDATION_FAILED',
+    `The answer did not match the requested schema after ${output.maxAttempts} attempts`,
+    { validationErrors: errors, attempts: output.maxAttempts }
+  );
+}
@@ -0,0 +1,534 @@
+/**
+ * Outbound Webhooks
+ *
+ * Delivers query lifecycle events published by the orchestrator to the HTTP endpoints users
+ * register. Every request body is signed with the endpoint's secret: the
+ * `X-Webhook-Signature` header carries `sha256=<hex>`, the HMAC-SHA256 of
+ * `<X-Webhook-Timestamp>.<body>`. Failed deliveries are retried with exponential backoff and
+ * every attempt is kept in the delivery log, from where a delivery can be replayed.
+ *
+ * Endpoints must be on the public internet (see publicUrl.js); only the test receiver of this
+ * server is delivered to over loopback.
+ *
+ * Configuration:
+ *   WEBHOOK_MAX_ATTEMPTS      - Attempts per delivery, including the first (default 5)
+ *   WEBHOOK_RETRY_BASE_MS     - Delay before the first retry, doubled for each retry (default 10000)
+ *   WEBHOOK_TIMEOUT_MS        - Time an endpoint has to respond (default 10000)
+ *   WEBHOOK_ENDPOINTS_PER_USER - Endpoints a user may register (default 10)
+ *   WEBHOOK_DELIVERY_HISTORY  - Deliveries kept per endpoint (default 100)
+ */
+
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { checkPublicUrl, resolvePublicUrl, sendRequest } from './publicUrl.js';
+import { createExposedError } from './errors.js';
+
+/**
+ * Events endpoints can subscribe to
+ */
+export const WEBHOOK_EVENTS = {
+  'query.completed': 'A query finished and produced an answer',
+  'query.failed': 'A query failed and the agent fell back to an error response',
+  'tool.failed': 'A tool step failed while running a query',
+  'session.created': 'A new conversation session was started'
+};
+
+// Sent by the "Send test event" action, whatever the endpoint subscribes to
+const TEST_EVENT = 'webhook.test';
+
+// Longest wait between two attempts
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+
+/**
+ * Sign a webhook body
+ *
+ * @param {String} secret - Endpoint secret
+ * @param {String|Number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {String} body - Request body exactly as sent
+ * @returns {String} - Signature header value, `sha256=<hex>`
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+/**
+ * Verify the signature of a received webhook
+ *
+ * @param {Object} params - { secret, timestamp, body, signature, toleranceSeconds }
+ * @returns {Boolean} - True if the signature matches and the timestamp is recent enough
+ */
+export function verifyWebhookSignature({ secret, timestamp, body, signature, toleranceSeconds = 300 }) {
+  if (!secret || !timestamp || !signature) {
+    return false;
+  }
+
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check and normalize endpoint fields sent by a client
+ *
+ * @param {Object} fields - { url, events, description, enabled }
+ * @param {Boolean} partial - True for updates, where every field is optional
+ * @returns {Object} - Normalized fields
+ */
+function validateEndpointFields(fields, partial) {
+  const endpoint = {};
+
+  if (!partial || fields.url !== undefined) {
+    if (typeof fields.url !== 'string' || !/^https?:\/\/\S+$/i.test(fields.url)) {
+      throw createExposedError('INVALID_REQUEST', 'The endpoint URL must be an http(s) URL');
+    }
+    endpoint.url = fields.url;
+  }
+
+  if (!partial || fields.events !== undefined) {
+    const events = Array.isArray(fields.events) ? [...new Set(fields.events)] : [];
+    const unknown = events.filter(event => !WEBHOOK_EVENTS[event]);
+
+    if (events.length === 0) {
+      throw createExposedError('INVALID_REQUEST', 'Subscribe the endpoint to at least one event');
+    }
+    if (unknown.length > 0) {
+      throw createExposedError('INVALID_REQUEST', `Unknown events: ${unknown.join(', ')}`);
+    }
+    endpoint.events = events;
+  }
+
+  if (fields.description !== undefined || !partial) {
+    endpoint.description = String(fields.description || '').trim();
+  }
+
+  if (fields.enabled !== undefined) {
+    endpoint.enabled = Boolean(fields.enabled);
+  }
+
+  return endpoint;
+}
+
+// Endpoint as returned to its owner; the secret is only shown when created or rotated
+const withoutSecret = ({ secret, ...endpoint }) => ({ ...endpoint, secretHint: `…${secret.slice(-4)}` });
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+/**
+ * Create a webhook dispatcher
+ *
+ * @param {Object} options - Dispatcher options
+ * @param {Object} options.store - Webhook store (see data/webhookStore.js)
+ * @param {Function} options.send - (url, { method, headers, body, timeoutMs, address, family })
+ *                                  => Promise<{ ok, status }> sending a delivery, defaults to
+ *                                  sendRequest (see publicUrl.js)
+ * @param {Function} options.lookup - DNS lookup used to check endpoint hosts, defaults to
+ *                                    dns.promises.lookup
+ * @param {Function} options.localReceiverUrl - (url) => the loopback URL to deliver to when
+ *                                              `url` is this server's test receiver, else null
+ * @returns {Object} - Dispatcher
+ */
+export function createWebhookDispatcher(options = {}) {
+  const { store, lookup, localReceiverUrl = () => null } = options;
+  const send = options.send || sendRequest;
+  const maxAttempts = options.maxAttempts || Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+  const retryBaseMs = options.retryBaseMs || Number(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+  const timeoutMs = options.timeoutMs || Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+  const maxEndpointsPerUser = options.maxEndpointsPerUser || Number(process.env.WEBHOOK_ENDPOINTS_PER_USER) || 10;
+  const historySize = options.historySize || Number(process.env.WEBHOOK_DELIVERY_HISTORY) || 100;
+
+  // Scheduled retries by delivery ID
+  const retryTimers = new Map();
+
+  // Refuse endpoints that would make the server call into its own network
+  const checkEndpointUrl = async (url) => {
+    const problem = localReceiverUrl(url) ? null : await checkPublicUrl(url, { lookup });
+    if (problem) {
+      throw createExposedError('INVALID_REQUEST', problem);
+    }
+  };
+
+  const getOwnedEndpoint = async (userId, endpointId) => {
+    const endpoint = await store.getEndpoint(endpointId);
+    if (!endpoint || endpoint.userId !== userId) {
+      throw createExposedError('NOT_FOUND', 'Webhook endpoint not found');
+    }
+    return endpoint;
+  };
+
+  const scheduleAttempt = (delivery, delayMs) => {
+    clearTimeout(retryTimers.get(delivery.id));
+    const timer = setTimeout(() => {
+      retryTimers.delete(delivery.id);
+      attempt(delivery.id).catch(error => logger.error(`Webhook delivery ${delivery.id} failed:`, error));
+    }, Math.max(delayMs, 0));
+    timer.unref?.();
+    retryTimers.set(delivery.id, timer);
+  };
+
+  // Make one delivery attempt and record its outcome
+  const attempt = async (deliveryId) => {
+    const delivery = await store.getDelivery(deliveryId);
+    if (!delivery || delivery.status !== 'pending') {
+      return delivery;
+    }
+
+    const endpoint = await store.getEndpoint(delivery.endpointId);
+    if (!endpoint) {
+      return store.updateDelivery({ ...delivery, status: 'failed', nextAttemptAt: null });
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = Date.now();
+    const record = { at: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: null };
+
+    try {
+      // The host is checked on every attempt, since its DNS records may have changed, and
+      // the delivery goes to the address that was checked
+      const localUrl = localReceiverUrl(endpoint.url);
+      const target = localUrl ? { problem: null, address: null } : await resolvePublicUrl(endpoint.url, { lookup });
+      if (target.problem) {
+        throw createExposedError('INVALID_REQUEST', target.problem);
+      }
+
+      const response = await send(localUrl || endpoint.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'emergent-agent-webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': signWebhookPayload(endpoint.secret, timestamp, body)
+        },
+        body,
+        timeoutMs,
+        address: target.address,
+        family: target.family
+      });
+      record.statusCode = response.status;
+      if (!response.ok) {
+        record.error = `Endpoint responded with ${response.status}`;
+      }
+    } catch (error) {
+      record.error = error.name === 'TimeoutError' ? `No response within ${timeoutMs}ms` : error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+
+    const attempts = [...delivery.attempts, record];
+    const succeeded = !record.error;
+    const exhausted = attempts.length >= maxAttempts;
+    const retryDelay = Math.min(retryBaseMs * 2 ** (attempts.length - 1), MAX_RETRY_DELAY_MS);
+
+    const updated = {
+      ...delivery,
+      attempts,
+      status: succeeded ? 'succeeded' : exhausted ? 'failed' : 'pending',
+      nextAttemptAt: succeeded || exhausted ? null : new Date(Date.now() + retryDelay).toISOString(),
+      completedAt: succeeded || exhausted ? new Date().toISOString() : null
+    };
+    await store.updateDelivery(updated);
+
+    if (updated.status === 'pending') {
+      logger.warn(`Webhook delivery ${delivery.id} to ${endpoint.url} failed (${record.error}), retrying in ${retryDelay}ms`);
+      scheduleAttempt(updated, retryDelay);
+    } else if (updated.status === 'failed') {
+      logger.warn(`Webhook delivery ${delivery.id} to ${endpoint.url} failed after ${attempts.length} attempts`);
+    }
+
+    return updated;
+  };
+
+  // Record a delivery of a payload to an endpoint and make the first attempt
+  const deliver = async (endpoint, payload, { replayOf = null } = {}) => {
+    const delivery = {
+      id: uuidv4(),
+      endpointId: endpoint.id,
+      userId: endpoint.userId,
+      event: payload.type,
+      eventId: payload.id,
+      payload,
+      replayOf,
+      status: 'pending',
+      attempts: [],
+      createdAt: new Date().toISOString(),
+      nextAttemptAt: new Date().toISOString(),
+      completedAt: null
+    };
+
+    await store.addDelivery(delivery, historySize);
+    return attempt(delivery.id);
+  };
+
+  return {
+    /**
+     * Deliver the orchestrator's lifecycle events
+     *
+     * @param {Object} events - EventEmitter publishing `lifecycle` events
+     */
+    subscribe(events) {
+      events.on('lifecycle', (event) => {
+        this.dispatch(event).catch(error => logger.error(`Failed to dispatch ${event.type} webhooks:`, error));
+      });
+    },
+
+    /**
+     * Resume deliveries that were waiting for a retry when the server stopped
+     */
+    async start() {
+      const pending = await store.listPending();
+      pending.forEach(delivery => scheduleAttempt(delivery, new Date(delivery.nextAttemptAt || 0) - Date.now()));
+      if (pending.length > 0) {
+        logger.info(`Resumed ${pending.length} pending webhook deliveries`);
+      }
+    },
+
+    /**
+     * Stop retrying; pending deliveries resume on the next start
+     */
+    stop() {
+      retryTimers.forEach(timer => clearTimeout(timer));
+      retryTimers.clear();
+    },
+
+    /**
+     * Deliver an event to every endpoint of its user that subscribes to it
+     *
+     * @param {Object} event - { id, type, userId, createdAt, data }
+     * @returns {Promise<Array>} - Deliveries after their first attempt
+     */
+    async dispatch({ id, type, userId, createdAt, data }) {
+      if (!userId) {
+        return [];
+      }
+
+      const endpoints = await store.findSubscribed(userId, type);
+      const payload = { id, type, createdAt, data };
+      return Promise.all(endpoints.map(endpoint => deliver(endpoint, payload)));
+    },
+
+    /**
+     * List a user's endpoints
+     *
+     * @param {String} userId - Owner ID
+     * @returns {Promise<Array>} - Endpoints without their secrets
+     */
+    async listEndpoints(userId) {
+      return (await store.listEndpoints(userId)).map(withoutSecret);
+    },
+
+    /**
+     * Register an endpoint
+     *
+     * @param {String} userId - Owner ID
+     * @param {Object} fields - { url, events, description }
+     * @returns {Promise<Object>} - The endpoint, including its signing secret
+     */
+    async createEndpoint(userId, fields = {}) {
+      const existing = await store.listEndpoints(userId);
+      if (existing.length >= maxEndpointsPerUser) {
+        throw createExposedError('ENDPOINT_LIMIT_EXCEEDED', `You can register at most ${maxEndpointsPerUser} webhook endpoints`);
+      }
+
+      const now = new Date().toISOString();
+      const validated = validateEndpointFields(fields, false);
+      await checkEndpointUrl(validated.url);
+
+      const endpoint = {
+        id: uuidv4(),
+        userId,
+        enabled: true,
+        ...validated,
+        secret: generateSecret(),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await store.saveEndpoint(endpoint);
+      logger.info(`User ${userId} registered webhook endpoint ${endpoint.id} for ${endpoint.events.join(', ')}`);
+      return { ...withoutSecret(endpoint), secret: endpoint.secret };
+    },
+
+    /**
+     * Update an endpoint
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} endpointId - Endpoint ID
+     * @param {Object} changes - Any of { url, events, description, enabled }
+     * @returns {Promise<Object>} - The updated endpoint without its secret
+     */
+    async updateEndpoint(userId, endpointId, changes = {}) {
+      const endpoint = await getOwnedEndpoint(userId, endpointId);
+      const validated = validateEndpointFields(changes, true);
+      if (validated.url !== undefined) {
+        await checkEndpointUrl(validated.url);
+      }
+
+      const updated = { ...endpoint, ...validated, updatedAt: new Date().toISOString() };
+
+      await store.saveEndpoint(updated);
+      return withoutSecret(updated);
+    },
+
+    /**
+     * Replace an endpoint's signing secret
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} endpointId - Endpoint ID
+     * @returns {Promise<Object>} - The endpoint, including its new secret
+     */
+    async rotateSecret(userId, endpointId) {
+      const endpoint = await getOwnedEndpoint(userId, endpointId);
+      const updated = { ...endpoint, secret: generateSecret(), updatedAt: new Date().toISOString() };
+
+      await store.saveEndpoint(updated);
+      return { ...withoutSecret(updated), secret: updated.secret };
+    },
+
+    /**
+     * Delete an endpoint and its delivery log
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} endpointId - Endpoint ID
+     */
+    async deleteEndpoint(userId, endpointId) {
+      await getOwnedEndpoint(userId, endpointId);
+      await store.deleteEndpoint(endpointId);
+    },
+
+    /**
+     * Send a test event to an endpoint, whatever events it subscribes to
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} endpointId - Endpoint ID
+     * @returns {Promise<Object>} - The delivery after its first attempt
+     */
+    async sendTest(userId, endpointId) {
+      const endpoint = await getOwnedEndpoint(userId, endpointId);
+      return deliver(endpoint, {
+        id: uuidv4(),
+        type: TEST_EVENT,
+        createdAt: new Date().toISOString(),
+        data: { message: 'This is a test event from the agent' }
+      });
+    },
+
+    /**
+     * List a user's deliveries, newest first
+     *
+     * @param {String} userId - Owner ID
+     * @param {Object} params - { endpointId, limit }
+     * @returns {Promise<Array>} - Deliveries
+     */
+    async listDeliveries(userId, params = {}) {
+      return store.listDeliveries(userId, params);
+    },
+
+    /**
+     * Deliver a logged payload again, as a new delivery
+     *
+     * @param {String} userId - Owner ID
+     * @param {String} deliveryId - ID of the delivery to replay
+     * @returns {Promise<Object>} - The new delivery after its first attempt
+     */
+    async replay(userId, deliveryId) {
+      const delivery = await store.getDelivery(deliveryId);
+      if (!delivery || delivery.userId !== userId) {
+        throw createExposedError('NOT_FOUND', 'Webhook delivery not found');
+      }
+
+      const endpoint = await getOwnedEndpoint(userId, delivery.endpointId);
+      return deliver(endpoint, delivery.payload, { replayOf: delivery.id });
+    },
+
+    /**
+     * Find the user's endpoints that point at a URL, e.g. to verify a received signature
+     *
+     * @param {String} userId - Owner ID
+     * @param {Function} matches - (url) => Boolean
+     * @returns {Promise<Array>} - Endpoints, including their secrets
+     */
+    async findEndpointsByUrl(userId, matches) {
+      return (await store.listEndpoints(userId)).filter(endpoint => matches(endpoint.url));
+    }
+  };
+}
+
+/**
+ * Create a receiver that records webhooks sent to this server
+ *
+ * Each user gets a receiver URL on this server, so webhooks can be tried out end to end
+ * without exposing an endpoint to the network.
+ *
+ * @param {Object} options - { maxReceipts } kept per user
+ * @returns {Object} - Test receiver
+ */
+export function createTestReceiver({ maxReceipts = 50 } = {}) {
+  const receiverIds = new Map();
+  const owners = new Map();
+  const receipts = new Map();
+
+  return {
+    /**
+     * Get the receiver ID of a user, creating it on first use
+     *
+     * @param {String} userId - User ID
+     * @returns {String} - Receiver ID
+     */
+    receiverIdFor(userId) {
+      if (!receiverIds.has(userId)) {
+        const receiverId = crypto.randomBytes(12).toString('hex');
+        receiverIds.set(userId, receiverId);
+        owners.set(receiverId, userId);
+      }
+      return receiverIds.get(userId);
+    },
+
+    /**
+     * Get the user a receiver belongs to
+     *
+     * @param {String} receiverId - Receiver ID
+     * @returns {String|null} - User ID
+     */
+    ownerOf(receiverId) {
+      return owners.get(receiverId) || null;
+    },
+
+    /**
+     * Record a received webhook
+     *
+     * @param {String} receiverId - Receiver ID
+     * @param {Object} receipt - { headers, body, signatureValid, respondedWith }
+     */
+    record(receiverId, receipt) {
+      const userId = owners.get(receiverId);
+      const list = [{ id: uuidv4(), receivedAt: new Date().toISOString(), ...receipt }, ...(receipts.get(userId) || [])];
+      receipts.set(userId, list.slice(0, maxReceipts));
+    },
+
+    /**
+     * List the webhooks a user's receiver got, newest first
+     *
+     * @param {String} userId - User ID
+     * @returns {Array} - Receipts
+     */
+    list(userId) {
+      return receipts.get(userId) || [];
+    },
+
+    /**
+     * Forget the webhooks a user's receiver got
+     *
+     * @param {String} userId - User ID
+     */
+    clear(userId) {
+      receipts.delete(userId);
+    }
+  };
+}
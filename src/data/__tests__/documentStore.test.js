@@ -0,0 +1,126 @@
+import { chunkText, createDocumentStore } from '../documentStore.js';
+import { createMemoryDocumentRecordStore } from '../documentRecordStore.js';
+import { createLocalVectorStore } from '../vectorStore.js';
+
+describe('chunkText', () => {
+  const sentences = (count) => Array.from({ length: count }, (_, i) => `Sentence number ${i} is here.`).join(' ');
+
+  it('keeps short text in one chunk', () => {
+    expect(chunkText('A short note.')).toEqual([{ index: 0, text: 'A short note.', start: 0, end: 13 }]);
+  });
+
+  it('returns no chunks for blank text', () => {
+    expect(chunkText('')).toEqual([]);
+    expect(chunkText('   \n\n  ')).toEqual([]);
+  });
+
+  it('records offsets that point back into the text', () => {
+    const text = sentences(100);
+
+    for (const chunk of chunkText(text, { size: 300, overlap: 50 })) {
+      expect(text.slice(chunk.start, chunk.end).trim()).toBe(chunk.text);
+    }
+  });
+
+  it('covers the whole text with chunks no larger than the size', () => {
+    const text = sentences(100);
+    const chunks = chunkText(text, { size: 300, overlap: 50 });
+
+    expect(chunks.map(chunk => chunk.index)).toEqual(chunks.map((_, i) => i));
+    expect(chunks[0].start).toBe(0);
+    expect(chunks[chunks.length - 1].end).toBe(text.length);
+    chunks.forEach(chunk => expect(chunk.end - chunk.start).toBeLessThanOrEqual(300));
+    chunks.slice(1).forEach((chunk, i) => expect(chunk.start).toBeLessThanOrEqual(chunks[i].end));
+  });
+
+  it('overlaps consecutive chunks, starting them on a word', () => {
+    const text = sentences(100);
+    const chunks = chunkText(text, { size: 300, overlap: 50 });
+
+    chunks.slice(1).forEach((chunk, i) => {
+      expect(chunks[i].end - chunk.start).toBeGreaterThan(0);
+      expect(chunks[i].end - chunk.start).toBeLessThanOrEqual(50);
+      expect(text[chunk.start - 1]).toBe(' ');
+    });
+  });
+
+  it('prefers to end chunks at paragraph and sentence boundaries', () => {
+    const paragraph = 'word '.repeat(30).trim();
+    const text = `${paragraph}.\n\n${paragraph}.\n\n${paragraph}.`;
+
+    const [first] = chunkText(text, { size: 200, overlap: 20 });
+
+    expect(first.text).toBe(`${paragraph}.`);
+  });
+
+  it('splits text without spaces at the size', () => {
+    const chunks = chunkText('x'.repeat(250), { size: 100, overlap: 10 });
+
+    expect(chunks.map(chunk => [chunk.start, chunk.end])).toEqual([[0, 100], [90, 190], [180, 250]]);
+  });
+});
+
+describe('document store', () => {
+  const alice = { id: 'alice', workspaceId: 'acme' };
+  const bob = { id: 'bob', workspaceId: 'acme' };
+  const carol = { id: 'carol', workspaceId: null };
+
+  const setup = () => {
+    const records = createMemoryDocumentRecordStore();
+    const vectorStore = createLocalVectorStore();
+    return { records, vectorStore, documents: createDocumentStore({ vectorStore, records, chunkSize: 200, chunkOverlap: 20 }) };
+  };
+
+  const upload = (documents, user, fields = {}) => documents.ingest({
+    filename: 'notes.md',
+    contentType: 'text/markdown',
+    data: Buffer.from('# Release notes\n\nThe new importer reads CSV files. '.repeat(10)),
+    userId: user.id,
+    workspaceId: user.workspaceId,
+    ...fields
+  });
+
+  it('saves ingested documents with their text and chunk offsets in the record store', async () => {
+    const { documents, records } = setup();
+
+    const summary = await upload(documents, alice);
+    const stored = await records.get(summary.id);
+
+    expect(summary).not.toHaveProperty('text');
+    expect(summary).toMatchObject({ title: 'Release notes', type: 'markdown', scope: 'user', userId: 'alice' });
+    expect(stored.text).toMatch(/^# Release notes/);
+    expect(stored.chunks).toHaveLength(summary.chunkCount);
+    await expect(documents.get(summary.id)).resolves.toEqual(stored);
+  });
+
+  it('lists the documents of the user and their workspace', async () => {
+    const { documents } = setup();
+
+    const own = await upload(documents, alice);
+    const shared = await upload(documents, bob, { scope: 'workspace', filename: 'shared.md' });
+    await upload(documents, bob);
+
+    expect((await documents.list(alice)).map(document => document.id).sort()).toEqual([own.id, shared.id].sort());
+    expect(await documents.list(carol)).toEqual([]);
+  });
+
+  it('deletes the record and the vectors of a document', async () => {
+    const { documents, vectorStore } = setup();
+    const summary = await upload(documents, alice);
+
+    await expect(documents.delete(summary.id)).resolves.toBe(true);
+
+    await expect(documents.get(summary.id)).resolves.toBeNull();
+    await expect(vectorStore.list('docs:user:alice')).resolves.toEqual([]);
+    await expect(documents.delete(summary.id)).resolves.toBe(false);
+  });
+
+  it('rejects unsupported and empty uploads', async () => {
+    const { documents } = setup();
+
+    await expect(upload(documents, alice, { filename: 'photo.png', contentType: 'image/png' }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', expose: true });
+    await expect(upload(documents, alice, { data: Buffer.alloc(0) }))
+      .rejects.toMatchObject({ code: 'INVALID_REQUEST', expose: true });
+  });
+});
@@ -0,0 +1,79 @@
+import { createMemoryToolUsageStore } from '../toolUsageStore.js';
+
+describe('tool usage store', () => {
+  const start = Date.now() - 60 * 60 * 1000;
+  const at = (minutes) => new Date(start + minutes * 60 * 1000);
+  const call = (fields) => ({ toolName: 'Search', toolVersion: '1.0.0', success: true, latencyMs: 100, ...fields });
+
+  describe('listSessions', () => {
+    const setup = async () => {
+      const store = createMemoryToolUsageStore();
+      await store.record(call({ sessionId: 's1', userId: 'alice', timestamp: at(0) }));
+      await store.record(call({ sessionId: 's2', userId: 'bob', versionRange: '^1.0.0', timestamp: at(5) }));
+      await store.record(call({ sessionId: 's1', userId: 'alice', versionRange: '~1.0.0', timestamp: at(10) }));
+      await store.record(call({ sessionId: 's3', userId: 'alice', toolVersion: '2.0.0', timestamp: at(15) }));
+      await store.record(call({ sessionId: null, userId: 'carol', timestamp: at(20) }));
+      return store;
+    };
+
+    it('lists the sessions that called a version, most recently used first', async () => {
+      const store = await setup();
+
+      await expect(store.listSessions({ toolName: 'Search', toolVersion: '1.0.0', from: at(0) })).resolves.toEqual({
+        total: 2,
+        sessions: [
+          { sessionId: 's1', userId: 'alice', range: '~1.0.0', lastUsed: at(10).toISOString() },
+          { sessionId: 's2', userId: 'bob', range: '^1.0.0', lastUsed: at(5).toISOString() }
+        ]
+      });
+    });
+
+    it('filters by user and time, and counts the sessions beyond the limit', async () => {
+      const store = await setup();
+      const query = { toolName: 'Search', toolVersion: '1.0.0' };
+
+      const own = await store.listSessions({ ...query, from: at(0), userId: 'bob' });
+      expect(own.sessions.map(session => session.sessionId)).toEqual(['s2']);
+
+      const recent = await store.listSessions({ ...query, from: at(6) });
+      expect(recent.sessions.map(session => session.sessionId)).toEqual(['s1']);
+
+      const limited = await store.listSessions({ ...query, from: at(0), limit: 1 });
+      expect(limited).toMatchObject({ total: 2, sessions: [{ sessionId: 's1' }] });
+    });
+  });
+
+  describe('totals', () => {
+    it('totals the invocations of each version and counts the failures since the last success', async () => {
+      const store = createMemoryToolUsageStore();
+      await store.record(call({ success: false, latencyMs: 300, timestamp: at(0) }));
+      await store.record(call({ latencyMs: 100, timestamp: at(1) }));
+      await store.record(call({ success: false, latencyMs: null, timestamp: at(2) }));
+      await store.record(call({ success: false, latencyMs: 200, timestamp: at(3) }));
+      await store.record(call({ toolVersion: '2.0.0', timestamp: at(4) }));
+
+      await expect(store.totals()).resolves.toEqual([
+        {
+          toolName: 'Search',
+          toolVersion: '1.0.0',
+          successCount: 1,
+          failureCount: 3,
+          consecutiveFailures: 2,
+          timedCount: 3,
+          averageLatencyMs: 200,
+          lastUsed: at(3).toISOString()
+        },
+        {
+          toolName: 'Search',
+          toolVersion: '2.0.0',
+          successCount: 1,
+          failureCount: 0,
+          consecutiveFailures: 0,
+          timedCount: 1,
+          averageLatencyMs: 100,
+          lastUsed: at(4).toISOString()
+        }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Document Record Store
+ *
+ * Persists uploaded documents: their metadata, extracted text and chunk offsets, which let
+ * citations link back to the original passage. The chunks' embeddings live in the vector
+ * store (see documentStore.js). Uses the `documents` MongoDB collection or PostgreSQL table
+ * when a database is connected, and an in-process store otherwise (documents are then lost
+ * on restart).
+ *
+ * Both stores expose the same interface:
+ *   save(document)
+ *   get(documentId) => document or null
+ *   list({ userId, workspaceId }) => documents without their text or chunks, newest first
+ *   delete(documentId) => true if the document existed
+ */
+
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+// Columns listed without the text and chunks
+const SUMMARY_COLUMNS = 'id, title, filename, type, scope, user_id, workspace_id, size, chunk_count, created_at';
+
+const summarize = ({ text, chunks, ...document }) => document;
+
+// A user reads their own documents and those shared with their workspace
+const isVisibleTo = (document, { userId, workspaceId }) => (
+  document.scope === 'workspace'
+    ? Boolean(workspaceId) && document.workspaceId === workspaceId
+    : document.userId === userId
+);
+
+/**
+ * Create an in-process document record store
+ *
+ * @returns {Object} - Document record store
+ */
+export function createMemoryDocumentRecordStore() {
+  const documents = new Map();
+
+  return {
+    async save(document) {
+      documents.set(document.id, { ...document });
+      return document;
+    },
+
+    async get(documentId) {
+      return documents.get(documentId) || null;
+    },
+
+    async list(owner) {
+      return [...documents.values()]
+        .filter(document => isVisibleTo(document, owner))
+        .map(summarize)
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    async delete(documentId) {
+      return documents.delete(documentId);
+    }
+  };
+}
+
+/**
+ * Create a document record store backed by MongoDB
+ *
+ * @param {Object} client - Connected MongoClient
+ * @returns {Object} - Document record store
+ */
+export function createMongoDocumentRecordStore(client) {
+  const documents = client.db().collection('documents');
+
+  documents.createIndex({ id: 1 }, { unique: true }).catch(error => logger.warn('Failed to index documents:', error));
+  documents.createIndex({ scope: 1, userId: 1, createdAt: -1 }).catch(error => logger.warn('Failed to index documents:', error));
+  documents.createIndex({ scope: 1, workspaceId: 1, createdAt: -1 }).catch(error => logger.warn('Failed to index documents:', error));
+
+  return {
+    async save(document) {
+      await documents.replaceOne({ id: document.id }, { ...document }, { upsert: true });
+      return document;
+    },
+
+    async get(documentId) {
+      return documents.findOne({ id: documentId }, { projection: { _id: 0 } });
+    },
+
+    async list({ userId, workspaceId }) {
+      const visible = [{ scope: 'user', userId }];
+      if (workspaceId) {
+        visible.push({ scope: 'workspace', workspaceId });
+      }
+
+      return documents.find({ $or: visible }, { projection: { _id: 0, text: 0, chunks: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+    },
+
+    async delete(documentId) {
+      const { deletedCount } = await documents.deleteOne({ id: documentId });
+      return deletedCount > 0;
+    }
+  };
+}
+
+/**
+ * Create a document record store backed by PostgreSQL
+ *
+ * @param {Object} sequelize - Connected Sequelize instance
+ * @returns {Object} - Document record store
+ */
+export function createPostgresDocumentRecordStore(sequelize) {
+  const ready = sequelize.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id TEXT PRIMARY KEY,
+      title TEXT NOT NULL,
+      filename TEXT NOT NULL,
+      type TEXT NOT NULL,
+      scope TEXT NOT NULL,
+      user_id TEXT NOT NULL,
+      workspace_id TEXT,
+      size INTEGER NOT NULL,
+      chunk_count INTEGER NOT NULL,
+      created_at TEXT NOT NULL,
+      text TEXT NOT NULL,
+      chunks JSONB NOT NULL
+    );
+    CREATE INDEX IF NOT EXISTS documents_user_idx ON documents (user_id, created_at);
+    CREATE INDEX IF NOT EXISTS documents_workspace_idx ON documents (workspace_id, created_at);
+  `);
+
+  ready.catch(error => logger.error('Failed to create the documents table:', error));
+
+  const toDocument = (row) => ({
+    id: row.id,
+    title: row.title,
+    filename: row.filename,
+    type: row.type,
+    scope: row.scope,
+    userId: row.user_id,
+    workspaceId: row.workspace_id,
+    size: Number(row.size),
+    chunkCount: Number(row.chunk_count),
+    createdAt: row.created_at,
+    ...(row.text !== undefined && { text: row.text, chunks: row.chunks })
+  });
+
+  return {
+    async save(document) {
+      await ready;
+
+      await sequelize.query(`
+        INSERT INTO documents
+          (id, title, filename, type, scope, user_id, workspace_id, size, chunk_count, created_at, text, chunks)
+        VALUES
+          (:id, :title, :filename, :type, :scope, :userId, :workspaceId, :size, :chunkCount, :createdAt, :text, :chunks)
+        ON CONFLICT (id) DO UPDATE SET
+          title = EXCLUDED.title,
+          scope = EXCLUDED.scope,
+          workspace_id = EXCLUDED.workspace_id,
+          text = EXCLUDED.text,
+          chunks = EXCLUDED.chunks,
+          chunk_count = EXCLUDED.chunk_count
+      `, { replacements: { ...document, chunks: JSON.stringify(document.chunks) } });
+
+      return document;
+    },
+
+    async get(documentId) {
+      await ready;
+
+      const [row] = await sequelize.query('SELECT * FROM documents WHERE id = :documentId', {
+        replacements: { documentId },
+        type: 'SELECT'
+      });
+      return row ? toDocument(row) : null;
+    },
+
+    async list({ userId, workspaceId }) {
+      await ready;
+
+      const rows = await sequelize.query(`
+        SELECT ${SUMMARY_COLUMNS} FROM documents
+        WHERE (scope = 'user' AND user_id = :userId)
+           OR (scope = 'workspace' AND workspace_id = :workspaceId)
+        ORDER BY created_at DESC
+      `, { replacements: { userId, workspaceId: workspaceId || null }, type: 'SELECT' });
+
+      return rows.map(toDocument);
+    },
+
+    async delete(documentId) {
+      await ready;
+
+      const rows = await sequelize.query('DELETE FROM documents WHERE id = :documentId RETURNING id', {
+        replacements: { documentId },
+        type: 'SELECT'
+      });
+      return rows.length > 0;
+    }
+  };
+}
+
+/**
+ * Create the document record store for this deployment
+ *
+ * @returns {Object} - MongoDB or PostgreSQL store if connected, otherwise the in-process store
+ */
+export function createDocumentRecordStore() {
+  const mongo = getConnection('mongodb');
+
+  if (mongo) {
+    logger.info('Using MongoDB for documents');
+    return createMongoDocumentRecordStore(mongo);
+  }
+
+  const postgres = getConnection('postgres');
+
+  if (postgres) {
+    logger.info('Using PostgreSQL for documents');
+    return createPostgresDocumentRecordStore(postgres);
+  }
+
+  logger.warn('No database connected, uploaded documents are kept in memory and lost on restart');
+  return createMemoryDocumentRecordStore();
+}
@@ -0,0 +1,318 @@
+/**
+ * Document Store
+ *
+ * Ingests user documents for retrieval-augmented answering. Uploaded Markdown, plain text,
+ * HTML and PDF files are converted to text, split into overlapping chunks, embedded and
+ * upserted into the vector store. Each document belongs to a collection: the uploading user's
+ * own collection, or their workspace's collection when it is shared.
+ *
+ * Document text and chunk offsets are kept in the document record store (see
+ * documentRecordStore.js) so citations can link back to the original passage.
+ *
+ * Configuration:
+ *   DOCUMENT_CHUNK_SIZE    - Target chunk size in characters (default 1200)
+ *   DOCUMENT_CHUNK_OVERLAP - Characters shared by consecutive chunks (default 200)
+ *   DOCUMENT_MAX_BYTES     - Largest accepted upload (default 10 MB)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { embedTexts } from '../llm/embeddings.js';
+import { createExposedError } from '../core/errors.js';
+
+// Document types by file extension
+const EXTENSION_TYPES = {
+  md: 'markdown',
+  markdown: 'markdown',
+  txt: 'text',
+  text: 'text',
+  html: 'html',
+  htm: 'html',
+  pdf: 'pdf'
+};
+
+// Document types by MIME type
+const MIME_TYPES = {
+  'text/markdown': 'markdown',
+  'text/x-markdown': 'markdown',
+  'text/plain': 'text',
+  'text/html': 'html',
+  'application/pdf': 'pdf'
+};
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Determine the document type from its MIME type or file name
+ *
+ * @param {String} filename - File name
+ * @param {String} contentType - MIME type
+ * @returns {String|null} - 'markdown', 'text', 'html', 'pdf' or null if unsupported
+ */
+export function detectDocumentType(filename = '', contentType = '') {
+  const mimeType = String(contentType).split(';')[0].trim().toLowerCase();
+  const extension = String(filename).split('.').pop().toLowerCase();
+  return MIME_TYPES[mimeType] || EXTENSION_TYPES[extension] || null;
+}
+
+function htmlToText(html) {
+  return html
+    .replace(/<(head|title|script|style|noscript)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|section|article|li|tr|h[1-6])>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#\d+|[a-z]+);/gi, (entity, name) => (
+      name.startsWith('#') ? String.fromCharCode(Number(name.slice(1))) : HTML_ENTITIES[name.toLowerCase()] ?? entity
+    ))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n\s*\n\s*/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Convert an uploaded document to plain text
+ *
+ * @param {String} type - Document type (see detectDocumentType)
+ * @param {Buffer} data - File contents
+ * @returns {Promise<Object>} - { text, title } where title is null if the document has none
+ */
+async function extractText(type, data) {
+  if (type === 'pdf') {
+    // The package entry point runs a self-test when imported as ESM, so load the parser directly
+    const { default: parsePdf } = await import('pdf-parse/lib/pdf-parse.js');
+    const pdf = await parsePdf(data);
+    return { text: pdf.text.trim(), title: pdf.info?.Title || null };
+  }
+
+  const source = data.toString('utf8');
+
+  if (type === 'html') {
+    const title = source.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+    return { text: htmlToText(source), title: title ? htmlToText(title[1]) : null };
+  }
+
+  const heading = type === 'markdown' ? source.match(/^#\s+(.+)$/m) : null;
+  return { text: source.trim(), title: heading ? heading[1].trim() : null };
+}
+
+/**
+ * Split text into overlapping chunks, preferring paragraph and sentence boundaries
+ *
+ * @param {String} text - Document text
+ * @param {Object} options - { size, overlap } in characters
+ * @returns {Array} - [{ index, text, start, end }] with offsets into the document text
+ */
+export function chunkText(text, { size = 1200, overlap = 200 } = {}) {
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    let end = Math.min(start + size, text.length);
+
+    if (end < text.length) {
+      const window = text.slice(start + Math.floor(size / 2), end);
+      const breakAt = [window.lastIndexOf('\n\n'), window.lastIndexOf('. '), window.lastIndexOf(' ')]
+        .find(index => index !== -1);
+
+      if (breakAt !== undefined) {
+        end = start + Math.floor(size / 2) + breakAt + 1;
+      }
+    }
+
+    const chunk = text.slice(start, end).trim();
+    if (chunk) {
+      chunks.push({ index: chunks.length, text: chunk, start, end });
+    }
+
+    if (end >= text.length) {
+      break;
+    }
+
+    // Start the next chunk on a word boundary inside the overlap
+    let next = Math.max(end - overlap, start + 1);
+    const space = text.indexOf(' ', next);
+    if (space !== -1 && space < end) {
+      next = space + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+}
+
+/**
+ * Create a document store
+ *
+ * @param {Object} options - Store options
+ * @param {Object} options.vectorStore - Vector store (see data/vectorStore.js)
+ * @param {Object} options.records - Document record store (see data/documentRecordStore.js)
+ * @param {Object} options.llmClient - Client used for embeddings, hashed vectors are used without one
+ * @returns {Object} - Document store
+ */
+export function createDocumentStore(options = {}) {
+  const { vectorStore, records, llmClient = null } = options;
+  const chunkSize = options.chunkSize || Number(process.env.DOCUMENT_CHUNK_SIZE) || 1200;
+  const chunkOverlap = options.chunkOverlap ?? (Number(process.env.DOCUMENT_CHUNK_OVERLAP) || 200);
+  const maxBytes = options.maxBytes || Number(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+  const namespaceFor = ({ scope, userId, workspaceId }) => (
+    scope === 'workspace' ? `docs:workspace:${workspaceId}` : `docs:user:${userId}`
+  );
+
+  const summarize = ({ text, chunks, ...document }) => document;
+
+  return {
+    /**
+     * Check whether a user may read a document
+     *
+     * @param {Object} document - Stored document
+     * @param {Object} user - { id, workspaceId }
+     * @returns {Boolean} - True if the document is in the user's or their workspace's collection
+     */
+    canAccess(document, user = {}) {
+      return document.scope === 'workspace'
+        ? Boolean(user.workspaceId) && document.workspaceId === user.workspaceId
+        : document.userId === user.id;
+    },
+
+    /**
+     * Parse, chunk, embed and store an uploaded document
+     *
+     * @param {Object} upload - { filename, contentType, data, title, scope, userId, workspaceId }
+     *                          where data is a Buffer and scope is 'user' (default) or 'workspace'
+     * @returns {Promise<Object>} - Stored document, without its text
+     */
+    async ingest({ filename, contentType, data, title = null, scope = 'user', userId, workspaceId = null }) {
+      const type = detectDocumentType(filename, contentType);
+
+      if (!type) {
+        throw createExposedError('INVALID_REQUEST', 'Only Markdown, plain text, HTML and PDF documents are supported');
+      }
+
+      if (!data || data.length === 0) {
+        throw createExposedError('INVALID_REQUEST', 'The document is empty');
+      }
+
+      if (data.length > maxBytes) {
+        throw createExposedError('INVALID_REQUEST', `Documents can be at most ${Math.floor(maxBytes / (1024 * 1024))} MB`);
+      }
+
+      if (scope === 'workspace' && !workspaceId) {
+        throw createExposedError('INVALID_REQUEST', 'You are not a member of a workspace');
+      }
+
+      let extracted;
+      try {
+        extracted = await extractText(type, data);
+      } catch (error) {
+        logger.warn(`Failed to parse ${type} document ${filename}:`, error);
+        throw createExposedError('INVALID_REQUEST', `Could not read ${filename}`);
+      }
+
+      const chunks = chunkText(extracted.text, { size: chunkSize, overlap: chunkOverlap });
+
+      if (chunks.length === 0) {
+        throw createExposedError('INVALID_REQUEST', `${filename} contains no text`);
+      }
+
+      const document = {
+        id: uuidv4(),
+        title: title || extracted.title || filename,
+        filename,
+        type,
+        scope: scope === 'workspace' ? 'workspace' : 'user',
+        userId,
+        workspaceId: scope === 'workspace' ? workspaceId : null,
+        size: data.length,
+        chunkCount: chunks.length,
+        createdAt: new Date().toISOString(),
+        text: extracted.text,
+        chunks: chunks.map(({ index, start, end }) => ({ index, start, end }))
+      };
+
+      const vectors = await embedTexts(chunks.map(chunk => chunk.text), llmClient);
+
+      await vectorStore.upsert(namespaceFor(document), chunks.map((chunk, i) => ({
+        id: `${document.id}:${chunk.index}`,
+        values: vectors[i],
+        metadata: {
+          documentId: document.id,
+          title: document.title,
+          chunkIndex: chunk.index,
+          text: chunk.text
+        }
+      })));
+
+      await records.save(document);
+      logger.info(`Ingested document ${document.id} (${filename}) as ${chunks.length} chunks`);
+
+      return summarize(document);
+    },
+
+    /**
+     * Find the passages most relevant to a query in the collections a user can read
+     *
+     * @param {Object} user - { id, workspaceId }
+     * @param {String} query - Search text
+     * @param {Object} params - { topK, signal }
+     * @returns {Promise<Array>} - [{ documentId, title, chunkIndex, text, score }], best first
+     */
+    async search(user, query, { topK = 5, signal } = {}) {
+      const namespaces = [namespaceFor({ scope: 'user', userId: user.id })];
+      if (user.workspaceId) {
+        namespaces.push(namespaceFor({ scope: 'workspace', workspaceId: user.workspaceId }));
+      }
+
+      const [vector] = await embedTexts([query], llmClient, { signal });
+      const matches = (await Promise.all(namespaces.map(namespace => vectorStore.query(namespace, vector, { topK }))))
+        .flat();
+
+      return matches
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map(({ score, metadata }) => ({
+          documentId: metadata.documentId,
+          title: metadata.title,
+          chunkIndex: metadata.chunkIndex,
+          text: metadata.text,
+          score
+        }));
+    },
+
+    /**
+     * List the documents a user can read
+     *
+     * @param {Object} user - { id, workspaceId }
+     * @returns {Promise<Array>} - Documents without their text, newest first
+     */
+    async list(user) {
+      return records.list({ userId: user.id, workspaceId: user.workspaceId || null });
+    },
+
+    /**
+     * Get a document with its text and chunk offsets
+     *
+     * @param {String} documentId - Document ID
+     * @returns {Promise<Object|null>} - Stored document
+     */
+    async get(documentId) {
+      return records.get(documentId);
+    },
+
+    /**
+     * Delete a document and its chunks
+     *
+     * @param {String} documentId - Document ID
+     * @returns {Promise<Boolean>} - True if the document existed
+     */
+    async delete(documentId) {
+      const document = await records.get(documentId);
+      if (!document) {
+        return false;
+      }
+
+      await vectorStore.delete(namespaceFor(document), document.chunks.map(chunk => `${document.id}:${chunk.index}`));
+      return records.delete(documentId);
+    }
+  };
+}
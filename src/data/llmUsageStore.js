@@ -0,0 +1,197 @@
+/**
+ * LLM Usage Store
+ *
+ * Persists each user's daily LLM usage totals (tokens, estimated cost and calls) so daily
+ * budgets and the spend history survive restarts and are shared by every server process.
+ * Uses the `llm_usage_daily` MongoDB collection when MongoDB is connected, the
+ * `llm_usage_daily` PostgreSQL table when PostgreSQL is, and an in-process store otherwise
+ * (daily budgets are then enforced per process and reset on restart).
+ *
+ * Days are UTC dates formatted as YYYY-MM-DD.
+ */
+
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+// Days of history kept
+export const USAGE_HISTORY_DAYS = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How often the PostgreSQL store deletes expired days
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const FIELDS = ['promptTokens', 'completionTokens', 'totalTokens', 'cost', 'calls'];
+
+const cutoffDate = () => new Date(Date.now() - USAGE_HISTORY_DAYS * DAY_MS).toISOString().slice(0, 10);
+
+// Pick the totals of a stored day: { date, promptTokens, completionTokens, totalTokens, cost, calls }
+const toDay = (date, totals) => ({
+  date,
+  ...Object.fromEntries(FIELDS.map(field => [field, Number(totals[field]) || 0]))
+});
+
+/**
+ * Create an in-process LLM usage store
+ *
+ * @returns {Object} - LLM usage store
+ */
+export function createMemoryLLMUsageStore() {
+  const users = new Map();
+
+  return {
+    async add(userId, date, usage) {
+      if (!users.has(userId)) {
+        users.set(userId, new Map());
+      }
+
+      const days = users.get(userId);
+      const totals = days.get(date) || toDay(date, {});
+      FIELDS.forEach(field => { totals[field] += usage[field] || 0; });
+      days.set(date, totals);
+
+      const cutoff = cutoffDate();
+      for (const key of days.keys()) {
+        if (key < cutoff) days.delete(key);
+      }
+    },
+
+    async history(userId, fromDate) {
+      return [...(users.get(userId) || new Map()).values()]
+        .filter(day => day.date >= fromDate)
+        .map(day => ({ ...day }));
+    }
+  };
+}
+
+/**
+ * Create an LLM usage store backed by MongoDB
+ *
+ * @param {Object} client - Connected MongoClient
+ * @returns {Object} - LLM usage store
+ */
+export function createMongoLLMUsageStore(client) {
+  const days = client.db().collection('llm_usage_daily');
+
+  days.createIndex({ userId: 1, date: 1 }, { unique: true })
+    .catch(error => logger.warn('Failed to index LLM usage:', error));
+  days.createIndex({ day: 1 }, { expireAfterSeconds: USAGE_HISTORY_DAYS * 24 * 60 * 60 })
+    .catch(error => logger.warn('Failed to set the retention of LLM usage:', error));
+
+  return {
+    async add(userId, date, usage) {
+      await days.updateOne(
+        { userId, date },
+        {
+          $inc: Object.fromEntries(FIELDS.map(field => [field, usage[field] || 0])),
+          // `day` only drives the retention index
+          $setOnInsert: { day: new Date(`${date}T00:00:00Z`) }
+        },
+        { upsert: true }
+      );
+    },
+
+    async history(userId, fromDate) {
+      const rows = await days.find({ userId, date: { $gte: fromDate } }, { projection: { _id: 0 } }).toArray();
+      return rows.map(row => toDay(row.date, row));
+    }
+  };
+}
+
+/**
+ * Create an LLM usage store backed by PostgreSQL
+ *
+ * @param {Object} sequelize - Connected Sequelize instance
+ * @returns {Object} - LLM usage store
+ */
+export function createPostgresLLMUsageStore(sequelize) {
+  let lastPruned = 0;
+
+  const ready = sequelize.query(`
+    CREATE TABLE IF NOT EXISTS llm_usage_daily (
+      user_id TEXT NOT NULL,
+      date TEXT NOT NULL,
+      prompt_tokens BIGINT NOT NULL DEFAULT 0,
+      completion_tokens BIGINT NOT NULL DEFAULT 0,
+      total_tokens BIGINT NOT NULL DEFAULT 0,
+      cost DOUBLE PRECISION NOT NULL DEFAULT 0,
+      calls INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (user_id, date)
+    )
+  `);
+
+  ready.catch(error => logger.error('Failed to create the llm_usage_daily table:', error));
+
+  const prune = async () => {
+    if (Date.now() - lastPruned < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPruned = Date.now();
+
+    await sequelize.query('DELETE FROM llm_usage_daily WHERE date < :cutoff', {
+      replacements: { cutoff: cutoffDate() }
+    });
+  };
+
+  return {
+    async add(userId, date, usage) {
+      await ready;
+
+      await sequelize.query(`
+        INSERT INTO llm_usage_daily
+          (user_id, date, prompt_tokens, completion_tokens, total_tokens, cost, calls)
+        VALUES
+          (:userId, :date, :promptTokens, :completionTokens, :totalTokens, :cost, :calls)
+        ON CONFLICT (user_id, date) DO UPDATE SET
+          prompt_tokens = llm_usage_daily.prompt_tokens + EXCLUDED.prompt_tokens,
+          completion_tokens = llm_usage_daily.completion_tokens + EXCLUDED.completion_tokens,
+          total_tokens = llm_usage_daily.total_tokens + EXCLUDED.total_tokens,
+          cost = llm_usage_daily.cost + EXCLUDED.cost,
+          calls = llm_usage_daily.calls + EXCLUDED.calls
+      `, { replacements: { userId, date, ...toDay(date, usage) } });
+
+      prune().catch(error => logger.warn('Failed to delete expired LLM usage:', error));
+    },
+
+    async history(userId, fromDate) {
+      await ready;
+
+      const rows = await sequelize.query(
+        'SELECT * FROM llm_usage_daily WHERE user_id = :userId AND date >= :fromDate',
+        { replacements: { userId, fromDate }, type: 'SELECT' }
+      );
+
+      return rows.map(row => toDay(row.date, {
+        promptTokens: row.prompt_tokens,
+        completionTokens: row.completion_tokens,
+        totalTokens: row.total_tokens,
+        cost: row.cost,
+        calls: row.calls
+      }));
+    }
+  };
+}
+
+/**
+ * Create the LLM usage store for this deployment
+ *
+ * @returns {Object} - MongoDB or PostgreSQL store if connected, otherwise the in-process store
+ */
+export function createLLMUsageStore() {
+  const mongo = getConnection('mongodb');
+
+  if (mongo) {
+    logger.info('Using MongoDB for LLM usage');
+    return createMongoLLMUsageStore(mongo);
+  }
+
+  const postgres = getConnection('postgres');
+
+  if (postgres) {
+    logger.info('Using PostgreSQL for LLM usage');
+    return createPostgresLLMUsageStore(postgres);
+  }
+
+  logger.warn('No database connected, daily LLM budgets are enforced per process and reset on restart');
+  return createMemoryLLMUsageStore();
+}
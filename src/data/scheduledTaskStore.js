@@ -0,0 +1,134 @@
+/**
+ * Scheduled Task Store
+ *
+ * Persists scheduled agent tasks and their run history. Uses the `scheduled_tasks` and
+ * `scheduled_task_runs` MongoDB collections when MongoDB is connected, and an in-process
+ * store otherwise (tasks are then lost on restart).
+ */
+
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+/**
+ * Create an in-process task store
+ *
+ * @returns {Object} - Task store
+ */
+export function createMemoryTaskStore() {
+  const tasks = new Map();
+  const runs = new Map();
+
+  return {
+    async listAll() {
+      return [...tasks.values()];
+    },
+
+    async list(userId) {
+      return [...tasks.values()]
+        .filter(task => task.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async get(taskId) {
+      return tasks.get(taskId) || null;
+    },
+
+    async save(task) {
+      tasks.set(task.id, { ...task });
+      return task;
+    },
+
+    async delete(taskId) {
+      runs.delete(taskId);
+      return tasks.delete(taskId);
+    },
+
+    async addRun(run, keep) {
+      const history = [run, ...(runs.get(run.taskId) || []).filter(entry => entry.id !== run.id)];
+      runs.set(run.taskId, history.slice(0, keep));
+      return run;
+    },
+
+    async listRuns(taskId, limit) {
+      return (runs.get(taskId) || []).slice(0, limit);
+    }
+  };
+}
+
+/**
+ * Create a task store backed by MongoDB
+ *
+ * @param {Object} client - Connected MongoClient
+ * @returns {Object} - Task store
+ */
+export function createMongoTaskStore(client) {
+  const db = client.db();
+  const tasks = db.collection('scheduled_tasks');
+  const runs = db.collection('scheduled_task_runs');
+
+  // Drop Mongo's _id so stored documents look like the in-process ones
+  const projection = { projection: { _id: 0 } };
+
+  tasks.createIndex({ id: 1 }, { unique: true }).catch(error => logger.warn('Failed to index scheduled tasks:', error));
+  runs.createIndex({ taskId: 1, startedAt: -1 }).catch(error => logger.warn('Failed to index scheduled task runs:', error));
+
+  return {
+    async listAll() {
+      return tasks.find({}, projection).toArray();
+    },
+
+    async list(userId) {
+      return tasks.find({ userId }, projection).sort({ createdAt: 1 }).toArray();
+    },
+
+    async get(taskId) {
+      return tasks.findOne({ id: taskId }, projection);
+    },
+
+    async save(task) {
+      await tasks.replaceOne({ id: task.id }, { ...task }, { upsert: true });
+      return task;
+    },
+
+    async delete(taskId) {
+      const { deletedCount } = await tasks.deleteOne({ id: taskId });
+      await runs.deleteMany({ taskId });
+      return deletedCount > 0;
+    },
+
+    async addRun(run, keep) {
+      await runs.replaceOne({ id: run.id }, { ...run }, { upsert: true });
+
+      // Trim the history to the newest `keep` runs
+      const stale = await runs.find({ taskId: run.taskId }, { projection: { id: 1 } })
+        .sort({ startedAt: -1 })
+        .skip(keep)
+        .toArray();
+      if (stale.length > 0) {
+        await runs.deleteMany({ id: { $in: stale.map(entry => entry.id) } });
+      }
+      return run;
+    },
+
+    async listRuns(taskId, limit) {
+      return runs.find({ taskId }, projection).sort({ startedAt: -1 }).limit(limit).toArray();
+    }
+  };
+}
+
+/**
+ * Create the task store for this deployment
+ *
+ * @returns {Object} - MongoDB store if connected, otherwise the in-process store
+ */
+export function createScheduledTaskStore() {
+  const mongo = getConnection('mongodb');
+
+  if (mongo) {
+    logger.info('Using MongoDB for scheduled tasks');
+    return createMongoTaskStore(mongo);
+  }
+
+  logger.warn('MongoDB not connected, scheduled tasks are kept in memory and lost on restart');
+  return createMemoryTaskStore();
+}
@@ -0,0 +1,574 @@
+/**
+ * Tool Usage Store
+ *
+ * Persists one record per tool invocation (tool name and version, user, session, the version
+ * range the session pinned, latency, success and error class) and rolls them up per hour or
+ * day into call counts, error rates and p50/p95 latencies. The sessions that called a version
+ * can be listed as well, e.g. to find the ones still using an old version, and each version's
+ * totals read back, e.g. to restore the registry's statistics when the server starts. Uses the
+ * `tool_invocations` MongoDB collection when MongoDB is connected, the `tool_invocations`
+ * PostgreSQL table when PostgreSQL is, and an in-process store otherwise (the history is then
+ * lost on restart).
+ *
+ * Invocations are recorded by tool name and version, since tool IDs are generated each time
+ * the registry starts.
+ *
+ * Configuration:
+ *   TOOL_USAGE_RETENTION_DAYS - Days invocations are kept (default 90)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+// Length of the buckets invocations are rolled up into, in milliseconds
+export const ROLLUP_INTERVALS = { hour: 60 * 60 * 1000, day: 24 * 60 * 60 * 1000 };
+
+// Invocations kept by the in-process store
+const MAX_MEMORY_INVOCATIONS = 20000;
+
+// Latest outcomes per version the MongoDB store reads to count consecutive failures
+const RECENT_OUTCOMES = 100;
+
+// How often the PostgreSQL store deletes expired invocations
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const retentionDays = () => Number(process.env.TOOL_USAGE_RETENTION_DAYS) || 90;
+
+/**
+ * Start of the hour or day (UTC) a time falls in
+ *
+ * @param {Date} date - Time
+ * @param {String} interval - 'hour' or 'day'
+ * @returns {Date} - Start of the bucket
+ */
+function bucketStart(date, interval) {
+  const start = new Date(date);
+  if (interval === 'day') {
+    start.setUTCHours(0, 0, 0, 0);
+  } else {
+    start.setUTCMinutes(0, 0, 0);
+  }
+  return start;
+}
+
+/**
+ * Percentile of sorted values, interpolating between the closest ranks like PostgreSQL's
+ * percentile_cont
+ *
+ * @param {Array<Number>} sorted - Values in ascending order
+ * @param {Number} fraction - Percentile between 0 and 1
+ * @returns {Number|null} - The percentile, or null without values
+ */
+function percentile(sorted, fraction) {
+  if (sorted.length === 0) {
+    return null;
+  }
+
+  const rank = fraction * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+// Roll up the latencies and error classes of a set of invocations
+function summarize(latencies, errorClasses) {
+  const sorted = latencies.filter(latency => typeof latency === 'number').sort((a, b) => a - b);
+  const count = latencies.length;
+  const errorCount = errorClasses.filter(Boolean).length;
+
+  return {
+    count,
+    errorCount,
+    errorRate: count > 0 ? errorCount / count : 0,
+    p50: percentile(sorted, 0.5),
+    p95: percentile(sorted, 0.95)
+  };
+}
+
+function countErrorClasses(errorClasses) {
+  const counts = {};
+  for (const errorClass of errorClasses.filter(Boolean)) {
+    counts[errorClass] = (counts[errorClass] || 0) + 1;
+  }
+  return counts;
+}
+
+// Stats of a bucket or summary row computed by the database
+function toStats({ count, errorCount, p50, p95 }) {
+  return {
+    count,
+    errorCount,
+    errorRate: count > 0 ? errorCount / count : 0,
+    p50: p50 === null || p50 === undefined ? null : Number(p50),
+    p95: p95 === null || p95 === undefined ? null : Number(p95)
+  };
+}
+
+// Buckets of the range in order, including the ones without invocations
+function fillBuckets(buckets, { interval, from, to }) {
+  const byStart = new Map(buckets.map(bucket => [bucket.start, bucket]));
+  const filled = [];
+
+  for (let time = bucketStart(from, interval).getTime(); time < to.getTime(); time += ROLLUP_INTERVALS[interval]) {
+    const start = new Date(time).toISOString();
+    filled.push(byStart.get(start) || { start, count: 0, errorCount: 0, errorRate: 0, p50: null, p95: null });
+  }
+
+  return filled;
+}
+
+// Build a rollup from invocations grouped by bucket: [{ start, latencies, errorClasses }]
+function buildRollup(groups, query) {
+  const latencies = groups.flatMap(group => group.latencies);
+  const errorClasses = groups.flatMap(group => group.errorClasses);
+
+  return {
+    summary: summarize(latencies, errorClasses),
+    errorClasses: countErrorClasses(errorClasses),
+    buckets: fillBuckets(
+      groups.map(group => ({ start: group.start, ...summarize(group.latencies, group.errorClasses) })),
+      query
+    )
+  };
+}
+
+function createInvocation(invocation) {
+  return {
+    id: uuidv4(),
+    toolName: invocation.toolName,
+    toolVersion: invocation.toolVersion,
+    userId: invocation.userId || null,
+    sessionId: invocation.sessionId || null,
+    versionRange: invocation.versionRange || null,
+    latencyMs: typeof invocation.latencyMs === 'number' ? invocation.latencyMs : null,
+    success: Boolean(invocation.success),
+    errorClass: invocation.success ? null : (invocation.errorClass || 'Error'),
+    timestamp: invocation.timestamp || new Date()
+  };
+}
+
+// Session that called a tool version, from its latest invocation
+function toSession({ sessionId, userId, versionRange, timestamp }) {
+  return { sessionId, userId: userId || null, range: versionRange || null, lastUsed: new Date(timestamp).toISOString() };
+}
+
+/**
+ * Create an in-process tool usage store
+ *
+ * @returns {Object} - Tool usage store
+ */
+export function createMemoryToolUsageStore() {
+  let invocations = [];
+
+  return {
+    async record(invocation) {
+      const record = createInvocation(invocation);
+      const cutoff = Date.now() - retentionDays() * ROLLUP_INTERVALS.day;
+
+      invocations.push(record);
+      if (invocations.length > MAX_MEMORY_INVOCATIONS || invocations[0].timestamp.getTime() < cutoff) {
+        invocations = invocations
+          .filter(entry => entry.timestamp.getTime() >= cutoff)
+          .slice(-MAX_MEMORY_INVOCATIONS);
+      }
+      return record;
+    },
+
+    async rollup(query) {
+      const { toolName, toolVersion, interval, from, to } = query;
+      const groups = new Map();
+
+      for (const entry of invocations) {
+        if (entry.toolName !== toolName || (toolVersion && entry.toolVersion !== toolVersion) ||
+            entry.timestamp < from || entry.timestamp >= to) {
+          continue;
+        }
+
+        const start = bucketStart(entry.timestamp, interval).toISOString();
+        if (!groups.has(start)) {
+          groups.set(start, { start, latencies: [], errorClasses: [] });
+        }
+        groups.get(start).latencies.push(entry.latencyMs);
+        groups.get(start).errorClasses.push(entry.errorClass);
+      }
+
+      return buildRollup([...groups.values()], query);
+    },
+
+    async listSessions({ toolName, toolVersion, from, userId = null, limit = 100 }) {
+      const sessions = new Map();
+
+      for (const entry of invocations) {
+        if (entry.toolName !== toolName || entry.toolVersion !== toolVersion || !entry.sessionId ||
+            entry.timestamp < from || (userId && entry.userId !== userId)) {
+          continue;
+        }
+        sessions.set(entry.sessionId, toSession(entry));
+      }
+
+      const recent = [...sessions.values()].sort((a, b) => b.lastUsed.localeCompare(a.lastUsed));
+      return { total: recent.length, sessions: recent.slice(0, limit) };
+    },
+
+    async totals() {
+      const versions = new Map();
+
+      for (const entry of invocations) {
+        const key = `${entry.toolName}@${entry.toolVersion}`;
+        if (!versions.has(key)) {
+          versions.set(key, {
+            toolName: entry.toolName,
+            toolVersion: entry.toolVersion,
+            successCount: 0,
+            failureCount: 0,
+            consecutiveFailures: 0,
+            timedCount: 0,
+            latencyTotal: 0,
+            lastUsed: null
+          });
+        }
+
+        const totals = versions.get(key);
+        totals[entry.success ? 'successCount' : 'failureCount']++;
+        totals.consecutiveFailures = entry.success ? 0 : totals.consecutiveFailures + 1;
+        if (entry.latencyMs !== null) {
+          totals.timedCount++;
+          totals.latencyTotal += entry.latencyMs;
+        }
+        totals.lastUsed = entry.timestamp.toISOString();
+      }
+
+      return [...versions.values()].map(({ latencyTotal, ...totals }) => ({
+        ...totals,
+        averageLatencyMs: totals.timedCount > 0 ? latencyTotal / totals.timedCount : null
+      }));
+    }
+  };
+}
+
+/**
+ * Create a tool usage store backed by MongoDB
+ *
+ * Rollups group invocations with `$dateTrunc` and compute latency percentiles with the
+ * approximate `$percentile` accumulator, which needs MongoDB 7.0 or later. Groups are reduced
+ * to counts and percentiles inside the database, so they stay small however many invocations
+ * a bucket has.
+ *
+ * @param {Object} client - Connected MongoClient
+ * @returns {Object} - Tool usage store
+ */
+export function createMongoToolUsageStore(client) {
+  const invocations = client.db().collection('tool_invocations');
+
+  invocations.createIndex({ toolName: 1, timestamp: 1 })
+    .catch(error => logger.warn('Failed to index tool invocations:', error));
+  invocations.createIndex({ timestamp: 1 }, { expireAfterSeconds: retentionDays() * 24 * 60 * 60 })
+    .catch(error => logger.warn('Failed to set the retention of tool invocations:', error));
+
+  return {
+    async record(invocation) {
+      const record = createInvocation(invocation);
+      await invocations.insertOne({ ...record });
+      return record;
+    },
+
+    async rollup(query) {
+      const { toolName, toolVersion, interval, from, to } = query;
+      const aggregates = {
+        count: { $sum: 1 },
+        errorCount: { $sum: { $cond: [{ $eq: ['$success', false] }, 1, 0] } },
+        // Invocations without a latency are ignored, like NULLs by percentile_cont
+        latency: { $percentile: { input: '$latencyMs', p: [0.5, 0.95], method: 'approximate' } }
+      };
+      const toRollupStats = ({ latency, ...row }) => toStats({ ...row, p50: latency?.[0], p95: latency?.[1] });
+
+      const [{ buckets, summary, errorClasses }] = await invocations.aggregate([
+        { $match: { toolName, ...(toolVersion && { toolVersion }), timestamp: { $gte: from, $lt: to } } },
+        {
+          $facet: {
+            buckets: [
+              { $group: { _id: { $dateTrunc: { date: '$timestamp', unit: interval } }, ...aggregates } },
+              { $sort: { _id: 1 } }
+            ],
+            summary: [{ $group: { _id: null, ...aggregates } }],
+            errorClasses: [
+              { $match: { errorClass: { $ne: null } } },
+              { $group: { _id: '$errorClass', count: { $sum: 1 } } }
+            ]
+          }
+        }
+      ], { allowDiskUse: true }).toArray();
+
+      return {
+        summary: toRollupStats(summary[0] || { count: 0, errorCount: 0 }),
+        errorClasses: Object.fromEntries(errorClasses.map(({ _id, count }) => [_id, count])),
+        buckets: fillBuckets(
+          buckets.map(({ _id, ...row }) => ({ start: _id.toISOString(), ...toRollupStats(row) })),
+          query
+        )
+      };
+    },
+
+    async listSessions({ toolName, toolVersion, from, userId = null, limit = 100 }) {
+      const [{ total, sessions }] = await invocations.aggregate([
+        {
+          $match: {
+            toolName,
+            toolVersion,
+            sessionId: { $ne: null },
+            timestamp: { $gte: from },
+            ...(userId && { userId })
+          }
+        },
+        { $sort: { timestamp: -1 } },
+        {
+          $group: {
+            _id: '$sessionId',
+            userId: { $first: '$userId' },
+            versionRange: { $first: '$versionRange' },
+            timestamp: { $first: '$timestamp' }
+          }
+        },
+        {
+          $facet: {
+            total: [{ $count: 'count' }],
+            sessions: [{ $sort: { timestamp: -1 } }, { $limit: limit }]
+          }
+        }
+      ], { allowDiskUse: true }).toArray();
+
+      return {
+        total: total[0]?.count || 0,
+        sessions: sessions.map(({ _id, ...entry }) => toSession({ sessionId: _id, ...entry }))
+      };
+    },
+
+    async totals() {
+      const versions = await invocations.aggregate([
+        { $sort: { timestamp: 1 } },
+        {
+          $group: {
+            _id: { toolName: '$toolName', toolVersion: '$toolVersion' },
+            successCount: { $sum: { $cond: ['$success', 1, 0] } },
+            failureCount: { $sum: { $cond: ['$success', 0, 1] } },
+            timedCount: { $sum: { $cond: [{ $isNumber: '$latencyMs' }, 1, 0] } },
+            averageLatencyMs: { $avg: '$latencyMs' },
+            lastUsed: { $last: '$timestamp' },
+            // Enough of the latest outcomes to count the failures since the last success
+            recent: { $lastN: { input: '$success', n: RECENT_OUTCOMES } }
+          }
+        }
+      ], { allowDiskUse: true }).toArray();
+
+      return versions.map(({ _id, recent, lastUsed, ...totals }) => {
+        const lastSuccess = recent.lastIndexOf(true);
+        return {
+          ..._id,
+          ...totals,
+          consecutiveFailures: recent.length - lastSuccess - 1,
+          lastUsed: lastUsed.toISOString()
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Create a tool usage store backed by PostgreSQL
+ *
+ * Percentiles are computed by the database with percentile_cont. Buckets are truncated in
+ * the session time zone, which Sequelize sets to UTC unless configured otherwise.
+ *
+ * @param {Object} sequelize - Connected Sequelize instance
+ * @returns {Object} - Tool usage store
+ */
+export function createPostgresToolUsageStore(sequelize) {
+  let lastPruned = 0;
+
+  const ready = (async () => {
+    await sequelize.query(`
+      CREATE TABLE IF NOT EXISTS tool_invocations (
+        id UUID PRIMARY KEY,
+        tool_name TEXT NOT NULL,
+        tool_version TEXT NOT NULL,
+        user_id TEXT,
+        session_id TEXT,
+        version_range TEXT,
+        latency_ms DOUBLE PRECISION,
+        success BOOLEAN NOT NULL,
+        error_class TEXT,
+        created_at TIMESTAMPTZ NOT NULL
+      )
+    `);
+    // Tables created before pinned ranges were recorded lack the column
+    await sequelize.query('ALTER TABLE tool_invocations ADD COLUMN IF NOT EXISTS version_range TEXT');
+    await sequelize.query(
+      'CREATE INDEX IF NOT EXISTS tool_invocations_tool_time ON tool_invocations (tool_name, created_at)'
+    );
+  })();
+
+  ready.catch(error => logger.error('Failed to create the tool_invocations table:', error));
+
+  const select = (sql, replacements) => sequelize.query(sql, { replacements, type: 'SELECT' });
+
+  const prune = async () => {
+    if (Date.now() - lastPruned < PRUNE_INTERVAL_MS) {
+      return;
+    }
+    lastPruned = Date.now();
+
+    await sequelize.query('DELETE FROM tool_invocations WHERE created_at < :cutoff', {
+      replacements: { cutoff: new Date(Date.now() - retentionDays() * ROLLUP_INTERVALS.day) }
+    });
+  };
+
+  return {
+    async record(invocation) {
+      await ready;
+      const record = createInvocation(invocation);
+
+      await sequelize.query(`
+        INSERT INTO tool_invocations
+          (id, tool_name, tool_version, user_id, session_id, version_range, latency_ms, success, error_class, created_at)
+        VALUES
+          (:id, :toolName, :toolVersion, :userId, :sessionId, :versionRange, :latencyMs, :success, :errorClass, :timestamp)
+      `, { replacements: record });
+
+      prune().catch(error => logger.warn('Failed to delete expired tool invocations:', error));
+      return record;
+    },
+
+    async rollup(query) {
+      await ready;
+      const { toolName, toolVersion = null, interval, from, to } = query;
+      const replacements = { toolName, toolVersion, interval, from, to };
+      const where = `
+        WHERE tool_name = :toolName
+          AND (CAST(:toolVersion AS TEXT) IS NULL OR tool_version = :toolVersion)
+          AND created_at >= :from AND created_at < :to
+      `;
+      const aggregates = `
+        COUNT(*)::int AS count,
+        (COUNT(*) FILTER (WHERE NOT success))::int AS error_count,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY latency_ms) AS p50,
+        percentile_cont(0.95) WITHIN GROUP (ORDER BY latency_ms) AS p95
+      `;
+
+      const [buckets, [summary], errorClasses] = await Promise.all([
+        select(`
+          SELECT date_trunc(:interval, created_at) AS start, ${aggregates}
+          FROM tool_invocations ${where}
+          GROUP BY start ORDER BY start
+        `, replacements),
+        select(`SELECT ${aggregates} FROM tool_invocations ${where}`, replacements),
+        select(`
+          SELECT error_class, COUNT(*)::int AS count
+          FROM tool_invocations ${where} AND error_class IS NOT NULL
+          GROUP BY error_class
+        `, replacements)
+      ]);
+
+      const toRowStats = (row) => toStats({ count: row.count, errorCount: row.error_count, p50: row.p50, p95: row.p95 });
+
+      return {
+        summary: toRowStats(summary),
+        errorClasses: Object.fromEntries(errorClasses.map(row => [row.error_class, row.count])),
+        buckets: fillBuckets(
+          buckets.map(row => ({ start: new Date(row.start).toISOString(), ...toRowStats(row) })),
+          query
+        )
+      };
+    },
+
+    async listSessions({ toolName, toolVersion, from, userId = null, limit = 100 }) {
+      await ready;
+      const replacements = { toolName, toolVersion, from, userId, limit };
+      const where = `
+        WHERE tool_name = :toolName AND tool_version = :toolVersion
+          AND session_id IS NOT NULL AND created_at >= :from
+          AND (CAST(:userId AS TEXT) IS NULL OR user_id = :userId)
+      `;
+
+      const [[{ total }], rows] = await Promise.all([
+        select(`SELECT COUNT(DISTINCT session_id)::int AS total FROM tool_invocations ${where}`, replacements),
+        select(`
+          SELECT * FROM (
+            SELECT DISTINCT ON (session_id) session_id, user_id, version_range, created_at
+            FROM tool_invocations ${where}
+            ORDER BY session_id, created_at DESC
+          ) AS latest
+          ORDER BY created_at DESC LIMIT :limit
+        `, replacements)
+      ]);
+
+      return {
+        total,
+        sessions: rows.map(row => toSession({
+          sessionId: row.session_id,
+          userId: row.user_id,
+          versionRange: row.version_range,
+          timestamp: row.created_at
+        }))
+      };
+    },
+
+    async totals() {
+      await ready;
+
+      const rows = await select(`
+        WITH last_success AS (
+          SELECT tool_name, tool_version, MAX(created_at) AS at
+          FROM tool_invocations WHERE success
+          GROUP BY tool_name, tool_version
+        )
+        SELECT
+          i.tool_name, i.tool_version,
+          (COUNT(*) FILTER (WHERE i.success))::int AS success_count,
+          (COUNT(*) FILTER (WHERE NOT i.success))::int AS failure_count,
+          (COUNT(*) FILTER (WHERE NOT i.success AND (s.at IS NULL OR i.created_at > s.at)))::int AS consecutive_failures,
+          COUNT(i.latency_ms)::int AS timed_count,
+          AVG(i.latency_ms) AS average_latency_ms,
+          MAX(i.created_at) AS last_used
+        FROM tool_invocations i
+        LEFT JOIN last_success s ON s.tool_name = i.tool_name AND s.tool_version = i.tool_version
+        GROUP BY i.tool_name, i.tool_version
+      `, {});
+
+      return rows.map(row => ({
+        toolName: row.tool_name,
+        toolVersion: row.tool_version,
+        successCount: row.success_count,
+        failureCount: row.failure_count,
+        consecutiveFailures: row.consecutive_failures,
+        timedCount: row.timed_count,
+        averageLatencyMs: row.average_latency_ms === null ? null : Number(row.average_latency_ms),
+        lastUsed: new Date(row.last_used).toISOString()
+      }));
+    }
+  };
+}
+
+/**
+ * Create the tool usage store for this deployment
+ *
+ * @returns {Object} - MongoDB or PostgreSQL store if connected, otherwise the in-process store
+ */
+export function createToolUsageStore() {
+  const mongo = getConnection('mongodb');
+
+  if (mongo) {
+    logger.info('Using MongoDB for tool usage statistics');
+    return createMongoToolUsageStore(mongo);
+  }
+
+  const postgres = getConnection('postgres');
+
+  if (postgres) {
+    logger.info('Using PostgreSQL for tool usage statistics');
+    return createPostgresToolUsageStore(postgres);
+  }
+
+  logger.warn('No database connected, tool usage statistics are kept in memory and lost on restart');
+  return createMemoryToolUsageStore();
+}
@@ -0,0 +1,195 @@
+/**
+ * Vector Store
+ *
+ * Stores embedding vectors with metadata, partitioned into namespaces. Pinecone is used when a
+ * connection is available; otherwise vectors are kept in an in-process store, which is lost on
+ * restart but needs no external service.
+ *
+ * Both stores expose the same interface:
+ *   upsert(namespace, [{ id, values, metadata }])
+ *   query(namespace, vector, { topK, filter }) => [{ id, score, metadata }]
+ *   list(namespace, { limit }) => [{ id, metadata }]
+ *   delete(namespace, ids)
+ *   deleteAll(namespace)
+ *
+ * Configuration:
+ *   PINECONE_INDEX - Pinecone index name (default 'agent-memory')
+ */
+
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+// Largest topK Pinecone accepts, used when listing a namespace
+const PINECONE_MAX_TOP_K = 10000;
+
+/**
+ * Cosine similarity of two vectors; vectors of different sizes never match
+ *
+ * @param {Array<Number>} a - First vector
+ * @param {Array<Number>} b - Second vector
+ * @returns {Number} - Similarity between -1 and 1
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Check whether metadata matches an equality filter
+ */
+function matchesFilter(metadata, filter) {
+  return !filter || Object.entries(filter).every(([key, value]) => metadata[key] === value);
+}
+
+/**
+ * Create an in-process vector store
+ *
+ * @returns {Object} - Vector store
+ */
+export function createLocalVectorStore() {
+  const namespaces = new Map();
+
+  const getNamespace = (namespace) => {
+    if (!namespaces.has(namespace)) {
+      namespaces.set(namespace, new Map());
+    }
+    return namespaces.get(namespace);
+  };
+
+  return {
+    type: 'local',
+
+    async upsert(namespace, vectors) {
+      const records = getNamespace(namespace);
+      for (const { id, values, metadata = {} } of vectors) {
+        records.set(id, { id, values, metadata });
+      }
+    },
+
+    async query(namespace, vector, { topK = 5, filter = null } = {}) {
+      const records = namespaces.get(namespace);
+      if (!records) {
+        return [];
+      }
+
+      return [...records.values()]
+        .filter(record => matchesFilter(record.metadata, filter))
+        .map(record => ({ id: record.id, score: cosineSimilarity(vector, record.values), metadata: record.metadata }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK);
+    },
+
+    async list(namespace, { limit = 100 } = {}) {
+      const records = namespaces.get(namespace);
+      return records
+        ? [...records.values()].slice(0, limit).map(({ id, metadata }) => ({ id, metadata }))
+        : [];
+    },
+
+    async delete(namespace, ids) {
+      const records = namespaces.get(namespace);
+      if (records) {
+        ids.forEach(id => records.delete(id));
+      }
+    },
+
+    async deleteAll(namespace) {
+      namespaces.delete(namespace);
+    }
+  };
+}
+
+/**
+ * Create a vector store backed by a Pinecone index
+ *
+ * @param {Object} pinecone - Initialized Pinecone client (see connectToPinecone)
+ * @param {String} indexName - Index name
+ * @returns {Object} - Vector store
+ */
+export function createPineconeVectorStore(pinecone, indexName = process.env.PINECONE_INDEX || 'agent-memory') {
+  const index = pinecone.Index(indexName);
+
+  return {
+    type: 'pinecone',
+
+    async upsert(namespace, vectors) {
+      await index.upsert({ upsertRequest: { vectors, namespace } });
+    },
+
+    async query(namespace, vector, { topK = 5, filter = null } = {}) {
+      const response = await index.query({
+        queryRequest: {
+          vector,
+          topK,
+          namespace,
+          includeMetadata: true,
+          ...(filter && { filter })
+        }
+      });
+
+      return (response.matches || []).map(({ id, score, metadata }) => ({ id, score, metadata: metadata || {} }));
+    },
+
+    // Pinecone has no listing API, so the namespace is queried with a constant vector of the
+    // index dimension and a topK large enough to return every record
+    async list(namespace, { limit = 100 } = {}) {
+      const stats = await index.describeIndexStats({ describeIndexStatsRequest: {} });
+      const dimension = stats.dimension;
+
+      if (!dimension) {
+        return [];
+      }
+
+      const response = await index.query({
+        queryRequest: {
+          vector: new Array(dimension).fill(1 / Math.sqrt(dimension)),
+          topK: Math.min(limit, PINECONE_MAX_TOP_K),
+          namespace,
+          includeMetadata: true
+        }
+      });
+
+      return (response.matches || []).map(({ id, metadata }) => ({ id, metadata: metadata || {} }));
+    },
+
+    async delete(namespace, ids) {
+      if (ids.length > 0) {
+        await index.delete1({ ids, namespace });
+      }
+    },
+
+    async deleteAll(namespace) {
+      await index.delete1({ deleteAll: true, namespace });
+    }
+  };
+}
+
+/**
+ * Create the vector store for this deployment
+ *
+ * @returns {Object} - Pinecone store if connected, otherwise the in-process store
+ */
+export function createVectorStore() {
+  const pinecone = getConnection('pinecone');
+
+  if (pinecone) {
+    logger.info(`Using Pinecone index '${process.env.PINECONE_INDEX || 'agent-memory'}' for vector storage`);
+    return createPineconeVectorStore(pinecone);
+  }
+
+  logger.info('Pinecone not configured, using in-process vector store');
+  return createLocalVectorStore();
+}
@@ -0,0 +1,180 @@
+/**
+ * Webhook Store
+ *
+ * Persists webhook endpoints and their delivery log. Uses the `webhook_endpoints` and
+ * `webhook_deliveries` MongoDB collections when MongoDB is connected, and an in-process
+ * store otherwise (endpoints are then lost on restart).
+ */
+
+import { logger } from '../utils/logger.js';
+import { getConnection } from './connections.js';
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+/**
+ * Create an in-process webhook store
+ *
+ * @returns {Object} - Webhook store
+ */
+export function createMemoryWebhookStore() {
+  const endpoints = new Map();
+  const deliveries = new Map();
+
+  return {
+    async listEndpoints(userId) {
+      return [...endpoints.values()]
+        .filter(endpoint => endpoint.userId === userId)
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    async findSubscribed(userId, eventType) {
+      return [...endpoints.values()].filter(endpoint => (
+        endpoint.userId === userId && endpoint.enabled && endpoint.events.includes(eventType)
+      ));
+    },
+
+    async getEndpoint(endpointId) {
+      return endpoints.get(endpointId) || null;
+    },
+
+    async saveEndpoint(endpoint) {
+      endpoints.set(endpoint.id, { ...endpoint });
+      return endpoint;
+    },
+
+    async deleteEndpoint(endpointId) {
+      for (const [id, delivery] of deliveries) {
+        if (delivery.endpointId === endpointId) deliveries.delete(id);
+      }
+      return endpoints.delete(endpointId);
+    },
+
+    async addDelivery(delivery, keep) {
+      deliveries.set(delivery.id, { ...delivery });
+
+      const stale = [...deliveries.values()]
+        .filter(entry => entry.endpointId === delivery.endpointId)
+        .sort(newestFirst)
+        .slice(keep);
+      stale.forEach(entry => deliveries.delete(entry.id));
+      return delivery;
+    },
+
+    async updateDelivery(delivery) {
+      if (deliveries.has(delivery.id)) {
+        deliveries.set(delivery.id, { ...delivery });
+      }
+      return delivery;
+    },
+
+    async getDelivery(deliveryId) {
+      return deliveries.get(deliveryId) || null;
+    },
+
+    async listDeliveries(userId, { endpointId = null, limit = 50 } = {}) {
+      return [...deliveries.values()]
+        .filter(delivery => delivery.userId === userId && (!endpointId || delivery.endpointId === endpointId))
+        .sort(newestFirst)
+        .slice(0, limit);
+    },
+
+    async listPending() {
+      return [...deliveries.values()].filter(delivery => delivery.status === 'pending');
+    }
+  };
+}
+
+/**
+ * Create a webhook store backed by MongoDB
+ *
+ * @param {Object} client - Connected MongoClient
+ * @returns {Object} - Webhook store
+ */
+export function createMongoWebhookStore(client) {
+  const db = client.db();
+  const endpoints = db.collection('webhook_endpoints');
+  const deliveries = db.collection('webhook_deliveries');
+
+  // Drop Mongo's _id so stored documents look like the in-process ones
+  const projection = { projection: { _id: 0 } };
+
+  endpoints.createIndex({ id: 1 }, { unique: true }).catch(error => logger.warn('Failed to index webhook endpoints:', error));
+  deliveries.createIndex({ id: 1 }, { unique: true }).catch(error => logger.warn('Failed to index webhook deliveries:', error));
+  deliveries.createIndex({ endpointId: 1, createdAt: -1 }).catch(error => logger.warn('Failed to index webhook deliveries:', error));
+
+  return {
+    async listEndpoints(userId) {
+      return endpoints.find({ userId }, projection).sort({ createdAt: 1 }).toArray();
+    },
+
+    async findSubscribed(userId, eventType) {
+      return endpoints.find({ userId, enabled: true, events: eventType }, projection).toArray();
+    },
+
+    async getEndpoint(endpointId) {
+      return endpoints.findOne({ id: endpointId }, projection);
+    },
+
+    async saveEndpoint(endpoint) {
+      await endpoints.replaceOne({ id: endpoint.id }, { ...endpoint }, { upsert: true });
+      return endpoint;
+    },
+
+    async deleteEndpoint(endpointId) {
+      const { deletedCount } = await endpoints.deleteOne({ id: endpointId });
+      await deliveries.deleteMany({ endpointId });
+      return deletedCount > 0;
+    },
+
+    async addDelivery(delivery, keep) {
+      await deliveries.insertOne({ ...delivery });
+
+      // Trim the log to the newest `keep` deliveries of the endpoint
+      const stale = await deliveries.find({ endpointId: delivery.endpointId }, { projection: { id: 1 } })
+        .sort({ createdAt: -1 })
+        .skip(keep)
+        .toArray();
+      if (stale.length > 0) {
+        await deliveries.deleteMany({ id: { $in: stale.map(entry => entry.id) } });
+      }
+      return delivery;
+    },
+
+    async updateDelivery(delivery) {
+      await deliveries.replaceOne({ id: delivery.id }, { ...delivery });
+      return delivery;
+    },
+
+    async getDelivery(deliveryId) {
+      return deliveries.findOne({ id: deliveryId }, projection);
+    },
+
+    async listDeliveries(userId, { endpointId = null, limit = 50 } = {}) {
+      return deliveries.find({ userId, ...(endpointId && { endpointId }) }, projection)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .toArray();
+    },
+
+    async listPending() {
+      return deliveries.find({ status: 'pending' }, projection).toArray();
+    }
+  };
+}
+
+/**
+ * Create the webhook store for this deployment
+ *
+ * @returns {Object} - MongoDB store if connected, otherwise the in-process store
+ */
+export function createWebhookStore() {
+  const mongo = getConnection('mongodb');
+
+  if (mongo) {
+    logger.info('Using MongoDB for webhooks');
+    return createMongoWebhookStore(mongo);
+  }
+
+  logger.warn('MongoDB not connected, webhook endpoints are kept in memory and lost on restart');
+  return createMemoryWebhookStore();
+}
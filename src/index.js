@@ -20,21 +20,43 @@ import { fileURLToPath } from 'url';
 import path from 'path';
 import dotenv from 'dotenv';
 import * as Sentry from '@sentry/node';
+import { v4 as uuidv4 } from 'uuid';
 
 // Import core system components
 import { initializeAgentOrchestrator } from './core/orchestrator.js';
 import { setupToolRegistry } from './tools/registry.js';
 import { connectDatabases } from './data/connections.js';
+import { createVectorStore } from './data/vectorStore.js';
+import { createDocumentStore } from './data/documentStore.js';
+import { createDocumentRecordStore } from './data/documentRecordStore.js';
+import { createScheduledTaskStore } from './data/scheduledTaskStore.js';
+import { createScheduler } from './core/scheduler.js';
+import { createWebhookStore } from './data/webhookStore.js';
+import { createToolUsageStore } from './data/toolUsageStore.js';
+import { createWebhookDispatcher, createTestReceiver } from './core/webhooks.js';
+import { initializeLLMProviders } from './llm/index.js';
 import { configureAuthentication } from './auth/setup.js';
 import { setupMonitoring } from './monitoring/setup.js';
 import { configLogger, logger } from './utils/logger.js';
 
 // Import API routes
 import agentRoutes from './routes/agent.routes.js';
+import queryRoutes from './routes/query.routes.js';
+import toolHealthRoutes from './routes/toolHealth.routes.js';
 import toolRoutes from './routes/tool.routes.js';
+import memoryRoutes from './routes/memory.routes.js';
+import toolVersionRoutes from './routes/toolVersion.routes.js';
 import sessionRoutes from './routes/session.routes.js';
 import authRoutes from './routes/auth.routes.js';
 import adminRoutes from './routes/admin.routes.js';
+import usageRoutes from './routes/usage.routes.js';
+import longTermMemoryRoutes from './routes/longTermMemory.routes.js';
+import documentRoutes from './routes/document.routes.js';
+import agentProfileRoutes from './routes/agentProfiles.routes.js';
+import scheduledTaskRoutes from './routes/scheduledTask.routes.js';
+import webhookRoutes from './routes/webhook.routes.js';
+import openaiRoutes from './routes/openai.routes.js';
+import mcpRoutes from './routes/mcp.routes.js';
 
 // Setup environment variables
 dotenv.config();
@@ -70,12 +92,15 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Configure basic middleware
+// The test receiver verifies webhook signatures over the exact bytes it received
+app.use('/api/webhooks/test-receiver', express.raw({ type: 'application/json', limit: '1mb' }));
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'Mcp-Session-Id', 'Mcp-Protocol-Version'],
+  exposedHeaders: ['Mcp-Session-Id']
 }));
 app.use(helmet());
 
@@ -87,6 +112,7 @@ const limiter = rateLimit({
   legacyHeaders: false,
 });
 app.use('/api', limiter);
+app.use('/v1', limiter);
 
 // Setup logging
 configLogger();
@@ -95,6 +121,21 @@ app.use((req, res, next) => {
   next();
 });
 
+// Socket.io room of the sockets that subscribed with a valid token (see `user:subscribe`)
+const AUTHENTICATED_ROOM = 'authenticated';
+
+// Webhooks sent to this server's test receiver go over loopback, whatever host the client used
+const TEST_RECEIVER_PATH = /^\/api\/webhooks\/test-receiver\/[0-9a-f]+$/;
+
+function localReceiverUrl(url) {
+  try {
+    const { pathname, search } = new URL(url);
+    return TEST_RECEIVER_PATH.test(pathname) ? `http://127.0.0.1:${PORT}${pathname}${search}` : null;
+  } catch {
+    return null;
+  }
+}
+
 // System initialization sequence
 async function initializeSystem() {
   try {
@@ -102,27 +143,55 @@ async function initializeSystem() {
     await connectDatabases();
     logger.info('Database connections established');
 
-    // Step 2: Set up the tool registry
-    const toolRegistry = await setupToolRegistry();
+    // Step 2: Set up LLM providers and the vector store shared by memory and documents
+    const llmRouter = initializeLLMProviders();
+    const vectorStore = createVectorStore();
+    const documentStore = createDocumentStore({
+      vectorStore,
+      records: createDocumentRecordStore(),
+      llmClient: llmRouter.getClient('retrieval')
+    });
+    
+    // Step 3: Set up the tool registry
+    const toolRegistry = await setupToolRegistry({
+      documentStore,
+      llmClient: llmRouter.getClient('retrieval'),
+      usageStore: createToolUsageStore()
+    });
     logger.info(`Initialized tool registry with ${toolRegistry.size} tools`);
     
-    // Step 3: Initialize the agent orchestration layer
-    const orchestrator = await initializeAgentOrchestrator(toolRegistry);
+    // Let signed-in clients refresh their tool lists when a tool file is reloaded
+    toolRegistry.watcher?.events.on('updated', change => io.to(AUTHENTICATED_ROOM).emit('tools:updated', change));
+    
+    // Step 4: Initialize the agent orchestration layer
+    const orchestrator = await initializeAgentOrchestrator(toolRegistry, { llmRouter, vectorStore });
     logger.info('Agent orchestrator initialized');
     
-    // Step 4: Configure authentication mechanisms
+    // Step 5: Configure authentication mechanisms
     await configureAuthentication(app);
     logger.info('Authentication configured');
     
-    // Step 5: Set up monitoring and telemetry
+    // Step 6: Set up monitoring and telemetry
     await setupMonitoring(app, io);
     logger.info('Monitoring systems initialized');
     
+    // Step 7: Deliver lifecycle events to webhooks and start running scheduled tasks
+    const webhooks = createWebhookDispatcher({ store: createWebhookStore(), localReceiverUrl });
+    webhooks.subscribe(orchestrator.events);
+    await webhooks.start();
+    
+    const scheduler = createScheduler({ orchestrator, store: createScheduledTaskStore(), io });
+    scheduler.start();
+    
     // Make the orchestrator available to routes
     app.locals.orchestrator = orchestrator;
     app.locals.toolRegistry = toolRegistry;
+    app.locals.documentStore = documentStore;
+    app.locals.scheduler = scheduler;
+    app.locals.webhooks = webhooks;
+    app.locals.webhookReceiver = createTestReceiver();
     
-    return { orchestrator, toolRegistry };
+    return { orchestrator, toolRegistry, scheduler };
   } catch (error) {
     logger.error('System initialization failed:', error);
     throw error;
@@ -131,10 +200,26 @@ async function initializeSystem() {
 
 // API Routes
 app.use('/api/agent', agentRoutes);
+app.use('/api/agent', queryRoutes);
+app.use('/api/tools', toolHealthRoutes);
 app.use('/api/tools', toolRoutes);
+app.use('/api/sessions', memoryRoutes);
+app.use('/api/sessions', toolVersionRoutes);
 app.use('/api/sessions', sessionRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/memories', longTermMemoryRoutes);
+app.use('/api/documents', documentRoutes);
+app.use('/api/agents', agentProfileRoutes);
+app.use('/api/scheduled-tasks', scheduledTaskRoutes);
+app.use('/api/webhooks', webhookRoutes);
+
+// Registry tools for Model Context Protocol clients
+app.use('/api/mcp', mcpRoutes);
+
+// OpenAI-compatible API for tooling that speaks the Chat Completions format
+app.use('/v1', openaiRoutes);
 
 // Serve static files in production
 if (process.env.NODE_ENV === 'production') {
@@ -164,19 +249,94 @@ app.use((err, req, res, next) => {
   });
 });
 
+// Identity of sockets that did not sign in
+const ANONYMOUS_USER = { id: 'anonymous', role: 'guest' };
+
+// Sockets sign in with a token, sent when connecting (`auth.token`) or later with
+// `user:subscribe`; queries run as that user and never as one named by the client
+io.use(async (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+  socket.data.user = ANONYMOUS_USER;
+  
+  if (!token) {
+    return next();
+  }
+  
+  try {
+    socket.data.user = await app.locals.auth.tokens.authenticateToken(token);
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed: invalid token'));
+  }
+});
+
+// Query data sent over a socket, with the user and workspace taken from the signed-in user
+function socketQuery(socket, { userId, workspaceId, ...data }, queryId) {
+  const { user } = socket.data;
+  return { ...data, userId: user.id, workspaceId: user.workspaceId || null, queryId };
+}
+
 // Socket.io connection handler
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}`);
   
+  // Queries started by this socket, cancelled if the client goes away
+  const socketQueries = new Set();
+  
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
+    
+    // Queries waiting for approval keep running so the user can answer after reconnecting
+    const { orchestrator } = app.locals;
+    for (const queryId of socketQueries) {
+      if (!orchestrator.approvals.hasPendingForQuery(queryId)) {
+        orchestrator.cancelQuery(queryId);
+      }
+    }
+  });
+  
+  // A socket receives the notifications of at most one user
+  const leaveUserRooms = () => {
+    [...socket.rooms]
+      .filter(room => room.startsWith('user:') || room === AUTHENTICATED_ROOM)
+      .forEach(room => socket.leave(room));
+  };
+  
+  // Sign in as the token's user and join their room to receive notifications that are not
+  // tied to a query, such as completed scheduled tasks, and the room of signed-in sockets,
+  // which hears of tool reloads
+  socket.on('user:subscribe', async ({ token } = {}) => {
+    try {
+      const user = await app.locals.auth.tokens.authenticateToken(token);
+      leaveUserRooms();
+      socket.data.user = user;
+      socket.join([`user:${user.id}`, AUTHENTICATED_ROOM]);
+      socket.emit('user:subscribed', { userId: user.id });
+    } catch (error) {
+      socket.emit('agent:error', { message: 'Could not subscribe to notifications: invalid token' });
+    }
+  });
+  
+  // Sign out: leave the user's room and run later queries anonymously
+  socket.on('user:unsubscribe', () => {
+    leaveUserRooms();
+    socket.data.user = ANONYMOUS_USER;
   });
   
   // Add socket event handlers for real-time agent interactions
   socket.on('agent:query', async (data) => {
+    const queryId = data.queryId || uuidv4();
+    
+    // A client-chosen ID must not take over another query, which this socket could then cancel
+    if (app.locals.orchestrator.activeQueries.has(queryId)) {
+      socket.emit('agent:error', { message: 'A query with that ID is already running', code: 'QUERY_ID_IN_USE', queryId });
+      return;
+    }
+    socketQueries.add(queryId);
+    
     try {
       const { orchestrator } = app.locals;
-      const response = await orchestrator.processQuery(data, socket);
+      const response = await orchestrator.processQuery(socketQuery(socket, data, queryId), socket);
       socket.emit('agent:response', response);
     } catch (error) {
       logger.error('Error processing agent query:', error);
@@ -184,8 +344,57 @@ io.on('connection', (socket) => {
         message: 'Failed to process your request',
         details: process.env.NODE_ENV !== 'production' ? error.message : undefined
       });
+    } finally {
+      socketQueries.delete(queryId);
     }
   });
+  
+  socket.on('agent:execute_plan', async (data) => {
+    const queryId = data.queryId || uuidv4();
+    
+    // A client-chosen ID must not take over another query, which this socket could then cancel
+    if (app.locals.orchestrator.activeQueries.has(queryId)) {
+      socket.emit('agent:error', { message: 'A query with that ID is already running', code: 'QUERY_ID_IN_USE', queryId });
+      return;
+    }
+    socketQueries.add(queryId);
+    
+    try {
+      const { orchestrator } = app.locals;
+      const response = await orchestrator.executePlan(socketQuery(socket, data, queryId), socket);
+      socket.emit('agent:response', response);
+    } catch (error) {
+      logger.error('Error executing agent plan:', error);
+      socket.emit('agent:error', { 
+        message: error.expose ? error.message : 'Failed to execute the plan',
+        details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+      });
+    } finally {
+      socketQueries.delete(queryId);
+    }
+  });
+  
+  socket.on('agent:cancel', ({ queryId } = {}) => {
+    const { orchestrator } = app.locals;
+    
+    // Only queries started on this socket can be cancelled through it
+    if (queryId && socketQueries.has(queryId)) {
+      orchestrator.cancelQuery(queryId);
+    }
+  });
+  
+  socket.on('agent:approval_response', ({ approvalId, approved, input } = {}) => {
+    const { orchestrator } = app.locals;
+    const approval = orchestrator.approvals.get(approvalId);
+    
+    // Only approvals for queries started on this socket can be answered through it
+    if (!approval || !socketQueries.has(approval.queryId)) {
+      socket.emit('agent:error', { message: 'Approval not found or already answered' });
+      return;
+    }
+    
+    orchestrator.approvals.resolve(approvalId, { approved, input });
+  });
 });
 
 // Start the server
@@ -213,6 +422,14 @@ const shutdown = async () => {
     logger.info('HTTP server closed');
   });
   
+  // Stop starting scheduled tasks and retrying webhooks
+  app.locals.scheduler?.stop();
+  app.locals.webhooks?.stop();
+  
+  // Stop watching the tool directories and the MCP servers started as child processes
+  app.locals.toolRegistry?.watcher?.stop();
+  await app.locals.toolRegistry?.mcpServers?.stop();
+  
   // Close database connections and perform cleanup
   try {
     // Add cleanup logic here (database disconnection, etc.)
@@ -0,0 +1,33 @@
+import { createLLMRouter, createFakeProvider } from '../index.js';
+
+const stageConfig = (model = null) => ({
+  defaultProvider: 'fake',
+  stages: { synthesis: { provider: 'fake', model } }
+});
+
+const requestedModel = async (config, body) => {
+  const fake = createFakeProvider();
+  const client = createLLMRouter(config, { fake }).getClient('synthesis');
+
+  await client.chat.completions.create({ messages: [{ role: 'user', content: 'hi' }], ...body });
+  return fake.calls[0].body.model;
+};
+
+describe('stage clients', () => {
+  it('uses the stage model over the model the caller asks for', async () => {
+    expect(await requestedModel(stageConfig('fake-large'), { model: 'fake-small' })).toBe('fake-large');
+    expect(await requestedModel(stageConfig('fake-large'), { model: 'gpt-4' })).toBe('fake-large');
+  });
+
+  it('passes the caller model through when the provider owns it', async () => {
+    expect(await requestedModel(stageConfig(), { model: 'fake-small' })).toBe('fake-small');
+  });
+
+  it('uses the provider default for models of another provider', async () => {
+    expect(await requestedModel(stageConfig(), { model: 'gpt-4' })).toBe('fake-model');
+  });
+
+  it('uses the provider default when no model is asked for', async () => {
+    expect(await requestedModel(stageConfig(), {})).toBe('fake-model');
+  });
+});
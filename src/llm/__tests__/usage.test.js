@@ -0,0 +1,93 @@
+import { createUsageLedger, meterClient, createUsageTotals } from '../usage.js';
+import { createMemoryLLMUsageStore } from '../../data/llmUsageStore.js';
+
+const noBudget = { tokens: null, cost: null };
+const budgets = (overrides) => ({ query: noBudget, session: noBudget, user: noBudget, ...overrides });
+
+// Client answering every request with the given token usage
+const createClient = (promptTokens = 60, completionTokens = 40) => {
+  const client = {
+    calls: 0,
+    chat: {
+      completions: {
+        create: async () => {
+          client.calls++;
+          return {
+            model: 'gpt-4o-mini',
+            choices: [{ message: { role: 'assistant', content: 'Answer' } }],
+            usage: { prompt_tokens: promptTokens, completion_tokens: completionTokens }
+          };
+        }
+      }
+    }
+  };
+  return client;
+};
+
+const ask = (client) => client.chat.completions.create({ model: 'gpt-4o-mini', messages: [{ role: 'user', content: 'Hi' }] });
+
+describe('usage ledger budgets', () => {
+  it('stops a query once it has used its token budget', async () => {
+    const ledger = createUsageLedger({ budgets: budgets({ query: { tokens: 150 } }), store: createMemoryLLMUsageStore() });
+    const client = createClient();
+    ledger.startQuery({ queryId: 'q1', sessionId: 's1', userId: 'alice' });
+    const metered = meterClient(client, { ledger, queryId: 'q1', stage: 'synthesis' });
+
+    await ask(metered);
+    await ask(metered);
+
+    await expect(ask(metered)).rejects.toMatchObject({
+      code: 'CONTEXT_LIMIT_EXCEEDED',
+      expose: true,
+      budget: { scope: 'query', kind: 'tokens', used: 200, limit: 150 }
+    });
+    expect(client.calls).toBe(2);
+  });
+
+  it('counts every query of a session towards the session budget', async () => {
+    const ledger = createUsageLedger({ budgets: budgets({ session: { tokens: 100 } }), store: createMemoryLLMUsageStore() });
+    const sessionUsage = createUsageTotals();
+
+    ledger.startQuery({ queryId: 'q1', sessionId: 's1', userId: 'alice', sessionUsage });
+    await ask(meterClient(createClient(), { ledger, queryId: 'q1', stage: 'synthesis' }));
+    ledger.endQuery('q1');
+
+    ledger.startQuery({ queryId: 'q2', sessionId: 's1', userId: 'alice', sessionUsage });
+    await expect(ask(meterClient(createClient(), { ledger, queryId: 'q2', stage: 'synthesis' })))
+      .rejects.toMatchObject({ code: 'RATE_LIMIT_EXCEEDED', budget: { scope: 'session' } });
+  });
+
+  it('holds the daily user budget across ledgers sharing a store, for that user only', async () => {
+    const store = createMemoryLLMUsageStore();
+    const limits = budgets({ user: { tokens: 100 } });
+
+    const first = createUsageLedger({ budgets: limits, store });
+    first.startQuery({ queryId: 'q1', sessionId: 's1', userId: 'alice' });
+    await ask(meterClient(createClient(), { ledger: first, queryId: 'q1', stage: 'synthesis' }));
+
+    // Another process, or this one after a restart
+    const second = createUsageLedger({ budgets: limits, store });
+    await second.loadUser('alice');
+    await second.loadUser('bob');
+    second.startQuery({ queryId: 'q2', sessionId: 's2', userId: 'alice' });
+    second.startQuery({ queryId: 'q3', sessionId: 's3', userId: 'bob' });
+
+    expect(() => second.checkBudget('q2')).toThrow(expect.objectContaining({ code: 'RATE_LIMIT_EXCEEDED', budget: expect.objectContaining({ scope: 'user' }) }));
+    expect(() => second.checkBudget('q3')).not.toThrow();
+  });
+
+  it('holds delegated tasks to their own budget and their parent query budget', async () => {
+    const ledger = createUsageLedger({ budgets: budgets({ query: { tokens: 250 } }), store: createMemoryLLMUsageStore() });
+    ledger.startQuery({ queryId: 'parent', sessionId: 's1', userId: 'alice' });
+    ledger.startQuery({ queryId: 'child', sessionId: 's1', userId: 'alice', parentQueryId: 'parent', budget: { tokens: 100 } });
+    const child = meterClient(createClient(), { ledger, queryId: 'child', stage: 'synthesis' });
+
+    await ask(child);
+    await expect(ask(child)).rejects.toMatchObject({ code: 'CONTEXT_LIMIT_EXCEEDED', budget: { scope: 'delegation' } });
+    expect(ledger.getQueryUsage('parent').totalTokens).toBe(100);
+
+    await ask(meterClient(createClient(200, 0), { ledger, queryId: 'parent', stage: 'synthesis' }));
+    ledger.startQuery({ queryId: 'child-2', sessionId: 's1', userId: 'alice', parentQueryId: 'parent', budget: { tokens: 1000 } });
+    expect(() => ledger.checkBudget('child-2')).toThrow(expect.objectContaining({ budget: expect.objectContaining({ scope: 'query' }) }));
+  });
+});
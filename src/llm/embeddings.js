@@ -0,0 +1,46 @@
+/**
+ * Embeddings
+ *
+ * Turns text into vectors for the vector store. Uses the client's `embeddings.create` when the
+ * provider has one, and falls back to hashed token vectors (see providers/fake.js) otherwise,
+ * so retrieval keeps working, with lower quality, on providers without an embeddings endpoint.
+ *
+ * Configuration:
+ *   OPENAI_EMBEDDING_MODEL - Embedding model (default 'text-embedding-3-small')
+ */
+
+import { hashEmbedding } from './providers/fake.js';
+
+// Inputs sent per embeddings request
+const EMBEDDING_BATCH_SIZE = 64;
+
+/**
+ * Embed texts
+ *
+ * @param {Array<String>} texts - Texts to embed
+ * @param {Object} llmClient - Optional OpenAI-compatible client
+ * @param {Object} options - { model, signal }
+ * @returns {Promise<Array<Array<Number>>>} - One vector per text, in order
+ */
+export async function embedTexts(texts, llmClient = null, options = {}) {
+  if (!llmClient || !llmClient.embeddings) {
+    return texts.map(text => hashEmbedding(text));
+  }
+
+  const model = options.model || process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small';
+  const vectors = [];
+
+  for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+    const batch = texts.slice(start, start + EMBEDDING_BATCH_SIZE);
+    const response = await llmClient.embeddings.create(
+      { model, input: batch },
+      options.signal ? { signal: options.signal } : undefined
+    );
+
+    vectors.push(...[...response.data]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding));
+  }
+
+  return vectors;
+}
@@ -0,0 +1,181 @@
+/**
+ * LLM Provider Layer
+ * 
+ * Selects the language model provider used by each stage of the orchestration pipeline.
+ * Every provider exposes the OpenAI chat completions interface (`chat.completions.create`
+ * and, where supported, `embeddings.create`), so pipeline modules stay provider-agnostic.
+ * 
+ * Configuration is read from the environment:
+ *   LLM_PROVIDER            - Default provider for all stages (openai, azure, anthropic, local, fake)
+ *   LLM_<STAGE>_PROVIDER    - Provider override for a stage, e.g. LLM_INTENT_PROVIDER=local
+ *   LLM_<STAGE>_MODEL       - Model (or Azure deployment) override for a stage
+ * 
+ * Providers may declare `ownsModel(name)`. A model named by the caller is only sent to a
+ * provider that owns it, so `gpt-4` from an OpenAI-style caller never replaces an Azure
+ * deployment or a local model.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createOpenAIProvider } from './providers/openai.js';
+import { createAzureOpenAIProvider } from './providers/azure.js';
+import { createAnthropicProvider } from './providers/anthropic.js';
+import { createLocalProvider } from './providers/local.js';
+import { createFakeProvider } from './providers/fake.js';
+
+/**
+ * Pipeline stages that make LLM calls
+ */
+export const PIPELINE_STAGES = ['intent', 'entities', 'planning', 'synthesis', 'fallback', 'memory', 'retrieval'];
+
+const providerFactories = {
+  openai: createOpenAIProvider,
+  azure: createAzureOpenAIProvider,
+  anthropic: createAnthropicProvider,
+  local: createLocalProvider,
+  fake: createFakeProvider,
+};
+
+/**
+ * Create a provider instance by type
+ * 
+ * @param {String} type - Provider type
+ * @param {Object} options - Provider-specific options
+ * @returns {Object|null} - Provider instance, or null if it is not configured
+ */
+export function createProvider(type, options = {}) {
+  const factory = providerFactories[type];
+  
+  if (!factory) {
+    throw new Error(`Unknown LLM provider: ${type}`);
+  }
+  
+  return factory(options);
+}
+
+/**
+ * Read the stage-to-provider configuration from environment variables
+ * 
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { defaultProvider, stages: { [stage]: { provider, model } } }
+ */
+export function loadLLMConfig(env = process.env) {
+  const defaultProvider = env.LLM_PROVIDER || 'openai';
+  const stages = {};
+  
+  for (const stage of PIPELINE_STAGES) {
+    const prefix = `LLM_${stage.toUpperCase()}`;
+    stages[stage] = {
+      provider: env[`${prefix}_PROVIDER`] || defaultProvider,
+      model: env[`${prefix}_MODEL`] || null,
+    };
+  }
+  
+  return { defaultProvider, stages };
+}
+
+/**
+ * Bind a provider to a stage model
+ * 
+ * The stage model takes precedence over the model requested by the caller, which lets a
+ * deployment run a cheap model for one stage and a stronger one for another. Without a stage
+ * model, the caller's model is used if the provider owns it, and the provider's default
+ * otherwise.
+ */
+function bindStageClient(provider, model) {
+  const ownedModel = (requested) => (requested && provider.ownsModel?.(requested) ? requested : null);
+  
+  return {
+    provider: provider.name,
+    model: model || provider.defaultModel,
+    chat: {
+      completions: {
+        create: (body, options) => provider.chat.completions.create({
+          ...body,
+          model: model || ownedModel(body.model) || provider.defaultModel
+        }, options)
+      }
+    },
+    ...(provider.embeddings && { embeddings: provider.embeddings })
+  };
+}
+
+/**
+ * Create a router that hands out an LLM client per pipeline stage
+ * 
+ * @param {Object} config - Stage configuration (see loadLLMConfig)
+ * @param {Object} providers - Optional pre-built provider instances keyed by type,
+ *                             e.g. { fake: createFakeProvider({ responses }) }
+ * @returns {Object} - LLM router
+ */
+export function createLLMRouter(config = loadLLMConfig(), providers = {}) {
+  const instances = new Map(Object.entries(providers));
+  const stageClients = new Map();
+  
+  const getProvider = (type) => {
+    if (!instances.has(type)) {
+      instances.set(type, createProvider(type));
+    }
+    return instances.get(type);
+  };
+  
+  return {
+    config,
+    getProvider,
+    
+    /**
+     * Get the client configured for a pipeline stage
+     * 
+     * @param {String} stage - Pipeline stage name
+     * @returns {Object|null} - OpenAI-compatible client, or null if the provider is unavailable
+     */
+    getClient(stage) {
+      if (stageClients.has(stage)) {
+        return stageClients.get(stage);
+      }
+      
+      const { provider: type, model } = config.stages[stage] || { provider: config.defaultProvider };
+      const provider = getProvider(type);
+      const client = provider ? bindStageClient(provider, model) : null;
+      
+      stageClients.set(stage, client);
+      return client;
+    },
+    
+    /**
+     * Describe the provider and model assigned to each stage
+     * 
+     * @returns {Object} - { [stage]: { provider, model, available } }
+     */
+    describe() {
+      return Object.fromEntries(Object.keys(config.stages).map(stage => {
+        const client = this.getClient(stage);
+        return [stage, {
+          provider: config.stages[stage].provider,
+          model: client ? client.model : config.stages[stage].model,
+          available: Boolean(client)
+        }];
+      }));
+    }
+  };
+}
+
+/**
+ * Initialize the LLM router from the environment and log the resulting stage assignments
+ * 
+ * @returns {Object} - LLM router
+ */
+export function initializeLLMProviders() {
+  const router = createLLMRouter();
+  
+  for (const [stage, info] of Object.entries(router.describe())) {
+    if (info.available) {
+      logger.info(`LLM stage '${stage}' using ${info.provider}${info.model ? ` (${info.model})` : ''}`);
+    } else {
+      logger.warn(`LLM stage '${stage}' has no available provider (${info.provider}), LLM capabilities will be limited`);
+    }
+  }
+  
+  return router;
+}
+
+export { createFakeProvider };
@@ -0,0 +1,112 @@
+/**
+ * Anthropic Provider
+ * 
+ * Adapts the Anthropic SDK to the OpenAI chat completions interface. Chat messages are
+ * rendered into the Human/Assistant prompt format expected by the completions API.
+ */
+
+import Anthropic, { HUMAN_PROMPT, AI_PROMPT } from '@anthropic-ai/sdk';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Render OpenAI-style chat messages as an Anthropic prompt
+ */
+function toAnthropicPrompt(messages) {
+  const system = messages
+    .filter(message => message.role === 'system')
+    .map(message => message.content)
+    .join('\n\n');
+  
+  const turns = messages
+    .filter(message => message.role !== 'system')
+    .map(message => `${message.role === 'assistant' ? AI_PROMPT : HUMAN_PROMPT} ${message.content}`)
+    .join('');
+  
+  return `${system ? `${HUMAN_PROMPT} ${system}` : ''}${turns}${AI_PROMPT}`;
+}
+
+/**
+ * Build an OpenAI-shaped chat completion
+ */
+function toOpenAICompletion({ id, model, content, finishReason, delta = false }) {
+  const choice = delta
+    ? { index: 0, delta: { content }, finish_reason: finishReason }
+    : { index: 0, message: { role: 'assistant', content }, finish_reason: finishReason };
+  
+  return {
+    id,
+    object: delta ? 'chat.completion.chunk' : 'chat.completion',
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [choice]
+  };
+}
+
+/**
+ * Create an Anthropic provider
+ * 
+ * @param {Object} options - Provider options
+ * @param {String} options.apiKey - Anthropic API key (defaults to ANTHROPIC_API_KEY)
+ * @param {String} options.defaultModel - Model used when a stage does not name a Claude model
+ * @returns {Object|null} - Provider instance, or null if no API key is configured
+ */
+export function createAnthropicProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.ANTHROPIC_API_KEY;
+  
+  if (!apiKey) {
+    logger.warn('Anthropic API key not found, Anthropic provider unavailable');
+    return null;
+  }
+  
+  const client = new Anthropic({ apiKey });
+  const defaultModel = options.defaultModel || process.env.ANTHROPIC_MODEL || 'claude-2';
+  
+  // Callers written against OpenAI may still pass OpenAI model names
+  const resolveModel = (model) => (model && model.startsWith('claude') ? model : defaultModel);
+  
+  return {
+    name: 'anthropic',
+    defaultModel,
+    ownsModel: (model) => model.startsWith('claude'),
+    chat: {
+      completions: {
+        async create(body, requestOptions = {}) {
+          const model = resolveModel(body.model);
+          const request = {
+            model,
+            prompt: toAnthropicPrompt(body.messages),
+            max_tokens_to_sample: body.max_tokens || 1024,
+            temperature: body.temperature,
+            stop_sequences: body.stop ? [].concat(body.stop) : undefined,
+            stream: Boolean(body.stream)
+          };
+          
+          const result = await client.completions.create(request, { signal: requestOptions.signal });
+          const id = `anthropic-${uuidv4()}`;
+          
+          if (body.stream) {
+            return (async function* () {
+              for await (const event of result) {
+                yield toOpenAICompletion({
+                  id,
+                  model,
+                  content: event.completion,
+                  finishReason: event.stop_reason || null,
+                  delta: true
+                });
+              }
+            })();
+          }
+          
+          return toOpenAICompletion({
+            id,
+            model,
+            content: result.completion.trim(),
+            finishReason: result.stop_reason
+          });
+        }
+      }
+    }
+  };
+}
@@ -0,0 +1,111 @@
+/**
+ * Azure OpenAI Provider
+ * 
+ * Adapts the Azure OpenAI SDK to the OpenAI chat completions interface used throughout the
+ * system. Model names are treated as Azure deployment names.
+ */
+
+import { OpenAIClient, AzureKeyCredential } from '@azure/openai';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Convert an Azure chat completion into the OpenAI response shape
+ */
+function toOpenAICompletion(completion, model) {
+  return {
+    id: completion.id,
+    object: 'chat.completion',
+    created: completion.created instanceof Date
+      ? Math.floor(completion.created.getTime() / 1000)
+      : completion.created,
+    model,
+    choices: completion.choices.map(choice => ({
+      index: choice.index,
+      message: choice.message,
+      delta: choice.delta,
+      finish_reason: choice.finishReason
+    })),
+    usage: completion.usage ? {
+      prompt_tokens: completion.usage.promptTokens,
+      completion_tokens: completion.usage.completionTokens,
+      total_tokens: completion.usage.totalTokens
+    } : undefined
+  };
+}
+
+/**
+ * Create an Azure OpenAI provider
+ * 
+ * @param {Object} options - Provider options
+ * @param {String} options.endpoint - Azure resource endpoint (defaults to AZURE_OPENAI_ENDPOINT)
+ * @param {String} options.apiKey - Azure API key (defaults to AZURE_OPENAI_API_KEY)
+ * @param {String} options.defaultModel - Deployment used when a stage does not name one
+ * @returns {Object|null} - Provider instance, or null if Azure is not configured
+ */
+export function createAzureOpenAIProvider(options = {}) {
+  const endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT;
+  const apiKey = options.apiKey || process.env.AZURE_OPENAI_API_KEY;
+  
+  if (!endpoint || !apiKey) {
+    logger.warn('Azure OpenAI endpoint or API key not found, Azure provider unavailable');
+    return null;
+  }
+  
+  const client = new OpenAIClient(endpoint, new AzureKeyCredential(apiKey));
+  const defaultModel = options.defaultModel || process.env.AZURE_OPENAI_DEPLOYMENT || null;
+  
+  return {
+    name: 'azure',
+    defaultModel,
+    chat: {
+      completions: {
+        async create(body, requestOptions = {}) {
+          const deployment = body.model || defaultModel;
+          const azureOptions = {
+            maxTokens: body.max_tokens,
+            temperature: body.temperature,
+            topP: body.top_p,
+            stop: body.stop,
+            abortSignal: requestOptions.signal
+          };
+          
+          if (body.stream) {
+            const events = await client.listChatCompletions(deployment, body.messages, azureOptions);
+            
+            return (async function* () {
+              for await (const event of events) {
+                yield toOpenAICompletion(event, deployment);
+              }
+            })();
+          }
+          
+          const completion = await client.getChatCompletions(deployment, body.messages, azureOptions);
+          return toOpenAICompletion(completion, deployment);
+        }
+      }
+    },
+    embeddings: {
+      async create(body, requestOptions = {}) {
+        const deployment = body.model || process.env.AZURE_OPENAI_EMBEDDING_DEPLOYMENT;
+        const input = Array.isArray(body.input) ? body.input : [body.input];
+        const result = await client.getEmbeddings(deployment, input, {
+          abortSignal: requestOptions.signal
+        });
+        
+        return {
+          object: 'list',
+          model: deployment,
+          data: result.data.map(item => ({
+            object: 'embedding',
+            index: item.index,
+            embedding: item.embedding
+          })),
+          usage: {
+            prompt_tokens: result.usage.promptTokens,
+            total_tokens: result.usage.totalTokens
+          }
+        };
+      }
+    }
+  };
+}
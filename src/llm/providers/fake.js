@@ -0,0 +1,156 @@
+/**
+ * Fake Provider
+ * 
+ * Deterministic, offline provider for tests and local development. Responses are derived
+ * only from the request, so the same input always produces the same output.
+ */
+
+import { createCancellationError } from '../../core/cancellation.js';
+
+/**
+ * Rough token estimate used for usage reporting
+ */
+function estimateTokens(text = '') {
+  return Math.ceil(String(text).length / 4);
+}
+
+/**
+ * Deterministic 32-bit string hash (FNV-1a)
+ */
+function hashString(value) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a deterministic embedding by hashing tokens into a fixed-size vector
+ * 
+ * @param {String} text - Text to embed
+ * @param {Number} dimensions - Vector size
+ * @returns {Array<Number>} - L2-normalized vector
+ */
+export function hashEmbedding(text, dimensions = 256) {
+  const vector = new Array(dimensions).fill(0);
+  const tokens = String(text).toLowerCase().match(/[a-z0-9]+/g) || [];
+  
+  for (const token of tokens) {
+    const hash = hashString(token);
+    vector[hash % dimensions] += (hash & 1) ? 1 : -1;
+  }
+  
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+  return vector.map(value => value / norm);
+}
+
+/**
+ * Create a fake provider
+ * 
+ * @param {Object} options - Provider options
+ * @param {Function} options.respond - Optional (messages, body) => String used to produce replies
+ * @param {Array} options.responses - Optional [{ match: String|RegExp, content: String }] rules,
+ *                                    matched against the last user message
+ * @param {Number} options.dimensions - Embedding vector size
+ * @returns {Object} - Provider instance; every request is recorded in `calls`
+ */
+export function createFakeProvider(options = {}) {
+  const { respond, responses = [], dimensions = 256 } = options;
+  const calls = [];
+  
+  const generate = (messages, body) => {
+    if (respond) {
+      return respond(messages, body);
+    }
+    
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const prompt = lastUserMessage ? String(lastUserMessage.content) : '';
+    
+    const rule = responses.find(({ match }) => (
+      match instanceof RegExp ? match.test(prompt) : prompt.includes(match)
+    ));
+    
+    return rule ? rule.content : `Fake response to: ${prompt.slice(0, 200)}`;
+  };
+  
+  return {
+    name: 'fake',
+    defaultModel: 'fake-model',
+    ownsModel: (model) => model.startsWith('fake'),
+    calls,
+    chat: {
+      completions: {
+        async create(body, requestOptions = {}) {
+          if (requestOptions.signal && requestOptions.signal.aborted) {
+            throw createCancellationError();
+          }
+          
+          calls.push({ type: 'chat', body });
+          
+          const model = body.model || 'fake-model';
+          const content = generate(body.messages || [], body);
+          const promptTokens = estimateTokens((body.messages || []).map(m => m.content).join('\n'));
+          const completionTokens = estimateTokens(content);
+          
+          if (body.stream) {
+            const words = content.split(/(?<=\s)/);
+            
+            return (async function* () {
+              for (const word of words) {
+                if (requestOptions.signal && requestOptions.signal.aborted) {
+                  throw createCancellationError();
+                }
+                yield {
+                  id: 'fake-completion',
+                  object: 'chat.completion.chunk',
+                  model,
+                  choices: [{ index: 0, delta: { content: word }, finish_reason: null }]
+                };
+              }
+            })();
+          }
+          
+          return {
+            id: 'fake-completion',
+            object: 'chat.completion',
+            created: 0,
+            model,
+            choices: [{
+              index: 0,
+              message: { role: 'assistant', content },
+              finish_reason: 'stop'
+            }],
+            usage: {
+              prompt_tokens: promptTokens,
+              completion_tokens: completionTokens,
+              total_tokens: promptTokens + completionTokens
+            }
+          };
+        }
+      }
+    },
+    embeddings: {
+      async create(body) {
+        calls.push({ type: 'embeddings', body });
+        
+        const inputs = Array.isArray(body.input) ? body.input : [body.input];
+        
+        return {
+          object: 'list',
+          model: body.model || 'fake-embedding',
+          data: inputs.map((input, index) => ({
+            object: 'embedding',
+            index,
+            embedding: hashEmbedding(input, dimensions)
+          })),
+          usage: {
+            prompt_tokens: estimateTokens(inputs.join(' ')),
+            total_tokens: estimateTokens(inputs.join(' '))
+          }
+        };
+      }
+    }
+  };
+}
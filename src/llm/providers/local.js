@@ -0,0 +1,53 @@
+/**
+ * Local Provider
+ * 
+ * Adapter for self-hosted models served behind an OpenAI-compatible API
+ * (e.g. vLLM, Ollama, LM Studio, llama.cpp server).
+ */
+
+import { OpenAI } from 'openai';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Create a provider for an OpenAI-compatible local endpoint
+ * 
+ * @param {Object} options - Provider options
+ * @param {String} options.baseURL - Base URL of the endpoint (defaults to LOCAL_LLM_BASE_URL)
+ * @param {String} options.apiKey - API key if the endpoint requires one
+ * @param {String} options.defaultModel - Model used when a stage does not name one
+ * @returns {Object|null} - Provider instance, or null if no endpoint is configured
+ */
+export function createLocalProvider(options = {}) {
+  const baseURL = options.baseURL || process.env.LOCAL_LLM_BASE_URL;
+  
+  if (!baseURL) {
+    logger.warn('Local LLM base URL not found, local provider unavailable');
+    return null;
+  }
+  
+  const client = new OpenAI({
+    baseURL,
+    apiKey: options.apiKey || process.env.LOCAL_LLM_API_KEY || 'not-needed',
+  });
+  
+  const defaultModel = options.defaultModel || process.env.LOCAL_LLM_MODEL || 'llama3';
+  
+  return {
+    name: 'local',
+    defaultModel,
+    chat: {
+      completions: {
+        create: (body, requestOptions) => client.chat.completions.create({
+          ...body,
+          model: body.model || defaultModel
+        }, requestOptions)
+      }
+    },
+    embeddings: {
+      create: (body, requestOptions) => client.embeddings.create({
+        ...body,
+        model: body.model || process.env.LOCAL_EMBEDDING_MODEL || defaultModel
+      }, requestOptions)
+    }
+  };
+}
@@ -0,0 +1,49 @@
+/**
+ * OpenAI Provider
+ * 
+ * Thin adapter around the official OpenAI SDK. The SDK already exposes the interface the
+ * rest of the system expects, so requests are passed through unchanged.
+ */
+
+import { OpenAI } from 'openai';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Create an OpenAI provider
+ * 
+ * @param {Object} options - Provider options
+ * @param {String} options.apiKey - OpenAI API key (defaults to OPENAI_API_KEY)
+ * @param {String} options.organization - Optional organization ID
+ * @returns {Object|null} - Provider instance, or null if no API key is configured
+ */
+export function createOpenAIProvider(options = {}) {
+  const apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+  
+  if (!apiKey) {
+    logger.warn('OpenAI API key not found, OpenAI provider unavailable');
+    return null;
+  }
+  
+  const client = new OpenAI({
+    apiKey,
+    organization: options.organization || process.env.OPENAI_ORGANIZATION,
+  });
+  
+  return {
+    name: 'openai',
+    defaultModel: options.defaultModel || null,
+    // Callers name OpenAI models
+    ownsModel: () => true,
+    chat: {
+      completions: {
+        create: (body, requestOptions) => client.chat.completions.create(body, requestOptions)
+      }
+    },
+    embeddings: {
+      create: (body, requestOptions) => client.embeddings.create({
+        model: 'text-embedding-ada-002',
+        ...body
+      }, requestOptions)
+    }
+  };
+}
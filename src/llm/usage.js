@@ -0,0 +1,461 @@
+/**
+ * LLM Usage Metering and Budgets
+ *
+ * Records prompt/completion tokens and estimated cost for every LLM call made while
+ * processing a query, attributed to the query, its session and its user, and enforces
+ * the configured budgets before each call.
+ *
+ * Budgets are read from the environment (unset or 0 means unlimited):
+ *   LLM_BUDGET_QUERY_TOKENS / LLM_BUDGET_QUERY_COST           - per query
+ *   LLM_BUDGET_SESSION_TOKENS / LLM_BUDGET_SESSION_COST       - per session, across queries
+ *   LLM_BUDGET_USER_DAILY_TOKENS / LLM_BUDGET_USER_DAILY_COST - per user and UTC day
+ *
+ * Daily user totals are persisted in the LLM usage store (see data/llmUsageStore.js) and
+ * reloaded when a user's query starts, so daily budgets hold across restarts and processes.
+ *
+ * Model prices (USD per 1K tokens) can be overridden with LLM_PRICING, a JSON object of
+ * { "<model prefix>": { "prompt": 0.01, "completion": 0.03 } }.
+ */
+
+import { logger } from '../utils/logger.js';
+import { createLLMUsageStore, USAGE_HISTORY_DAYS } from '../data/llmUsageStore.js';
+import { createExposedError } from '../core/errors.js';
+
+/**
+ * Default model prices in USD per 1K tokens, matched by longest model-name prefix
+ */
+const DEFAULT_PRICING = {
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-4o-mini': { prompt: 0.00015, completion: 0.0006 },
+  'gpt-4o': { prompt: 0.005, completion: 0.015 },
+  'gpt-4-32k': { prompt: 0.06, completion: 0.12 },
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-3.5-turbo': { prompt: 0.0015, completion: 0.002 },
+  'text-embedding-ada-002': { prompt: 0.0001, completion: 0 },
+  'text-embedding-3-small': { prompt: 0.00002, completion: 0 },
+  'claude-2': { prompt: 0.008, completion: 0.024 },
+  'claude-instant': { prompt: 0.0008, completion: 0.0024 }
+};
+
+/**
+ * Load model pricing, applying any LLM_PRICING override
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Pricing table
+ */
+export function loadPricing(env = process.env) {
+  if (!env.LLM_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(env.LLM_PRICING) };
+  } catch (error) {
+    logger.warn('Ignoring invalid LLM_PRICING configuration:', error);
+    return DEFAULT_PRICING;
+  }
+}
+
+/**
+ * Read usage budgets from the environment
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - { query, session, user } each with { tokens, cost }
+ */
+export function loadBudgets(env = process.env) {
+  const limit = (name) => Number(env[name]) || null;
+
+  return {
+    query: { tokens: limit('LLM_BUDGET_QUERY_TOKENS'), cost: limit('LLM_BUDGET_QUERY_COST') },
+    session: { tokens: limit('LLM_BUDGET_SESSION_TOKENS'), cost: limit('LLM_BUDGET_SESSION_COST') },
+    user: { tokens: limit('LLM_BUDGET_USER_DAILY_TOKENS'), cost: limit('LLM_BUDGET_USER_DAILY_COST') }
+  };
+}
+
+/**
+ * Estimate the cost of a call
+ *
+ * @param {String} model - Model name
+ * @param {Object} usage - { promptTokens, completionTokens }
+ * @param {Object} pricing - Pricing table
+ * @returns {Number} - Estimated cost in USD; 0 for unknown (e.g. local) models
+ */
+export function estimateCost(model, { promptTokens = 0, completionTokens = 0 }, pricing = DEFAULT_PRICING) {
+  const key = Object.keys(pricing)
+    .filter(prefix => model && model.startsWith(prefix))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (!key) {
+    return 0;
+  }
+
+  return (promptTokens * pricing[key].prompt + completionTokens * pricing[key].completion) / 1000;
+}
+
+/**
+ * Create an empty usage total
+ *
+ * @returns {Object} - { promptTokens, completionTokens, totalTokens, cost, calls }
+ */
+export function createUsageTotals() {
+  return { promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, calls: 0 };
+}
+
+function addUsage(totals, call) {
+  totals.promptTokens += call.promptTokens;
+  totals.completionTokens += call.completionTokens;
+  totals.totalTokens += call.promptTokens + call.completionTokens;
+  totals.cost += call.cost;
+  totals.calls += 1;
+}
+
+/**
+ * Rough token count, used where a provider does not report usage
+ *
+ * @param {String} text - Text to measure
+ * @returns {Number} - Estimated number of tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+function messagesText(messages = []) {
+  return messages
+    .map(message => (typeof message.content === 'string' ? message.content : JSON.stringify(message.content)))
+    .join('\n');
+}
+
+/**
+ * Create the error raised when a budget is exhausted
+ *
+ * Query and delegation budgets raise CONTEXT_LIMIT_EXCEEDED; session and user budgets raise
+ * RATE_LIMIT_EXCEEDED.
+ */
+function createBudgetError(scope, kind, used, limit) {
+  const amount = kind === 'cost' ? `$${used.toFixed(4)} of $${limit}` : `${used} of ${limit} tokens`;
+  const messages = {
+    query: `This request used ${amount} allowed per query.`,
+    delegation: `A delegated task used ${amount} allowed for its agent.`,
+    session: `This conversation has used ${amount} allowed per session. Start a new conversation to continue.`,
+    user: `You have used ${amount} allowed per day. Please try again tomorrow.`
+  };
+
+  return createExposedError(
+    scope === 'query' || scope === 'delegation' ? 'CONTEXT_LIMIT_EXCEEDED' : 'RATE_LIMIT_EXCEEDED',
+    messages[scope],
+    { budget: { scope, kind, used, limit } }
+  );
+}
+
+/**
+ * Create a usage ledger
+ *
+ * Query totals live for the duration of the query. Session totals are kept on the session
+ * context (so they are persisted with it) and per-user totals are bucketed by UTC day and
+ * written to the usage store. The ledger checks budgets against its copy of the user's
+ * totals, which `loadUser` refreshes from the store.
+ *
+ * @param {Object} options - Ledger options
+ * @param {Object} options.budgets - Budgets, defaults to loadBudgets()
+ * @param {Object} options.pricing - Pricing table, defaults to loadPricing()
+ * @param {Object} options.store - LLM usage store, defaults to createLLMUsageStore()
+ * @returns {Object} - Usage ledger
+ */
+export function createUsageLedger(options = {}) {
+  const budgets = options.budgets || loadBudgets();
+  const pricing = options.pricing || loadPricing();
+  const store = options.store || createLLMUsageStore();
+  const queries = new Map();
+  const userHistory = new Map();
+
+  const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+  const userDay = (userId, day = dayKey()) => {
+    if (!userHistory.has(userId)) {
+      userHistory.set(userId, new Map());
+    }
+
+    const days = userHistory.get(userId);
+    if (!days.has(day)) {
+      days.set(day, createUsageTotals());
+
+      // Drop history beyond the retention window
+      const cutoff = dayKey(new Date(Date.now() - USAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000));
+      for (const key of days.keys()) {
+        if (key < cutoff) days.delete(key);
+      }
+    }
+
+    return days.get(day);
+  };
+
+  const exceeds = (totals, limits) => {
+    if (limits.tokens && totals.totalTokens >= limits.tokens) return ['tokens', totals.totalTokens, limits.tokens];
+    if (limits.cost && totals.cost >= limits.cost) return ['cost', totals.cost, limits.cost];
+    return null;
+  };
+
+  return {
+    budgets,
+
+    /**
+     * Refresh a user's daily totals from the usage store
+     *
+     * Totals are kept as they are when the store cannot be read.
+     *
+     * @param {String} userId - User ID
+     * @param {Object} options - { days } number of days to load, counting today
+     */
+    async loadUser(userId, { days = 1 } = {}) {
+      try {
+        const fromDate = dayKey(new Date(Date.now() - (days - 1) * 24 * 60 * 60 * 1000));
+        const stored = await store.history(userId, fromDate);
+
+        for (const { date, ...totals } of stored) {
+          Object.assign(userDay(userId, date), totals);
+        }
+      } catch (error) {
+        logger.warn(`Failed to load the LLM usage of user ${userId}:`, error);
+      }
+    },
+
+    /**
+     * Start metering a query
+     *
+     * A query started with a `parentQueryId` is a delegated sub-task: its usage also counts
+     * towards the parent query, and the parent's budgets apply to it as well as its own.
+     *
+     * @param {Object} params - { queryId, sessionId, userId, sessionUsage, parentQueryId, budget }
+     *                          where sessionUsage is the session context's usage totals, updated
+     *                          in place, and budget is an optional { tokens, cost } for a sub-task
+     */
+    startQuery({ queryId, sessionId, userId, sessionUsage, parentQueryId = null, budget = null }) {
+      queries.set(queryId, {
+        sessionId,
+        userId,
+        parentQueryId,
+        limits: parentQueryId ? (budget || {}) : budgets.query,
+        totals: createUsageTotals(),
+        sessionTotals: sessionUsage || createUsageTotals(),
+        byStage: {}
+      });
+    },
+
+    /**
+     * Throw if the query, its session or its user has exhausted a budget
+     *
+     * @param {String} queryId - Query ID
+     */
+    checkBudget(queryId) {
+      const query = queries.get(queryId);
+      if (!query) return;
+
+      const checks = [];
+      for (let current = query; current; current = queries.get(current.parentQueryId)) {
+        checks.push([current.parentQueryId ? 'delegation' : 'query', current.totals, current.limits]);
+      }
+      checks.push(
+        ['session', query.sessionTotals, budgets.session],
+        ['user', userDay(query.userId), budgets.user]
+      );
+
+      for (const [scope, totals, limits] of checks) {
+        const exceeded = exceeds(totals, limits);
+        if (exceeded) {
+          logger.warn(`LLM ${scope} budget exhausted for query ${queryId}: ${exceeded[1]} of ${exceeded[2]} ${exceeded[0]}`);
+          throw createBudgetError(scope, ...exceeded);
+        }
+      }
+    },
+
+    /**
+     * Record the usage of an LLM call
+     *
+     * @param {String} queryId - Query ID
+     * @param {Object} call - { stage, model, promptTokens, completionTokens }
+     * @returns {Object} - The recorded call including its estimated cost
+     */
+    record(queryId, { stage, model, promptTokens = 0, completionTokens = 0 }) {
+      const call = {
+        stage,
+        model,
+        promptTokens,
+        completionTokens,
+        cost: estimateCost(model, { promptTokens, completionTokens }, pricing)
+      };
+
+      const query = queries.get(queryId);
+      if (!query) {
+        return call;
+      }
+
+      // Delegated sub-tasks also count towards every ancestor query
+      for (let current = query; current; current = queries.get(current.parentQueryId)) {
+        if (!current.byStage[stage]) {
+          current.byStage[stage] = createUsageTotals();
+        }
+
+        addUsage(current.totals, call);
+        addUsage(current.byStage[stage], call);
+      }
+
+      addUsage(query.sessionTotals, call);
+      addUsage(userDay(query.userId), call);
+
+      const usage = createUsageTotals();
+      addUsage(usage, call);
+      store.add(query.userId, dayKey(), usage)
+        .catch(error => logger.warn(`Failed to save the LLM usage of user ${query.userId}:`, error));
+
+      return call;
+    },
+
+    /**
+     * Get the usage of a query so far
+     *
+     * @param {String} queryId - Query ID
+     * @returns {Object|null} - Totals plus `byStage` and `session` totals
+     */
+    getQueryUsage(queryId) {
+      const query = queries.get(queryId);
+      if (!query) return null;
+
+      return { ...query.totals, byStage: { ...query.byStage }, session: { ...query.sessionTotals } };
+    },
+
+    /**
+     * Stop metering a query
+     *
+     * @param {String} queryId - Query ID
+     * @returns {Object|null} - Final query usage
+     */
+    endQuery(queryId) {
+      const usage = this.getQueryUsage(queryId);
+      queries.delete(queryId);
+      return usage;
+    },
+
+    /**
+     * Get a user's usage history
+     *
+     * @param {String} userId - User ID
+     * @param {Object} options - { days } number of days to include, counting today
+     * @returns {Promise<Object>} - { today, totals, series: [{ date, ...totals }], budgets }
+     */
+    async getUserUsage(userId, { days = 30 } = {}) {
+      await this.loadUser(userId, { days });
+
+      const history = userHistory.get(userId) || new Map();
+      const series = [];
+      const totals = createUsageTotals();
+
+      for (let offset = days - 1; offset >= 0; offset--) {
+        const date = dayKey(new Date(Date.now() - offset * 24 * 60 * 60 * 1000));
+        const day = history.get(date) || createUsageTotals();
+        series.push({ date, ...day });
+
+        totals.promptTokens += day.promptTokens;
+        totals.completionTokens += day.completionTokens;
+        totals.totalTokens += day.totalTokens;
+        totals.cost += day.cost;
+        totals.calls += day.calls;
+      }
+
+      return {
+        today: { ...(history.get(dayKey()) || createUsageTotals()) },
+        totals,
+        series,
+        budgets
+      };
+    }
+  };
+}
+
+/**
+ * Meter an OpenAI-compatible client
+ *
+ * Checks budgets before each request and records token usage afterwards. Usage reported by
+ * the provider is used when present; otherwise tokens are estimated from the text. Streaming
+ * responses are recorded once the stream has been consumed.
+ *
+ * @param {Object} client - OpenAI-compatible client
+ * @param {Object} options - { ledger, queryId, stage }
+ * @returns {Object} - Metered client
+ */
+export function meterClient(client, { ledger, queryId, stage }) {
+  if (!client || !ledger) {
+    return client;
+  }
+
+  const record = (model, promptTokens, completionTokens) =>
+    ledger.record(queryId, { stage, model, promptTokens, completionTokens });
+
+  const meterStream = (stream, body) => ({
+    ...stream,
+    async *[Symbol.asyncIterator]() {
+      let text = '';
+      let model = body.model;
+      let usage = null;
+
+      try {
+        for await (const chunk of stream) {
+          model = chunk.model || model;
+          usage = chunk.usage || usage;
+          text += chunk.choices?.[0]?.delta?.content || '';
+          yield chunk;
+        }
+      } finally {
+        record(
+          model,
+          usage ? usage.prompt_tokens : estimateTokens(messagesText(body.messages)),
+          usage ? usage.completion_tokens : estimateTokens(text)
+        );
+      }
+    }
+  });
+
+  const metered = {
+    ...client,
+    chat: {
+      ...client.chat,
+      completions: {
+        create: async (body, options) => {
+          ledger.checkBudget(queryId);
+          const response = await client.chat.completions.create(body, options);
+
+          if (body.stream) {
+            return meterStream(response, body);
+          }
+
+          record(
+            response.model || body.model,
+            response.usage ? response.usage.prompt_tokens : estimateTokens(messagesText(body.messages)),
+            response.usage
+              ? response.usage.completion_tokens
+              : estimateTokens(response.choices?.[0]?.message?.content)
+          );
+          return response;
+        }
+      }
+    }
+  };
+
+  if (client.embeddings) {
+    metered.embeddings = {
+      create: async (body, options) => {
+        ledger.checkBudget(queryId);
+        const response = await client.embeddings.create(body, options);
+        const input = Array.isArray(body.input) ? body.input.join('\n') : body.input;
+
+        record(
+          response.model || body.model,
+          response.usage ? response.usage.prompt_tokens : estimateTokens(input),
+          0
+        );
+        return response;
+      }
+    };
+  }
+
+  return metered;
+}
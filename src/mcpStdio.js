@@ -0,0 +1,132 @@
+/**
+ * MCP Server over Stdio
+ *
+ * Serves the tool registry to a local Model Context Protocol client that runs this script as
+ * a child process, e.g. with `"command": "node", "args": ["src/mcpStdio.js"]` in the client's
+ * server configuration. Messages are newline-delimited JSON-RPC on stdin and stdout; logs go
+ * to stderr so they cannot corrupt the protocol stream.
+ *
+ * The client is identified by the API key in MCP_API_KEY, whose user needs the
+ * `tools:execute` permission, as for the HTTP endpoint. With DISABLE_AUTH=true calls run
+ * as an anonymous guest.
+ *
+ * Configuration:
+ *   MCP_API_KEY - API key of the user calls run as
+ *   TOOL_APPROVAL_THRESHOLD - Tools from this risk level on are not served (default external-side-effect)
+ */
+
+import readline from 'readline';
+import dotenv from 'dotenv';
+import { connectDatabases } from './data/connections.js';
+import { createVectorStore } from './data/vectorStore.js';
+import { createDocumentStore } from './data/documentStore.js';
+import { createDocumentRecordStore } from './data/documentRecordStore.js';
+import { createToolUsageStore } from './data/toolUsageStore.js';
+import { initializeLLMProviders } from './llm/index.js';
+import { setupToolRegistry } from './tools/registry.js';
+import { createMcpToolServer } from './tools/mcpServer.js';
+import { validateApiKey } from './auth/setup.js';
+import { hasPermission } from './auth/permissions.js';
+import { configLogger, logger } from './utils/logger.js';
+
+// Stdout carries the protocol; everything else written to it goes to stderr
+const writeStdout = process.stdout.write.bind(process.stdout);
+process.stdout.write = process.stderr.write.bind(process.stderr);
+
+dotenv.config();
+configLogger();
+
+function send(message) {
+  writeStdout(`${JSON.stringify(message)}\n`);
+}
+
+/**
+ * Resolve the user calls run as
+ *
+ * @returns {Promise<Object>} - User with id, role and workspaceId
+ * @throws {Error} - If the API key is missing or invalid or lacks the permission
+ */
+async function resolveUser() {
+  if (process.env.DISABLE_AUTH === 'true') {
+    return { id: 'anonymous', role: 'guest' };
+  }
+
+  if (!process.env.MCP_API_KEY) {
+    throw new Error('MCP_API_KEY is required');
+  }
+
+  const userData = await validateApiKey(process.env.MCP_API_KEY);
+  if (!userData) {
+    throw new Error('Invalid API key');
+  }
+
+  if (!await hasPermission(userData.user.role || 'guest', 'tools:execute')) {
+    throw new Error('Insufficient permissions: tools:execute is required');
+  }
+
+  return userData.user;
+}
+
+async function main() {
+  await connectDatabases();
+  const user = await resolveUser();
+
+  const llmRouter = initializeLLMProviders();
+  const documentStore = createDocumentStore({
+    vectorStore: createVectorStore(),
+    records: createDocumentRecordStore(),
+    llmClient: llmRouter.getClient('retrieval')
+  });
+  const toolRegistry = await setupToolRegistry({
+    documentStore,
+    llmClient: llmRouter.getClient('retrieval'),
+    usageStore: createToolUsageStore()
+  });
+
+  const session = createMcpToolServer({
+    toolRegistry,
+    approvalThreshold: process.env.TOOL_APPROVAL_THRESHOLD || 'external-side-effect'
+  }).createSession({ userId: user.id, workspaceId: user.workspaceId });
+
+  logger.info(`Serving ${toolRegistry.size} registry tools over MCP stdio as user ${user.id}`);
+
+  const handle = async (message) => {
+    if (!Array.isArray(message)) {
+      return session.handleMessage(message);
+    }
+
+    const responses = (await Promise.all(message.map(item => session.handleMessage(item)))).filter(Boolean);
+    return responses.length > 0 ? responses : null;
+  };
+
+  const input = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+
+  input.on('line', (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    handle(message)
+      .then(response => response && send(response))
+      .catch(error => logger.error('Failed to handle MCP message:', error));
+  });
+
+  // The client closes stdin to end the session
+  input.on('close', async () => {
+    session.close();
+    toolRegistry.watcher?.stop();
+    await toolRegistry.mcpServers?.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((error) => {
+  logger.error('Failed to start the MCP stdio server:', error);
+  process.exit(1);
+});
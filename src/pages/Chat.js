@@ -1,17 +1,28 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { useSearchParams } from 'react-router-dom';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useAgent } from '../context/AgentContext';
+import ApprovalRequest from '../components/chat/ApprovalRequest';
+import PlanEditor from '../components/chat/PlanEditor';
+import StepProgress from '../components/chat/StepProgress';
+import MemoryPanel from '../components/chat/MemoryPanel';
+import DelegationTrace from '../components/chat/DelegationTrace';
+import { pinSessionFact } from '../api/agent';
 
 const Chat = () => {
   const [searchParams] = useSearchParams();
   const sessionId = searchParams.get('session');
   
   const {
+    tools,
     messages,
+    pendingApprovals,
     sessions,
     currentSession,
     isProcessing,
     sendQuery,
+    runPlan,
+    cancelQuery,
+    respondToApproval,
     switchSession,
     startNewSession,
     clearMessages,
@@ -20,6 +31,9 @@ const Chat = () => {
   
   const [input, setInput] = useState('');
   const [showSessions, setShowSessions] = useState(false);
+  const [previewPlan, setPreviewPlan] = useState(false);
+  const [showMemory, setShowMemory] = useState(false);
+  const [memoryVersion, setMemoryVersion] = useState(0);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
 
@@ -40,6 +54,17 @@ const Chat = () => {
     inputRef.current?.focus();
   }, []);
 
+  // Pin a message so the agent keeps it in memory for the rest of the session
+  const handlePinMessage = async (message) => {
+    try {
+      await pinSessionFact(currentSession.id, { text: message.content, source: message.id });
+      setMemoryVersion((version) => version + 1);
+      setShowMemory(true);
+    } catch (err) {
+      console.error('Failed to pin message:', err);
+    }
+  };
+
   // Handle form submission
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -47,7 +72,7 @@ const Chat = () => {
     if (!input.trim() || isProcessing) return;
     
     try {
-      await sendQuery(input);
+      await sendQuery(input, previewPlan ? { mode: 'plan-only' } : {});
       setInput('');
     } catch (err) {
       console.error('Failed to send message:', err);
@@ -229,6 +254,29 @@ const Chat = () => {
             </div>
             
             <div className="flex items-center space-x-2">
+              <button
+                onClick={() => setShowMemory((show) => !show)}
+                className={`rounded-lg p-2 hover:bg-gray-100 dark:hover:bg-gray-700 ${
+                  showMemory ? 'text-primary-600 dark:text-primary-400' : 'text-gray-500 dark:text-gray-400'
+                }`}
+                aria-label="Show memory"
+                disabled={!currentSession}
+              >
+                <svg
+                  className="h-5 w-5"
+                  fill="none"
+                  stroke="currentColor"
+                  viewBox="0 0 24 24"
+                  xmlns="http://www.w3.org/2000/svg"
+                >
+                  <path
+                    strokeLinecap="round"
+                    strokeLinejoin="round"
+                    strokeWidth={2}
+                    d="M5 5a2 2 0 012-2h10a2 2 0 012 2v16l-7-3.5L5 21V5z"
+                  />
+                </svg>
+              </button>
               <button
                 onClick={clearMessages}
                 className="rounded-lg p-2 text-gray-500 hover:bg-gray-100 dark:text-gray-400 dark:hover:bg-gray-700"
@@ -274,6 +322,13 @@ const Chat = () => {
           </div>
         </div>
 
+        {/* Session memory */}
+        {showMemory && currentSession && (
+          <div className="border-b border-gray-200 bg-white p-4 dark:border-gray-700 dark:bg-gray-800">
+            <MemoryPanel sessionId={currentSession.id} refreshKey={`${memoryVersion}-${messages.length}`} />
+          </div>
+        )}
+
         {/* Messages */}
         <div className="flex-1 overflow-y-auto bg-gray-50 p-4 dark:bg-gray-900">
           {messages.length > 0 ? (
@@ -290,17 +345,52 @@ const Chat = () => {
                       message.role === 'user' ? 'user' : 'agent'
                     } ${message.pending ? 'opacity-70' : ''}`}
                   >
-                    {message.pending ? (
+                    {message.pending && message.steps && message.steps.length > 1 && (
+                      <StepProgress steps={message.steps} />
+                    )}
+                    
+                    {message.pending && message.content ? (
+                      <div className="whitespace-pre-wrap">
+                        {message.content}
+                        <span className="ml-0.5 inline-block h-4 w-2 animate-pulse bg-primary-500 align-middle"></span>
+                      </div>
+                    ) : message.pending ? (
                       <div className="flex items-center space-x-2">
                         <div className="h-4 w-4 animate-pulse rounded-full bg-primary-500"></div>
                         <div className="h-4 w-4 animate-pulse rounded-full bg-primary-500" style={{ animationDelay: '0.2s' }}></div>
                         <div className="h-4 w-4 animate-pulse rounded-full bg-primary-500" style={{ animationDelay: '0.4s' }}></div>
                       </div>
+                    ) : message.type === 'plan' ? (
+                      <PlanEditor
+                        plan={message.plan}
+                        tools={tools}
+                        disabled={isProcessing}
+                        onRun={(steps) => runPlan(message.id, steps).catch(() => {})}
+                      />
                     ) : (
                       <>
                         <div className="whitespace-pre-wrap">{message.content}</div>
                         
-                        {/* Tools used */}
+                        {message.cancelled && (
+                          <p className="mt-1 text-xs italic text-gray-500 dark:text-gray-400">
+                            Stopped before completion
+                          </p>
+                        )}
+                        
+                        {/* Steps that failed without stopping the rest of the plan */}
+                        {message.failedSteps && message.failedSteps.length > 0 && (
+                          <div className="mt-2 rounded bg-yellow-50 p-2 text-xs text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-300">
+                            {message.failedSteps.map((failure) => (
+                              <p key={failure.stepId}>
+                                {failure.tool} failed: {failure.error}
+                                {failure.skippedSteps && failure.skippedSteps.length > 0 && 
+                                  ` (skipped ${failure.skippedSteps.length} dependent step${failure.skippedSteps.length > 1 ? 's' : ''})`}
+                              </p>
+                            ))}
+                          </div>
+                        )}
+                        
+                                                {/* Tools used */}
                         {message.role === 'assistant' && message.toolsUsed && message.toolsUsed.length > 0 && (
                           <div className="mt-2 border-t border-gray-200 pt-2 text-xs text-gray-500 dark:border-gray-700 dark:text-gray-400">
                             <p>Tools used:</p>
@@ -309,37 +399,66 @@ const Chat = () => {
                                 <span 
                                   key={idx}
                                   className="rounded-full bg-gray-200 px-2 py-1 text-xs text-gray-700 dark:bg-gray-700 dark:text-gray-300"
+                                  title={tool.substitutedFor ? `Used instead of ${tool.substitutedFor}` : undefined}
                                 >
                                   {tool.name}
+                                  {tool.retried && ` · ${tool.attempts} attempts`}
+                                  {tool.substitutedFor && ` · replaced ${tool.substitutedFor}`}
+                                  {tool.replanned && ' · replanned'}
                                 </span>
                               ))}
                             </div>
                           </div>
                         )}
                         
+                        {/* Sub-agents the answer was delegated to */}
+                        {message.role === 'assistant' && message.trace?.delegations?.length > 0 && (
+                          <DelegationTrace delegations={message.trace.delegations} />
+                        )}
+                        
                         {/* Sources if available */}
                         {message.role === 'assistant' && message.sources && message.sources.length > 0 && (
                           <div className="mt-2 border-t border-gray-200 pt-2 text-xs text-gray-500 dark:border-gray-700 dark:text-gray-400">
                             <p>Sources:</p>
-                            <ul className="mt-1 list-inside list-disc">
+                            <ol className="mt-1 list-inside list-decimal">
                               {message.sources.map((source, idx) => (
                                 <li key={idx}>
-                                  <a 
-                                    href={source.url} 
-                                    target="_blank" 
-                                    rel="noopener noreferrer"
-                                    className="text-primary-600 hover:underline dark:text-primary-400"
-                                  >
-                                    {source.title || source.url}
-                                  </a>
+                                  {source.documentId ? (
+                                    // Passages of uploaded documents open in the document viewer
+                                    <Link
+                                      to={source.url}
+                                      title={source.excerpt || undefined}
+                                      className="text-primary-600 hover:underline dark:text-primary-400"
+                                    >
+                                      {source.title}
+                                    </Link>
+                                  ) : (
+                                    <a 
+                                      href={source.url} 
+                                      target="_blank" 
+                                      rel="noopener noreferrer"
+                                      className="text-primary-600 hover:underline dark:text-primary-400"
+                                    >
+                                      {source.title || source.url}
+                                    </a>
+                                  )}
                                 </li>
                               ))}
-                            </ul>
+                            </ol>
                           </div>
                         )}
                         
-                        <div className="mt-1 text-right text-xs text-gray-500 dark:text-gray-400">
-                          {formatTime(message.timestamp)}
+                        <div className="mt-1 flex items-center justify-end space-x-2 text-xs text-gray-500 dark:text-gray-400">
+                          {currentSession && message.content && (
+                            <button
+                              onClick={() => handlePinMessage(message)}
+                              className="hover:text-primary-600 dark:hover:text-primary-400"
+                              aria-label="Pin to memory"
+                            >
+                              Pin
+                            </button>
+                          )}
+                          <span>{formatTime(message.timestamp)}</span>
                         </div>
                       </>
                     )}
@@ -376,8 +495,30 @@ const Chat = () => {
           )}
         </div>
 
+        {/* Tool steps waiting for the user's approval */}
+        {pendingApprovals.length > 0 && (
+          <div className="space-y-2 border-t border-gray-200 bg-white p-4 dark:border-gray-700 dark:bg-gray-800">
+            {pendingApprovals.map((approval) => (
+              <ApprovalRequest
+                key={approval.id}
+                approval={approval}
+                onRespond={respondToApproval}
+              />
+            ))}
+          </div>
+        )}
+
         {/* Input Area */}
         <div className="border-t border-gray-200 bg-white p-4 dark:border-gray-700 dark:bg-gray-800">
+          <label className="mb-2 flex items-center text-sm text-gray-600 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={previewPlan}
+              onChange={(e) => setPreviewPlan(e.target.checked)}
+              className="mr-2"
+            />
+            Preview plan before running
+          </label>
           <form onSubmit={handleSubmit} className="flex space-x-2">
             <input
               type="text"
@@ -388,33 +529,28 @@ const Chat = () => {
               disabled={isProcessing}
               ref={inputRef}
             />
-            <button
-              type="submit"
-              className="btn btn-primary"
-              disabled={isProcessing || !input.trim()}
-            >
-              {isProcessing ? (
+            {isProcessing ? (
+              <button
+                type="button"
+                onClick={cancelQuery}
+                className="btn btn-secondary"
+                aria-label="Stop generating"
+              >
                 <svg
-                  className="h-5 w-5 animate-spin"
-                  xmlns="http://www.w3.org/2000/svg"
-                  fill="none"
+                  className="h-5 w-5"
+                  fill="currentColor"
                   viewBox="0 0 24 24"
+                  xmlns="http://www.w3.org/2000/svg"
                 >
-                  <circle
-                    className="opacity-25"
-                    cx="12"
-                    cy="12"
-                    r="10"
-                    stroke="currentColor"
-                    strokeWidth="4"
-                  ></circle>
-                  <path
-                    className="opacity-75"
-                    fill="currentColor"
-                    d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"
-                  ></path>
+                  <rect x="6" y="6" width="12" height="12" rx="1" />
                 </svg>
-              ) : (
+              </button>
+            ) : (
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={!input.trim()}
+              >
                 <svg
                   className="h-5 w-5"
                   fill="none"
@@ -429,8 +565,8 @@ const Chat = () => {
                     d="M14 5l7 7m0 0l-7 7m7-7H3"
                   />
                 </svg>
-              )}
-            </button>
+              </button>
+            )}
           </form>
         </div>
       </div>
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAgent } from '../context/AgentContext';
 import { useAuth } from '../context/AuthContext';
+import { getUsage } from '../api/agent';
+import UsageChart, { formatCost } from '../components/dashboard/UsageChart';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -18,6 +20,7 @@ const Dashboard = () => {
   const [recentActivity, setRecentActivity] = useState([]);
   const [toolStats, setToolStats] = useState({});
   const [showWelcome, setShowWelcome] = useState(true);
+  const [usage, setUsage] = useState(null);
 
   // Sample welcome questions
   const sampleQueries = [
@@ -61,6 +64,15 @@ const Dashboard = () => {
     }
   }, [sessions]);
 
+  // Load LLM spend; refreshed after each query finishes
+  useEffect(() => {
+    if (isProcessing) return;
+
+    getUsage(30)
+      .then(setUsage)
+      .catch((err) => console.error('Failed to load usage:', err));
+  }, [isProcessing]);
+
   // Handle quick query submission
   const handleQuickQuery = async (e) => {
     e.preventDefault();
@@ -78,7 +90,7 @@ const Dashboard = () => {
   };
 
   // Use a sample query
-  const useSampleQuery = (query) => {
+  const handleSampleQuery = (query) => {
     setQuickQuery(query);
   };
 
@@ -119,7 +131,7 @@ const Dashboard = () => {
             {sampleQueries.map((query, index) => (
               <button
                 key={index}
-                onClick={() => useSampleQuery(query)}
+                onClick={() => handleSampleQuery(query)}
                 className="rounded-full bg-white/20 px-4 py-2 text-sm hover:bg-white/30"
               >
                 {query}
@@ -176,6 +188,28 @@ const Dashboard = () => {
         </form>
       </div>
 
+      {/* LLM spend */}
+      {usage && (
+        <div className="mb-8 rounded-lg bg-white p-6 shadow dark:bg-gray-800">
+          <div className="mb-4 flex flex-wrap items-baseline justify-between gap-2">
+            <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
+              Usage (last 30 days)
+            </h2>
+            <div className="flex space-x-6 text-sm text-gray-500 dark:text-gray-400">
+              <span>
+                Today: <span className="font-medium text-gray-800 dark:text-white">{formatCost(usage.today.cost)}</span>
+                {usage.budgets.user.cost && ` of ${formatCost(usage.budgets.user.cost)}`}
+              </span>
+              <span>
+                Total: <span className="font-medium text-gray-800 dark:text-white">{formatCost(usage.totals.cost)}</span>
+              </span>
+              <span>{usage.totals.totalTokens.toLocaleString()} tokens</span>
+            </div>
+          </div>
+          <UsageChart series={usage.series} />
+        </div>
+      )}
+
       {/* Dashboard content grid */}
       <div className="grid grid-cols-1 gap-8 lg:grid-cols-3">
         {/* Recent activity */}
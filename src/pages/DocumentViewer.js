@@ -0,0 +1,74 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
+import { getDocument } from '../api/agent';
+
+const DocumentViewer = () => {
+  const { id } = useParams();
+  const [searchParams] = useSearchParams();
+  const [document, setDocument] = useState(null);
+  const [error, setError] = useState(null);
+  const passageRef = useRef(null);
+
+  const passage = searchParams.has('passage') ? Number(searchParams.get('passage')) : null;
+
+  useEffect(() => {
+    getDocument(id)
+      .then(setDocument)
+      .catch((err) => setError(err.status === 404 ? 'Document not found' : err.message));
+  }, [id]);
+
+  // Scroll the cited passage into view once the document has rendered
+  useEffect(() => {
+    if (document && passageRef.current) {
+      passageRef.current.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }
+  }, [document, passage]);
+
+  if (error) {
+    return (
+      <div className="container mx-auto max-w-4xl">
+        <div className="rounded-lg bg-red-50 p-4 text-red-800 dark:bg-red-900/30 dark:text-red-200">{error}</div>
+      </div>
+    );
+  }
+
+  if (!document) {
+    return <p className="text-gray-500 dark:text-gray-400">Loading document...</p>;
+  }
+
+  // Split the text around the cited passage; chunks overlap, so the passage is taken from its
+  // own offsets rather than from the chunk list
+  const cited = passage !== null ? document.chunks.find((chunk) => chunk.index === passage) : null;
+  const before = cited ? document.text.slice(0, cited.start) : document.text;
+  const highlighted = cited ? document.text.slice(cited.start, cited.end) : '';
+  const after = cited ? document.text.slice(cited.end) : '';
+
+  return (
+    <div className="container mx-auto max-w-4xl">
+      <div className="mb-6">
+        <Link to="/documents" className="text-sm text-primary-600 hover:underline dark:text-primary-400">
+          ← All documents
+        </Link>
+        <h1 className="mt-2 text-3xl font-bold text-gray-900 dark:text-white">{document.title}</h1>
+        <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+          {document.filename}
+          {cited && ` · showing passage ${cited.index + 1} of ${document.chunkCount}`}
+        </p>
+      </div>
+
+      <div className="card">
+        <div className="card-body whitespace-pre-wrap text-sm leading-relaxed text-gray-800 dark:text-gray-200">
+          {before}
+          {cited && (
+            <mark ref={passageRef} className="rounded bg-yellow-100 text-gray-900 dark:bg-yellow-900/50 dark:text-gray-100">
+              {highlighted}
+            </mark>
+          )}
+          {after}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DocumentViewer;
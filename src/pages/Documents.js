@@ -0,0 +1,176 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import { getDocuments, uploadDocument, deleteDocument } from '../api/agent';
+
+const ACCEPTED_TYPES = '.md,.markdown,.txt,.html,.htm,.pdf';
+
+// Read a file as text, or as base64 for binary formats
+const readFile = (file) =>
+  new Promise((resolve, reject) => {
+    const isPdf = file.type === 'application/pdf' || file.name.toLowerCase().endsWith('.pdf');
+    const reader = new FileReader();
+
+    reader.onload = () =>
+      resolve(
+        isPdf
+          ? { content: reader.result.split(',')[1], encoding: 'base64' }
+          : { content: reader.result, encoding: 'utf8' }
+      );
+    reader.onerror = () => reject(reader.error);
+
+    if (isPdf) {
+      reader.readAsDataURL(file);
+    } else {
+      reader.readAsText(file);
+    }
+  });
+
+const formatSize = (bytes) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+const Documents = () => {
+  const { user } = useAuth();
+  const [documents, setDocuments] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isUploading, setIsUploading] = useState(false);
+  const [shareWithWorkspace, setShareWithWorkspace] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const loadDocuments = useCallback(async () => {
+    try {
+      setDocuments(await getDocuments());
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load documents');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDocuments();
+  }, [loadDocuments]);
+
+  const handleUpload = async (e) => {
+    const files = [...e.target.files];
+    if (files.length === 0) return;
+
+    setIsUploading(true);
+    setError(null);
+
+    try {
+      for (const file of files) {
+        const { content, encoding } = await readFile(file);
+        await uploadDocument({
+          filename: file.name,
+          contentType: file.type,
+          content,
+          encoding,
+          scope: shareWithWorkspace ? 'workspace' : 'user',
+        });
+      }
+      await loadDocuments();
+    } catch (err) {
+      setError(err.message || 'Failed to upload document');
+    } finally {
+      setIsUploading(false);
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleDelete = async (documentId) => {
+    try {
+      await deleteDocument(documentId);
+      setDocuments((prev) => prev.filter((document) => document.id !== documentId));
+    } catch (err) {
+      setError(err.message || 'Failed to delete document');
+    }
+  };
+
+  return (
+    <div className="container mx-auto max-w-4xl">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Documents</h1>
+        <p className="mt-2 text-gray-600 dark:text-gray-300">
+          Upload Markdown, text, HTML or PDF files and the agent will answer from them, citing the
+          passages it used.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 rounded-lg bg-red-50 p-4 text-red-800 dark:bg-red-900/30 dark:text-red-200">
+          {error}
+        </div>
+      )}
+
+      <div className="card mb-6">
+        <div className="card-body flex flex-col space-y-3 sm:flex-row sm:items-center sm:justify-between sm:space-y-0">
+          <div>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept={ACCEPTED_TYPES}
+              multiple
+              onChange={handleUpload}
+              disabled={isUploading}
+              className="text-sm text-gray-700 dark:text-gray-300"
+            />
+            {user?.workspaceId && (
+              <label className="mt-2 flex items-center text-sm text-gray-600 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={shareWithWorkspace}
+                  onChange={(e) => setShareWithWorkspace(e.target.checked)}
+                  className="mr-2"
+                />
+                Share with my workspace
+              </label>
+            )}
+          </div>
+          {isUploading && <span className="text-sm text-gray-500 dark:text-gray-400">Uploading and indexing...</span>}
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {isLoading ? (
+            <p className="text-gray-500 dark:text-gray-400">Loading documents...</p>
+          ) : documents.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">No documents uploaded yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {documents.map((document) => (
+                <li key={document.id} className="flex items-center justify-between py-3">
+                  <div>
+                    <Link
+                      to={`/documents/${document.id}`}
+                      className="font-medium text-primary-600 hover:underline dark:text-primary-400"
+                    >
+                      {document.title}
+                    </Link>
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      {document.filename} · {formatSize(document.size)} · {document.chunkCount} passages
+                      {document.scope === 'workspace' && ' · shared with workspace'}
+                    </p>
+                  </div>
+                  {document.userId === user?.id && (
+                    <button
+                      onClick={() => handleDelete(document.id)}
+                      className="rounded-lg px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 hover:text-red-600 dark:text-gray-400 dark:hover:bg-gray-700"
+                    >
+                      Delete
+                    </button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Documents;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  getScheduledTasks,
+  createScheduledTask,
+  updateScheduledTask,
+  deleteScheduledTask,
+  runScheduledTask,
+  getScheduledTaskRuns,
+} from '../api/agent';
+import { getSocket } from '../api/socket';
+
+const SCHEDULE_PRESETS = [
+  { label: 'Every weekday at 8:00', cron: '0 8 * * 1-5' },
+  { label: 'Every day at 8:00', cron: '0 8 * * *' },
+  { label: 'Every Monday at 9:00', cron: '0 9 * * 1' },
+  { label: 'Every hour', cron: '@hourly' },
+  { label: 'First day of the month', cron: '@monthly' },
+];
+
+const EMPTY_FORM = { name: '', query: '', cron: SCHEDULE_PRESETS[0].cron, webhookUrl: '' };
+
+const formatTime = (value) => (value ? new Date(value).toLocaleString() : '—');
+
+const STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-300',
+  failed: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-300',
+  running: 'bg-blue-100 text-blue-800 dark:bg-blue-900/30 dark:text-blue-300',
+};
+
+const StatusBadge = ({ status }) =>
+  status ? (
+    <span className={`rounded-full px-2 py-0.5 text-xs font-medium ${STATUS_STYLES[status] || ''}`}>{status}</span>
+  ) : null;
+
+const RunHistory = ({ taskId, refreshKey }) => {
+  const [runs, setRuns] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    getScheduledTaskRuns(taskId)
+      .then(setRuns)
+      .catch((err) => setError(err.message || 'Failed to load runs'));
+  }, [taskId, refreshKey]);
+
+  if (error) return <p className="text-sm text-red-600 dark:text-red-400">{error}</p>;
+  if (!runs) return <p className="text-sm text-gray-500 dark:text-gray-400">Loading runs...</p>;
+  if (runs.length === 0) return <p className="text-sm text-gray-500 dark:text-gray-400">This task has not run yet.</p>;
+
+  return (
+    <ul className="space-y-3">
+      {runs.map((run) => (
+        <li key={run.id} className="rounded-lg border border-gray-200 p-3 dark:border-gray-700">
+          <div className="flex flex-wrap items-center gap-2 text-xs text-gray-500 dark:text-gray-400">
+            <StatusBadge status={run.status} />
+            <span>{formatTime(run.startedAt)}</span>
+            <span>· {run.trigger === 'manual' ? 'run manually' : 'scheduled'}</span>
+            {run.processingTime != null && <span>· {(run.processingTime / 1000).toFixed(1)}s</span>}
+            {run.toolsUsed?.length > 0 && <span>· {run.toolsUsed.join(', ')}</span>}
+          </div>
+          {run.error && <p className="mt-2 text-sm text-red-600 dark:text-red-400">{run.error}</p>}
+          {run.text && (
+            <p className="mt-2 whitespace-pre-wrap text-sm text-gray-800 dark:text-gray-200">{run.text}</p>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+const ScheduledTasks = () => {
+  const [tasks, setTasks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [expandedTaskId, setExpandedTaskId] = useState(null);
+  const [refreshKey, setRefreshKey] = useState(0);
+  const [error, setError] = useState(null);
+
+  const loadTasks = useCallback(async () => {
+    try {
+      setTasks(await getScheduledTasks());
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to load scheduled tasks');
+    } finally {
+      setIsLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTasks();
+  }, [loadTasks]);
+
+  // Show the results of runs as they finish; the server notifies the user's socket room
+  useEffect(() => {
+    const socket = getSocket();
+    const handleRunCompleted = ({ task }) => {
+      setTasks((prev) => prev.map((entry) => (entry.id === task.id ? { ...task, running: false } : entry)));
+      setRefreshKey((key) => key + 1);
+    };
+    // Catch up on runs that finished while the socket was disconnected
+    const handleSubscribed = () => {
+      loadTasks();
+      setRefreshKey((key) => key + 1);
+    };
+
+    socket.on('scheduler:run_completed', handleRunCompleted);
+    socket.on('user:subscribed', handleSubscribed);
+    return () => {
+      socket.off('scheduler:run_completed', handleRunCompleted);
+      socket.off('user:subscribed', handleSubscribed);
+    };
+  }, [loadTasks]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+
+    try {
+      const task = await createScheduledTask({ ...form, webhookUrl: form.webhookUrl || null });
+      setTasks((prev) => [...prev, task]);
+      setForm(EMPTY_FORM);
+      setError(null);
+    } catch (err) {
+      setError(err.message || 'Failed to schedule the task');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const replaceTask = (updated) => setTasks((prev) => prev.map((task) => (task.id === updated.id ? updated : task)));
+
+  const handleToggle = async (task) => {
+    try {
+      replaceTask(await updateScheduledTask(task.id, { enabled: !task.enabled }));
+    } catch (err) {
+      setError(err.message || 'Failed to update the task');
+    }
+  };
+
+  const handleRunNow = async (task) => {
+    try {
+      await runScheduledTask(task.id);
+      replaceTask({ ...task, running: true });
+      setExpandedTaskId(task.id);
+      setRefreshKey((key) => key + 1);
+    } catch (err) {
+      setError(err.message || 'Failed to run the task');
+    }
+  };
+
+  const handleDelete = async (task) => {
+    if (!window.confirm(`Delete "${task.name}" and its run history?`)) return;
+
+    try {
+      await deleteScheduledTask(task.id);
+      setTasks((prev) => prev.filter((entry) => entry.id !== task.id));
+    } catch (err) {
+      setError(err.message || 'Failed to delete the task');
+    }
+  };
+
+  return (
+    <div className="container mx-auto max-w-4xl">
+      <div className="mb-8">
+        <h1 className="text-3xl font-bold text-gray-900 dark:text-white">Scheduled Tasks</h1>
+        <p className="mt-2 text-gray-600 dark:text-gray-300">
+          Have the agent answer the same question on a schedule. Each task keeps its own conversation, so
+          later runs can build on earlier ones.
+        </p>
+      </div>
+
+      {error && (
+        <div className="mb-6 rounded-lg bg-red-50 p-4 text-red-800 dark:bg-red-900/30 dark:text-red-200">{error}</div>
+      )}
+
+      <div className="card mb-6">
+        <div className="card-header">
+          <h2 className="text-lg font-medium text-gray-900 dark:text-white">New task</h2>
+        </div>
+        <form onSubmit={handleCreate} className="card-body space-y-4">
+          <div className="form-group">
+            <label htmlFor="query" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Query
+            </label>
+            <textarea
+              id="query"
+              name="query"
+              rows={2}
+              required
+              value={form.query}
+              onChange={handleChange}
+              placeholder="Summarize the top news about our competitors from the last 24 hours"
+              className="input w-full"
+            />
+          </div>
+          <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+            <div className="form-group">
+              <label htmlFor="name" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Name <span className="font-normal text-gray-400">(optional)</span>
+              </label>
+              <input id="name" name="name" value={form.name} onChange={handleChange} className="input w-full" />
+            </div>
+            <div className="form-group">
+              <label htmlFor="cron" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+                Schedule <span className="font-normal text-gray-400">(cron, server time)</span>
+              </label>
+              <input
+                id="cron"
+                name="cron"
+                required
+                list="schedule-presets"
+                value={form.cron}
+                onChange={handleChange}
+                className="input w-full font-mono"
+              />
+              <datalist id="schedule-presets">
+                {SCHEDULE_PRESETS.map((preset) => (
+                  <option key={preset.cron} value={preset.cron}>
+                    {preset.label}
+                  </option>
+                ))}
+              </datalist>
+            </div>
+          </div>
+          <div className="form-group">
+            <label htmlFor="webhookUrl" className="mb-1 block text-sm font-medium text-gray-700 dark:text-gray-300">
+              Webhook URL <span className="font-normal text-gray-400">(optional, receives every result)</span>
+            </label>
+            <input
+              id="webhookUrl"
+              name="webhookUrl"
+              type="url"
+              value={form.webhookUrl}
+              onChange={handleChange}
+              placeholder="https://example.com/hooks/agent"
+              className="input w-full"
+            />
+          </div>
+          <div className="flex justify-end">
+            <button type="submit" className="btn btn-primary" disabled={isSaving}>
+              {isSaving ? 'Saving...' : 'Schedule task'}
+            </button>
+          </div>
+        </form>
+      </div>
+
+      <div className="card">
+        <div className="card-body">
+          {isLoading ? (
+            <p className="text-gray-500 dark:text-gray-400">Loading scheduled tasks...</p>
+          ) : tasks.length === 0 ? (
+            <p className="text-gray-500 dark:text-gray-400">No scheduled tasks yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+              {tasks.map((task) => (
+                <li key={task.id} className="py-4">
+                  <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+                    <div className="min-w-0">
+                      <div className="flex items-center gap-2">
+                        <span className="font-medium text-gray-900 dark:text-white">{task.name}</span>
+                        <StatusBadge status={task.running ? 'running' : task.lastRunStatus} />
+                      </div>
+                      <p className="mt-1 truncate text-sm text-gray-600 dark:text-gray-300">{task.query}</p>
+                      <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">
+                        <span className="font-mono">{task.cron}</span>
+                        {' · '}
+                        {task.enabled ? `next run ${formatTime(task.nextRunAt)}` : 'paused'}
+                        {' · '}last run {formatTime(task.lastRunAt)}
+                      </p>
+                    </div>
+                    <div className="flex shrink-0 items-center gap-1">
+                      <button
+                        onClick={() => handleRunNow(task)}
+                        disabled={task.running}
+                        className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 disabled:opacity-50 dark:text-gray-300 dark:hover:bg-gray-700"
+                      >
+                        Run now
+                      </button>
+                      <button
+                        onClick={() => handleToggle(task)}
+                        className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                      >
+                        {task.enabled ? 'Pause' : 'Resume'}
+                      </button>
+                      <button
+                        onClick={() => setExpandedTaskId(expandedTaskId === task.id ? null : task.id)}
+                        className="rounded-lg px-2 py-1 text-sm text-gray-600 hover:bg-gray-100 dark:text-gray-300 dark:hover:bg-gray-700"
+                      >
+                        {expandedTaskId === task.id ? 'Hide runs' : 'Runs'}
+                      </button>
+                      <button
+                        onClick={() => handleDelete(task)}
+                        className="rounded-lg px-2 py-1 text-sm text-gray-500 hover:bg-gray-100 hover:text-red-600 dark:text-gray-400 dark:hover:bg-gray-700"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                  {expandedTaskId === task.id && (
+                    <div className="mt-4">
+                      <RunHistory taskId={task.id} refreshKey={refreshKey} />
+                    </div>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledTasks;
@@ -1,6 +1,8 @@
 import React, { useState } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useTheme } from '../context/ThemeContext';
+import MemorySettings from '../components/settings/MemorySettings';
+import WebhookSettings from '../components/settings/WebhookSettings';
 
 const Settings = () => {
   const { user, updateUserData } = useAuth();
@@ -204,6 +206,54 @@ const Settings = () => {
               </svg>
               API Keys
             </button>
+            <button
+              onClick={() => setActiveTab('memory')}
+              className={`flex w-full items-center rounded-lg px-4 py-2 text-left font-medium ${
+                activeTab === 'memory'
+                  ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                  : 'text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-800'
+              }`}
+            >
+              <svg
+                className="mr-3 h-5 w-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z"
+                />
+              </svg>
+              Memory
+            </button>
+            <button
+              onClick={() => setActiveTab('webhooks')}
+              className={`flex w-full items-center rounded-lg px-4 py-2 text-left font-medium ${
+                activeTab === 'webhooks'
+                  ? 'bg-primary-50 text-primary-700 dark:bg-primary-900/30 dark:text-primary-400'
+                  : 'text-gray-700 hover:bg-gray-100 dark:text-gray-200 dark:hover:bg-gray-800'
+              }`}
+            >
+              <svg
+                className="mr-3 h-5 w-5"
+                fill="none"
+                stroke="currentColor"
+                viewBox="0 0 24 24"
+                xmlns="http://www.w3.org/2000/svg"
+              >
+                <path
+                  strokeLinecap="round"
+                  strokeLinejoin="round"
+                  strokeWidth={2}
+                  d="M13.828 10.172a4 4 0 00-5.656 0l-4 4a4 4 0 105.656 5.656l1.102-1.101m-.758-4.899a4 4 0 005.656 0l4-4a4 4 0 00-5.656-5.656l-1.1 1.1"
+                />
+              </svg>
+              Webhooks
+            </button>
           </nav>
         </aside>
 
@@ -529,6 +579,32 @@ const Settings = () => {
                 </div>
               </div>
             )}
+
+            {activeTab === 'memory' && (
+              <div>
+                <div className="card-header">
+                  <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
+                    Memory
+                  </h2>
+                </div>
+                <div className="card-body">
+                  <MemorySettings />
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'webhooks' && (
+              <div>
+                <div className="card-header">
+                  <h2 className="text-xl font-semibold text-gray-800 dark:text-white">
+                    Webhooks
+                  </h2>
+                </div>
+                <div className="card-body">
+                  <WebhookSettings />
+                </div>
+              </div>
+            )}
           </div>
         </div>
       </div>
@@ -1,13 +1,91 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useAgent } from '../context/AgentContext';
+import {
+  getToolHealth,
+  resetToolCircuit,
+  getToolVersions,
+  getSessionToolVersions,
+  setSessionToolVersions,
+} from '../api/agent';
+import SchemaTable from '../components/tools/SchemaTable';
+import ToolRunForm from '../components/tools/ToolRunForm';
+import VersionHistory from '../components/tools/VersionHistory';
+import ToolStats from '../components/tools/ToolStats';
+
+const HEALTH_REFRESH_INTERVAL = 30000;
 
 const Tools = () => {
-  const { tools, toolsLoading, refreshTools } = useAgent();
+  const { tools, toolsLoading, refreshTools, currentSession } = useAgent();
   const [filteredTools, setFilteredTools] = useState([]);
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedCategory, setSelectedCategory] = useState('all');
   const [categories, setCategories] = useState([]);
   const [expandedTools, setExpandedTools] = useState(new Set());
+  const [circuits, setCircuits] = useState([]);
+  const [versionHistories, setVersionHistories] = useState(new Map());
+  const [sessionPins, setSessionPins] = useState({});
+
+  // Load circuit breaker states; open breakers reset on the server after their cool-down
+  const refreshHealth = useCallback(() => {
+    getToolHealth()
+      .then(setCircuits)
+      .catch((err) => console.error('Failed to load tool health:', err));
+  }, []);
+
+  useEffect(() => {
+    refreshHealth();
+    const interval = setInterval(refreshHealth, HEALTH_REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [refreshHealth]);
+
+  // Version histories by tool name, reloaded whenever the tool list changes
+  const refreshVersions = useCallback(() => {
+    getToolVersions()
+      .then((histories) => setVersionHistories(new Map(histories.map((history) => [history.name, history]))))
+      .catch((err) => console.error('Failed to load tool versions:', err));
+  }, []);
+
+  useEffect(() => {
+    refreshVersions();
+  }, [tools, refreshVersions]);
+
+  // Versions pinned for the conversation open in the chat
+  useEffect(() => {
+    if (!currentSession) {
+      setSessionPins({});
+      return;
+    }
+
+    getSessionToolVersions(currentSession.id)
+      .then(({ toolVersions }) => setSessionPins(toolVersions))
+      .catch(() => setSessionPins({}));
+  }, [currentSession]);
+
+  const updateSessionPin = async (toolName, range) => {
+    const pins = { ...sessionPins };
+    if (range) {
+      pins[toolName] = range;
+    } else {
+      delete pins[toolName];
+    }
+
+    try {
+      const { toolVersions } = await setSessionToolVersions(currentSession.id, pins);
+      setSessionPins(toolVersions);
+      refreshVersions();
+    } catch (err) {
+      console.error('Failed to pin tool version:', err);
+    }
+  };
+
+  const handleResetCircuit = async (toolId) => {
+    try {
+      await resetToolCircuit(toolId);
+      refreshHealth();
+    } catch (err) {
+      console.error('Failed to reset circuit breaker:', err);
+    }
+  };
 
   // Extract categories from tools
   useEffect(() => {
@@ -19,7 +97,11 @@ const Tools = () => {
 
   // Filter tools based on search and category
   useEffect(() => {
-    let result = [...tools];
+    // Tools with several versions get one card, for the default version
+    let result = tools.filter((tool) => {
+      const history = versionHistories.get(tool.name);
+      return !history?.defaultVersion || history.versions.some((version) => version.id === tool.id && version.isDefault);
+    });
     
     // Filter by search query
     if (searchQuery) {
@@ -39,7 +121,7 @@ const Tools = () => {
     }
     
     setFilteredTools(result);
-  }, [tools, searchQuery, selectedCategory]);
+  }, [tools, versionHistories, searchQuery, selectedCategory]);
 
   // Toggle tool expansion
   const toggleToolExpansion = (toolId) => {
@@ -115,7 +197,10 @@ const Tools = () => {
 
         {/* Refresh button */}
         <button
-          onClick={refreshTools}
+          onClick={() => {
+            refreshTools();
+            refreshHealth();
+          }}
           className="btn btn-secondary"
           disabled={toolsLoading}
         >
@@ -162,6 +247,33 @@ const Tools = () => {
         </button>
       </div>
 
+      {/* Tripped circuit breakers */}
+      {circuits.length > 0 && (
+        <div className="mb-8 rounded-lg border border-yellow-200 bg-yellow-50 p-4 dark:border-yellow-800 dark:bg-yellow-900/20">
+          <h2 className="mb-2 font-semibold text-yellow-800 dark:text-yellow-300">
+            Temporarily unavailable tools
+          </h2>
+          <ul className="space-y-2">
+            {circuits.map((circuit) => (
+              <li key={circuit.id} className="flex items-center justify-between text-sm text-yellow-800 dark:text-yellow-300">
+                <span>
+                  <span className="font-medium">{circuit.name}</span>
+                  {circuit.state === 'open'
+                    ? ` failed ${circuit.consecutiveFailures} times in a row and will be retried after ${new Date(circuit.resetAt).toLocaleTimeString()}`
+                    : ' is being retried after a cool-down'}
+                </span>
+                <button
+                  onClick={() => handleResetCircuit(circuit.id)}
+                  className="rounded-lg px-3 py-1 text-xs font-medium hover:bg-yellow-100 dark:hover:bg-yellow-800/40"
+                >
+                  Reset
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Tool grid */}
       {toolsLoading ? (
         <div className="flex h-64 items-center justify-center">
@@ -175,6 +287,9 @@ const Tools = () => {
           {filteredTools.map((tool) => {
             const toolId = tool.id || tool.name;
             const isExpanded = expandedTools.has(toolId);
+            const circuit = circuits.find((c) => c.id === tool.id);
+            const history = versionHistories.get(tool.name);
+            const release = history?.versions.find((version) => version.id === tool.id);
             
             return (
               <div
@@ -212,6 +327,26 @@ const Tools = () => {
                             <span>v{tool.version}</span>
                           </>
                         )}
+                        {history?.versions.length > 1 && (
+                          <>
+                            <span className="mx-1.5">•</span>
+                            <span>{history.versions.length} versions</span>
+                          </>
+                        )}
+                        {release?.deprecated && (
+                          <>
+                            <span className="mx-1.5">•</span>
+                            <span className="text-yellow-600 dark:text-yellow-400">Deprecated</span>
+                          </>
+                        )}
+                        {circuit && (
+                          <>
+                            <span className="mx-1.5">•</span>
+                            <span className={circuit.state === 'open' ? 'text-red-600 dark:text-red-400' : 'text-yellow-600 dark:text-yellow-400'}>
+                              {circuit.state === 'open' ? 'Unavailable' : 'Recovering'}
+                            </span>
+                          </>
+                        )}
                       </div>
                     </div>
                   </div>
@@ -273,32 +408,54 @@ const Tools = () => {
                 {/* Expanded details */}
                 {isExpanded && (
                   <div className="border-t border-gray-200 bg-gray-50 p-6 dark:border-gray-700 dark:bg-gray-850">
-                    {/* Input/Output Types */}
-                    {(tool.inputTypes || tool.outputTypes) && (
+                    {/* Parameters and result */}
+                    {tool.inputSchema && (
                       <div className="mb-4">
                         <h4 className="mb-2 font-semibold text-gray-900 dark:text-white">
-                          Input/Output Types
+                          Parameters
                         </h4>
-                        {tool.inputTypes && (
-                          <div className="mb-2">
-                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                              Input:
-                            </span>{' '}
-                            <span className="text-sm text-gray-600 dark:text-gray-400">
-                              {tool.inputTypes.join(', ')}
-                            </span>
-                          </div>
-                        )}
-                        {tool.outputTypes && (
-                          <div>
-                            <span className="text-sm font-medium text-gray-700 dark:text-gray-300">
-                              Output:
-                            </span>{' '}
-                            <span className="text-sm text-gray-600 dark:text-gray-400">
-                              {tool.outputTypes.join(', ')}
-                            </span>
-                          </div>
-                        )}
+                        <SchemaTable schema={tool.inputSchema} />
+                      </div>
+                    )}
+                    {tool.outputSchema && (
+                      <div className="mb-4">
+                        <h4 className="mb-2 font-semibold text-gray-900 dark:text-white">
+                          Returns
+                        </h4>
+                        <SchemaTable schema={tool.outputSchema} />
+                      </div>
+                    )}
+                    {tool.inputSchema && (
+                      <div className="mb-4">
+                        <h4 className="mb-2 font-semibold text-gray-900 dark:text-white">
+                          Try It
+                        </h4>
+                        <ToolRunForm tool={tool} />
+                      </div>
+                    )}
+
+                    {/* Usage statistics */}
+                    {tool.id && (
+                      <div className="mb-4">
+                        <h4 className="mb-2 font-semibold text-gray-900 dark:text-white">
+                          Usage
+                        </h4>
+                        <ToolStats toolId={tool.id} versions={history?.versions} />
+                      </div>
+                    )}
+
+                    {/* Versions */}
+                    {history && (
+                      <div className="mb-4">
+                        <h4 className="mb-2 font-semibold text-gray-900 dark:text-white">
+                          Versions
+                        </h4>
+                        <VersionHistory
+                          history={history}
+                          pinnedRange={sessionPins[tool.name] || null}
+                          onPin={currentSession && history.versions.length > 1 ? (version) => updateSessionPin(tool.name, version) : null}
+                          onUnpin={currentSession ? () => updateSessionPin(tool.name, null) : null}
+                        />
                       </div>
                     )}
 
@@ -0,0 +1,189 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import { setupToolRegistry } from '../../tools/registry.js';
+import mcpRoutes from '../mcp.routes.js';
+
+// Bearer tokens and API keys of the test users; only alice and bob may execute tools
+const USERS = {
+  alice: { id: 'alice', permissions: ['tools:execute'] },
+  bob: { id: 'bob', permissions: ['tools:execute'] },
+  guest: { id: 'guest', permissions: [] }
+};
+
+const auth = {
+  requireAuth: () => (req, res, next) => {
+    const user = USERS[(req.get('Authorization') || '').replace(/^Bearer /, '')];
+    if (!user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+  },
+  requireApiKey(req, res, next) {
+    const user = USERS[req.get('X-API-Key')];
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.user = user;
+    next();
+  },
+  requirePermission: (permission) => (req, res, next) => (
+    req.user.permissions.includes(permission) ? next() : res.status(403).json({ error: 'Forbidden' })
+  )
+};
+
+const initialize = { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } };
+const callEcho = { jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'Echo', arguments: { text: 'hello' } } };
+
+describe('MCP routes', () => {
+  let app;
+  let orchestrator;
+
+  beforeAll(async () => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+    const toolRegistry = await setupToolRegistry();
+    await toolRegistry.mcpServers.stop();
+    toolRegistry.registerTool({
+      name: 'Echo',
+      description: 'Echoes text',
+      inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+      outputSchema: { type: 'object' },
+      riskLevel: 'read-only',
+      execute: async ({ text }, context) => ({ echo: text, userId: context.userId })
+    });
+
+    orchestrator = { approvalThreshold: 'external-side-effect', emitEvent: jest.fn() };
+    app = express();
+    app.use(express.json());
+    Object.assign(app.locals, { auth, toolRegistry, orchestrator });
+    app.use('/api/mcp', mcpRoutes);
+  });
+
+  afterAll(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  const post = (user, body, sessionId) => {
+    const req = request(app).post('/api/mcp').set('Authorization', `Bearer ${user}`).send(body);
+    return sessionId ? req.set('Mcp-Session-Id', sessionId) : req;
+  };
+
+  const startSession = async (user) => (await post(user, initialize).expect(200)).headers['mcp-session-id'];
+
+  it('requires an authenticated user with the tools:execute permission', async () => {
+    const anonymous = await request(app).post('/api/mcp').send(initialize);
+    const guest = await post('guest', initialize);
+    const apiKey = await request(app).post('/api/mcp').set('X-API-Key', 'alice').send(initialize);
+
+    expect([anonymous.status, guest.status, apiKey.status]).toEqual([401, 403, 200]);
+  });
+
+  it('starts a session on initialize and runs tools in it as its user', async () => {
+    const sessionId = await startSession('alice');
+
+    const { body } = await post('alice', callEcho, sessionId).expect(200);
+
+    expect(body.result.structuredContent).toBeUndefined();
+    expect(JSON.parse(body.result.content[0].text)).toEqual({ echo: 'hello', userId: 'alice' });
+    await post('alice', { jsonrpc: '2.0', method: 'notifications/initialized' }, sessionId).expect(202);
+  });
+
+  it('answers batches with one response per request', async () => {
+    const sessionId = await startSession('alice');
+
+    const { body } = await post('alice', [callEcho, { jsonrpc: '2.0', id: 3, method: 'ping' }], sessionId).expect(200);
+
+    expect(body.map(response => response.id)).toEqual([2, 3]);
+  });
+
+  it('refuses requests without a session or for unknown sessions', async () => {
+    const missing = await post('alice', callEcho);
+    const unknown = await post('alice', callEcho, 'no-such-session');
+
+    expect([missing.status, unknown.status]).toEqual([400, 404]);
+  });
+
+  it('keeps sessions private to the user that started them', async () => {
+    const sessionId = await startSession('alice');
+
+    const call = await post('bob', callEcho, sessionId);
+    const end = await request(app).delete('/api/mcp').set('Authorization', 'Bearer bob').set('Mcp-Session-Id', sessionId);
+    const own = await post('alice', callEcho, sessionId);
+
+    expect([call.status, end.status, own.status]).toEqual([404, 404, 200]);
+  });
+
+  it('ends sessions on DELETE', async () => {
+    const sessionId = await startSession('alice');
+
+    const end = await request(app).delete('/api/mcp').set('Authorization', 'Bearer alice').set('Mcp-Session-Id', sessionId);
+    const call = await post('alice', callEcho, sessionId);
+
+    expect([end.status, call.status]).toEqual([204, 404]);
+  });
+
+  it('does not offer a server-to-client stream on the endpoint', async () => {
+    const response = await request(app).get('/api/mcp').set('Authorization', 'Bearer alice');
+
+    expect(response.status).toBe(405);
+    expect(response.headers.allow).toBe('POST, DELETE');
+  });
+
+  describe('HTTP+SSE', () => {
+    let server;
+    let baseUrl;
+
+    beforeAll(async () => {
+      server = app.listen(0, '127.0.0.1');
+      await new Promise(resolve => server.once('listening', resolve));
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(async () => {
+      await new Promise(resolve => server.close(resolve));
+    });
+
+    // Open an event stream and return a function that reads its next event
+    const openStream = async (user, signal) => {
+      const response = await fetch(`${baseUrl}/api/mcp/sse`, { headers: { Authorization: `Bearer ${user}` }, signal });
+      const reader = response.body.getReader();
+      const decoder = new TextDecoder();
+      let buffer = '';
+
+      return async function nextEvent() {
+        while (!buffer.includes('\n\n')) {
+          const { value } = await reader.read();
+          buffer += decoder.decode(value, { stream: true });
+        }
+        const [event] = buffer.split('\n\n');
+        buffer = buffer.slice(event.length + 2);
+        const field = (name) => event.split('\n').find(line => line.startsWith(`${name}: `))?.slice(name.length + 2);
+        return { event: field('event'), data: field('data') };
+      };
+    };
+
+    const postMessage = (user, endpoint, body) => fetch(`${baseUrl}${endpoint}`, {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${user}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    });
+
+    it('sends responses to the messages posted for a session on its stream', async () => {
+      const controller = new AbortController();
+      try {
+        const nextEvent = await openStream('alice', controller.signal);
+        const { event, data: endpoint } = await nextEvent();
+
+        expect(event).toBe('endpoint');
+        expect(endpoint).toMatch(/^\/api\/mcp\/messages\?sessionId=/);
+        expect((await postMessage('alice', endpoint, initialize)).status).toBe(202);
+        expect(JSON.parse((await nextEvent()).data)).toMatchObject({ id: 1, result: { protocolVersion: '2025-03-26' } });
+
+        expect((await postMessage('bob', endpoint, callEcho)).status).toBe(404);
+      } finally {
+        controller.abort();
+      }
+    });
+  });
+});
@@ -0,0 +1,185 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+import request from 'supertest';
+import openaiRoutes from '../openai.routes.js';
+
+// Accepts the API key 'key-1' of user-1 and 'key-2' of user-2
+const auth = {
+  requireApiKey(req, res, next) {
+    const userId = { 'key-1': 'user-1', 'key-2': 'user-2' }[req.get('X-API-Key')];
+    if (!userId) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+    req.user = { id: userId, workspaceId: 'workspace-1' };
+    next();
+  }
+};
+
+function createApp(processQuery) {
+  const app = express();
+  app.use(express.json());
+  app.locals.auth = auth;
+  app.locals.orchestrator = {
+    processQuery: jest.fn(processQuery),
+    cancelQuery: jest.fn(),
+    approvals: { hasPendingForQuery: () => false }
+  };
+  app.use('/v1', openaiRoutes);
+  return app;
+}
+
+const answer = (fields = {}) => async ({ sessionId }) => ({
+  text: 'It is sunny in Paris.',
+  sessionId,
+  toolsUsed: [{ name: 'Weather', input: { city: 'Paris' }, executionTime: 12, attempts: 1 }],
+  failedSteps: [],
+  usage: { promptTokens: 30, completionTokens: 10, totalTokens: 40 },
+  ...fields
+});
+
+// Data payloads of a Server-Sent Events body
+const sseData = (text) => text.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+
+describe('POST /v1/chat/completions', () => {
+  const question = { messages: [{ role: 'user', content: 'Weather in Paris?' }] };
+
+  it('requires an API key, accepted as a bearer token', async () => {
+    const app = createApp(answer());
+
+    const anonymous = await request(app).post('/v1/chat/completions').send(question);
+    const bearer = await request(app).post('/v1/chat/completions').set('Authorization', 'Bearer key-1').send(question);
+
+    expect(anonymous.status).toBe(401);
+    expect(bearer.status).toBe(200);
+    expect(app.locals.orchestrator.processQuery).toHaveBeenCalledTimes(1);
+  });
+
+  it('answers with a chat completion reporting the tools as executed tool calls', async () => {
+    const app = createApp(answer());
+
+    const { body } = await request(app).post('/v1/chat/completions').set('X-API-Key', 'key-1').send(question).expect(200);
+
+    expect(app.locals.orchestrator.processQuery).toHaveBeenCalledWith(expect.objectContaining({
+      text: 'Weather in Paris?',
+      userId: 'user-1',
+      workspaceId: 'workspace-1',
+      history: []
+    }));
+    expect(body).toMatchObject({
+      object: 'chat.completion',
+      model: 'emergent-agent',
+      choices: [{
+        message: {
+          role: 'assistant',
+          content: 'It is sunny in Paris.',
+          tool_calls: [{ type: 'function', function: { name: 'Weather', arguments: '{"city":"Paris"}' }, execution: { status: 'completed' } }]
+        },
+        finish_reason: 'stop'
+      }],
+      usage: { prompt_tokens: 30, completion_tokens: 10, total_tokens: 40 }
+    });
+  });
+
+  it('continues the session of a conversation it answered, for the same user only', async () => {
+    const app = createApp(answer());
+    const first = await request(app).post('/v1/chat/completions').set('X-API-Key', 'key-1').send(question);
+    const followUp = {
+      messages: [...question.messages, { role: 'assistant', content: 'It is sunny in Paris.' }, { role: 'user', content: 'And tomorrow?' }]
+    };
+
+    const continued = await request(app).post('/v1/chat/completions').set('X-API-Key', 'key-1').send(followUp);
+    const otherUser = await request(app).post('/v1/chat/completions').set('X-API-Key', 'key-2').send(followUp);
+
+    expect(continued.body.session_id).toBe(first.body.session_id);
+    expect(otherUser.body.session_id).not.toBe(first.body.session_id);
+    // A conversation the server does not know seeds a new session with its messages
+    expect(app.locals.orchestrator.processQuery.mock.calls[2][0].history).toEqual(followUp.messages.slice(0, -1));
+  });
+
+  it('rejects malformed requests with the offending parameter', async () => {
+    const app = createApp(answer());
+
+    const { body } = await request(app)
+      .post('/v1/chat/completions')
+      .set('X-API-Key', 'key-1')
+      .send({ messages: [{ role: 'tool', content: '42' }] })
+      .expect(400);
+
+    expect(body.error).toMatchObject({ type: 'invalid_request_error', code: 'invalid_request', param: 'messages[0].role' });
+    expect(app.locals.orchestrator.processQuery).not.toHaveBeenCalled();
+  });
+
+  it('maps failed queries to OpenAI errors', async () => {
+    const app = createApp(answer({ error: true, errorType: 'rate_limit', text: 'Budget exhausted' }));
+
+    const { body } = await request(app).post('/v1/chat/completions').set('X-API-Key', 'key-1').send(question).expect(429);
+
+    expect(body.error).toMatchObject({ message: 'Budget exhausted', type: 'rate_limit_error', code: 'rate_limit' });
+  });
+
+  it('answers structured output requests with the validated JSON', async () => {
+    const app = createApp(answer({ data: { sky: 'clear' } }));
+    const schema = { type: 'object', properties: { sky: { type: 'string' } } };
+
+    const { body } = await request(app)
+      .post('/v1/chat/completions')
+      .set('X-API-Key', 'key-1')
+      .send({ ...question, response_format: { type: 'json_schema', json_schema: { name: 'weather', schema } } })
+      .expect(200);
+
+    expect(app.locals.orchestrator.processQuery.mock.calls[0][0].output).toEqual({ name: 'weather', schema });
+    expect(JSON.parse(body.choices[0].message.content)).toEqual({ sky: 'clear' });
+  });
+
+  it('streams the answer as chunks followed by the tool calls, usage and [DONE]', async () => {
+    const app = createApp(async (queryData, events) => {
+      events.emit('agent:status', { status: 'executing' });
+      events.emit('agent:delta', { delta: 'It is ' });
+      events.emit('agent:delta', { delta: 'sunny.' });
+      return answer()(queryData);
+    });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .set('X-API-Key', 'key-1')
+      .send({ ...question, stream: true, stream_options: { include_usage: true } })
+      .expect(200)
+      .expect('Content-Type', /text\/event-stream/);
+
+    const events = sseData(response.text);
+    const chunks = events.slice(0, -1).map(event => JSON.parse(event));
+    expect(events[events.length - 1]).toBe('[DONE]');
+    expect(chunks.map(chunk => chunk.choices[0]?.delta)).toEqual([
+      { role: 'assistant', content: '' },
+      { content: 'It is ' },
+      { content: 'sunny.' },
+      { tool_calls: [expect.objectContaining({ index: 0, function: expect.objectContaining({ name: 'Weather' }) })] },
+      {},
+      undefined
+    ]);
+    expect(chunks[4].choices[0].finish_reason).toBe('stop');
+    expect(chunks[5].usage).toEqual({ prompt_tokens: 30, completion_tokens: 10, total_tokens: 40 });
+  });
+
+  it('ends the stream with an error event when the query fails', async () => {
+    const app = createApp(async () => { throw new Error('LLM unavailable'); });
+
+    const response = await request(app)
+      .post('/v1/chat/completions')
+      .set('X-API-Key', 'key-1')
+      .send({ ...question, stream: true })
+      .expect(200);
+
+    const events = sseData(response.text);
+    expect(JSON.parse(events[1])).toEqual({ error: expect.objectContaining({ message: 'Failed to process your request', type: 'server_error' }) });
+    expect(events[2]).toBe('[DONE]');
+  });
+});
+
+describe('GET /v1/models', () => {
+  it('lists the agent as the only model', async () => {
+    const { body } = await request(createApp(answer())).get('/v1/models').set('Authorization', 'Bearer key-1').expect(200);
+
+    expect(body).toMatchObject({ object: 'list', data: [{ id: 'emergent-agent', object: 'model' }] });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Agent Profile Routes
+ *
+ * Lists the specialist sub-agents the orchestrator can delegate to. Mounted under `/api/agents`.
+ */
+
+import express from 'express';
+import { authenticate } from './middleware.js';
+import { agentToolName } from '../core/agents.js';
+
+const router = express.Router();
+
+/**
+ * List agent profiles and the delegation depth limit
+ */
+function listProfiles(req, res) {
+  const { orchestrator } = req.app.locals;
+
+  res.json({
+    maxDelegationDepth: orchestrator.maxDelegationDepth,
+    profiles: orchestrator.agentProfiles.map(profile => ({
+      name: profile.name,
+      tool: agentToolName(profile.name),
+      description: profile.description,
+      toolCategories: profile.toolCategories,
+      model: profile.model,
+      budget: profile.budget
+    }))
+  });
+}
+
+router.get('/', authenticate(), listProfiles);
+
+export default router;
@@ -0,0 +1,129 @@
+/**
+ * Document Routes
+ *
+ * Upload documents for the agent to answer from, and read them back when following a
+ * citation. Mounted under `/api/documents`.
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+function currentUser(req) {
+  return { id: req.user?.id, workspaceId: req.user?.workspaceId || null };
+}
+
+/**
+ * Upload a document
+ *
+ * The JSON body carries the file as `content`, base64-encoded when `encoding` is 'base64'
+ * (required for PDF) and as plain text otherwise. Pass `scope: 'workspace'` to share the
+ * document with the user's workspace.
+ */
+async function uploadDocument(req, res) {
+  const { filename, contentType, content, encoding = 'utf8', title, scope = 'user' } = req.body;
+
+  if (!filename || typeof content !== 'string') {
+    return res.status(400).json({ error: 'filename and content are required' });
+  }
+
+  if (!['user', 'workspace'].includes(scope)) {
+    return res.status(400).json({ error: "scope must be 'user' or 'workspace'" });
+  }
+
+  const user = currentUser(req);
+
+  try {
+    const document = await req.app.locals.documentStore.ingest({
+      filename,
+      contentType,
+      data: Buffer.from(content, encoding === 'base64' ? 'base64' : 'utf8'),
+      title,
+      scope,
+      userId: user.id,
+      workspaceId: user.workspaceId
+    });
+
+    res.status(201).json(document);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`Error ingesting document ${filename}:`, error);
+    res.status(500).json({ error: 'Failed to ingest document' });
+  }
+}
+
+/**
+ * List the documents the user can read
+ */
+async function listDocuments(req, res) {
+  try {
+    res.json(await req.app.locals.documentStore.list(currentUser(req)));
+  } catch (error) {
+    logger.error('Error listing documents:', error);
+    res.status(500).json({ error: 'Failed to list documents' });
+  }
+}
+
+/**
+ * Get a document with its text and chunk offsets, used to show a cited passage
+ */
+async function getDocument(req, res) {
+  const { documentStore } = req.app.locals;
+  let document;
+
+  try {
+    document = await documentStore.get(req.params.id);
+  } catch (error) {
+    logger.error(`Error loading document ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to load document' });
+  }
+
+  if (!document || !documentStore.canAccess(document, currentUser(req))) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  res.json(document);
+}
+
+/**
+ * Delete a document the user uploaded
+ */
+async function deleteDocument(req, res) {
+  const { documentStore } = req.app.locals;
+  let document;
+
+  try {
+    document = await documentStore.get(req.params.id);
+  } catch (error) {
+    logger.error(`Error loading document ${req.params.id}:`, error);
+    return res.status(500).json({ error: 'Failed to load document' });
+  }
+
+  if (!document || !documentStore.canAccess(document, currentUser(req))) {
+    return res.status(404).json({ error: 'Document not found' });
+  }
+
+  if (document.userId !== req.user?.id) {
+    return res.status(403).json({ error: 'Only the uploader can delete this document' });
+  }
+
+  try {
+    await documentStore.delete(document.id);
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error deleting document ${document.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete document' });
+  }
+}
+
+router.post('/', authenticate(), uploadDocument);
+router.get('/', authenticate(), listDocuments);
+router.get('/:id', authenticate(), getDocument);
+router.delete('/:id', authenticate(), deleteDocument);
+
+export default router;
@@ -0,0 +1,71 @@
+/**
+ * Long-Term Memory Routes
+ *
+ * List, search and delete what the agent remembers about the current user across sessions.
+ * Mounted under `/api/memories`.
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+// Most memories returned by a single request
+const MAX_LIMIT = 500;
+
+/**
+ * List the user's memories, ranked by relevance when `q` is given
+ */
+async function listMemories(req, res) {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_LIMIT);
+  const { orchestrator } = req.app.locals;
+
+  try {
+    const memories = await orchestrator.listMemories(req.user?.id, { search: req.query.q || '', limit });
+    res.json({ enabled: orchestrator.longTermMemory.enabled, memories });
+  } catch (error) {
+    logger.error('Error listing long-term memories:', error);
+    res.status(500).json({ error: 'Failed to list memories' });
+  }
+}
+
+/**
+ * Delete a single memory
+ */
+async function deleteMemory(req, res) {
+  try {
+    await req.app.locals.orchestrator.forgetMemories(req.user?.id, req.params.id);
+    res.status(204).end();
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`Error deleting long-term memory ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to delete memory' });
+  }
+}
+
+/**
+ * Delete all of the user's memories
+ */
+async function deleteAllMemories(req, res) {
+  try {
+    await req.app.locals.orchestrator.forgetMemories(req.user?.id);
+    res.status(204).end();
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error('Error deleting long-term memories:', error);
+    res.status(500).json({ error: 'Failed to delete memories' });
+  }
+}
+
+router.get('/', authenticate(), listMemories);
+router.delete('/:id', authenticate(), deleteMemory);
+router.delete('/', authenticate(), deleteAllMemories);
+
+export default router;
@@ -0,0 +1,227 @@
+/**
+ * MCP Routes
+ *
+ * Serves the tool registry to remote Model Context Protocol clients (see tools/mcpServer.js)
+ * over both HTTP transports:
+ *   - Streamable HTTP: JSON-RPC messages are POSTed to the endpoint itself and answered with
+ *     JSON. The session ID is returned in the `Mcp-Session-Id` header of the initialize
+ *     response and must be sent with every later request; DELETE ends the session.
+ *   - HTTP+SSE (protocol version 2024-11-05): GET `/sse` opens an event stream whose first
+ *     `endpoint` event names the URL to POST messages to; responses arrive on the stream.
+ *
+ * Clients authenticate with an `X-API-Key` header or a bearer token and need the
+ * `tools:execute` permission. Sessions belong to the user that started them. Mounted under
+ * `/api/mcp`.
+ *
+ * Configuration:
+ *   MCP_SESSION_IDLE_MS - Idle time after which a session is ended (default 1800000)
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate, authorize, requireApiKey } from './middleware.js';
+import { createMcpToolServer } from '../tools/mcpServer.js';
+
+const router = express.Router();
+
+const SESSION_IDLE_MS = Number(process.env.MCP_SESSION_IDLE_MS) || 30 * 60 * 1000;
+
+// Comment line sent on idle event streams so proxies keep them open
+const SSE_HEARTBEAT_MS = 25000;
+
+// Open sessions by ID: { session, stream, lastActiveAt }
+const sessions = new Map();
+
+let server = null;
+
+// End sessions that clients abandoned without deleting them
+setInterval(() => {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const [id, entry] of sessions) {
+    if (!entry.stream && entry.lastActiveAt < cutoff) {
+      closeSession(id);
+    }
+  }
+}, 60000).unref();
+
+/**
+ * Get the MCP server, created on first use once the registry and orchestrator exist
+ */
+function getServer(app) {
+  if (!server) {
+    const { toolRegistry, orchestrator } = app.locals;
+
+    server = createMcpToolServer({
+      toolRegistry,
+      approvalThreshold: orchestrator.approvalThreshold,
+      onToolFailed: ({ userId, failure }) => orchestrator.emitEvent('tool.failed', userId, failure)
+    });
+  }
+  return server;
+}
+
+function openSession(req, stream = null) {
+  const session = getServer(req.app).createSession({
+    userId: req.user?.id,
+    workspaceId: req.user?.workspaceId
+  });
+
+  sessions.set(session.id, { session, stream, lastActiveAt: Date.now() });
+  return session;
+}
+
+function closeSession(id) {
+  const entry = sessions.get(id);
+  if (entry) {
+    sessions.delete(id);
+    entry.session.close();
+    logger.info(`MCP session ${id} ended`);
+  }
+}
+
+/**
+ * Find a session of the requesting user, answering with an error if there is none
+ *
+ * @returns {Object|null} - { session, stream, lastActiveAt }
+ */
+function findSession(req, res, id) {
+  if (!id) {
+    res.status(400).json(rpcErrorBody('Missing session ID'));
+    return null;
+  }
+
+  const entry = sessions.get(id);
+  if (!entry || entry.session.userId !== req.user?.id) {
+    // 404 tells Streamable HTTP clients to start a new session
+    res.status(404).json(rpcErrorBody('Session not found'));
+    return null;
+  }
+
+  entry.lastActiveAt = Date.now();
+  return entry;
+}
+
+function rpcErrorBody(message, code = -32000) {
+  return { jsonrpc: '2.0', id: null, error: { code, message } };
+}
+
+/**
+ * Accept an API key or a bearer token
+ */
+function authenticateClient(req, res, next) {
+  return req.get('X-API-Key')
+    ? requireApiKey()(req, res, next)
+    : authenticate()(req, res, next);
+}
+
+/**
+ * Handle messages POSTed to the Streamable HTTP endpoint
+ *
+ * A single initialize request starts a new session; everything else needs the session's ID.
+ * Requests are answered in the response body; batches that only hold notifications and
+ * responses are acknowledged with 202.
+ */
+async function handleStreamableMessage(req, res) {
+  const batch = Array.isArray(req.body);
+  const messages = batch ? req.body : [req.body];
+
+  if (messages.length === 0) {
+    return res.status(400).json(rpcErrorBody('Empty batch', -32600));
+  }
+
+  let session;
+  if (!batch && req.body?.method === 'initialize') {
+    session = openSession(req);
+    res.set('Mcp-Session-Id', session.id);
+  } else {
+    const entry = findSession(req, res, req.get('Mcp-Session-Id'));
+    if (!entry) return;
+    session = entry.session;
+  }
+
+  const responses = (await Promise.all(messages.map(message => session.handleMessage(message))))
+    .filter(Boolean);
+
+  if (responses.length === 0) {
+    return res.status(202).end();
+  }
+
+  res.json(batch ? responses : responses[0]);
+}
+
+/**
+ * End a Streamable HTTP session
+ */
+function deleteSession(req, res) {
+  const id = req.get('Mcp-Session-Id');
+  if (!findSession(req, res, id)) return;
+
+  closeSession(id);
+  res.status(204).end();
+}
+
+/**
+ * Open an HTTP+SSE session
+ */
+function openEventStream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const stream = {
+    send(message) {
+      res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+    }
+  };
+  const session = openSession(req, stream);
+
+  // The endpoint is relative to this stream's URL
+  res.write(`event: endpoint\ndata: ${req.baseUrl}/messages?sessionId=${session.id}\n\n`);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    closeSession(session.id);
+  });
+}
+
+/**
+ * Receive a message for an HTTP+SSE session; the response is sent on the session's stream
+ */
+function handleSseMessage(req, res) {
+  const entry = findSession(req, res, req.query.sessionId);
+  if (!entry) return;
+
+  if (!entry.stream) {
+    return res.status(400).json(rpcErrorBody('Session does not use an event stream'));
+  }
+
+  res.status(202).end();
+
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  for (const message of messages) {
+    entry.session.handleMessage(message)
+      .then(response => {
+        if (response && sessions.has(entry.session.id)) {
+          entry.stream.send(response);
+        }
+      })
+      .catch(error => logger.error(`MCP session ${entry.session.id} failed to handle a message:`, error));
+  }
+}
+
+router.use(authenticateClient, authorize('tools:execute'));
+
+router.post('/', handleStreamableMessage);
+router.delete('/', deleteSession);
+// No server-initiated messages are sent, so there is no stream to open
+router.get('/', (req, res) => res.set('Allow', 'POST, DELETE').status(405).end());
+
+router.get('/sse', openEventStream);
+router.post('/messages', handleSseMessage);
+
+export default router;
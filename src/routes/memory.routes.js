@@ -0,0 +1,78 @@
+/**
+ * Session Memory Routes
+ *
+ * Inspect what the agent remembers about a session and manage pinned facts. Mounted under
+ * `/api/sessions`.
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+/**
+ * Get the running summary, summary history and pinned facts of a session
+ */
+async function getMemory(req, res) {
+  try {
+    const memory = await req.app.locals.orchestrator.getSessionMemory(req.params.id, req.user?.id);
+
+    if (!memory) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json(memory);
+  } catch (error) {
+    logger.error(`Error retrieving memory for session ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve session memory' });
+  }
+}
+
+/**
+ * Pin a fact so it is included in every prompt of the session
+ */
+async function pinFact(req, res) {
+  const { text, source } = req.body;
+
+  try {
+    const fact = await req.app.locals.orchestrator.pinFact(req.params.id, req.user?.id, { text, source });
+
+    if (!fact) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.status(201).json(fact);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`Error pinning fact in session ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to pin fact' });
+  }
+}
+
+/**
+ * Remove a pinned fact
+ */
+async function unpinFact(req, res) {
+  try {
+    const removed = await req.app.locals.orchestrator.unpinFact(req.params.id, req.user?.id, req.params.factId);
+
+    if (!removed) {
+      return res.status(404).json({ error: 'Pinned fact not found' });
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    logger.error(`Error removing pinned fact from session ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to remove pinned fact' });
+  }
+}
+
+router.get('/:id/memory', authenticate(), getMemory);
+router.post('/:id/memory/pins', authenticate(), pinFact);
+router.delete('/:id/memory/pins/:factId', authenticate(), unpinFact);
+
+export default router;
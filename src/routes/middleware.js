@@ -0,0 +1,96 @@
+/**
+ * Route Middleware Helpers
+ * 
+ * Authentication is configured during system initialization, after the routers have been
+ * mounted. These helpers resolve the configured middleware from `app.locals.auth` at request
+ * time so routers can declare their auth requirements up front.
+ */
+
+import { logger } from '../utils/logger.js';
+
+// HTTP status for the codes of exposed errors that every service uses
+const ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  NOT_FOUND: 404
+};
+
+/**
+ * Require an authenticated user for the route
+ * 
+ * @param {String} strategy - Passport strategy name
+ * @returns {Function} - Express middleware
+ */
+export function authenticate(strategy = 'jwt') {
+  return (req, res, next) => {
+    const auth = req.app.locals.auth;
+    
+    if (!auth) {
+      return res.status(503).json({ error: 'Authentication is not configured yet' });
+    }
+    
+    return auth.requireAuth(strategy)(req, res, next);
+  };
+}
+
+/**
+ * Require a permission for the route
+ * 
+ * @param {String} permission - Permission name
+ * @returns {Function} - Express middleware
+ */
+export function authorize(permission) {
+  return (req, res, next) => {
+    const auth = req.app.locals.auth;
+    
+    if (!auth) {
+      return res.status(503).json({ error: 'Authentication is not configured yet' });
+    }
+    
+    return auth.requirePermission(permission)(req, res, next);
+  };
+}
+
+/**
+ * Require a valid API key (`X-API-Key` header) for the route
+ * 
+ * @returns {Function} - Express middleware
+ */
+export function requireApiKey() {
+  return (req, res, next) => {
+    const auth = req.app.locals.auth;
+    
+    if (!auth) {
+      return res.status(503).json({ error: 'Authentication is not configured yet' });
+    }
+    
+    return auth.requireApiKey(req, res, next);
+  };
+}
+
+/**
+ * Create the wrapper for the handlers of a service's routes
+ * 
+ * Errors the service exposes (see core/errors.js) are answered with their message and code;
+ * other errors are logged and answered with a generic 500.
+ * 
+ * @param {String} service - Name of the service in `app.locals`, passed to the handlers
+ * @param {Object} errorStatus - HTTP status by error code, besides INVALID_REQUEST and NOT_FOUND
+ * @returns {Function} - handle(action, handler) where handler is (req, res, service) => Promise
+ *                       and action describes it for the log and the generic error
+ */
+export function createRouteHandler(service, errorStatus = {}) {
+  const statuses = { ...ERROR_STATUS, ...errorStatus };
+  
+  return (action, handler) => async (req, res) => {
+    try {
+      await handler(req, res, req.app.locals[service]);
+    } catch (error) {
+      if (error.expose) {
+        return res.status(statuses[error.code] || 400).json({ error: error.message, code: error.code });
+      }
+      
+      logger.error(`Failed to ${action}:`, error);
+      res.status(500).json({ error: `Failed to ${action}` });
+    }
+  };
+}
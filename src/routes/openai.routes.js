@@ -0,0 +1,231 @@
+/**
+ * OpenAI-Compatible Routes
+ *
+ * A Chat Completions endpoint over the orchestrator, so tooling that speaks the OpenAI wire
+ * format can query the agent. Requests authenticate with an API key, sent either as
+ * `X-API-Key` or as the `Authorization: Bearer` token OpenAI clients send. Mounted under `/v1`.
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { requireApiKey } from './middleware.js';
+import {
+  CHAT_COMPLETIONS_MODEL,
+  parseChatRequest,
+  createConversationIndex,
+  answerContent,
+  toToolCalls,
+  toUsage,
+  toChatCompletion,
+  toChunk,
+  toErrorBody
+} from '../core/chatCompletions.js';
+
+const router = express.Router();
+
+// Conversations that can be continued, shared by every request to this process
+const conversations = createConversationIndex();
+
+// HTTP status and OpenAI error type for the orchestrator's error types
+const ERROR_STATUS = {
+  invalid_request: [400, 'invalid_request_error'],
+  invalid_output_schema: [400, 'invalid_request_error'],
+  context_limit: [400, 'invalid_request_error'],
+  output_validation_failed: [422, 'invalid_request_error'],
+  rate_limit: [429, 'rate_limit_error'],
+  approval_rejected: [409, 'invalid_request_error'],
+  approval_timeout: [409, 'invalid_request_error']
+};
+
+const MODEL_CREATED = Math.floor(Date.now() / 1000);
+
+/**
+ * Accept the API key as a bearer token, the way OpenAI clients send it
+ */
+function bearerApiKey(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+
+  if (match && !req.headers['x-api-key']) {
+    req.headers['x-api-key'] = match[1];
+  }
+  next();
+}
+
+/**
+ * Build the error response for an orchestrator response marked as failed
+ *
+ * @param {Object} result - Orchestrator response
+ * @returns {Object} - { status, body }
+ */
+function failedQueryError(result) {
+  const [status, type] = ERROR_STATUS[result.errorType] || [500, 'server_error'];
+  return { status, body: toErrorBody(result.text, { type, code: result.errorType }) };
+}
+
+/**
+ * Run the query and write the answer as `chat.completion.chunk` Server-Sent Events
+ *
+ * Answer text is streamed as it is synthesized. The tool calls, the finish reason and, when
+ * `stream_options.include_usage` is set, the usage follow once the query completes.
+ */
+async function streamChatCompletion(req, res, { request, queryData, completion, onAnswer }) {
+  const { orchestrator } = req.app.locals;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Stop working on the query if the client disconnects, unless it waits for an approval the
+  // user can still give through the approvals API
+  let closed = false;
+  let completed = false;
+  res.on('close', () => {
+    closed = true;
+    if (!completed && !orchestrator.approvals.hasPendingForQuery(queryData.queryId)) {
+      orchestrator.cancelQuery(queryData.queryId);
+    }
+  });
+
+  const write = (payload) => {
+    if (!closed) {
+      res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+    }
+    return !closed;
+  };
+
+  // Only answer text is forwarded; status and progress events have no equivalent in the format
+  let streamedText = false;
+  const events = {
+    emit(event, data) {
+      if (event === 'agent:delta' && data.delta) {
+        streamedText = true;
+        return write(toChunk(completion, { content: data.delta }));
+      }
+      return !closed;
+    }
+  };
+
+  write(toChunk(completion, { role: 'assistant', content: '' }));
+
+  try {
+    const result = await orchestrator.processQuery(queryData, events);
+
+    if (result.error) {
+      write(failedQueryError(result).body);
+    } else if (!result.cancelled) {
+      // Structured answers are only sent once they validate
+      if (!streamedText) {
+        write(toChunk(completion, { content: answerContent(result) }));
+      }
+
+      const toolCalls = toToolCalls(result);
+      if (toolCalls.length > 0) {
+        write(toChunk(completion, { tool_calls: toolCalls.map((call, index) => ({ index, ...call })) }));
+      }
+
+      write(toChunk(completion, {}, 'stop'));
+      if (request.includeUsage) {
+        write({ ...toChunk(completion, {}), choices: [], usage: toUsage(result.usage) });
+      }
+      onAnswer(result);
+    }
+  } catch (error) {
+    logger.error(`Error streaming chat completion ${completion.id}:`, error);
+    write(toErrorBody('Failed to process your request'));
+  } finally {
+    completed = true;
+    write('[DONE]');
+    res.end();
+  }
+}
+
+/**
+ * Create a chat completion
+ *
+ * The last message is the query; the earlier ones continue a known conversation's session or
+ * seed a new one. Supports `stream`, `stream_options.include_usage` and `response_format`
+ * (`json_object` or `json_schema`, answered through structured output). Sampling parameters
+ * such as `temperature` are ignored since the agent picks its own models per stage.
+ */
+async function createChatCompletion(req, res) {
+  let request;
+  try {
+    request = parseChatRequest(req.body);
+  } catch (error) {
+    return res.status(400).json(toErrorBody(error.message, {
+      type: 'invalid_request_error',
+      code: 'invalid_request',
+      param: error.param
+    }));
+  }
+
+  const { orchestrator } = req.app.locals;
+  const owner = `${req.user?.id}:${request.user || ''}`;
+  const earlierMessages = request.messages.slice(0, -1);
+  const continuedSessionId = conversations.lookup(owner, earlierMessages);
+  const sessionId = continuedSessionId || uuidv4();
+  const queryId = uuidv4();
+
+  const queryData = {
+    text: request.query,
+    sessionId,
+    userId: req.user?.id,
+    workspaceId: req.user?.workspaceId,
+    queryId,
+    output: request.output,
+    history: continuedSessionId ? [] : earlierMessages,
+    metadata: { source: 'chat-completions', ...(request.user && { endUser: request.user }) }
+  };
+  const completion = { id: `chatcmpl-${queryId}`, model: request.model, created: Math.floor(Date.now() / 1000) };
+  const onAnswer = (result) => conversations.remember(
+    owner,
+    [...request.messages, { role: 'assistant', content: answerContent(result) }],
+    sessionId
+  );
+
+  if (request.stream) {
+    return streamChatCompletion(req, res, { request, queryData, completion, onAnswer });
+  }
+
+  // Stop working on the query if the client gives up waiting
+  res.on('close', () => {
+    if (!res.writableFinished && !orchestrator.approvals.hasPendingForQuery(queryId)) {
+      orchestrator.cancelQuery(queryId);
+    }
+  });
+
+  try {
+    const result = await orchestrator.processQuery(queryData);
+
+    if (result.error) {
+      const { status, body } = failedQueryError(result);
+      return res.status(status).json(body);
+    }
+
+    onAnswer(result);
+    res.json(toChatCompletion(result, completion));
+  } catch (error) {
+    logger.error(`Error creating chat completion ${completion.id}:`, error);
+    res.status(500).json(toErrorBody('Failed to process your request'));
+  }
+}
+
+/**
+ * List the models clients can ask for; the agent is exposed as a single model
+ */
+function listModels(req, res) {
+  res.json({
+    object: 'list',
+    data: [{ id: CHAT_COMPLETIONS_MODEL, object: 'model', created: MODEL_CREATED, owned_by: 'system' }]
+  });
+}
+
+router.get('/models', bearerApiKey, requireApiKey(), listModels);
+router.post('/chat/completions', bearerApiKey, requireApiKey(), createChatCompletion);
+
+export default router;
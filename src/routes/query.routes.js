@@ -0,0 +1,238 @@
+/**
+ * Query Lifecycle Routes
+ * 
+ * HTTP endpoints for running agent queries outside of Socket.io. Mounted under `/api/agent`.
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { createSseEmitter } from '../core/streaming.js';
+import { resolveOutputSpec, listOutputSchemas } from '../core/structuredOutput.js';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+/**
+ * Run an orchestrator call and stream its events to the client as Server-Sent Events
+ * 
+ * Emits the same `agent:*` events as the Socket.io channel (`agent:status`, `agent:progress`,
+ * `agent:delta`, `agent:approval_required`) followed by a final `agent:response` or `agent:error`.
+ * 
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {String} queryId - ID of the query being run
+ * @param {Function} run - Receives the SSE emitter and resolves with the final response
+ */
+async function streamRun(req, res, queryId, run) {
+  const { orchestrator } = req.app.locals;
+  
+  // A client-chosen ID must not take over a query that is already running
+  if (orchestrator.activeQueries.has(queryId)) {
+    return res.status(409).json({ error: 'A query with that ID is already running', code: 'QUERY_ID_IN_USE' });
+  }
+  
+  const emitter = createSseEmitter(res);
+  
+  // Stop working on the query if the client disconnects before it completes, unless it is
+  // waiting for an approval the user can still give after reloading
+  let completed = false;
+  res.on('close', () => {
+    if (!completed && !orchestrator.approvals.hasPendingForQuery(queryId)) {
+      orchestrator.cancelQuery(queryId);
+    }
+  });
+  
+  try {
+    const response = await run(emitter);
+    emitter.emit('agent:response', response);
+  } catch (error) {
+    logger.error(`Error processing streamed agent query ${queryId}:`, error);
+    emitter.emit('agent:error', {
+      message: error.expose ? error.message : 'Failed to process your request',
+      code: error.code,
+      details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+    });
+  } finally {
+    completed = true;
+    emitter.close();
+  }
+}
+
+/**
+ * Read the structured output option of a request
+ * 
+ * The option is either a schema name or the option itself, possibly as a JSON string.
+ * 
+ * @param {Object|String} output - `output` request parameter
+ * @returns {Object} - { output } on success, { error, details } if the option is unusable
+ */
+function parseOutputParam(output) {
+  if (output === undefined || output === null || output === '') {
+    return { output: null };
+  }
+  
+  let parsed = output;
+  if (typeof output === 'string' && output.trim().startsWith('{')) {
+    try {
+      parsed = JSON.parse(output);
+    } catch (error) {
+      return { error: 'output must be a schema name or a JSON object' };
+    }
+  }
+  
+  try {
+    resolveOutputSpec(parsed);
+    return { output: parsed };
+  } catch (error) {
+    return { error: error.message, details: error.problems };
+  }
+}
+
+/**
+ * Stream a query as Server-Sent Events
+ * 
+ * The query is POSTed as JSON, so clients read the stream with `fetch` and send their token
+ * in the Authorization header; EventSource cannot send one. Pass `mode: 'plan-only'` to get
+ * the plan back without running it, and `output` to get a schema-validated `data` object
+ * with the response.
+ */
+async function streamQuery(req, res) {
+  const params = req.body;
+  const { text, sessionId, mode, metadata } = params;
+  
+  if (!text || typeof text !== 'string') {
+    return res.status(400).json({ error: 'Query text is required' });
+  }
+  
+  const { output, error, details } = parseOutputParam(params.output);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+  
+  const queryId = params.queryId || uuidv4();
+  
+  await streamRun(req, res, queryId, (emitter) => req.app.locals.orchestrator.processQuery({
+    text,
+    sessionId,
+    userId: req.user?.id,
+    workspaceId: req.user?.workspaceId,
+    queryId,
+    mode,
+    output,
+    metadata
+  }, emitter));
+}
+
+/**
+ * Execute a reviewed plan as Server-Sent Events
+ * 
+ * The body may contain `steps` to run an edited version of the plan instead of the stored one,
+ * and `output` to request a structured answer.
+ */
+async function executePlan(req, res) {
+  const { sessionId, steps } = req.body;
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+  
+  if (steps !== undefined && !Array.isArray(steps)) {
+    return res.status(400).json({ error: 'steps must be an array' });
+  }
+  
+  const { output, error, details } = parseOutputParam(req.body.output);
+  if (error) {
+    return res.status(400).json({ error, details });
+  }
+  
+  const queryId = req.body.queryId || uuidv4();
+  
+  await streamRun(req, res, queryId, (emitter) => req.app.locals.orchestrator.executePlan({
+    planId: req.params.id,
+    sessionId,
+    userId: req.user?.id,
+    workspaceId: req.user?.workspaceId,
+    queryId,
+    steps,
+    output
+  }, emitter));
+}
+
+/**
+ * Cancel an in-flight query owned by the current user
+ * 
+ * The query stops at its next checkpoint and resolves with a response marked `cancelled`
+ * containing whatever partial results were produced.
+ */
+async function cancelQuery(req, res) {
+  const { orchestrator } = req.app.locals;
+  const { id } = req.params;
+  
+  if (!orchestrator.cancelQuery(id, req.user?.id)) {
+    return res.status(404).json({ error: 'No running query found with that ID' });
+  }
+  
+  res.json({ queryId: id, cancelled: true });
+}
+
+/**
+ * List tool approvals recorded for a session
+ */
+async function listApprovals(req, res) {
+  const { sessionId } = req.query;
+  
+  if (!sessionId) {
+    return res.status(400).json({ error: 'sessionId is required' });
+  }
+  
+  try {
+    const { orchestrator } = req.app.locals;
+    const approvals = await orchestrator.approvals.listForSession(sessionId);
+    
+    res.json(approvals.filter(approval => approval.userId === req.user?.id));
+  } catch (error) {
+    logger.error(`Failed to list approvals for session ${sessionId}:`, error);
+    res.status(500).json({ error: 'Failed to list approvals' });
+  }
+}
+
+/**
+ * Approve or reject a pending tool step, optionally replacing its input
+ */
+async function respondToApproval(req, res) {
+  const { orchestrator } = req.app.locals;
+  const { approved, input } = req.body;
+  
+  if (typeof approved !== 'boolean') {
+    return res.status(400).json({ error: 'approved must be true or false' });
+  }
+  
+  const approval = orchestrator.approvals.resolve(req.params.id, {
+    approved,
+    input,
+    userId: req.user?.id
+  });
+  
+  if (!approval) {
+    return res.status(404).json({ error: 'No pending approval found with that ID' });
+  }
+  
+  res.json(approval);
+}
+
+/**
+ * List the server-side schemas queries can request by name
+ */
+function getOutputSchemas(req, res) {
+  res.json(listOutputSchemas());
+}
+
+router.get('/output-schemas', authenticate(), getOutputSchemas);
+router.post('/query/stream', authenticate(), streamQuery);
+router.post('/query/:id/cancel', authenticate(), cancelQuery);
+router.post('/plans/:id/execute', authenticate(), executePlan);
+router.get('/approvals', authenticate(), listApprovals);
+router.post('/approvals/:id', authenticate(), respondToApproval);
+
+export default router;
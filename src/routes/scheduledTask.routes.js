@@ -0,0 +1,54 @@
+/**
+ * Scheduled Task Routes
+ *
+ * Manage the current user's recurring agent queries and browse their run history.
+ * Mounted under `/api/scheduled-tasks`.
+ */
+
+import express from 'express';
+import { authenticate, createRouteHandler } from './middleware.js';
+
+const router = express.Router();
+
+const handle = createRouteHandler('scheduler', {
+  TASK_RUNNING: 409,
+  TASK_LIMIT_EXCEEDED: 429
+});
+
+router.get('/', authenticate(), handle('list scheduled tasks', async (req, res, scheduler) => {
+  res.json(await scheduler.listTasks(req.user?.id));
+}));
+
+router.post('/', authenticate(), handle('create the scheduled task', async (req, res, scheduler) => {
+  const { name, query, cron, enabled, webhookUrl, toolVersions } = req.body;
+  const task = await scheduler.createTask(
+    { userId: req.user?.id, workspaceId: req.user?.workspaceId },
+    { name, query, cron, enabled, webhookUrl, toolVersions }
+  );
+  res.status(201).json(task);
+}));
+
+router.get('/:id', authenticate(), handle('load the scheduled task', async (req, res, scheduler) => {
+  res.json(await scheduler.getTask(req.user?.id, req.params.id));
+}));
+
+router.put('/:id', authenticate(), handle('update the scheduled task', async (req, res, scheduler) => {
+  const { name, query, cron, enabled, webhookUrl, toolVersions } = req.body;
+  res.json(await scheduler.updateTask(req.user?.id, req.params.id, { name, query, cron, enabled, webhookUrl, toolVersions }));
+}));
+
+router.delete('/:id', authenticate(), handle('delete the scheduled task', async (req, res, scheduler) => {
+  await scheduler.deleteTask(req.user?.id, req.params.id);
+  res.status(204).end();
+}));
+
+router.get('/:id/runs', authenticate(), handle('list task runs', async (req, res, scheduler) => {
+  const limit = Math.max(parseInt(req.query.limit, 10) || 20, 1);
+  res.json(await scheduler.listRuns(req.user?.id, req.params.id, limit));
+}));
+
+router.post('/:id/run', authenticate(), handle('run the scheduled task', async (req, res, scheduler) => {
+  res.status(202).json(await scheduler.runNow(req.user?.id, req.params.id));
+}));
+
+export default router;
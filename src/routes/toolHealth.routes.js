@@ -0,0 +1,237 @@
+/**
+ * Tool Health Routes
+ *
+ * Runtime health, usage statistics and version history of registered tools, and running a
+ * single tool directly. Mounted under `/api/tools`, ahead of the tool catalogue routes so
+ * these paths are not treated as tool IDs.
+ */
+
+import express from 'express';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { authenticate, authorize } from './middleware.js';
+import { resolveToolPolicy } from '../tools/policies.js';
+import { loadMcpServerConfig } from '../tools/mcpServers.js';
+import { executeTool } from '../core/executor.js';
+import { requiresApproval } from '../core/approvals.js';
+import { AGENT_TOOL_CATEGORY } from '../core/agents.js';
+import { isCancellation } from '../core/cancellation.js';
+import { hasPermission } from '../auth/permissions.js';
+
+const router = express.Router();
+
+// HTTP status for the failure codes of a single tool call
+const RUN_ERROR_STATUS = {
+  TOOL_INPUT_INVALID: 400,
+  TOOL_RETIRED: 410,
+  TOOL_UNAVAILABLE: 503
+};
+
+/**
+ * List circuit breaker states
+ *
+ * Returns every tool whose breaker is open or half-open. Closed breakers are omitted.
+ */
+function listCircuits(req, res) {
+  const { toolRegistry } = req.app.locals;
+
+  res.json(toolRegistry.getCircuitStates().map(circuit => ({
+    ...circuit,
+    policy: resolveToolPolicy(toolRegistry.get(circuit.id))
+  })));
+}
+
+/**
+ * Close a tool's circuit breaker before its cool-down has passed
+ */
+function resetCircuit(req, res) {
+  const { toolRegistry } = req.app.locals;
+
+  if (!toolRegistry.resetCircuit(req.params.id)) {
+    return res.status(404).json({ error: 'Tool not found' });
+  }
+
+  res.json({ id: toolRegistry.resolveToolId(req.params.id), ...toolRegistry.getCircuitState(req.params.id) });
+}
+
+// Tool managers see every session that used a version, other users only their own
+async function sessionOwner(req) {
+  if (process.env.DISABLE_AUTH === 'true' || await hasPermission(req.user?.role || 'guest', 'tools:manage')) {
+    return null;
+  }
+  return req.user.id;
+}
+
+/**
+ * List the version history of every tool, with the sessions that recently used each version
+ */
+async function listToolVersions(req, res) {
+  const { toolRegistry } = req.app.locals;
+
+  try {
+    res.json(await toolRegistry.getVersionHistories({ userId: await sessionOwner(req) }));
+  } catch (error) {
+    logger.error('Failed to list tool versions:', error);
+    res.status(500).json({ error: 'Failed to list tool versions' });
+  }
+}
+
+/**
+ * Get the version history of one tool
+ */
+async function getToolVersions(req, res) {
+  try {
+    const history = await req.app.locals.toolRegistry.getVersionHistory(req.params.id, { userId: await sessionOwner(req) });
+
+    if (!history) {
+      return res.status(404).json({ error: 'Tool not found' });
+    }
+
+    res.json(history);
+  } catch (error) {
+    logger.error(`Failed to get the versions of tool ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to get tool versions' });
+  }
+}
+
+/**
+ * Get a tool's call counts, error rates and p50/p95 latencies per hour or day
+ *
+ * Query parameters: `interval` ('hour' or 'day'), `from` and `to` (dates), and `version` to
+ * limit the statistics to one version of the tool.
+ */
+async function getToolStats(req, res) {
+  const { interval, from, to, version } = req.query;
+
+  try {
+    const stats = await req.app.locals.toolRegistry.getUsageHistory(req.params.id, { interval, from, to, version });
+
+    if (!stats) {
+      return res.status(404).json({ error: 'Tool not found' });
+    }
+
+    res.json(stats);
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`Failed to get the usage statistics of tool ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to get tool statistics' });
+  }
+}
+
+/**
+ * List the configured MCP servers with their connection status and imported tools
+ */
+function listMcpServers(req, res) {
+  res.json(req.app.locals.toolRegistry.mcpServers.listServers());
+}
+
+/**
+ * Re-read the MCP server configuration and apply it
+ */
+async function reloadMcpServers(req, res) {
+  try {
+    res.json(await req.app.locals.toolRegistry.mcpServers.reload(await loadMcpServerConfig()));
+  } catch (error) {
+    logger.error('Failed to reload MCP servers:', error);
+    res.status(500).json({ error: 'Failed to reload MCP servers' });
+  }
+}
+
+/**
+ * Reconnect an MCP server without waiting for its next automatic attempt
+ */
+async function reconnectMcpServer(req, res) {
+  try {
+    const server = await req.app.locals.toolRegistry.mcpServers.reconnect(req.params.name);
+
+    if (!server) {
+      return res.status(404).json({ error: 'MCP server not found' });
+    }
+
+    res.json(server);
+  } catch (error) {
+    logger.error(`Failed to reconnect MCP server ${req.params.name}:`, error);
+    res.status(500).json({ error: 'Failed to reconnect the MCP server' });
+  }
+}
+
+/**
+ * Run a tool once with the given input, e.g. from the parameter form on the Tools page
+ *
+ * The call goes through the executor, so the input and output are validated against the
+ * tool's schemas and usage is recorded. Tools that need an approval and delegation tools
+ * only run as part of a query.
+ */
+async function runTool(req, res) {
+  const { toolRegistry, orchestrator } = req.app.locals;
+  const tool = toolRegistry.getTool(req.params.id);
+
+  if (!tool) {
+    return res.status(404).json({ error: 'Tool not found' });
+  }
+
+  if (tool.category === AGENT_TOOL_CATEGORY || requiresApproval(tool.riskLevel, orchestrator.approvalThreshold)) {
+    return res.status(403).json({ error: `${tool.name} can only run as part of a query`, code: 'TOOL_REQUIRES_QUERY' });
+  }
+
+  // Stop the call if the client gives up waiting
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  const { input } = req.body;
+
+  try {
+    res.json(await executeTool({
+      tool: tool.id,
+      input,
+      context: {
+        id: uuidv4(),
+        sessionId: null,
+        userId: req.user?.id,
+        workspaceId: req.user?.workspaceId,
+        currentQuery: typeof input === 'string' ? input : JSON.stringify(input ?? null),
+        currentQueryId: null,
+        conversationHistory: [],
+        recalledMemories: []
+      },
+      toolRegistry,
+      signal: controller.signal
+    }));
+  } catch (error) {
+    if (isCancellation(error, controller.signal)) {
+      return;
+    }
+
+    const [failure] = error.failures || [];
+    if (!failure) {
+      logger.error(`Failed to run tool ${tool.name}:`, error);
+      return res.status(500).json({ error: 'Failed to run the tool' });
+    }
+
+    orchestrator.emitEvent('tool.failed', req.user?.id, { ...failure, source: 'api' });
+    res.status(RUN_ERROR_STATUS[failure.code] || 502).json({
+      error: failure.error,
+      code: failure.code,
+      ...(failure.validationErrors && { validationErrors: failure.validationErrors })
+    });
+  }
+}
+
+router.get('/health', authenticate(), listCircuits);
+router.get('/versions', authenticate(), listToolVersions);
+router.get('/mcp-servers', authenticate(), listMcpServers);
+router.post('/mcp-servers/reload', authenticate(), authorize('tools:manage'), reloadMcpServers);
+router.post('/mcp-servers/:name/reconnect', authenticate(), authorize('tools:manage'), reconnectMcpServer);
+router.get('/:id/versions', authenticate(), getToolVersions);
+router.get('/:id/stats', authenticate(), getToolStats);
+router.post('/:id/circuit/reset', authenticate(), authorize('tools:manage'), resetCircuit);
+router.post('/:id/run', authenticate(), authorize('tools:execute'), runTool);
+
+export default router;
@@ -0,0 +1,62 @@
+/**
+ * Session Tool Version Routes
+ *
+ * Pin the versions of the tools a session uses, so new tool versions do not change how an
+ * ongoing conversation behaves. Tools that are not pinned use their default version, the
+ * newest stable one. Mounted under `/api/sessions`.
+ */
+
+import express from 'express';
+import { logger } from '../utils/logger.js';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+/**
+ * Get the version ranges pinned for a session, by tool name
+ */
+async function getToolVersions(req, res) {
+  try {
+    const toolVersions = await req.app.locals.orchestrator.getToolVersions(req.params.id, req.user?.id);
+
+    if (!toolVersions) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ toolVersions });
+  } catch (error) {
+    logger.error(`Error retrieving tool versions for session ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to retrieve tool versions' });
+  }
+}
+
+/**
+ * Replace the version ranges pinned for a session
+ */
+async function setToolVersions(req, res) {
+  try {
+    const toolVersions = await req.app.locals.orchestrator.setToolVersions(
+      req.params.id,
+      req.user?.id,
+      req.body.toolVersions || {}
+    );
+
+    if (!toolVersions) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    res.json({ toolVersions });
+  } catch (error) {
+    if (error.expose) {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
+    logger.error(`Error pinning tool versions for session ${req.params.id}:`, error);
+    res.status(500).json({ error: 'Failed to pin tool versions' });
+  }
+}
+
+router.get('/:id/tool-versions', authenticate(), getToolVersions);
+router.put('/:id/tool-versions', authenticate(), setToolVersions);
+
+export default router;
@@ -0,0 +1,27 @@
+/**
+ * LLM Usage Routes
+ *
+ * Token usage and estimated spend for the current user. Mounted under `/api/usage`.
+ */
+
+import express from 'express';
+import { authenticate } from './middleware.js';
+
+const router = express.Router();
+
+// Longest history a client can request, matching the ledger's retention
+const MAX_DAYS = 90;
+
+/**
+ * Get the current user's daily usage, totals and budgets
+ */
+async function getUsage(req, res) {
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), MAX_DAYS);
+  const { orchestrator } = req.app.locals;
+
+  res.json(await orchestrator.usage.getUserUsage(req.user?.id || 'anonymous', { days }));
+}
+
+router.get('/', authenticate(), getUsage);
+
+export default router;
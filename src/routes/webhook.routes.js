@@ -0,0 +1,123 @@
+/**
+ * Webhook Routes
+ *
+ * Register endpoints for query lifecycle events, browse the delivery log and replay
+ * deliveries. Also hosts the test receiver, which records the webhooks this server sends to
+ * it. Mounted under `/api/webhooks`.
+ */
+
+import express from 'express';
+import { authenticate, createRouteHandler } from './middleware.js';
+import { WEBHOOK_EVENTS, verifyWebhookSignature } from '../core/webhooks.js';
+
+const router = express.Router();
+
+const handle = createRouteHandler('webhooks', {
+  ENDPOINT_LIMIT_EXCEEDED: 429
+});
+
+// Most deliveries returned by a single request
+const MAX_LIMIT = 200;
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+/**
+ * Receive a webhook on the test receiver
+ *
+ * The body arrives unparsed (see the raw body parser in index.js) so the signature can be
+ * checked against the exact bytes sent. Responds with the status given in the `status` query
+ * parameter, so retries can be tried out with e.g. `?status=500`.
+ */
+async function receiveTestWebhook(req, res) {
+  const { webhooks, webhookReceiver } = req.app.locals;
+  const { receiverId } = req.params;
+  const userId = webhookReceiver.ownerOf(receiverId);
+
+  if (!userId) {
+    return res.status(404).json({ error: 'Unknown receiver' });
+  }
+
+  const body = Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+  const timestamp = req.get('X-Webhook-Timestamp');
+  const signature = req.get('X-Webhook-Signature');
+  const status = Number(req.query.status) || 200;
+
+  // The signature is valid if it matches the secret of any endpoint pointing here
+  const endpoints = await webhooks.findEndpointsByUrl(userId, url => url.split('?')[0].endsWith(`/test-receiver/${receiverId}`));
+  const signatureValid = endpoints.some(endpoint => verifyWebhookSignature({ secret: endpoint.secret, timestamp, body, signature }));
+
+  webhookReceiver.record(receiverId, {
+    deliveryId: req.get('X-Webhook-Id') || null,
+    event: req.get('X-Webhook-Event') || null,
+    signatureValid,
+    respondedWith: status,
+    body: parseJson(body)
+  });
+
+  res.status(status).json({ received: true });
+}
+
+router.get('/events', authenticate(), (req, res) => {
+  res.json(Object.entries(WEBHOOK_EVENTS).map(([type, description]) => ({ type, description })));
+});
+
+router.get('/test-receiver', authenticate(), (req, res) => {
+  const { webhookReceiver } = req.app.locals;
+  const receiverId = webhookReceiver.receiverIdFor(req.user?.id);
+
+  res.json({
+    url: `${req.protocol}://${req.get('host')}${req.baseUrl}/test-receiver/${receiverId}`,
+    received: webhookReceiver.list(req.user?.id)
+  });
+});
+
+router.delete('/test-receiver', authenticate(), (req, res) => {
+  req.app.locals.webhookReceiver.clear(req.user?.id);
+  res.status(204).end();
+});
+
+router.post('/test-receiver/:receiverId', handle('record the test webhook', receiveTestWebhook));
+
+router.get('/deliveries', authenticate(), handle('list webhook deliveries', async (req, res, webhooks) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_LIMIT);
+  res.json(await webhooks.listDeliveries(req.user?.id, { endpointId: req.query.endpointId || null, limit }));
+}));
+
+router.post('/deliveries/:id/replay', authenticate(), handle('replay the delivery', async (req, res, webhooks) => {
+  res.status(201).json(await webhooks.replay(req.user?.id, req.params.id));
+}));
+
+router.get('/', authenticate(), handle('list webhook endpoints', async (req, res, webhooks) => {
+  res.json(await webhooks.listEndpoints(req.user?.id));
+}));
+
+router.post('/', authenticate(), handle('register the webhook endpoint', async (req, res, webhooks) => {
+  const { url, events, description } = req.body;
+  res.status(201).json(await webhooks.createEndpoint(req.user?.id, { url, events, description }));
+}));
+
+router.put('/:id', authenticate(), handle('update the webhook endpoint', async (req, res, webhooks) => {
+  const { url, events, description, enabled } = req.body;
+  res.json(await webhooks.updateEndpoint(req.user?.id, req.params.id, { url, events, description, enabled }));
+}));
+
+router.delete('/:id', authenticate(), handle('delete the webhook endpoint', async (req, res, webhooks) => {
+  await webhooks.deleteEndpoint(req.user?.id, req.params.id);
+  res.status(204).end();
+}));
+
+router.post('/:id/rotate-secret', authenticate(), handle('rotate the signing secret', async (req, res, webhooks) => {
+  res.json(await webhooks.rotateSecret(req.user?.id, req.params.id));
+}));
+
+router.post('/:id/test', authenticate(), handle('send the test event', async (req, res, webhooks) => {
+  res.status(201).json(await webhooks.sendTest(req.user?.id, req.params.id));
+}));
+
+export default router;
@@ -0,0 +1,96 @@
+/**
+ * Fake MCP server for tests
+ *
+ * Speaks newline-delimited JSON-RPC over stdio like a real MCP server. Its tools:
+ *   echo      - Answers with the `text` argument
+ *   fail      - Answers with a tool error
+ *   slow      - Never answers
+ *   cancelled - Lists the IDs of the requests the client cancelled so far
+ *   env       - Reports the environment variables named in `names`
+ *   change    - Stops offering `fail` and announces that the tool list changed
+ *   crash     - Exits the process
+ */
+
+import readline from 'readline';
+
+const tools = [
+  { name: 'echo', description: 'Echoes text', inputSchema: { type: 'object', properties: { text: { type: 'string' } } }, annotations: { readOnlyHint: true } },
+  { name: 'fail', inputSchema: { type: 'object' }, annotations: { openWorldHint: false } },
+  { name: 'slow', inputSchema: { type: 'object' } },
+  { name: 'cancelled', inputSchema: { type: 'object' } },
+  { name: 'env', inputSchema: { type: 'object' } },
+  { name: 'change', inputSchema: { type: 'object' } },
+  { name: 'crash', inputSchema: { type: 'object' } }
+];
+
+const cancelledRequests = [];
+
+const send = (message) => process.stdout.write(`${JSON.stringify({ jsonrpc: '2.0', ...message })}\n`);
+const text = (value) => ({ content: [{ type: 'text', text: value }] });
+
+function callTool(name, args = {}) {
+  switch (name) {
+    case 'echo':
+      return text(args.text);
+    case 'fail':
+      return { ...text('Bad input'), isError: true };
+    case 'cancelled':
+      return { content: [], structuredContent: { requestIds: cancelledRequests } };
+    case 'env':
+      return { content: [], structuredContent: Object.fromEntries(args.names.map(key => [key, process.env[key] ?? null])) };
+    case 'change':
+      tools.splice(tools.findIndex(tool => tool.name === 'fail'), 1);
+      send({ method: 'notifications/tools/list_changed' });
+      return text('changed');
+    case 'crash':
+      return process.exit(1);
+    default:
+      return undefined;
+  }
+}
+
+function handle(message) {
+  const { id, method, params = {} } = message;
+
+  if (method === 'notifications/cancelled') {
+    cancelledRequests.push(params.requestId);
+    return;
+  }
+  if (id === undefined) {
+    return;
+  }
+
+  switch (method) {
+    case 'initialize':
+      return send({
+        id,
+        result: {
+          protocolVersion: params.protocolVersion,
+          capabilities: { tools: { listChanged: true } },
+          serverInfo: { name: 'fake-server', version: '2.1.0' }
+        }
+      });
+    case 'ping':
+      return send({ id, result: {} });
+    case 'tools/list':
+      // Two pages, to exercise pagination
+      return params.cursor
+        ? send({ id, result: { tools: tools.slice(1) } })
+        : send({ id, result: { tools: tools.slice(0, 1), nextCursor: 'page-2' } });
+    case 'tools/call': {
+      if (params.name === 'slow') return;
+      const result = callTool(params.name, params.arguments);
+      return result
+        ? send({ id, result })
+        : send({ id, error: { code: -32602, message: `Unknown tool: ${params.name}` } });
+    }
+    default:
+      return send({ id, error: { code: -32601, message: `Method not found: ${method}` } });
+  }
+}
+
+readline.createInterface({ input: process.stdin }).on('line', (line) => {
+  if (line.trim()) {
+    handle(JSON.parse(line));
+  }
+});
@@ -0,0 +1,190 @@
+import { jest } from '@jest/globals';
+import http from 'http';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMcpClient, createStdioTransport, createHttpTransport } from '../mcpClient.js';
+
+const FAKE_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'helpers', 'fakeMcpServer.js');
+
+describe('MCP client over stdio', () => {
+  let client;
+
+  const connect = async (config = {}) => {
+    client = createMcpClient({
+      name: 'fake',
+      transport: createStdioTransport({ command: process.execPath, args: [FAKE_SERVER], ...config }, 'fake'),
+      requestTimeoutMs: 5000
+    });
+    await client.connect();
+    return client;
+  };
+
+  afterEach(async () => {
+    await client?.close();
+    client = null;
+  });
+
+  it('initializes, lists every page of tools and calls them', async () => {
+    await connect();
+
+    expect(client.serverInfo).toEqual({ name: 'fake-server', version: '2.1.0' });
+    expect((await client.listTools()).map(tool => tool.name)).toEqual(['echo', 'fail', 'slow', 'cancelled', 'env', 'change', 'crash']);
+    await expect(client.callTool('echo', { text: 'hello' })).resolves.toEqual({ content: [{ type: 'text', text: 'hello' }] });
+  });
+
+  it('passes only the configured and basic environment variables to the server', async () => {
+    process.env.MCP_TEST_SECRET = 'secret';
+    try {
+      await connect({ env: { MCP_TEST_CONFIGURED: 'configured' } });
+
+      const { structuredContent } = await client.callTool('env', { names: ['MCP_TEST_SECRET', 'MCP_TEST_CONFIGURED', 'PATH'] });
+
+      expect(structuredContent).toEqual({ MCP_TEST_SECRET: null, MCP_TEST_CONFIGURED: 'configured', PATH: process.env.PATH });
+    } finally {
+      delete process.env.MCP_TEST_SECRET;
+    }
+  });
+
+  it('fails requests the server answers with an error', async () => {
+    await connect();
+
+    await expect(client.callTool('unknown', {})).rejects.toMatchObject({
+      code: 'MCP_REQUEST_FAILED',
+      rpcCode: -32602,
+      message: 'MCP server fake: Unknown tool: unknown'
+    });
+  });
+
+  it('cancels the request on the server when the signal aborts', async () => {
+    await connect();
+    const controller = new AbortController();
+
+    const call = client.callTool('slow', {}, { signal: controller.signal });
+    controller.abort();
+
+    await expect(call).rejects.toMatchObject({ code: 'QUERY_CANCELLED' });
+    const { structuredContent } = await client.callTool('cancelled', {});
+    expect(structuredContent.requestIds).toHaveLength(1);
+  });
+
+  it('gives up on requests that are not answered in time', async () => {
+    await connect();
+
+    await expect(client.request('tools/call', { name: 'slow' }, { timeoutMs: 50 })).rejects.toMatchObject({ code: 'MCP_TIMEOUT' });
+  });
+
+  it('fails pending requests and reports the disconnect when the server exits', async () => {
+    await connect();
+    const onclose = jest.fn();
+    client.onclose = onclose;
+
+    const pending = client.callTool('slow', {});
+    await expect(client.callTool('crash', {})).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+    await expect(pending).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+
+    expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ message: 'Server process exited (code 1)' }));
+    await expect(client.callTool('echo', { text: 'hello' })).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+  });
+});
+
+describe('MCP client over Streamable HTTP', () => {
+  let server;
+  let url;
+  let requests;
+  let sessions;
+
+  // Answers initialize with a new session, tools/call as an event stream and everything
+  // else as JSON; requests for unknown sessions get a 404
+  const handle = (req, res, message) => {
+    const sessionId = req.headers['mcp-session-id'];
+    requests.push({ method: req.method, sessionId, message });
+
+    if (req.method === 'DELETE') {
+      sessions.delete(sessionId);
+      return res.writeHead(204).end();
+    }
+    if (message.method === 'initialize') {
+      sessions.add('session-1');
+      return res.writeHead(200, { 'Content-Type': 'application/json', 'Mcp-Session-Id': 'session-1' })
+        .end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { serverInfo: { name: 'http-server', version: '1.0.0' }, capabilities: {} } }));
+    }
+    if (!sessions.has(sessionId)) {
+      return res.writeHead(404).end();
+    }
+    if (message.id === undefined) {
+      return res.writeHead(202).end();
+    }
+    if (message.method === 'tools/call') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write(`data: ${JSON.stringify({ jsonrpc: '2.0', method: 'notifications/progress', params: { progress: 1 } })}\n\n`);
+      return res.end(`data: ${JSON.stringify({ jsonrpc: '2.0', id: message.id, result: { content: [{ type: 'text', text: message.params.arguments.text }] } })}\n\n`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/json' }).end(JSON.stringify({ jsonrpc: '2.0', id: message.id, result: {} }));
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', (chunk) => { body += chunk; });
+      req.on('end', () => handle(req, res, body ? JSON.parse(body) : {}));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/mcp`;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    requests = [];
+    sessions = new Set();
+  });
+
+  const connect = async (headers = {}) => {
+    const client = createMcpClient({ name: 'remote', transport: createHttpTransport({ url, headers }, 'remote') });
+    await client.connect();
+    return client;
+  };
+
+  it('keeps the session the server assigned and reads streamed responses', async () => {
+    const client = await connect({ Authorization: 'Bearer token' });
+    const notifications = [];
+    client.onnotification = (message) => notifications.push(message.method);
+
+    await expect(client.callTool('echo', { text: 'hello' })).resolves.toEqual({ content: [{ type: 'text', text: 'hello' }] });
+    await client.close();
+    // Ending the session is not awaited by close
+    while (!requests.some(request => request.method === 'DELETE')) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(client.serverInfo).toEqual({ name: 'http-server', version: '1.0.0' });
+    expect(notifications).toEqual(['notifications/progress']);
+    expect(requests.map(({ method, sessionId, message }) => [method, message.method, sessionId])).toEqual([
+      ['POST', 'initialize', undefined],
+      ['POST', 'notifications/initialized', 'session-1'],
+      ['POST', 'tools/call', 'session-1'],
+      ['DELETE', undefined, 'session-1']
+    ]);
+  });
+
+  it('reports the disconnect when the server forgets the session', async () => {
+    const client = await connect();
+    const onclose = jest.fn();
+    client.onclose = onclose;
+    sessions.clear();
+
+    await expect(client.ping()).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+    expect(onclose).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session expired' }));
+  });
+
+  it('reports unreachable servers as unavailable', async () => {
+    const client = createMcpClient({
+      name: 'gone',
+      transport: createHttpTransport({ url: 'http://127.0.0.1:1/mcp' }, 'gone')
+    });
+
+    await expect(client.connect()).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+  });
+});
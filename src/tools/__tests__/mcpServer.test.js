@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import { setupToolRegistry } from '../registry.js';
+import { createMcpToolServer } from '../mcpServer.js';
+
+const tool = (name, execute, fields = {}) => ({
+  name,
+  description: `${name} test tool`,
+  inputSchema: { type: 'object', properties: { text: { type: 'string' } } },
+  outputSchema: { type: 'object' },
+  riskLevel: 'read-only',
+  execute,
+  ...fields
+});
+
+describe('MCP tool server', () => {
+  let toolRegistry;
+  let onToolFailed;
+  let contexts;
+  let session;
+
+  beforeAll(async () => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+    toolRegistry = await setupToolRegistry();
+    await toolRegistry.mcpServers.stop();
+
+    contexts = [];
+    [
+      tool('Echo', async ({ text }, context) => { contexts.push(context); return { echo: text }; }),
+      tool('Web Search', async () => ({ hits: [] })),
+      tool('Shout', async (input) => input.toUpperCase(), { inputSchema: { type: 'string' }, outputSchema: { type: 'string' } }),
+      tool('Broken', async () => { throw new Error('Disk full'); }),
+      tool('Wait', (input, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+      })),
+      tool('Deploy', async () => ({}), { riskLevel: 'external-side-effect' }),
+      tool('ResearcherAgent', async () => ({}), { category: 'agent' }),
+      tool('github.search', async () => ({}), { mcp: { server: 'github', tool: 'search' } })
+    ].forEach(definition => toolRegistry.registerTool(definition));
+  });
+
+  afterAll(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  beforeEach(async () => {
+    onToolFailed = jest.fn();
+    contexts.length = 0;
+    const server = createMcpToolServer({ toolRegistry, approvalThreshold: 'external-side-effect', onToolFailed });
+    session = server.createSession({ userId: 'user-1', workspaceId: 'workspace-1' });
+    await session.handleMessage({ jsonrpc: '2.0', id: 0, method: 'initialize', params: { protocolVersion: '2025-06-18', clientInfo: { name: 'test' } } });
+  });
+
+  afterEach(() => {
+    session.close();
+  });
+
+  const request = (id, method, params) => session.handleMessage({ jsonrpc: '2.0', id, method, params });
+
+  it('negotiates the protocol version', async () => {
+    const server = createMcpToolServer({ toolRegistry, approvalThreshold: 'external-side-effect' });
+    const old = server.createSession({ userId: 'user-1' });
+    const unknown = server.createSession({ userId: 'user-1' });
+
+    await expect(old.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2024-11-05' } }))
+      .resolves.toMatchObject({ result: { protocolVersion: '2024-11-05', serverInfo: { name: 'emergent-agent-system' } } });
+    await expect(unknown.handleMessage({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '1999-01-01' } }))
+      .resolves.toMatchObject({ result: { protocolVersion: '2025-06-18' } });
+  });
+
+  it('lists only the tools that need no approval and run outside queries', async () => {
+    const { result } = await request(1, 'tools/list');
+    const names = result.tools.map(({ name }) => name);
+
+    expect(names).toEqual(expect.arrayContaining(['Echo', 'Web_Search', 'Shout', 'Broken', 'Wait']));
+    expect(names.filter(name => ['Deploy', 'ResearcherAgent', 'github_search', 'github.search'].includes(name))).toEqual([]);
+    expect(result.tools.find(({ name }) => name === 'Web_Search')).toMatchObject({
+      title: 'Web Search',
+      annotations: { readOnlyHint: true, destructiveHint: false, openWorldHint: false }
+    });
+    expect(result.tools.find(({ name }) => name === 'Shout').inputSchema).toEqual({
+      type: 'object', properties: { input: { type: 'string' } }, required: ['input']
+    });
+  });
+
+  it('runs tools as the session\'s user', async () => {
+    await expect(request(1, 'tools/call', { name: 'Echo', arguments: { text: 'hello' } })).resolves.toEqual({
+      jsonrpc: '2.0',
+      id: 1,
+      result: { content: [{ type: 'text', text: '{\n  "echo": "hello"\n}' }], structuredContent: { echo: 'hello' } }
+    });
+    await expect(request(2, 'tools/call', { name: 'Shout', arguments: { input: 'hello' } }))
+      .resolves.toMatchObject({ result: { content: [{ type: 'text', text: 'HELLO' }] } });
+
+    expect(contexts[0]).toMatchObject({ sessionId: session.id, userId: 'user-1', workspaceId: 'workspace-1' });
+  });
+
+  it('answers tool failures as error results and reports them', async () => {
+    await expect(request(1, 'tools/call', { name: 'Broken', arguments: {} }))
+      .resolves.toMatchObject({ result: { content: [{ type: 'text', text: expect.stringContaining('Disk full') }], isError: true } });
+
+    expect(onToolFailed).toHaveBeenCalledWith({ userId: 'user-1', failure: expect.objectContaining({ tool: 'Broken', source: 'mcp' }) });
+  });
+
+  it('refuses tools it does not serve and malformed calls', async () => {
+    await expect(request(1, 'tools/call', { name: 'Deploy', arguments: {} }))
+      .resolves.toMatchObject({ error: { code: -32602, message: 'Unknown tool: Deploy' } });
+    await expect(request(2, 'tools/call', { name: 'Echo', arguments: ['hello'] }))
+      .resolves.toMatchObject({ error: { code: -32602 } });
+    await expect(request(3, 'resources/list')).resolves.toMatchObject({ error: { code: -32601 } });
+    await expect(session.handleMessage({ id: 4, method: 'ping' })).resolves.toMatchObject({ error: { code: -32600 } });
+  });
+
+  it('cancels calls the client cancels without answering them', async () => {
+    const call = request(1, 'tools/call', { name: 'Wait', arguments: {} });
+
+    await expect(session.handleMessage({ jsonrpc: '2.0', method: 'notifications/cancelled', params: { requestId: 1 } })).resolves.toBeNull();
+    await expect(call).resolves.toBeNull();
+    expect(onToolFailed).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,112 @@
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { setupToolRegistry } from '../registry.js';
+import { createMcpServerManager, loadMcpServerConfig } from '../mcpServers.js';
+
+const FAKE_SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), 'helpers', 'fakeMcpServer.js');
+
+const until = async (condition) => {
+  while (!condition()) {
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('MCP server manager', () => {
+  let registry;
+  let manager;
+
+  beforeAll(() => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+  });
+
+  afterAll(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  beforeEach(async () => {
+    registry = await setupToolRegistry();
+    await registry.mcpServers.stop();
+    manager = createMcpServerManager(registry, { connectTimeoutMs: 5000, pingIntervalMs: 60000 });
+    await manager.start({ fake: { command: process.execPath, args: [FAKE_SERVER] } });
+  });
+
+  afterEach(async () => {
+    await manager.stop();
+  });
+
+  const tool = (name) => registry.get(registry.resolveToolId(name));
+
+  it('registers the server\'s tools under its name', () => {
+    expect(manager.listServers()).toEqual([expect.objectContaining({
+      name: 'fake',
+      transport: 'stdio',
+      status: 'connected',
+      tools: ['fake.echo', 'fake.fail', 'fake.slow', 'fake.cancelled', 'fake.env', 'fake.change', 'fake.crash'],
+      serverInfo: { name: 'fake-server', version: '2.1.0' }
+    })]);
+    expect(tool('fake.echo')).toMatchObject({ category: 'mcp', version: '2.1.0', author: 'fake-server', riskLevel: 'read-only' });
+    expect(tool('fake.fail').riskLevel).toBe('writes-data');
+    expect(tool('fake.slow').riskLevel).toBe('external-side-effect');
+  });
+
+  it('calls the server to execute its tools', async () => {
+    await expect(tool('fake.echo').execute('hello')).resolves.toBe('hello');
+    await expect(tool('fake.fail').execute({})).rejects.toMatchObject({ code: 'MCP_TOOL_ERROR', message: 'Tool fake.fail failed: Bad input' });
+  });
+
+  it('unregisters tools the server stops offering', async () => {
+    await tool('fake.change').execute({});
+    await until(() => !registry.resolveToolId('fake.fail'));
+
+    expect(manager.listServers()[0].tools).not.toContain('fake.fail');
+    expect(tool('fake.echo')).toBeDefined();
+  });
+
+  it('unregisters the tools of a server that goes away until it is reconnected', async () => {
+    const echo = tool('fake.echo');
+
+    await expect(tool('fake.crash').execute({})).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+
+    expect(manager.listServers()[0]).toMatchObject({ status: 'disconnected', tools: [], retryAt: expect.any(String) });
+    expect(registry.resolveToolId('fake.echo')).toBeFalsy();
+    await expect(echo.execute('hello')).rejects.toMatchObject({ code: 'MCP_SERVER_UNAVAILABLE' });
+
+    await expect(manager.reconnect('fake')).resolves.toMatchObject({ status: 'connected', retryAt: null });
+    await expect(tool('fake.echo').execute('hello')).resolves.toBe('hello');
+  });
+
+  it('disconnects servers removed from the configuration', async () => {
+    await expect(manager.reload({})).resolves.toEqual([]);
+
+    expect(registry.resolveToolId('fake.echo')).toBeFalsy();
+  });
+});
+
+describe('loadMcpServerConfig', () => {
+  afterEach(() => {
+    delete process.env.MCP_SERVERS;
+  });
+
+  it('skips servers with invalid names, without a transport or disabled', async () => {
+    process.env.MCP_SERVERS = JSON.stringify({
+      mcpServers: {
+        github: { command: 'npx', args: ['server-github'] },
+        search: { url: 'https://search.example.com/mcp' },
+        'bad name': { command: 'npx' },
+        empty: {},
+        off: { command: 'npx', disabled: true }
+      }
+    });
+
+    await expect(loadMcpServerConfig()).resolves.toEqual({
+      github: { command: 'npx', args: ['server-github'] },
+      search: { url: 'https://search.example.com/mcp' }
+    });
+  });
+
+  it('ignores configuration that is not JSON', async () => {
+    process.env.MCP_SERVERS = '{ mcpServers';
+
+    await expect(loadMcpServerConfig()).resolves.toEqual({});
+  });
+});
@@ -0,0 +1,55 @@
+import { jest } from '@jest/globals';
+import { executeWithPolicy } from '../policies.js';
+
+// Tool failing every attempt with an ordinary error
+const failingTool = (policy = {}) => ({
+  name: 'Failing',
+  retry: { attempts: 2, backoffMs: 1 },
+  ...policy,
+  async execute() {
+    throw new Error('Down');
+  }
+});
+
+describe('executeWithPolicy', () => {
+  it('reports the failed attempt before checking whether it may retry', async () => {
+    const events = [];
+
+    await expect(executeWithPolicy(failingTool(), {}, {}, {
+      onAttempt: ({ attempt }) => events.push(`attempt ${attempt}`),
+      canRetry: () => {
+        events.push('canRetry');
+        return events.length < 3;
+      },
+      onRetry: ({ attempt }) => events.push(`retry ${attempt}`)
+    })).rejects.toMatchObject({ message: 'Down', attempts: 2 });
+
+    expect(events).toEqual(['attempt 1', 'canRetry', 'retry 1', 'attempt 2', 'canRetry']);
+  });
+
+  it('does not announce a retry for errors marked as permanent', async () => {
+    const onRetry = jest.fn();
+    const tool = {
+      ...failingTool(),
+      async execute() {
+        throw Object.assign(new Error('Unknown city'), { retryable: false });
+      }
+    };
+
+    await expect(executeWithPolicy(tool, {}, {}, { onRetry })).rejects.toMatchObject({ attempts: 1 });
+    expect(onRetry).not.toHaveBeenCalled();
+  });
+
+  it('stops before the backoff when the query was cancelled during the attempt', async () => {
+    const controller = new AbortController();
+    const startTime = Date.now();
+
+    // The query is cancelled while the failure is reported, so the backoff starts with an aborted signal
+    await expect(executeWithPolicy(failingTool({ retry: { attempts: 1, backoffMs: 60000 } }), {}, {}, {
+      signal: controller.signal,
+      onAttempt: () => controller.abort()
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(Date.now() - startTime).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,66 @@
+import { createToolRanker } from '../recommendations.js';
+
+const weather = {
+  id: 'weather',
+  name: 'WeatherLookup',
+  description: 'Gets the current weather and forecast for a city',
+  capabilities: ['forecast'],
+  keywords: ['rain', 'temperature']
+};
+
+const currency = {
+  id: 'currency',
+  name: 'CurrencyConverter',
+  description: 'Converts amounts between currencies at the current exchange rate',
+  capabilities: ['finance'],
+  keywords: ['conversion', 'rates']
+};
+
+// Like a real embedding model, every text shares a common direction, so even unrelated texts
+// score a cosine around 0.4, while texts about the same topic point the same way
+const TOPICS = [/umbrella|rain|weather|forecast|temperature/i, /currenc|exchange|euro|dollar|money/i];
+
+const embed = (text) => [0.35, ...TOPICS.map(topic => (topic.test(text) ? 0.8 : 0))];
+
+const embeddingClient = {
+  embeddings: {
+    create: async ({ input }) => ({ data: input.map((text, index) => ({ index, embedding: embed(text) })) })
+  }
+};
+
+describe('tool ranker', () => {
+  it('ranks the right tool for a paraphrase with endpoint embeddings', async () => {
+    const ranker = createToolRanker({ llmClient: embeddingClient });
+
+    const ranked = await ranker.rank('Will I need an umbrella tomorrow?', [currency, weather]);
+
+    expect(ranked.map(({ tool }) => tool.id)).toEqual(['weather']);
+    expect(ranked[0].similarity).toBeCloseTo(1);
+  });
+
+  it('holds endpoint embeddings to their own threshold', async () => {
+    const unrelated = await createToolRanker({ llmClient: embeddingClient, minSimilarity: 0.2 })
+      .rank('Will I need an umbrella tomorrow?', [currency]);
+
+    // The unrelated tool clears a threshold meant for local embeddings
+    expect(unrelated).toHaveLength(1);
+    expect(unrelated[0].similarity).toBeLessThan(0.45);
+  });
+
+  it('ranks tools sharing words with the query with local embeddings', async () => {
+    const ranker = createToolRanker();
+
+    const ranked = await ranker.rank('What is the weather forecast for Paris?', [currency, weather]);
+
+    expect(ranked.map(({ tool }) => tool.id)).toEqual(['weather']);
+  });
+
+  it('falls back to local embeddings and their threshold when the endpoint fails', async () => {
+    const failing = { embeddings: { create: async () => { throw new Error('Service unavailable'); } } };
+    const ranker = createToolRanker({ llmClient: failing });
+
+    const ranked = await ranker.rank('Convert 20 dollars at the exchange rate', [weather, currency]);
+
+    expect(ranked.map(({ tool }) => tool.id)).toEqual(['currency']);
+  });
+});
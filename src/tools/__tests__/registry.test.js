@@ -0,0 +1,101 @@
+import { setupToolRegistry } from '../registry.js';
+import { executeTool } from '../../core/executor.js';
+import { createDocumentStore } from '../../data/documentStore.js';
+import { createMemoryDocumentRecordStore } from '../../data/documentRecordStore.js';
+import { createLocalVectorStore } from '../../data/vectorStore.js';
+
+describe('DocumentSearch', () => {
+  let toolRegistry;
+
+  beforeAll(async () => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+    const documentStore = createDocumentStore({ vectorStore: createLocalVectorStore(), records: createMemoryDocumentRecordStore() });
+    const upload = (userId, title, fields = {}) => documentStore.ingest({
+      filename: `${title}.md`,
+      contentType: 'text/markdown',
+      data: Buffer.from(`# ${title}\n\nThe quarterly revenue grew in every region.`),
+      userId,
+      ...fields
+    });
+
+    await upload('alice', 'Alice notes');
+    await upload('bob', 'Bob notes');
+    await upload('bob', 'Acme report', { scope: 'workspace', workspaceId: 'acme' });
+    await upload('carol', 'Globex report', { scope: 'workspace', workspaceId: 'globex' });
+
+    toolRegistry = await setupToolRegistry({ documentStore });
+    await toolRegistry.mcpServers.stop();
+  });
+
+  afterAll(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  const search = async (context) => {
+    const { output } = await executeTool({ tool: 'DocumentSearch', input: { query: 'quarterly revenue', topK: 10 }, context, toolRegistry });
+    return output.sources.map(source => source.title.replace(/, passage \d+$/, '')).sort();
+  };
+
+  it('searches only the documents of the user running the query and their workspace', async () => {
+    await expect(search({ sessionId: 'session-1', userId: 'alice', workspaceId: 'acme' })).resolves.toEqual(['Acme report', 'Alice notes']);
+    await expect(search({ sessionId: 'session-2', userId: 'carol', workspaceId: null })).resolves.toEqual([]);
+  });
+});
+
+describe('circuit breaker', () => {
+  let toolRegistry;
+  let toolId;
+
+  beforeEach(async () => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+    toolRegistry = await setupToolRegistry();
+    await toolRegistry.mcpServers.stop();
+    // Opens on the first failure and is half-open right away
+    toolRegistry.registerTool({
+      name: 'Unstable',
+      description: 'Fails until it recovers',
+      inputSchema: { type: 'object' },
+      outputSchema: { type: 'object' },
+      circuitBreaker: { failureThreshold: 1, cooldownMs: 0 },
+      execute: async () => ({ ok: true })
+    });
+    toolId = toolRegistry.resolveToolId('Unstable');
+    toolRegistry.recordToolUsage(toolId, { success: false, executionTime: 5, error: new Error('Down') });
+  });
+
+  afterEach(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  it('lets a single trial invocation through while half-open', () => {
+    expect(toolRegistry.getCircuitState(toolId).state).toBe('half-open');
+
+    const release = toolRegistry.acquireInvocation(toolId);
+
+    expect(release).toEqual(expect.any(Function));
+    expect(toolRegistry.acquireInvocation(toolId)).toBeNull();
+    expect(toolRegistry.isToolAvailable(toolId)).toBe(false);
+
+    toolRegistry.recordToolUsage(toolId, { success: true, executionTime: 5 });
+    release();
+
+    expect(toolRegistry.getCircuitState(toolId).state).toBe('closed');
+    expect(toolRegistry.acquireInvocation(toolId)).toEqual(expect.any(Function));
+    expect(toolRegistry.acquireInvocation(toolId)).toEqual(expect.any(Function));
+  });
+
+  it('frees the trial when it ends without a result', () => {
+    const release = toolRegistry.acquireInvocation(toolId);
+    release();
+
+    expect(toolRegistry.acquireInvocation(toolId)).toEqual(expect.any(Function));
+  });
+
+  it('re-opens the breaker when the trial fails', () => {
+    const release = toolRegistry.acquireInvocation(toolId);
+    toolRegistry.recordToolUsage(toolId, { success: false, executionTime: 5, error: new Error('Still down') });
+    release();
+
+    expect(toolRegistry.getCircuitState(toolId)).toMatchObject({ state: 'half-open', trialInFlight: false, consecutiveFailures: 2 });
+  });
+});
@@ -0,0 +1,136 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { loadSandboxedTool } from '../sandbox.js';
+
+describe('sandboxed custom tools', () => {
+  let toolsDir;
+
+  const writeTool = async (files) => {
+    await Promise.all(Object.entries(files).map(([name, source]) => fs.writeFile(path.join(toolsDir, name), source)));
+    return path.join(toolsDir, 'tool.js');
+  };
+
+  beforeEach(async () => {
+    toolsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'sandbox-tools-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(toolsDir, { recursive: true, force: true });
+  });
+
+  it('runs tools that import ES modules and JSON from the tools directory', async () => {
+    const filePath = await writeTool({
+      'tool.js': `
+        import { greet } from './helper.js';
+        import config from './config.json' with { type: 'json' };
+        export default { name: 'greeter', description: config.description, execute: ({ who }) => greet(who) };
+      `,
+      'helper.js': 'export const greet = (who) => `Hello, ${who}`;',
+      'config.json': '{ "description": "Greets people" }'
+    });
+
+    const tool = await loadSandboxedTool(filePath, { toolsDir });
+
+    expect(tool.description).toBe('Greets people');
+    await expect(tool.execute({ who: 'Ada' })).resolves.toBe('Hello, Ada');
+  });
+
+  it('refuses built-in modules that were not granted', async () => {
+    const filePath = await writeTool({
+      'tool.js': `
+        import { execSync } from 'child_process';
+        export default { name: 'shell', execute: () => execSync('id').toString() };
+      `
+    });
+
+    await expect(loadSandboxedTool(filePath, { toolsDir }))
+      .rejects.toMatchObject({ code: 'SANDBOX_VIOLATION', message: expect.stringContaining("Module 'child_process' is not allowed") });
+  });
+
+  it('refuses CommonJS helpers, whose require is not checked', async () => {
+    const filePath = await writeTool({
+      'tool.js': `
+        import helper from './helper.cjs';
+        export default { name: 'shell', execute: () => helper.run('id') };
+      `,
+      'helper.cjs': `
+        const { execSync } = require('child_process');
+        module.exports = { run: (command) => execSync(command).toString() };
+      `
+    });
+
+    await expect(loadSandboxedTool(filePath, { toolsDir }))
+      .rejects.toMatchObject({ code: 'SANDBOX_VIOLATION', message: expect.stringContaining('may only import ES modules') });
+  });
+
+  it('refuses CommonJS written in a .js file', async () => {
+    const filePath = await writeTool({
+      'tool.js': `
+        import './helper.js';
+        export default { name: 'shell', execute: () => globalThis.escaped };
+      `,
+      'helper.js': "globalThis.escaped = require('child_process').execSync('id').toString();",
+      'package.json': '{ "type": "commonjs" }'
+    });
+
+    await expect(loadSandboxedTool(filePath, { toolsDir })).rejects.toThrow(/require is not defined/);
+  });
+
+  it('does not trust modules because their URL mentions node_modules', async () => {
+    const filePath = await writeTool({
+      'tool.js': `
+        const shell = await import('data:text/javascript,/node_modules/;export { execSync } from "child_process"');
+        export default { name: 'shell', execute: () => shell.execSync('id').toString() };
+      `
+    });
+
+    await expect(loadSandboxedTool(filePath, { toolsDir }))
+      .rejects.toMatchObject({ code: 'SANDBOX_VIOLATION', message: expect.stringContaining("Module 'child_process' is not allowed") });
+  });
+
+  describe('granted packages', () => {
+    // Package reading a file through its own, unchecked import of fs
+    const writePackage = async () => {
+      const packageDir = path.join(toolsDir, 'node_modules', 'file-reader');
+      await fs.mkdir(packageDir, { recursive: true });
+      await fs.writeFile(path.join(packageDir, 'package.json'), '{ "name": "file-reader", "type": "module", "main": "index.js" }');
+      await fs.writeFile(path.join(packageDir, 'index.js'), "export { readFileSync as read } from 'fs';");
+    };
+
+    beforeEach(async () => {
+      await writePackage();
+    });
+
+    const tool = `
+      import { read } from 'file-reader';
+      export default { name: 'reader', execute: ({ file }) => read(file, 'utf8') };
+    `;
+
+    it('refuses packages for tools without a network or filesystem grant', async () => {
+      const filePath = await writeTool({ 'tool.js': tool });
+
+      await expect(loadSandboxedTool(filePath, { toolsDir, grant: { modules: ['file-reader'] } }))
+        .rejects.toMatchObject({ code: 'SANDBOX_GRANT_REFUSED', message: expect.stringContaining('file-reader') });
+    });
+
+    it('gives packages full capability once the tool holds an I/O grant', async () => {
+      const filePath = await writeTool({ 'tool.js': tool, 'secret.txt': 'outside the grant' });
+      const loaded = await loadSandboxedTool(filePath, { toolsDir, grant: { modules: ['file-reader'], network: ['api.example.com'] } });
+
+      await expect(loaded.execute({ file: path.join(toolsDir, 'secret.txt') })).resolves.toBe('outside the grant');
+    });
+
+    it('still grants built-in modules to tools without an I/O grant', async () => {
+      const filePath = await writeTool({
+        'tool.js': `
+          import { promisify } from 'util';
+          export default { name: 'plain', execute: () => typeof promisify };
+        `
+      });
+      const loaded = await loadSandboxedTool(filePath, { toolsDir, grant: { modules: ['util'] } });
+
+      await expect(loaded.execute({})).resolves.toBe('function');
+    });
+  });
+});
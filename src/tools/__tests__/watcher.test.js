@@ -0,0 +1,131 @@
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { setupToolRegistry } from '../registry.js';
+import { createToolWatcher } from '../watcher.js';
+
+// Source of a tool file whose tool answers with `answer`
+const toolSource = ({ name = 'Greeter', version = '1.0.0', answer = 'hello', schema = true } = {}) => `
+export default {
+  name: '${name}',
+  description: 'Greets the user',
+  version: '${version}',
+  ${schema ? "inputSchema: { type: 'object' }, outputSchema: { type: 'object' }," : ''}
+  execute: async () => ({ answer: '${answer}' })
+};
+`;
+
+describe('tool hot reload', () => {
+  let toolsDir;
+  let toolFile;
+  let registry;
+
+  beforeAll(() => {
+    process.env.TOOL_HOT_RELOAD = 'false';
+  });
+
+  afterAll(() => {
+    delete process.env.TOOL_HOT_RELOAD;
+  });
+
+  beforeEach(async () => {
+    toolsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'hot-reload-tools-'));
+    toolFile = path.join(toolsDir, 'greeter.js');
+    registry = await setupToolRegistry();
+    await registry.mcpServers.stop();
+  });
+
+  afterEach(async () => {
+    await fs.rm(toolsDir, { recursive: true, force: true });
+  });
+
+  const greet = () => registry.get(registry.resolveToolId('Greeter')).execute({}, {});
+
+  // Custom tools run in the sandbox, which loads every version of the file afresh
+  const writeTool = async (source) => {
+    await fs.writeFile(toolFile, source);
+    return registry.reloadToolFile(toolFile, { sandboxGrants: {} });
+  };
+
+  describe('reloadToolFile', () => {
+    it('adds, updates and removes the tool of a file', async () => {
+      const added = await writeTool(toolSource());
+      registry.usageStats.get(added.toolId).totalCalls = 3;
+
+      const updated = await writeTool(toolSource({ answer: 'hi' }));
+
+      expect(added).toMatchObject({ action: 'added', name: 'Greeter', file: 'greeter.js' });
+      expect(updated).toEqual({ ...added, action: 'updated' });
+      await expect(greet()).resolves.toEqual({ answer: 'hi' });
+      expect(registry.usageStats.get(updated.toolId).totalCalls).toBe(3);
+
+      await fs.rm(toolFile);
+      await expect(registry.reloadToolFile(toolFile, { sandboxGrants: {} })).resolves.toEqual({ ...added, action: 'removed' });
+      expect(registry.resolveToolId('Greeter')).toBeNull();
+    });
+
+    it('replaces the previous version when the file changes the version', async () => {
+      const added = await writeTool(toolSource());
+
+      const updated = await writeTool(toolSource({ version: '1.1.0', answer: 'hi' }));
+
+      expect(updated.toolId).not.toBe(added.toolId);
+      expect(registry.getToolVersions('Greeter').map(tool => tool.version)).toEqual(['1.1.0']);
+    });
+
+    it('keeps the registered version when the file does not load', async () => {
+      const added = await writeTool(toolSource());
+
+      await expect(writeTool('export default { name: \'Greeter\',')).resolves.toBeNull();
+      await expect(greet()).resolves.toEqual({ answer: 'hello' });
+
+      await expect(writeTool(toolSource({ answer: 'hi', schema: false }))).resolves.toBeNull();
+      await expect(greet()).resolves.toEqual({ answer: 'hello' });
+      expect(registry.resolveToolId('Greeter')).toBe(added.toolId);
+
+      // The next valid edit is picked up again
+      await expect(writeTool(toolSource({ answer: 'hi' }))).resolves.toMatchObject({ action: 'updated' });
+      await expect(greet()).resolves.toEqual({ answer: 'hi' });
+    });
+  });
+
+  describe('watcher', () => {
+    let watcher;
+
+    beforeEach(() => {
+      watcher = createToolWatcher(registry, [{ path: toolsDir, sandboxed: true }], { debounceMs: 20 });
+      watcher.start();
+    });
+
+    afterEach(() => {
+      watcher.stop();
+    });
+
+    const nextUpdate = () => new Promise(resolve => watcher.events.once('updated', resolve));
+
+    it('reloads tool files when they change and emits the changes', async () => {
+      const added = nextUpdate();
+      await fs.writeFile(toolFile, toolSource());
+      await expect(added).resolves.toMatchObject({ action: 'added', name: 'Greeter', file: 'greeter.js' });
+
+      const updated = nextUpdate();
+      await fs.writeFile(toolFile, toolSource({ answer: 'hi' }));
+      await expect(updated).resolves.toMatchObject({ action: 'updated' });
+      await expect(greet()).resolves.toEqual({ answer: 'hi' });
+    });
+
+    it('keeps the tool when an edit breaks its file', async () => {
+      const added = nextUpdate();
+      await fs.writeFile(toolFile, toolSource());
+      await added;
+
+      const updates = [];
+      watcher.events.on('updated', change => updates.push(change));
+      await fs.writeFile(toolFile, 'export default {');
+      await new Promise(resolve => setTimeout(resolve, 200));
+
+      expect(updates).toEqual([]);
+      await expect(greet()).resolves.toEqual({ answer: 'hello' });
+    });
+  });
+});
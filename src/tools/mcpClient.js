@@ -0,0 +1,423 @@
+/**
+ * MCP Client
+ *
+ * A minimal Model Context Protocol client: JSON-RPC 2.0 over a child process's stdio
+ * (newline-delimited messages) or over Streamable HTTP (POST requests answered with JSON or a
+ * Server-Sent Events stream). Covers what the registry needs to use a server's tools:
+ * initialization, listing and calling tools, cancellation, pings and the tool list change
+ * notification.
+ */
+
+import { spawn } from 'child_process';
+import { logger } from '../utils/logger.js';
+import { createCancellationError } from '../core/cancellation.js';
+
+export const MCP_PROTOCOL_VERSION = '2025-03-26';
+
+const CLIENT_INFO = { name: 'emergent-agent-system', version: '1.0.0' };
+
+// Environment variables passed to stdio servers besides the ones configured for the server,
+// so API keys and other secrets of this process do not leak into third-party servers
+const INHERITED_ENV = ['HOME', 'LOGNAME', 'PATH', 'SHELL', 'TERM', 'USER', 'LANG', 'TMPDIR', 'SYSTEMROOT', 'APPDATA'];
+
+function createMcpError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Create a transport that runs the server as a child process
+ *
+ * @param {Object} config - { command, args, env, cwd }
+ * @param {String} name - Server name, for logging
+ * @returns {Object} - Transport with start, send, close and onmessage/onclose hooks
+ */
+export function createStdioTransport({ command, args = [], env = {}, cwd }, name) {
+  let child = null;
+  let buffer = '';
+
+  const transport = {
+    onmessage: null,
+    onclose: null,
+
+    async start() {
+      const inherited = Object.fromEntries(INHERITED_ENV
+        .filter(key => process.env[key] !== undefined)
+        .map(key => [key, process.env[key]]));
+
+      child = spawn(command, args, { env: { ...inherited, ...env }, cwd, stdio: ['pipe', 'pipe', 'pipe'] });
+
+      await new Promise((resolve, reject) => {
+        child.once('spawn', resolve);
+        child.once('error', reject);
+      });
+
+      child.stdout.setEncoding('utf8');
+      child.stdout.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\n')) !== -1) {
+          const line = buffer.slice(0, newline).trim();
+          buffer = buffer.slice(newline + 1);
+          if (!line) continue;
+
+          try {
+            transport.onmessage?.(JSON.parse(line));
+          } catch (error) {
+            logger.warn(`MCP server ${name} wrote a line that is not JSON-RPC: ${line.slice(0, 200)}`);
+          }
+        }
+      });
+
+      child.stderr.setEncoding('utf8');
+      child.stderr.on('data', (chunk) => logger.debug(`[mcp:${name}] ${chunk.trimEnd()}`));
+
+      // Writing to a server that stopped reading fails with EPIPE; the connection is then
+      // dropped so pending requests fail and the server is restarted
+      const spawned = child;
+      spawned.stdin.on('error', (error) => {
+        logger.warn(`Failed to write to MCP server ${name}:`, error);
+        transport.onclose?.(error);
+        spawned.kill('SIGTERM');
+      });
+
+      child.on('error', (error) => logger.error(`MCP server ${name} process error:`, error));
+      child.on('exit', (code, signal) => {
+        child = null;
+        transport.onclose?.(new Error(`Server process exited (${signal || `code ${code}`})`));
+      });
+    },
+
+    async send(message) {
+      if (!child || !child.stdin.writable) {
+        throw createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} is not running`);
+      }
+      child.stdin.write(`${JSON.stringify(message)}\n`);
+    },
+
+    async close() {
+      if (child) {
+        const exiting = child;
+        exiting.stdin.end();
+        // Give the server a moment to exit on its own before terminating it
+        const timer = setTimeout(() => exiting.kill('SIGTERM'), 2000);
+        exiting.once('exit', () => clearTimeout(timer));
+      }
+    }
+  };
+
+  return transport;
+}
+
+/**
+ * Read the JSON-RPC messages of a Server-Sent Events response body
+ *
+ * @param {ReadableStream} body - Response body
+ * @param {Function} onMessage - Called with each parsed message
+ */
+async function readEventStream(body, onMessage) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const event = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const data = event
+        .split(/\r?\n/)
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).replace(/^ /, ''))
+        .join('\n');
+
+      if (data) {
+        onMessage(JSON.parse(data));
+      }
+    }
+  }
+}
+
+/**
+ * Create a transport for a server reached over Streamable HTTP
+ *
+ * @param {Object} config - { url, headers }
+ * @param {String} name - Server name, for logging
+ * @returns {Object} - Transport with start, send, close and onmessage/onclose hooks
+ */
+export function createHttpTransport({ url, headers = {} }, name) {
+  let sessionId = null;
+  let closed = false;
+
+  const transport = {
+    onmessage: null,
+    onclose: null,
+
+    async start() {
+      closed = false;
+    },
+
+    async send(message) {
+      if (closed) {
+        throw createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} is not connected`);
+      }
+
+      let response;
+      try {
+        response = await fetch(url, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json, text/event-stream',
+            ...(sessionId && { 'Mcp-Session-Id': sessionId }),
+            ...headers
+          },
+          body: JSON.stringify(message)
+        });
+      } catch (error) {
+        // The server is unreachable
+        transport.onclose?.(error);
+        throw createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} is unreachable: ${error.message}`);
+      }
+
+      sessionId = response.headers.get('mcp-session-id') || sessionId;
+
+      if (response.status === 404 && sessionId) {
+        // The server forgot the session, so it has to be initialized again
+        transport.onclose?.(new Error('Session expired'));
+        throw createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} ended the session`);
+      }
+
+      if (!response.ok) {
+        throw createMcpError('MCP_REQUEST_FAILED', `MCP server ${name} responded with ${response.status}`);
+      }
+
+      if (response.status === 202 || !response.body) {
+        return;
+      }
+
+      const contentType = response.headers.get('content-type') || '';
+      if (contentType.includes('text/event-stream')) {
+        // Responses and notifications arrive as events; the stream ends after the response
+        readEventStream(response.body, (received) => transport.onmessage?.(received))
+          .catch(error => logger.warn(`Failed to read event stream from MCP server ${name}:`, error));
+      } else if (contentType.includes('application/json')) {
+        const received = await response.json();
+        (Array.isArray(received) ? received : [received]).forEach(entry => transport.onmessage?.(entry));
+      }
+    },
+
+    async close() {
+      if (sessionId) {
+        // Tell the server the session is over; servers that do not support it answer 405
+        fetch(url, { method: 'DELETE', headers: { 'Mcp-Session-Id': sessionId, ...headers } }).catch(() => {});
+      }
+      closed = true;
+      sessionId = null;
+    }
+  };
+
+  return transport;
+}
+
+/**
+ * Create a client for an MCP server
+ *
+ * @param {Object} options - Client options
+ * @param {String} options.name - Server name, for logging and errors
+ * @param {Object} options.transport - Transport from createStdioTransport or createHttpTransport
+ * @param {Number} options.requestTimeoutMs - Timeout for requests made without a signal
+ * @returns {Object} - MCP client
+ */
+export function createMcpClient({ name, transport, requestTimeoutMs = 30000 }) {
+  const pending = new Map();
+  let nextId = 1;
+  let closed = true;
+
+  const client = {
+    serverInfo: null,
+    capabilities: null,
+    onnotification: null,
+    onclose: null,
+
+    /**
+     * Start the transport and perform the initialization handshake
+     *
+     * @returns {Promise<Object>} - The server's initialize result
+     */
+    async connect() {
+      transport.onmessage = handleMessage;
+      transport.onclose = handleClose;
+      await transport.start();
+      closed = false;
+
+      const result = await client.request('initialize', {
+        protocolVersion: MCP_PROTOCOL_VERSION,
+        capabilities: {},
+        clientInfo: CLIENT_INFO
+      });
+
+      client.serverInfo = result.serverInfo || null;
+      client.capabilities = result.capabilities || {};
+      await client.notify('notifications/initialized');
+      return result;
+    },
+
+    /**
+     * Send a request and wait for its response
+     *
+     * @param {String} method - JSON-RPC method
+     * @param {Object} params - Method parameters
+     * @param {Object} options - { signal, timeoutMs }; a cancelled signal also cancels the
+     *                           request on the server
+     * @returns {Promise<*>} - The response result
+     */
+    request(method, params = {}, { signal = null, timeoutMs = signal ? null : requestTimeoutMs } = {}) {
+      if (closed) {
+        return Promise.reject(createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} is not connected`));
+      }
+      if (signal?.aborted) {
+        return Promise.reject(signal.reason instanceof Error ? signal.reason : createCancellationError());
+      }
+
+      const id = nextId++;
+
+      return new Promise((resolve, reject) => {
+        const cleanup = () => {
+          clearTimeout(timer);
+          signal?.removeEventListener('abort', onAbort);
+          pending.delete(id);
+        };
+
+        const cancel = (error) => {
+          cleanup();
+          client.notify('notifications/cancelled', { requestId: id, reason: error.message }).catch(() => {});
+          reject(error);
+        };
+
+        const onAbort = () => cancel(signal.reason instanceof Error ? signal.reason : createCancellationError());
+
+        const timer = timeoutMs
+          ? setTimeout(() => cancel(createMcpError('MCP_TIMEOUT', `MCP server ${name} did not answer ${method} within ${timeoutMs}ms`)), timeoutMs)
+          : null;
+
+        signal?.addEventListener('abort', onAbort, { once: true });
+
+        pending.set(id, {
+          resolve: (result) => {
+            cleanup();
+            resolve(result);
+          },
+          reject: (error) => {
+            cleanup();
+            reject(error);
+          }
+        });
+
+        transport.send({ jsonrpc: '2.0', id, method, params }).catch(error => pending.get(id)?.reject(error));
+      });
+    },
+
+    /**
+     * Send a notification
+     *
+     * @param {String} method - JSON-RPC method
+     * @param {Object} params - Method parameters
+     */
+    async notify(method, params) {
+      await transport.send({ jsonrpc: '2.0', method, ...(params && { params }) });
+    },
+
+    /**
+     * List every tool of the server, following pagination
+     *
+     * @returns {Promise<Array>} - MCP tool descriptions
+     */
+    async listTools() {
+      const tools = [];
+      let cursor;
+
+      do {
+        const result = await client.request('tools/list', cursor ? { cursor } : {});
+        tools.push(...(result.tools || []));
+        cursor = result.nextCursor;
+      } while (cursor);
+
+      return tools;
+    },
+
+    /**
+     * Call a tool
+     *
+     * @param {String} toolName - Tool name on the server
+     * @param {Object} args - Tool arguments
+     * @param {Object} options - { signal }
+     * @returns {Promise<Object>} - { content, structuredContent, isError }
+     */
+    callTool(toolName, args, { signal = null } = {}) {
+      return client.request('tools/call', { name: toolName, arguments: args }, { signal });
+    },
+
+    /**
+     * Check that the server still answers
+     *
+     * @param {Number} timeoutMs - How long to wait for the answer
+     */
+    async ping(timeoutMs = requestTimeoutMs) {
+      await client.request('ping', {}, { timeoutMs });
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+      await transport.close();
+      rejectPending(createMcpError('MCP_SERVER_UNAVAILABLE', `Connection to MCP server ${name} was closed`));
+    }
+  };
+
+  function rejectPending(error) {
+    for (const entry of [...pending.values()]) {
+      entry.reject(error);
+    }
+  }
+
+  function handleClose(reason) {
+    if (closed) return;
+    closed = true;
+    rejectPending(createMcpError('MCP_SERVER_UNAVAILABLE', `MCP server ${name} disconnected: ${reason?.message || 'connection closed'}`));
+    client.onclose?.(reason);
+  }
+
+  function handleMessage(message) {
+    // Response to one of our requests
+    if (message.id !== undefined && message.id !== null && !message.method) {
+      const entry = pending.get(message.id);
+      if (!entry) return;
+
+      if (message.error) {
+        entry.reject(createMcpError('MCP_REQUEST_FAILED', `MCP server ${name}: ${message.error.message}`, { rpcCode: message.error.code }));
+      } else {
+        entry.resolve(message.result || {});
+      }
+      return;
+    }
+
+    // Request from the server; only pings are supported since no client capabilities are declared
+    if (message.method && message.id !== undefined) {
+      const reply = message.method === 'ping'
+        ? { jsonrpc: '2.0', id: message.id, result: {} }
+        : { jsonrpc: '2.0', id: message.id, error: { code: -32601, message: `Method not supported: ${message.method}` } };
+      transport.send(reply).catch(() => {});
+      return;
+    }
+
+    if (message.method) {
+      client.onnotification?.(message);
+    }
+  }
+
+  return client;
+}
@@ -0,0 +1,297 @@
+/**
+ * MCP Tool Server
+ *
+ * Exposes the tool registry as a Model Context Protocol server, so MCP clients such as IDEs
+ * and desktop assistants can list the registry's tools and call them. This module handles the
+ * JSON-RPC messages of a session and is shared by the transports: the Streamable HTTP and
+ * HTTP+SSE endpoints in `routes/mcp.routes.js` and the stdio entrypoint in `mcpStdio.js`.
+ *
+ * Calls run through the executor like plan steps, so the tool's circuit breaker, timeout and
+ * retry policy apply and every attempt is recorded with `recordToolUsage`. Some tools are not
+ * offered:
+ *   - tools that need an approval under the approval threshold, since MCP has no way to ask
+ *     the user for one
+ *   - agent delegation tools, which only work inside an orchestrator query
+ *   - tools imported from other MCP servers, which clients can reach directly
+ *
+ * Configuration:
+ *   MCP_SERVER_NAME - Server name reported to clients (default emergent-agent-system)
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+import { executeTool } from '../core/executor.js';
+import { requiresApproval } from '../core/approvals.js';
+import { AGENT_TOOL_CATEGORY } from '../core/agents.js';
+import { isCancellation } from '../core/cancellation.js';
+
+// Protocol versions this server speaks, newest first
+export const MCP_SERVER_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Versions that know about `title`, `outputSchema` and `structuredContent`
+const STRUCTURED_CONTENT_VERSIONS = ['2025-06-18'];
+
+const SERVER_INFO = { name: process.env.MCP_SERVER_NAME || 'emergent-agent-system', version: '1.0.0' };
+
+// Names MCP clients accept for tools
+const INVALID_NAME_CHARACTERS = /[^A-Za-z0-9_-]/g;
+
+// MCP tool arguments are objects; other inputs are sent as the `input` argument
+const isObjectSchema = (schema) => schema?.type === 'object';
+
+function toArgumentsSchema(inputSchema) {
+  return isObjectSchema(inputSchema)
+    ? inputSchema
+    : { type: 'object', properties: { input: inputSchema }, required: ['input'] };
+}
+
+// JSON-RPC error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+function rpcResult(id, result) {
+  return { jsonrpc: '2.0', id, result };
+}
+
+function rpcError(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+/**
+ * Describe a risk level with MCP tool annotations
+ *
+ * @param {String} riskLevel - Risk level declared by the tool
+ * @returns {Object} - { readOnlyHint, destructiveHint, openWorldHint }
+ */
+function annotationsFor(riskLevel = 'read-only') {
+  return {
+    readOnlyHint: riskLevel === 'read-only',
+    destructiveHint: riskLevel !== 'read-only',
+    openWorldHint: riskLevel === 'external-side-effect'
+  };
+}
+
+/**
+ * Turn a tool output into an MCP call result
+ *
+ * @param {*} output - Tool output
+ * @param {Boolean} structured - Whether the client understands `structuredContent`
+ * @returns {Object} - { content, structuredContent }
+ */
+function toCallResult(output, structured) {
+  const text = typeof output === 'string' ? output : JSON.stringify(output ?? null, null, 2);
+  const isObject = output !== null && typeof output === 'object' && !Array.isArray(output);
+
+  return {
+    content: [{ type: 'text', text }],
+    ...(structured && isObject && { structuredContent: output })
+  };
+}
+
+/**
+ * Create the MCP server for a tool registry
+ *
+ * @param {Object} options - Server options
+ * @param {ToolRegistry} options.toolRegistry - Registry whose tools are served
+ * @param {String} options.approvalThreshold - Risk level from which tools need an approval
+ * @param {Function} options.onToolFailed - Optional callback ({ userId, failure }) for failed calls
+ * @returns {Object} - Server with createSession
+ */
+export function createMcpToolServer({ toolRegistry, approvalThreshold, onToolFailed = null }) {
+  const isExposed = (tool) => tool.category !== AGENT_TOOL_CATEGORY
+    && !tool.mcp
+    && !requiresApproval(tool.riskLevel, approvalThreshold);
+
+  // Exposed tools by the name clients see; names are sanitized and the first tool wins a clash.
+  // Clients get the default version of each tool.
+  const exposedTools = () => {
+    const tools = new Map();
+
+    for (const tool of toolRegistry.getCurrentTools()) {
+      if (!isExposed(tool)) continue;
+
+      const name = tool.name.replace(INVALID_NAME_CHARACTERS, '_').slice(0, 64);
+      if (tools.has(name)) {
+        logger.warn(`Not serving tool ${tool.name} over MCP: its name clashes with ${tools.get(name).name}`);
+        continue;
+      }
+      tools.set(name, tool);
+    }
+
+    return tools;
+  };
+
+  const describeTool = (name, tool, structured) => ({
+    name,
+    ...(structured && { title: tool.name }),
+    description: tool.description || tool.name,
+    inputSchema: toArgumentsSchema(tool.inputSchema),
+    ...(structured && tool.outputSchema?.type === 'object' && { outputSchema: tool.outputSchema }),
+    annotations: annotationsFor(tool.riskLevel)
+  });
+
+  return {
+    /**
+     * Start a client session
+     *
+     * @param {Object} identity - { userId, workspaceId } of the authenticated client
+     * @returns {Object} - Session with `id`, `handleMessage` and `close`
+     */
+    createSession({ userId, workspaceId = null }) {
+      const session = {
+        id: uuidv4(),
+        userId,
+        workspaceId,
+        protocolVersion: MCP_SERVER_PROTOCOL_VERSIONS[0],
+        clientInfo: null,
+        inFlight: new Map()
+      };
+
+      const structured = () => STRUCTURED_CONTENT_VERSIONS.includes(session.protocolVersion);
+
+      const callTool = async (id, params = {}) => {
+        const tool = exposedTools().get(params.name);
+        if (!tool) {
+          return rpcError(id, INVALID_PARAMS, `Unknown tool: ${params.name}`);
+        }
+
+        const args = params.arguments ?? {};
+        if (typeof args !== 'object' || Array.isArray(args)) {
+          return rpcError(id, INVALID_PARAMS, 'Tool arguments must be an object');
+        }
+
+        const input = isObjectSchema(tool.inputSchema) ? args : args.input;
+        const controller = new AbortController();
+        session.inFlight.set(id, controller);
+
+        try {
+          const { output } = await executeTool({
+            tool: tool.id,
+            input,
+            context: {
+              id: uuidv4(),
+              sessionId: session.id,
+              userId: session.userId,
+              workspaceId: session.workspaceId,
+              currentQuery: typeof input === 'string' ? input : JSON.stringify(input),
+              currentQueryId: null,
+              conversationHistory: [],
+              recalledMemories: []
+            },
+            toolRegistry,
+            signal: controller.signal
+          });
+
+          return rpcResult(id, toCallResult(output, structured()));
+        } catch (error) {
+          // Cancelled requests are not answered
+          if (isCancellation(error, controller.signal)) {
+            return null;
+          }
+
+          const [failure] = error.failures || [];
+          if (failure && onToolFailed) {
+            onToolFailed({ userId: session.userId, failure: { ...failure, source: 'mcp' } });
+          }
+
+          // Tool errors are results, so the model calling the tool gets to see them
+          return rpcResult(id, {
+            content: [{ type: 'text', text: failure?.error || error.message }],
+            isError: true
+          });
+        } finally {
+          session.inFlight.delete(id);
+        }
+      };
+
+      const handleRequest = async ({ id, method, params = {} }) => {
+        switch (method) {
+          case 'initialize': {
+            const requested = params.protocolVersion;
+            session.protocolVersion = MCP_SERVER_PROTOCOL_VERSIONS.includes(requested)
+              ? requested
+              : MCP_SERVER_PROTOCOL_VERSIONS[0];
+            session.clientInfo = params.clientInfo || null;
+
+            logger.info(`MCP session ${session.id} started by ${session.clientInfo?.name || 'unknown client'} for user ${session.userId}`);
+
+            return rpcResult(id, {
+              protocolVersion: session.protocolVersion,
+              capabilities: { tools: { listChanged: false } },
+              serverInfo: SERVER_INFO
+            });
+          }
+
+          case 'ping':
+            return rpcResult(id, {});
+
+          case 'tools/list':
+            // Every tool fits in one page
+            return rpcResult(id, {
+              tools: [...exposedTools()].map(([name, tool]) => describeTool(name, tool, structured()))
+            });
+
+          case 'tools/call':
+            return callTool(id, params);
+
+          default:
+            return rpcError(id, METHOD_NOT_FOUND, `Method not supported: ${method}`);
+        }
+      };
+
+      const handleNotification = ({ method, params = {} }) => {
+        if (method === 'notifications/cancelled') {
+          session.inFlight.get(params.requestId)?.abort();
+        }
+      };
+
+      return {
+        id: session.id,
+        userId: session.userId,
+
+        get protocolVersion() {
+          return session.protocolVersion;
+        },
+
+        /**
+         * Handle one JSON-RPC message from the client
+         *
+         * @param {Object} message - Request, notification or response
+         * @returns {Promise<Object|null>} - Response to send, or null if none is due
+         */
+        async handleMessage(message) {
+          if (!message || message.jsonrpc !== '2.0' || (typeof message.method !== 'string' && message.id === undefined)) {
+            return rpcError(message?.id ?? null, INVALID_REQUEST, 'Invalid JSON-RPC message');
+          }
+
+          // The server sends no requests, so responses from the client are ignored
+          if (typeof message.method !== 'string') {
+            return null;
+          }
+
+          if (message.id === undefined) {
+            handleNotification(message);
+            return null;
+          }
+
+          try {
+            return await handleRequest(message);
+          } catch (error) {
+            logger.error(`MCP session ${session.id} failed to handle ${message.method}:`, error);
+            return rpcError(message.id, INTERNAL_ERROR, 'Internal error');
+          }
+        },
+
+        /**
+         * End the session, cancelling the calls still running
+         */
+        close() {
+          session.inFlight.forEach(controller => controller.abort());
+          session.inFlight.clear();
+        }
+      };
+    }
+  };
+}
@@ -0,0 +1,447 @@
+/**
+ * MCP Servers
+ *
+ * Imports the tools of external Model Context Protocol servers into the tool registry. Each
+ * configured server is connected over stdio or Streamable HTTP and each of its tools is
+ * registered as `<server>.<tool>`, a proxied tool whose `execute` calls the server. The tool's
+ * input and output schemas are kept on the definition as `inputSchema` and `outputSchema`.
+ *
+ * When a server disconnects or stops answering pings its tools are unregistered and the
+ * connection is retried with exponential backoff. Servers that announce a change to their
+ * tool list are re-synced, so removed tools disappear from the registry as well.
+ *
+ * Servers are configured in the `mcpServers` format shared by other MCP clients, either in a
+ * JSON file or inline:
+ *
+ *   {
+ *     "mcpServers": {
+ *       "github": { "command": "npx", "args": ["-y", "@modelcontextprotocol/server-github"], "env": { "GITHUB_TOKEN": "..." } },
+ *       "search": { "url": "https://search.example.com/mcp", "headers": { "Authorization": "Bearer ..." } }
+ *     }
+ *   }
+ *
+ * A server may also set `riskLevel` and `timeoutMs` for its tools, `category` (default `mcp`),
+ * and `disabled` to keep it configured without connecting.
+ *
+ * Configuration:
+ *   MCP_SERVERS_FILE - Path of the server configuration file
+ *   MCP_SERVERS - Server configuration as JSON, used when no file is set
+ *   MCP_CONNECT_TIMEOUT_MS - Time allowed for each request while connecting (default 15000)
+ *   MCP_PING_INTERVAL_MS - How often connected servers are pinged (default 30000)
+ *   MCP_RECONNECT_MAX_MS - Longest wait between reconnection attempts (default 60000)
+ */
+
+import { promises as fs } from 'fs';
+import { logger } from '../utils/logger.js';
+import { createMcpClient, createStdioTransport, createHttpTransport } from './mcpClient.js';
+import { parseVersion } from '../core/semver.js';
+
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// First wait before reconnecting; doubles with every failed attempt
+const RECONNECT_BASE_MS = 1000;
+
+/**
+ * Load the MCP server configuration
+ *
+ * Problems are logged and skip the affected servers rather than failing startup.
+ *
+ * @returns {Promise<Object>} - Server configurations by server name
+ */
+export async function loadMcpServerConfig() {
+  let raw = process.env.MCP_SERVERS || null;
+
+  if (process.env.MCP_SERVERS_FILE) {
+    try {
+      raw = await fs.readFile(process.env.MCP_SERVERS_FILE, 'utf8');
+    } catch (error) {
+      logger.error(`Failed to read MCP server configuration ${process.env.MCP_SERVERS_FILE}:`, error);
+      return {};
+    }
+  }
+
+  if (!raw) {
+    return {};
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    logger.error('MCP server configuration is not valid JSON:', error);
+    return {};
+  }
+
+  const servers = {};
+  for (const [name, config] of Object.entries(parsed.mcpServers || parsed.servers || {})) {
+    if (!SERVER_NAME_PATTERN.test(name)) {
+      logger.error(`Skipping MCP server '${name}': names may only contain letters, digits, '_' and '-'`);
+    } else if (!config || (typeof config.command !== 'string' && typeof config.url !== 'string')) {
+      logger.error(`Skipping MCP server '${name}': it needs a command (stdio) or a url (HTTP)`);
+    } else if (!config.disabled) {
+      servers[name] = config;
+    }
+  }
+
+  return servers;
+}
+
+/**
+ * Pick the risk level of an MCP tool
+ *
+ * The server configuration wins; otherwise the tool's annotations are used, and tools that
+ * make no claims are assumed to act on the outside world.
+ *
+ * @param {Object} tool - MCP tool description
+ * @param {Object} config - Server configuration
+ * @returns {String} - Risk level
+ */
+function riskLevelOf(tool, config) {
+  if (config.riskLevel) {
+    return config.riskLevel;
+  }
+
+  const annotations = tool.annotations || {};
+  if (annotations.readOnlyHint) {
+    return 'read-only';
+  }
+  return annotations.openWorldHint === false ? 'writes-data' : 'external-side-effect';
+}
+
+/**
+ * Turn a step input into tool call arguments
+ *
+ * Planners often pass a plain string; it is used as the value of the tool's only string
+ * property, or sent as `input` if the schema does not say where it belongs.
+ *
+ * @param {*} input - Step input
+ * @param {Object} inputSchema - Tool input schema
+ * @returns {Object} - Arguments object
+ */
+function toArguments(input, inputSchema = {}) {
+  if (input && typeof input === 'object' && !Array.isArray(input)) {
+    return input;
+  }
+
+  const properties = Object.entries(inputSchema.properties || {});
+  const stringProperties = properties.filter(([, schema]) => schema?.type === 'string');
+  const target = stringProperties.length === 1
+    ? stringProperties[0][0]
+    : (inputSchema.required?.length === 1 ? inputSchema.required[0] : 'input');
+
+  return input === undefined || input === null ? {} : { [target]: input };
+}
+
+/**
+ * Turn a tool call result into the tool output
+ *
+ * @param {Object} result - tools/call result
+ * @param {String} toolName - Registered tool name, for errors
+ * @returns {*} - Structured content, the text of text-only results, or the content blocks
+ */
+function toToolOutput(result, toolName) {
+  const content = result.content || [];
+  const text = content.filter(block => block.type === 'text').map(block => block.text).join('\n');
+
+  if (result.isError) {
+    const error = new Error(`Tool ${toolName} failed: ${text || 'the MCP server reported an error'}`);
+    error.code = 'MCP_TOOL_ERROR';
+    throw error;
+  }
+
+  if (result.structuredContent !== undefined) {
+    return result.structuredContent;
+  }
+
+  return content.every(block => block.type === 'text') ? text : content;
+}
+
+/**
+ * Create the manager that keeps the registry in sync with the configured MCP servers
+ *
+ * @param {Object} registry - Tool registry
+ * @param {Object} options - { connectTimeoutMs, pingIntervalMs, reconnectMaxMs }
+ * @returns {Object} - MCP server manager
+ */
+export function createMcpServerManager(registry, {
+  connectTimeoutMs = Number(process.env.MCP_CONNECT_TIMEOUT_MS) || 15000,
+  pingIntervalMs = Number(process.env.MCP_PING_INTERVAL_MS) || 30000,
+  reconnectMaxMs = Number(process.env.MCP_RECONNECT_MAX_MS) || 60000
+} = {}) {
+  const servers = new Map();
+
+  const toolId = (server, toolName) => `mcp:${server.name}:${toolName}`;
+
+  const unregisterTools = (server) => {
+    for (const id of server.toolIds) {
+      registry.unregisterTool(id);
+    }
+    server.toolIds.clear();
+  };
+
+  const definitionFor = (server, tool) => {
+    const name = `${server.name}.${tool.name}`;
+    // Servers report free-form versions; tools need semantic ones
+    const serverVersion = server.client.serverInfo?.version;
+
+    return {
+      id: toolId(server, tool.name),
+      name,
+      description: tool.description || `${tool.title || tool.name} (from MCP server ${server.name})`,
+      category: server.config.category || 'mcp',
+      version: parseVersion(serverVersion) ? serverVersion : '1.0.0',
+      author: server.client.serverInfo?.name || server.name,
+      capabilities: ['mcp'],
+      keywords: [server.name, ...tool.name.split(/[_\-.\s]+/).filter(Boolean)],
+      riskLevel: riskLevelOf(tool, server.config),
+      inputSchema: tool.inputSchema || { type: 'object' },
+      // Structured results follow the declared schema; without one the text is returned as is
+      outputSchema: tool.outputSchema || {},
+      ...(server.config.timeoutMs && { timeoutMs: server.config.timeoutMs }),
+      mcp: { server: server.name, tool: tool.name, annotations: tool.annotations || null },
+      execute: async (input, context = {}) => {
+        // Calls go through whichever connection is current, so a reconnect does not strand the tool
+        if (server.status !== 'connected') {
+          const error = new Error(`MCP server ${server.name} is not connected`);
+          error.code = 'MCP_SERVER_UNAVAILABLE';
+          throw error;
+        }
+
+        const result = await server.client.callTool(tool.name, toArguments(input, tool.inputSchema), {
+          signal: context.signal
+        });
+        return toToolOutput(result, name);
+      }
+    };
+  };
+
+  // Register the server's current tools and unregister the ones it no longer offers
+  const syncTools = async (server) => {
+    const tools = await server.client.listTools();
+    const listedIds = new Set(tools.map(tool => toolId(server, tool.name)));
+
+    for (const id of [...server.toolIds]) {
+      if (!listedIds.has(id)) {
+        registry.unregisterTool(id);
+        server.toolIds.delete(id);
+      }
+    }
+
+    for (const tool of tools) {
+      const id = toolId(server, tool.name);
+      const definition = definitionFor(server, tool);
+      if (registry.getToolVersions(definition.name).some(existing => existing.id !== id)) {
+        logger.warn(`Skipping MCP tool ${definition.name}: a tool with that name is already registered`);
+        continue;
+      }
+
+      // Keep the usage statistics of tools that are registered again after a change
+      const stats = registry.usageStats.get(id);
+      if (registry.registerTool(definition)) {
+        server.toolIds.add(id);
+        if (stats) {
+          registry.usageStats.set(id, stats);
+        }
+      }
+    }
+
+    logger.info(`MCP server ${server.name} provides ${server.toolIds.size} tools`);
+  };
+
+  const clearTimers = (server) => {
+    clearTimeout(server.retryTimer);
+    clearInterval(server.pingTimer);
+    server.retryTimer = null;
+    server.pingTimer = null;
+  };
+
+  const scheduleReconnect = (server) => {
+    if (server.stopped) return;
+
+    clearTimeout(server.retryTimer);
+    const delay = Math.min(RECONNECT_BASE_MS * 2 ** server.attempts, reconnectMaxMs);
+    server.attempts++;
+    server.retryAt = new Date(Date.now() + delay).toISOString();
+    server.retryTimer = setTimeout(() => connect(server), delay);
+    server.retryTimer.unref?.();
+  };
+
+  // The server went away: take its tools out of the registry until it is back
+  const handleDisconnect = (server, client, reason) => {
+    if (server.stopped || server.client !== client) return;
+
+    logger.warn(`MCP server ${server.name} disconnected: ${reason?.message || 'connection closed'}`);
+    clearTimers(server);
+    unregisterTools(server);
+    server.status = 'disconnected';
+    server.error = reason?.message || null;
+    client.close().catch(() => {});
+    scheduleReconnect(server);
+  };
+
+  const connect = async (server) => {
+    const { name, config } = server;
+    const transport = config.url
+      ? createHttpTransport(config, name)
+      : createStdioTransport(config, name);
+    const client = createMcpClient({ name, transport, requestTimeoutMs: connectTimeoutMs });
+
+    server.client = client;
+    server.status = 'connecting';
+    server.retryAt = null;
+    server.retryTimer = null;
+    client.onclose = (reason) => handleDisconnect(server, client, reason);
+    client.onnotification = (message) => {
+      if (message.method === 'notifications/tools/list_changed' && server.status === 'connected') {
+        syncTools(server).catch(error => logger.error(`Failed to refresh tools of MCP server ${name}:`, error));
+      }
+    };
+
+    try {
+      await client.connect();
+      await syncTools(server);
+
+      if (server.stopped || server.client !== client) {
+        return;
+      }
+
+      server.status = 'connected';
+      server.error = null;
+      server.attempts = 0;
+      server.connectedAt = new Date().toISOString();
+      server.pingTimer = setInterval(() => {
+        client.ping(connectTimeoutMs).catch(error => handleDisconnect(server, client, error));
+      }, pingIntervalMs);
+      server.pingTimer.unref?.();
+
+      logger.info(`Connected to MCP server ${name} (${client.serverInfo?.name || 'unknown server'})`);
+    } catch (error) {
+      // Nothing to do if the server was stopped meanwhile, or the disconnect was already handled
+      if (server.stopped || server.client !== client || server.retryTimer) {
+        return;
+      }
+
+      logger.warn(`Failed to connect to MCP server ${name}: ${error.message}`);
+      unregisterTools(server);
+      server.status = 'disconnected';
+      server.error = error.message;
+      await client.close().catch(() => {});
+      scheduleReconnect(server);
+    }
+  };
+
+  const stopServer = async (server) => {
+    server.stopped = true;
+    clearTimers(server);
+    unregisterTools(server);
+    servers.delete(server.name);
+    await server.client?.close().catch(() => {});
+  };
+
+  return {
+    /**
+     * Connect to the configured servers and import their tools
+     *
+     * Servers that cannot be reached are retried in the background and do not delay startup
+     * beyond their first attempt.
+     *
+     * @param {Object} configs - Server configurations by name, from loadMcpServerConfig
+     */
+    async start(configs) {
+      await this.reload(configs);
+    },
+
+    /**
+     * Apply a new configuration: disconnect removed servers, reconnect changed ones and
+     * connect new ones
+     *
+     * @param {Object} configs - Server configurations by name
+     * @returns {Promise<Array>} - Status of every server
+     */
+    async reload(configs) {
+      const changed = [];
+
+      for (const server of [...servers.values()]) {
+        const config = configs[server.name];
+        if (!config || JSON.stringify(config) !== JSON.stringify(server.config)) {
+          logger.info(`Disconnecting MCP server ${server.name}: ${config ? 'configuration changed' : 'removed from configuration'}`);
+          await stopServer(server);
+        }
+      }
+
+      for (const [name, config] of Object.entries(configs)) {
+        if (!servers.has(name)) {
+          const server = {
+            name,
+            config,
+            client: null,
+            status: 'connecting',
+            toolIds: new Set(),
+            error: null,
+            attempts: 0,
+            connectedAt: null,
+            retryAt: null,
+            retryTimer: null,
+            pingTimer: null,
+            stopped: false
+          };
+          servers.set(name, server);
+          changed.push(connect(server));
+        }
+      }
+
+      await Promise.all(changed);
+      return this.listServers();
+    },
+
+    /**
+     * Reconnect a server now instead of waiting for its next attempt
+     *
+     * @param {String} name - Server name
+     * @returns {Promise<Object|null>} - Server status, or null for unknown servers
+     */
+    async reconnect(name) {
+      const server = servers.get(name);
+      if (!server) {
+        return null;
+      }
+
+      clearTimers(server);
+      unregisterTools(server);
+      server.attempts = 0;
+
+      // Replace the client first so closing the old one is not treated as a disconnect
+      const previous = server.client;
+      server.client = null;
+      await previous?.close().catch(() => {});
+      await connect(server);
+
+      return this.listServers().find(entry => entry.name === name);
+    },
+
+    /**
+     * Describe the configured servers
+     *
+     * @returns {Array} - [{ name, transport, status, tools, error, connectedAt, retryAt, serverInfo }]
+     */
+    listServers() {
+      return [...servers.values()].map(server => ({
+        name: server.name,
+        transport: server.config.url ? 'http' : 'stdio',
+        status: server.status,
+        tools: [...server.toolIds].map(id => registry.get(id)?.name).filter(Boolean),
+        error: server.error,
+        connectedAt: server.connectedAt,
+        retryAt: server.retryAt,
+        serverInfo: server.client?.serverInfo || null
+      }));
+    },
+
+    /**
+     * Disconnect every server and unregister their tools
+     */
+    async stop() {
+      await Promise.all([...servers.values()].map(stopServer));
+    }
+  };
+}
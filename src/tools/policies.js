@@ -0,0 +1,178 @@
+/**
+ * Tool Execution Policies
+ *
+ * Resolves the timeout, retry and circuit-breaker settings declared by a tool definition and
+ * runs tool invocations under them. Tools may declare:
+ *
+ * - timeoutMs: maximum time for a single attempt
+ * - retry: { attempts, backoffMs, multiplier, maxBackoffMs } for retrying failed attempts
+ * - circuitBreaker: { failureThreshold, cooldownMs } for taking a failing tool out of service
+ *
+ * Anything a tool does not declare falls back to the environment-wide defaults.
+ */
+
+import { throwIfCancelled, isCancellation } from '../core/cancellation.js';
+
+/**
+ * Get the default policy from the environment
+ *
+ * @returns {Object} - Default tool policy
+ */
+export function getDefaultToolPolicy() {
+  return {
+    timeoutMs: Number(process.env.TOOL_TIMEOUT_MS) || 30000,
+    retry: {
+      attempts: Number(process.env.TOOL_RETRY_ATTEMPTS) || 0,
+      backoffMs: Number(process.env.TOOL_RETRY_BACKOFF_MS) || 500,
+      multiplier: 2,
+      maxBackoffMs: 10000
+    },
+    circuitBreaker: {
+      failureThreshold: Number(process.env.TOOL_BREAKER_THRESHOLD) || 5,
+      cooldownMs: Number(process.env.TOOL_BREAKER_COOLDOWN_MS) || 60000
+    }
+  };
+}
+
+/**
+ * Resolve the effective policy for a tool
+ *
+ * @param {Object} tool - Tool definition
+ * @returns {Object} - { timeoutMs, retry, circuitBreaker }
+ */
+export function resolveToolPolicy(tool = {}) {
+  const defaults = getDefaultToolPolicy();
+
+  return {
+    timeoutMs: tool.timeoutMs || defaults.timeoutMs,
+    retry: { ...defaults.retry, ...(tool.retry || {}) },
+    circuitBreaker: { ...defaults.circuitBreaker, ...(tool.circuitBreaker || {}) }
+  };
+}
+
+/**
+ * Wait for a delay, stopping early if the query is cancelled
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason || new Error('Query was cancelled'));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason || new Error('Query was cancelled'));
+    };
+
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener('abort', onAbort);
+      }
+      resolve();
+    }, ms);
+
+    if (signal) {
+      signal.addEventListener('abort', onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Run a single attempt with a timeout
+ *
+ * The tool receives its own abort signal, which fires when the attempt times out or when
+ * the query is cancelled.
+ */
+async function runAttempt(tool, input, context, { timeoutMs, signal }) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+
+  if (signal) {
+    signal.addEventListener('abort', onAbort, { once: true });
+  }
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Tool ${tool.name} timed out after ${timeoutMs}ms`);
+      error.code = 'TOOL_TIMEOUT';
+      // Reject before aborting so the timeout wins over any abort error thrown by the tool
+      reject(error);
+      controller.abort(error);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([
+      tool.execute(input, { ...context, signal: controller.signal }),
+      timeout
+    ]);
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', onAbort);
+    }
+  }
+}
+
+/**
+ * Execute a tool under its timeout and retry policy
+ *
+ * @param {Object} tool - Tool definition
+ * @param {*} input - Tool input
+ * @param {Object} context - Execution context passed to the tool
+ * @param {Object} options - Execution options
+ * @param {AbortSignal} options.signal - Abort signal for the query
+ * @param {Function} options.onAttempt - Called after each attempt with
+ *                                       { attempt, success, executionTime, error }
+ * @param {Function} options.canRetry - Optional check made before each retry, after the failed
+ *                                      attempt was reported, e.g. whether the tool's circuit
+ *                                      breaker is still closed
+ * @param {Function} options.onRetry - Called before each retry with { attempt, error, delayMs }
+ * @returns {Promise<Object>} - { output, attempts }
+ */
+export async function executeWithPolicy(tool, input, context, { signal = null, onAttempt = null, canRetry = null, onRetry = null } = {}) {
+  const { timeoutMs, retry } = resolveToolPolicy(tool);
+  const maxAttempts = 1 + Math.max(0, retry.attempts);
+  let backoff = retry.backoffMs;
+
+  for (let attempt = 1; ; attempt++) {
+    throwIfCancelled(signal);
+    const startTime = Date.now();
+
+    try {
+      const output = await runAttempt(tool, input, context, { timeoutMs, signal });
+
+      if (onAttempt) {
+        onAttempt({ attempt, success: true, executionTime: Date.now() - startTime });
+      }
+
+      return { output, attempts: attempt };
+    } catch (error) {
+      if (isCancellation(error, signal)) {
+        throw error;
+      }
+
+      if (onAttempt) {
+        onAttempt({ attempt, success: false, executionTime: Date.now() - startTime, error });
+      }
+
+      // Tools can mark errors as permanent so they are not retried. canRetry runs after the
+      // attempt was reported, so it sees a circuit breaker opened by this failure.
+      const willRetry = attempt < maxAttempts && error.retryable !== false && (!canRetry || canRetry());
+
+      if (!willRetry) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      if (onRetry) {
+        onRetry({ attempt, error, delayMs: backoff });
+      }
+
+      await delay(backoff, signal);
+      backoff = Math.min(backoff * retry.multiplier, retry.maxBackoffMs);
+    }
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Tool Recommendations
+ *
+ * Ranks tools by how close their meaning is to a query. Each tool is embedded as a few texts:
+ * its name and description, its capabilities and keywords, and each example query listed in
+ * its `examples`. A tool is as similar to a query as its closest text, so "will I need an
+ * umbrella tomorrow" can reach a weather tool through its description or examples without
+ * sharing a keyword with it.
+ *
+ * Embeddings come from the client's embeddings endpoint when one is configured. Without one,
+ * or while it fails, tools are ranked with local hashed token vectors (see
+ * llm/providers/fake.js), which match shared words but not synonyms. Tool vectors are kept
+ * until the tool's texts change or the tool is unregistered.
+ *
+ * The two kinds of vectors need their own thresholds: embedding models place almost any two
+ * texts above a cosine of 0.2, while hashed vectors of texts without a shared word score 0.
+ *
+ * Configuration:
+ *   TOOL_RECOMMENDATION_MIN_SIMILARITY       - Similarity a tool needs to be recommended with
+ *                                              the embeddings endpoint (default 0.45)
+ *   TOOL_RECOMMENDATION_LOCAL_MIN_SIMILARITY - Similarity a tool needs to be recommended with
+ *                                              local embeddings (default 0.2)
+ */
+
+import { logger } from '../utils/logger.js';
+import { embedTexts } from '../llm/embeddings.js';
+import { hashEmbedding } from '../llm/providers/fake.js';
+import { cosineSimilarity } from '../data/vectorStore.js';
+
+const DEFAULT_MIN_SIMILARITY = { remote: 0.45, local: 0.2 };
+
+// Size of the local vectors; tool texts are short, so words rarely share a bucket
+const LOCAL_DIMENSIONS = 1024;
+
+// Words that say nothing about which tool fits, left out of the local vectors
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'can', 'do', 'does', 'for', 'from', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'please', 's', 'the', 'this', 'to',
+  'what', 'when', 'where', 'which', 'who', 'will', 'with', 'you', 'your'
+]);
+
+/**
+ * Texts a tool is embedded as
+ *
+ * @param {Object} tool - Tool definition
+ * @returns {Array<String>} - Non-empty texts describing the tool
+ */
+function toolTexts(tool) {
+  // Tool names are usually identifiers, e.g. WeatherLookup or web_search
+  const name = tool.name.replace(/([a-z0-9])([A-Z])/g, '$1 $2').replace(/[_-]+/g, ' ');
+
+  return [
+    tool.description ? `${name}: ${tool.description}` : name,
+    [...(tool.capabilities || []), ...(tool.keywords || [])].join(', '),
+    ...(tool.examples || [])
+  ].filter(text => text.trim());
+}
+
+/**
+ * Embed a text without an embeddings endpoint
+ *
+ * @param {String} text - Text to embed
+ * @returns {Array<Number>} - Hashed vector of the text's meaningful words
+ */
+function localEmbedding(text) {
+  const words = (String(text).toLowerCase().match(/[a-z0-9]+/g) || [])
+    .filter(word => !STOP_WORDS.has(word))
+    // Plurals match their singular, e.g. "documents" and "document"
+    .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+
+  return hashEmbedding(words.join(' '), LOCAL_DIMENSIONS);
+}
+
+/**
+ * Create a tool ranker
+ *
+ * @param {Object} options - Ranker options
+ * @param {Object} options.llmClient - Optional OpenAI-compatible client used for embeddings
+ * @param {String} options.embeddingModel - Embedding model passed to the client
+ * @param {Number} options.minSimilarity - Similarity a tool needs to be recommended with the
+ *                                         embeddings endpoint
+ * @param {Number} options.localMinSimilarity - Similarity a tool needs to be recommended with
+ *                                              local embeddings
+ * @returns {Object} - Ranker with `rank(query, tools, options)` and `forget(toolId)`
+ */
+export function createToolRanker(options = {}) {
+  const { llmClient = null, embeddingModel } = options;
+  const minSimilarity = {
+    remote: options.minSimilarity ??
+      (Number(process.env.TOOL_RECOMMENDATION_MIN_SIMILARITY) || DEFAULT_MIN_SIMILARITY.remote),
+    local: options.localMinSimilarity ??
+      (Number(process.env.TOOL_RECOMMENDATION_LOCAL_MIN_SIMILARITY) || DEFAULT_MIN_SIMILARITY.local)
+  };
+
+  // Vectors of each tool's texts, by tool ID, for each kind of embedding
+  const cache = { remote: new Map(), local: new Map() };
+
+  const cached = (kind, tool, texts) => {
+    const entry = cache[kind].get(tool.id);
+    return entry && entry.key === texts.join('\n') ? entry.vectors : null;
+  };
+
+  const store = (kind, tool, texts, vectors) => {
+    cache[kind].set(tool.id, { key: texts.join('\n'), vectors });
+  };
+
+  const embedLocally = (query, tools) => ({
+    queryVector: localEmbedding(query),
+    toolVectors: tools.map(tool => {
+      const texts = toolTexts(tool);
+      let vectors = cached('local', tool, texts);
+
+      if (!vectors) {
+        vectors = texts.map(localEmbedding);
+        store('local', tool, texts, vectors);
+      }
+      return vectors;
+    })
+  });
+
+  // Embed the query together with the texts of the tools not embedded yet, in one request
+  const embedRemotely = async (query, tools, signal) => {
+    const texts = tools.map(toolTexts);
+    const missing = tools
+      .map((tool, index) => index)
+      .filter(index => !cached('remote', tools[index], texts[index]));
+
+    const vectors = await embedTexts(
+      [query, ...missing.flatMap(index => texts[index])],
+      llmClient,
+      { model: embeddingModel, signal }
+    );
+
+    let offset = 1;
+    for (const index of missing) {
+      store('remote', tools[index], texts[index], vectors.slice(offset, offset + texts[index].length));
+      offset += texts[index].length;
+    }
+
+    return {
+      queryVector: vectors[0],
+      toolVectors: tools.map((tool, index) => cached('remote', tool, texts[index]))
+    };
+  };
+
+  return {
+    /**
+     * Rank tools by similarity to a query
+     *
+     * @param {String} query - User query text
+     * @param {Array} tools - Candidate tool definitions
+     * @param {Object} rankOptions - { signal } to abort the embeddings request
+     * @returns {Promise<Array>} - [{ tool, similarity }] for the tools similar enough to the
+     *                             query, most similar first
+     */
+    async rank(query, tools, { signal } = {}) {
+      if (!query || !query.trim() || tools.length === 0) {
+        return [];
+      }
+
+      let embedded = null;
+
+      if (llmClient?.embeddings) {
+        try {
+          embedded = await embedRemotely(query, tools, signal);
+        } catch (error) {
+          if (signal?.aborted) {
+            throw error;
+          }
+          logger.warn('Tool embeddings failed, ranking tools with local embeddings:', error);
+        }
+      }
+
+      const { queryVector, toolVectors } = embedded || embedLocally(query, tools);
+      const threshold = embedded ? minSimilarity.remote : minSimilarity.local;
+
+      return tools
+        .map((tool, index) => ({
+          tool,
+          similarity: Math.max(0, ...toolVectors[index].map(vector => cosineSimilarity(queryVector, vector)))
+        }))
+        .filter(({ similarity }) => similarity >= threshold)
+        .sort((a, b) => b.similarity - a.similarity);
+    },
+
+    /**
+     * Drop the vectors kept for a tool
+     *
+     * @param {String} toolId - Tool ID
+     */
+    forget(toolId) {
+      cache.remote.delete(toolId);
+      cache.local.delete(toolId);
+    }
+  };
+}
@@ -8,30 +8,149 @@
 
 import { promises as fs } from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { v4 as uuidv4 } from 'uuid';
 import { logger } from '../utils/logger.js';
 import { validateToolDefinition } from './validator.js';
+import { compareVersions, isPrerelease, isValidRange, satisfiesRange } from '../core/semver.js';
+import { resolveToolPolicy } from './policies.js';
+import { createMcpServerManager, loadMcpServerConfig } from './mcpServers.js';
+import { loadSandboxedTool, loadSandboxGrants } from './sandbox.js';
+import { createToolWatcher } from './watcher.js';
+import { createToolRanker } from './recommendations.js';
+import { createMemoryToolUsageStore, ROLLUP_INTERVALS } from '../data/toolUsageStore.js';
+import { createExposedError } from '../core/errors.js';
 
 // Get the directory path
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+/**
+ * Side-effect levels a tool can declare, ordered from least to most dangerous
+ * 
+ * - read-only: only reads data
+ * - writes-data: creates, modifies or deletes data owned by the system or the user
+ * - external-side-effect: acts on the outside world (sends messages, makes payments, calls third-party APIs)
+ */
+export const RISK_LEVELS = ['read-only', 'writes-data', 'external-side-effect'];
+
+// Version of tools whose definition does not declare one
+const DEFAULT_VERSION = '0.0.0';
+
+// Sessions that called a version within this many days count as still using it
+const VERSION_SESSION_DAYS = 30;
+
+// Sessions listed per tool version in the version history
+const MAX_LISTED_SESSIONS = 50;
+
+// Buckets a usage history may have, e.g. 31 days of hourly buckets
+const MAX_USAGE_BUCKETS = 744;
+
+// Buckets of a usage history that does not give a range: the last 24 hours or 30 days
+const DEFAULT_USAGE_BUCKETS = { hour: 24, day: 30 };
+
+// Schema of the tool summaries ToolDiscovery returns
+const TOOL_SUMMARY_SCHEMA = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    description: { type: 'string' },
+    category: { type: 'string' },
+    capabilities: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['name']
+};
+
+/**
+ * Read the tool definition in a file
+ * 
+ * @param {String} filePath - Path of a .js or .json tool file
+ * @param {Object} options - { directory, sandboxGrants, reload } where `reload` re-imports a
+ *                           module that was imported before
+ * @returns {Promise<Object>} - The tool definition
+ */
+async function readToolDefinition(filePath, { directory, sandboxGrants = null, reload = false }) {
+  if (filePath.endsWith('.json')) {
+    return JSON.parse(await fs.readFile(filePath, 'utf8'));
+  }
+  
+  if (sandboxGrants) {
+    // Read the definition inside the sandbox the tool will run in
+    return loadSandboxedTool(filePath, { toolsDir: directory, grant: sandboxGrants[path.basename(filePath)] });
+  }
+  
+  // Imported modules are cached by URL, so a reload imports the file under a new one. The
+  // previous versions stay in memory, which is acceptable for the built-in tools.
+  const url = pathToFileURL(filePath).href;
+  const module = await import(reload ? `${url}?v=${Date.now()}` : url);
+  return module.default || module;
+}
+
+function versionOf(tool) {
+  return tool.version || DEFAULT_VERSION;
+}
+
+// `Weather@^2.1` names a tool and a version range; names without a valid range are plain names
+function parseToolReference(identifier) {
+  const at = identifier.lastIndexOf('@');
+  const range = at > 0 ? identifier.slice(at + 1) : null;
+  
+  return range !== null && isValidRange(range)
+    ? { name: identifier.slice(0, at), range }
+    : { name: identifier, range: null };
+}
+
+// Version range pinned for a tool, matching its name case-insensitively
+function pinnedRange(versions, name) {
+  if (!versions) {
+    return null;
+  }
+  
+  const lowerName = name.toLowerCase();
+  const pin = Object.entries(versions).find(([pinnedName]) => pinnedName.toLowerCase() === lowerName);
+  return pin ? pin[1] : null;
+}
+
+function summarizeTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    category: tool.category,
+    capabilities: tool.capabilities
+  };
+}
+
 /**
  * Represents the registry of all available tools for the agent
  */
 class ToolRegistry extends Map {
-  constructor() {
+  /**
+   * @param {Object} options - { llmClient } used to embed tools for recommendations, and
+   *                           { usageStore } persisting every invocation (in memory by default)
+   */
+  constructor(options = {}) {
     super();
     this.categories = new Map();
     this.capabilities = new Set();
     this.metadataIndex = new Map();
     this.usageStats = new Map();
+    this.circuits = new Map();
+    // IDs of every registered version of a tool, by lower-cased tool name
+    this.versions = new Map();
+    // IDs of the tools loaded from files, by file path
+    this.toolFiles = new Map();
+    // Ranks tools by similarity to a query
+    this.ranker = createToolRanker({ llmClient: options.llmClient });
+    // Every invocation, for the usage history
+    this.usageStore = options.usageStore || createMemoryToolUsageStore();
   }
   
   /**
    * Register a new tool in the registry
    * 
+   * Versions of a tool are kept side by side. A definition replaces the registered tool with
+   * the same ID, or with the same name and version.
+   * 
    * @param {Object} toolDefinition - The tool definition object
    * @returns {Boolean} - True if registration was successful
    */
@@ -41,11 +160,28 @@ class ToolRegistry extends Map {
       const validatedTool = validateToolDefinition(toolDefinition);
       const toolId = validatedTool.id || uuidv4();
       
+      // Tools that do not declare side effects are treated as read-only
+      const riskLevel = validatedTool.riskLevel || 'read-only';
+      if (!RISK_LEVELS.includes(riskLevel)) {
+        throw new Error(`Invalid risk level '${riskLevel}' for tool ${validatedTool.name}`);
+      }
+      
+      const replacedIds = new Set([toolId, this.findVersion(validatedTool.name, versionOf(validatedTool))?.id]);
+      for (const replacedId of replacedIds) {
+        if (replacedId && this.has(replacedId)) {
+          this.unregisterTool(replacedId);
+        }
+      }
+      
       // Store the tool with its ID as the key
-      this.set(toolId, validatedTool);
+      this.set(toolId, { ...validatedTool, id: toolId, riskLevel });
       
       // Index the tool by name for easier lookups
-      this.metadataIndex.set('name:' + validatedTool.name.toLowerCase(), toolId);
+      const nameKey = validatedTool.name.toLowerCase();
+      if (!this.versions.has(nameKey)) {
+        this.versions.set(nameKey, new Set());
+      }
+      this.versions.get(nameKey).add(toolId);
       
       // Add to category index
       if (validatedTool.category) {
@@ -84,10 +220,11 @@ class ToolRegistry extends Map {
         failureCount: 0,
         averageExecutionTime: 0,
         totalExecutions: 0,
+        consecutiveFailures: 0,
         lastUsed: null
       });
       
-      logger.info(`Tool registered: ${validatedTool.name} (${toolId})`);
+      logger.info(`Tool registered: ${validatedTool.name} ${versionOf(validatedTool)} (${toolId})`);
       return true;
     } catch (error) {
       logger.error(`Failed to register tool: ${error.message}`, error);
@@ -102,20 +239,10 @@ class ToolRegistry extends Map {
    * @returns {Boolean} - True if the tool was successfully unregistered
    */
   unregisterTool(toolIdentifier) {
-    // Determine if the identifier is an ID or name
-    let toolId = toolIdentifier;
-    if (!this.has(toolIdentifier)) {
-      // Try looking up by name
-      const key = 'name:' + toolIdentifier.toLowerCase();
-      if (this.metadataIndex.has(key)) {
-        toolId = this.metadataIndex.get(key);
-      } else {
-        return false; // Tool not found
-      }
-    }
+    const toolId = this.resolveToolId(toolIdentifier);
     
-    if (!this.has(toolId)) {
-      return false;
+    if (!toolId) {
+      return false; // Tool not found
     }
     
     const tool = this.get(toolId);
@@ -124,7 +251,11 @@ class ToolRegistry extends Map {
     this.delete(toolId);
     
     // Remove from name index
-    this.metadataIndex.delete('name:' + tool.name.toLowerCase());
+    const nameKey = tool.name.toLowerCase();
+    this.versions.get(nameKey)?.delete(toolId);
+    if (this.versions.get(nameKey)?.size === 0) {
+      this.versions.delete(nameKey);
+    }
     
     // Remove from category index
     if (tool.category && this.categories.has(tool.category)) {
@@ -162,21 +293,335 @@ class ToolRegistry extends Map {
       }
     }
     
-    // Remove usage statistics
+    // Remove usage statistics and breaker state
     this.usageStats.delete(toolId);
+    this.circuits.delete(toolId);
+    this.ranker.forget(toolId);
     
-    logger.info(`Tool unregistered: ${tool.name} (${toolId})`);
+    logger.info(`Tool unregistered: ${tool.name} ${versionOf(tool)} (${toolId})`);
     return true;
   }
+
+  /**
+   * Replace a registered tool with a new version of its definition
+   *
+   * The new definition is validated before the current version is touched, and the current
+   * version is registered again if the new one is rejected. A definition that keeps the
+   * tool's name and version keeps its ID, its usage statistics are kept as well and its
+   * circuit breaker is closed, so the new code gets a chance to run.
+   *
+   * @param {String|null} toolIdentifier - ID or name of the current version, or null for a new tool
+   * @param {Object} toolDefinition - The new tool definition
+   * @returns {String|null} - ID of the registered tool, or null if the definition was rejected
+   */
+  replaceTool(toolIdentifier, toolDefinition) {
+    const previousId = this.resolveToolId(toolIdentifier);
+    const previous = previousId ? this.get(previousId) : null;
+
+    try {
+      validateToolDefinition(toolDefinition);
+    } catch (error) {
+      logger.error(`Failed to register tool: ${error.message}`, error);
+      return null;
+    }
+
+    // A version registered by another tool must not be taken over
+    const version = versionOf(toolDefinition);
+    const existing = this.findVersion(toolDefinition.name, version);
+    if (existing && existing.id !== previousId) {
+      logger.error(`Failed to register tool: ${toolDefinition.name} ${version} is already registered`);
+      return null;
+    }
+
+    const sameVersion = previous?.name === toolDefinition.name && compareVersions(versionOf(previous), version) === 0;
+    const toolId = toolDefinition.id || (sameVersion ? previousId : uuidv4());
+    const previousStats = previousId ? this.usageStats.get(previousId) : null;
+    const previousCircuit = previousId ? this.circuits.get(previousId) : null;
+
+    if (previousId) {
+      this.unregisterTool(previousId);
+    }
+
+    if (!this.registerTool({ ...toolDefinition, id: toolId })) {
+      if (previous) {
+        this.registerTool(previous);
+        this.usageStats.set(previousId, previousStats);
+        if (previousCircuit) {
+          this.circuits.set(previousId, previousCircuit);
+        }
+      }
+      return null;
+    }
+
+    if (toolId === previousId) {
+      this.usageStats.set(toolId, { ...previousStats, consecutiveFailures: 0 });
+    }
+
+    return toolId;
+  }
+
+  /**
+   * Load a tool file again after it changed
+   *
+   * A file that no longer exists has its tool unregistered. A file that cannot be read or
+   * whose definition is invalid leaves the registered version in place.
+   *
+   * @param {String} filePath - Path of the tool file
+   * @param {Object} options - { directory, sandboxGrants } as for loadFromDirectory
+   * @returns {Promise<Object|null>} - { action: 'added' | 'updated' | 'removed', toolId, name, file },
+   *                                   or null if the registry did not change
+   */
+  async reloadToolFile(filePath, { directory = path.dirname(filePath), sandboxGrants = null } = {}) {
+    const previousId = this.has(this.toolFiles.get(filePath)) ? this.toolFiles.get(filePath) : null;
+    const file = path.basename(filePath);
+
+    const exists = await fs.access(filePath).then(() => true, () => false);
+
+    if (!exists) {
+      this.toolFiles.delete(filePath);
+
+      if (!previousId) {
+        return null;
+      }
+
+      const { name } = this.get(previousId);
+      this.unregisterTool(previousId);
+      return { action: 'removed', toolId: previousId, name, file };
+    }
+
+    let toolDefinition;
+    try {
+      toolDefinition = await readToolDefinition(filePath, { directory, sandboxGrants, reload: true });
+    } catch (error) {
+      logger.error(`Error reloading tool from file ${file}, keeping the registered version:`, error);
+      return null;
+    }
+
+    const toolId = this.replaceTool(previousId, toolDefinition);
+
+    if (!toolId) {
+      logger.warn(`Tool file ${file} was not reloaded, keeping the registered version`);
+      return null;
+    }
+
+    this.toolFiles.set(filePath, toolId);
+    return { action: previousId ? 'updated' : 'added', toolId, name: toolDefinition.name, file };
+  }
+
+  /**
+   * Resolve a tool ID from an ID, a tool name or a name with a version range
+   * 
+   * Names resolve to the version pinned in `options.versions`, or else to the default
+   * version (see resolveVersion). A range in the identifier, as in `Weather@^2.1`, takes
+   * precedence over the pin.
+   * 
+   * @param {String} toolIdentifier - Tool ID, name or `name@range`
+   * @param {Object} options - { versions } where versions maps tool names to version ranges
+   * @returns {String|null} - The tool ID, or null if no such tool is registered
+   */
+  resolveToolId(toolIdentifier, { versions = null } = {}) {
+    if (!toolIdentifier) {
+      return null;
+    }
+    
+    if (this.has(toolIdentifier)) {
+      return toolIdentifier;
+    }
+    
+    // Try looking up by name
+    const { name, range } = parseToolReference(String(toolIdentifier));
+    return this.resolveVersion(name, range ?? pinnedRange(versions, name))?.id || null;
+  }
+  
+  /**
+   * Get every registered version of a tool
+   * 
+   * @param {String} name - Tool name
+   * @returns {Array} - Tool definitions, newest version first
+   */
+  getToolVersions(name) {
+    return [...(this.versions.get(String(name).toLowerCase()) || [])]
+      .map(toolId => this.get(toolId))
+      .sort((a, b) => compareVersions(versionOf(b), versionOf(a)));
+  }
+  
+  /**
+   * Find a registered version of a tool
+   * 
+   * @param {String} name - Tool name
+   * @param {String} version - Exact version
+   * @returns {Object|null} - The tool definition, or null if that version is not registered
+   */
+  findVersion(name, version) {
+    return this.getToolVersions(name).find(tool => compareVersions(versionOf(tool), version) === 0) || null;
+  }
+  
+  /**
+   * Pick the version of a tool to use
+   * 
+   * Versions past their sunset date are never picked. With a range, the newest version in
+   * the range is used. Otherwise the default is the newest stable version, one that is
+   * neither a prerelease nor deprecated, falling back to the newest release and then to the
+   * newest prerelease when there is none.
+   * 
+   * @param {String} name - Tool name
+   * @param {String} range - Optional version range
+   * @returns {Object|null} - The tool definition, or null if no version qualifies
+   */
+  resolveVersion(name, range = null) {
+    const candidates = this.getToolVersions(name).filter(tool => !this.getReleaseState(tool).retired);
+    
+    if (range) {
+      return candidates.find(tool => satisfiesRange(versionOf(tool), range)) || null;
+    }
+    
+    return candidates.find(tool => !isPrerelease(versionOf(tool)) && !this.getReleaseState(tool).deprecated) ||
+      candidates.find(tool => !isPrerelease(versionOf(tool))) ||
+      candidates[0] ||
+      null;
+  }
+  
+  /**
+   * Describe the release state of a tool version
+   * 
+   * A version is deprecated when its definition sets `deprecated` (true or a message) or a
+   * `sunsetAt` date, and retired once the sunset date has passed.
+   * 
+   * @param {Object} tool - Tool definition
+   * @returns {Object} - { version, prerelease, deprecated, deprecationMessage, sunsetAt, retired }
+   */
+  getReleaseState(tool) {
+    const sunsetAt = tool.sunsetAt ? new Date(tool.sunsetAt).toISOString() : null;
+    
+    return {
+      version: versionOf(tool),
+      prerelease: isPrerelease(versionOf(tool)),
+      deprecated: Boolean(tool.deprecated || sunsetAt),
+      deprecationMessage: typeof tool.deprecated === 'string' ? tool.deprecated : null,
+      sunsetAt,
+      retired: Boolean(sunsetAt) && Date.parse(sunsetAt) <= Date.now()
+    };
+  }
+  
+  /**
+   * Get the version of every tool that a session would use
+   * 
+   * @param {Object} versions - Optional version ranges pinned by tool name
+   * @returns {Array} - One tool definition per tool name
+   */
+  getCurrentTools(versions = null) {
+    return [...this.versions.keys()]
+      .map(nameKey => this.resolveToolId(nameKey, { versions }))
+      .filter(Boolean)
+      .map(toolId => this.get(toolId));
+  }
+  
+  /**
+   * Check version pins before they are saved for a session or a scheduled task
+   * 
+   * @param {Object} versions - Version ranges by tool name
+   * @returns {Object} - The pins, keyed by the tools' registered names
+   * @throws {Error} - INVALID_REQUEST for unknown tools and invalid or unsatisfiable ranges
+   */
+  validateVersionPins(versions) {
+    if (!versions || typeof versions !== 'object' || Array.isArray(versions)) {
+      throw createExposedError('INVALID_REQUEST', 'Tool versions must map tool names to version ranges');
+    }
+    
+    return Object.fromEntries(Object.entries(versions).map(([name, range]) => {
+      const [tool] = this.getToolVersions(name);
+      
+      if (!tool) {
+        throw createExposedError('INVALID_REQUEST', `Unknown tool: ${name}`);
+      }
+      if (typeof range !== 'string' || !isValidRange(range)) {
+        throw createExposedError('INVALID_REQUEST', `Invalid version range for ${tool.name}: ${range}`);
+      }
+      if (!this.resolveVersion(tool.name, range)) {
+        throw createExposedError('INVALID_REQUEST', `No available version of ${tool.name} matches ${range}`);
+      }
+      return [tool.name, range];
+    }));
+  }
+  
+  /**
+   * Get the version history of a tool
+   * 
+   * The sessions that used each version are read from the usage store, so they include the
+   * sessions of other processes and of earlier runs of this one.
+   * 
+   * @param {String} toolIdentifier - ID or name of any version of the tool
+   * @param {Object} options - { userId } to only list the sessions of one user
+   * @returns {Promise<Object|null>} - { name, defaultVersion, versions } where each version
+   *                                   has its release state, usage statistics, the number of
+   *                                   sessions that called it in the last 30 days and the most
+   *                                   recent of them, or null if the tool is not found
+   */
+  async getVersionHistory(toolIdentifier, { userId = null } = {}) {
+    const tool = this.get(toolIdentifier) || this.getToolVersions(toolIdentifier)[0];
+    
+    if (!tool) {
+      return null;
+    }
+    
+    const defaultId = this.resolveToolId(tool.name);
+    const from = new Date(Date.now() - VERSION_SESSION_DAYS * 24 * 60 * 60 * 1000);
+    
+    return {
+      name: tool.name,
+      defaultVersion: defaultId ? versionOf(this.get(defaultId)) : null,
+      versions: await Promise.all(this.getToolVersions(tool.name).map(async version => {
+        const { total, sessions } = await this.usageStore.listSessions({
+          toolName: version.name,
+          toolVersion: versionOf(version),
+          from,
+          userId,
+          limit: MAX_LISTED_SESSIONS
+        });
+        
+        return {
+          id: version.id,
+          ...this.getReleaseState(version),
+          isDefault: version.id === defaultId,
+          usage: this.usageStats.get(version.id),
+          sessionCount: total,
+          sessions
+        };
+      }))
+    };
+  }
+  
+  /**
+   * Get a tool by ID or name
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Object|null} - The tool definition, or null if not found
+   */
+  getTool(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    return toolId ? this.get(toolId) : null;
+  }
+  
+  /**
+   * Get the version history of every tool
+   * 
+   * @param {Object} options - { userId } to only list the sessions of one user
+   * @returns {Promise<Array>} - Version histories (see getVersionHistory), one per tool name
+   */
+  async getVersionHistories(options = {}) {
+    return Promise.all([...this.versions.keys()].map(nameKey => this.getVersionHistory(nameKey, options)));
+  }
   
   /**
    * Find tools by specified criteria
    * 
-   * @param {Object} criteria - Search criteria
+   * Only the version a session would use is returned for each tool (see getCurrentTools).
+   * 
+   * @param {Object} criteria - Search criteria, plus `versions` for version ranges pinned by tool name
    * @returns {Array} - Array of matching tools
    */
   findTools(criteria = {}) {
-    let toolIds = new Set(this.keys());
+    let toolIds = new Set(this.getCurrentTools(criteria.versions).map(tool => tool.id));
     
     // Filter by category if specified
     if (criteria.category) {
@@ -251,8 +696,11 @@ class ToolRegistry extends Map {
   /**
    * Record usage statistics for a tool
    * 
+   * The invocation is also persisted to the usage store, without waiting for it.
+   * 
    * @param {String} toolId - The ID of the tool
-   * @param {Object} stats - Usage statistics to record
+   * @param {Object} stats - { success, executionTime, error, userId, sessionId, range } where
+   *                         range is the version range the session pinned, if any
    */
   recordToolUsage(toolId, stats) {
     if (!this.usageStats.has(toolId)) {
@@ -265,8 +713,10 @@ class ToolRegistry extends Map {
     // Update success/failure counts
     if (stats.success) {
       currentStats.successCount++;
+      currentStats.consecutiveFailures = 0;
     } else {
       currentStats.failureCount++;
+      currentStats.consecutiveFailures = (currentStats.consecutiveFailures || 0) + 1;
     }
     
     // Update execution time statistics
@@ -279,77 +729,353 @@ class ToolRegistry extends Map {
     // Update last used timestamp
     currentStats.lastUsed = now.toISOString();
     
+    this.updateCircuit(toolId, stats.success, currentStats.consecutiveFailures);
+    
+    const tool = this.get(toolId);
+    this.usageStore.record({
+      toolName: tool.name,
+      toolVersion: versionOf(tool),
+      userId: stats.userId,
+      sessionId: stats.sessionId,
+      versionRange: stats.range,
+      latencyMs: stats.executionTime,
+      success: stats.success,
+      errorClass: stats.error ? (stats.error.code || stats.error.name) : null,
+      timestamp: now
+    }).catch(error => logger.warn(`Failed to persist usage of tool ${tool.name}:`, error));
+    
     return true;
   }
   
   /**
-   * Get tool recommendations based on query and context
+   * Restore the usage statistics of the registered tools from the usage store
    * 
-   * @param {String} query - User query text
-   * @param {Object} context - Query context
-   * @returns {Array} - Recommended tools sorted by relevance
+   * Circuit breakers and recommendations read these statistics, which would otherwise start
+   * from zero on every restart. Circuits stay closed; a tool that is still failing opens its
+   * circuit again on its next failure.
+   * 
+   * @returns {Promise<Number>} - Number of tool versions whose statistics were restored
    */
-  getToolRecommendations(query, context = {}) {
-    const recommendations = [];
+  async loadUsageStats() {
+    const versions = await this.usageStore.totals();
+    let restored = 0;
     
-    // Simple keyword-based matching
-    const queryLower = query.toLowerCase();
-    const matchScores = new Map();
-    
-    // Score each tool based on keyword matches
-    for (const [id, tool] of this.entries()) {
-      let score = 0;
+    for (const totals of versions) {
+      const tool = this.findVersion(totals.toolName, totals.toolVersion);
       
-      // Check for keyword matches
-      if (tool.keywords && Array.isArray(tool.keywords)) {
-        for (const keyword of tool.keywords) {
-          if (queryLower.includes(keyword.toLowerCase())) {
-            score += 10; // Base score for keyword match
-          }
-        }
-      }
-      
-      // Check for name match
-      if (queryLower.includes(tool.name.toLowerCase())) {
-        score += 5;
-      }
-      
-      // Check for description match
-      if (tool.description && queryLower.includes(tool.description.toLowerCase())) {
-        score += 3;
+      if (tool && this.usageStats.has(tool.id)) {
+        this.usageStats.set(tool.id, {
+          successCount: totals.successCount,
+          failureCount: totals.failureCount,
+          averageExecutionTime: totals.averageLatencyMs || 0,
+          totalExecutions: totals.timedCount,
+          consecutiveFailures: totals.consecutiveFailures,
+          lastUsed: totals.lastUsed
+        });
+        restored++;
       }
-      
-      // Adjust score based on past performance
-      if (this.usageStats.has(id)) {
-        const stats = this.usageStats.get(id);
-        const totalUses = stats.successCount + stats.failureCount;
-        
-        if (totalUses > 0) {
-          const successRate = stats.successCount / totalUses;
-          score *= (0.5 + (0.5 * successRate)); // Weight by success rate
-        }
+    }
+    
+    return restored;
+  }
+  
+  /**
+   * Get the usage history of a tool from the usage store
+   * 
+   * Invocations are rolled up per hour or day (UTC) into call counts, error rates and p50/p95
+   * latencies in milliseconds. Buckets without invocations are included, so the buckets
+   * cover the whole range.
+   * 
+   * @param {String} toolIdentifier - ID or name of any version of the tool
+   * @param {Object} options - { interval: 'hour'|'day', from, to, version } where `version`
+   *                           limits the history to one version of the tool; the range
+   *                           defaults to the last 24 hours, or 30 days for daily buckets
+   * @returns {Promise<Object|null>} - { name, version, interval, from, to, summary,
+   *                                   errorClasses, buckets }, or null if the tool is not found
+   * @throws {Error} - INVALID_REQUEST for an unknown interval or version, or an invalid range
+   */
+  async getUsageHistory(toolIdentifier, { interval = 'hour', from = null, to = null, version = null } = {}) {
+    const tool = this.get(toolIdentifier) || this.getTool(toolIdentifier);
+    
+    if (!tool) {
+      return null;
+    }
+    
+    if (!Object.hasOwn(ROLLUP_INTERVALS, interval)) {
+      throw createExposedError('INVALID_REQUEST', `interval must be one of ${Object.keys(ROLLUP_INTERVALS).join(', ')}`);
+    }
+    
+    if (version && !this.findVersion(tool.name, version)) {
+      throw createExposedError('INVALID_REQUEST', `${tool.name} has no version ${version}`);
+    }
+    
+    // By default the range ends with the current hour or day (buckets are aligned to UTC)
+    const bucketMs = ROLLUP_INTERVALS[interval];
+    const end = to ? new Date(to) : new Date((Math.floor(Date.now() / bucketMs) + 1) * bucketMs);
+    const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_USAGE_BUCKETS[interval] * bucketMs);
+    
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || start >= end) {
+      throw createExposedError('INVALID_REQUEST', 'from and to must be dates, with from before to');
+    }
+    
+    if ((end - start) / bucketMs > MAX_USAGE_BUCKETS) {
+      throw createExposedError('INVALID_REQUEST', `The range is too long, it may cover at most ${MAX_USAGE_BUCKETS} ${interval}s`);
+    }
+    
+    const rollup = await this.usageStore.rollup({
+      toolName: tool.name,
+      toolVersion: version,
+      interval,
+      from: start,
+      to: end
+    });
+    
+    return {
+      name: tool.name,
+      version,
+      interval,
+      from: start.toISOString(),
+      to: end.toISOString(),
+      ...rollup
+    };
+  }
+  
+  /**
+   * Update a tool's circuit breaker after an invocation
+   * 
+   * The breaker opens once the tool has failed `failureThreshold` times in a row. After the
+   * cool-down it moves to half-open: a single trial invocation is let through (see
+   * acquireInvocation), closing the breaker on success and re-opening it on failure.
+   * 
+   * @param {String} toolId - The ID of the tool
+   * @param {Boolean} success - Whether the invocation succeeded
+   * @param {Number} consecutiveFailures - Failures in a row including this invocation
+   */
+  updateCircuit(toolId, success, consecutiveFailures) {
+    const circuit = this.getCircuitState(toolId);
+    
+    if (success) {
+      if (circuit.state !== 'closed') {
+        logger.info(`Circuit closed for tool ${this.get(toolId).name}`);
       }
-      
-      if (score > 0) {
-        matchScores.set(id, score);
+      this.circuits.delete(toolId);
+      return;
+    }
+    
+    const { failureThreshold, cooldownMs } = resolveToolPolicy(this.get(toolId)).circuitBreaker;
+    
+    if (circuit.state === 'half-open' || consecutiveFailures >= failureThreshold) {
+      const openedAt = Date.now();
+      this.circuits.set(toolId, {
+        state: 'open',
+        openedAt: new Date(openedAt).toISOString(),
+        resetAt: new Date(openedAt + cooldownMs).toISOString(),
+        consecutiveFailures,
+        trialInFlight: false
+      });
+      logger.warn(`Circuit opened for tool ${this.get(toolId).name} after ${consecutiveFailures} consecutive failures`);
+    }
+  }
+  
+  /**
+   * Get the circuit breaker state of a tool
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Object} - { state: 'closed' | 'open' | 'half-open', openedAt, resetAt, consecutiveFailures, trialInFlight }
+   */
+  getCircuitState(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    const circuit = toolId && this.circuits.get(toolId);
+    
+    if (!circuit) {
+      return { state: 'closed', openedAt: null, resetAt: null, consecutiveFailures: 0, trialInFlight: false };
+    }
+    
+    // Open breakers become half-open once the cool-down has passed
+    if (circuit.state === 'open' && Date.now() >= Date.parse(circuit.resetAt)) {
+      circuit.state = 'half-open';
+    }
+    
+    return { ...circuit };
+  }
+  
+  /**
+   * Check whether a tool can currently be invoked
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Boolean} - False if the tool is unknown, its circuit breaker is open, or its
+   *                      half-open breaker is already running its trial invocation
+   */
+  isToolAvailable(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    
+    if (!toolId) {
+      return false;
+    }
+    
+    const { state, trialInFlight } = this.getCircuitState(toolId);
+    return state === 'closed' || (state === 'half-open' && !trialInFlight);
+  }
+  
+  /**
+   * Claim an invocation of a tool
+   * 
+   * Closed breakers let every invocation through. A half-open breaker lets a single trial
+   * invocation through until its result is recorded or it is released, so concurrent queries
+   * do not all hit a tool that may still be failing.
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Function|null} - Function releasing the invocation once it is over, or null if
+   *                            the tool may not be invoked
+   */
+  acquireInvocation(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    
+    if (!this.isToolAvailable(toolId)) {
+      return null;
+    }
+    
+    const circuit = this.circuits.get(toolId);
+    if (!circuit) {
+      return () => {};
+    }
+    
+    circuit.trialInFlight = true;
+    
+    // Recording the trial's result already replaces the breaker; releasing only matters for
+    // trials that ended without a result, e.g. because the query was cancelled
+    return () => {
+      if (this.circuits.get(toolId) === circuit) {
+        circuit.trialInFlight = false;
       }
+    };
+  }
+  
+  /**
+   * List tools whose circuit breaker is not closed
+   * 
+   * @returns {Array} - [{ id, name, state, openedAt, resetAt, consecutiveFailures }]
+   */
+  getCircuitStates() {
+    return [...this.circuits.keys()]
+      .map(toolId => ({ id: toolId, name: this.get(toolId).name, ...this.getCircuitState(toolId) }));
+  }
+  
+  /**
+   * List tools that are currently unavailable because their circuit breaker is open
+   * 
+   * @returns {Array} - [{ id, name, state, openedAt, resetAt, consecutiveFailures }]
+   */
+  getUnavailableTools() {
+    return this.getCircuitStates().filter(circuit => circuit.state === 'open');
+  }
+  
+  /**
+   * Close a tool's circuit breaker manually
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Boolean} - True if the tool exists
+   */
+  resetCircuit(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    
+    if (!toolId) {
+      return false;
+    }
+    
+    this.circuits.delete(toolId);
+    this.usageStats.get(toolId).consecutiveFailures = 0;
+    logger.info(`Circuit reset for tool ${this.get(toolId).name}`);
+    return true;
+  }
+  
+  /**
+   * Find available tools that can stand in for another tool
+   * 
+   * Candidates share the tool's category or at least one capability, and are ranked by
+   * capability overlap and then by success rate.
+   * 
+   * @param {String} toolIdentifier - Tool ID or name
+   * @returns {Array} - Alternative tools, best first
+   */
+  findAlternativeTools(toolIdentifier) {
+    const toolId = this.resolveToolId(toolIdentifier);
+    const tool = toolId && this.get(toolId);
+    
+    if (!tool) {
+      return [];
     }
     
-    // Sort tools by score
-    const sortedTools = [...matchScores.entries()]
-      .sort((a, b) => b[1] - a[1])
-      .map(([id]) => this.get(id));
+    const capabilities = new Set(tool.capabilities || []);
     
-    return sortedTools;
+    const successRate = (id) => {
+      const stats = this.usageStats.get(id);
+      const total = stats ? stats.successCount + stats.failureCount : 0;
+      return total > 0 ? stats.successCount / total : 0.5;
+    };
+    
+    return [...this.entries()]
+      .filter(([id]) => id !== toolId && this.isToolAvailable(id))
+      .map(([id, candidate]) => ({
+        candidate,
+        overlap: (candidate.capabilities || []).filter(c => capabilities.has(c)).length,
+        sameCategory: Boolean(tool.category) && candidate.category === tool.category
+      }))
+      .filter(({ overlap, sameCategory }) => overlap > 0 || sameCategory)
+      .sort((a, b) => (b.overlap - a.overlap) ||
+        (successRate(b.candidate.id) - successRate(a.candidate.id)))
+      .map(({ candidate }) => candidate);
+  }
+  
+  /**
+   * Get tool recommendations based on query and context
+   * 
+   * Tools are ranked by how similar their description, capabilities and example queries are
+   * to the query, weighted by their success rate.
+   * 
+   * @param {String} query - User query text
+   * @param {Object} context - Query context
+   * @param {Object} options - { signal } to abort the embeddings request
+   * @returns {Promise<Array>} - Recommended tools sorted by relevance
+   */
+  async getToolRecommendations(query, context = {}, { signal } = {}) {
+    // Use the versions the session would use; tools with an open circuit breaker are not
+    // offered to the planner
+    const candidates = this.getCurrentTools(context.toolVersions)
+      .filter(tool => this.isToolAvailable(tool.id));
+    
+    const matches = await this.ranker.rank(query, candidates, { signal });
+    
+    return matches
+      .map(({ tool, similarity }) => {
+        let score = similarity;
+        
+        // Adjust score based on past performance
+        if (this.usageStats.has(tool.id)) {
+          const stats = this.usageStats.get(tool.id);
+          const totalUses = stats.successCount + stats.failureCount;
+          
+          if (totalUses > 0) {
+            const successRate = stats.successCount / totalUses;
+            score *= (0.5 + (0.5 * successRate)); // Weight by success rate
+          }
+        }
+        
+        return { tool, score };
+      })
+      .sort((a, b) => b.score - a.score)
+      .map(({ tool }) => tool);
   }
   
   /**
    * Load tool definitions from a directory
    * 
    * @param {String} directory - Path to tool definitions directory
+   * @param {Object} options - Pass `sandboxGrants` (grants by file name) to run the directory's
+   *                           JavaScript tools in the sandbox instead of importing them
    * @returns {Promise<Number>} - Number of tools loaded
    */
-  async loadFromDirectory(directory = path.join(__dirname, 'definitions')) {
+  async loadFromDirectory(directory = path.join(__dirname, 'definitions'), { sandboxGrants = null } = {}) {
     try {
       logger.info(`Loading tools from directory: ${directory}`);
       
@@ -371,21 +1097,11 @@ class ToolRegistry extends Map {
           try {
             const filePath = path.join(directory, file);
             
-            // Load the tool definition
-            let toolDefinition;
-            
-            if (file.endsWith('.json')) {
-              // Load JSON definition
-              const content = await fs.readFile(filePath, 'utf8');
-              toolDefinition = JSON.parse(content);
-            } else {
-              // Import JS module
-              const module = await import(`file://${filePath}`);
-              toolDefinition = module.default || module;
-            }
+            const toolDefinition = await readToolDefinition(filePath, { directory, sandboxGrants });
             
             // Register the tool
             if (this.registerTool(toolDefinition)) {
+              this.toolFiles.set(filePath, this.findVersion(toolDefinition.name, versionOf(toolDefinition)).id);
               loadedCount++;
             }
           } catch (fileError) {
@@ -440,6 +1156,7 @@ class ToolRegistry extends Map {
     this.capabilities.clear();
     this.metadataIndex.clear();
     this.usageStats.clear();
+    this.circuits.clear();
     
     // Import tools
     if (data.tools && Array.isArray(data.tools)) {
@@ -466,25 +1183,43 @@ class ToolRegistry extends Map {
 /**
  * Set up the tool registry with default tools
  * 
+ * @param {Object} options - Optional services used by built-in tools
+ * @param {Object} options.documentStore - Store of uploaded documents, enables DocumentSearch
+ * @param {Object} options.llmClient - Client used to embed tools for recommendations
+ * @param {Object} options.usageStore - Store persisting tool invocations (see data/toolUsageStore.js)
  * @returns {ToolRegistry} - The configured tool registry
  */
-export async function setupToolRegistry() {
+export async function setupToolRegistry(options = {}) {
   logger.info('Setting up Tool Registry');
   
-  const registry = new ToolRegistry();
+  const registry = new ToolRegistry({ llmClient: options.llmClient, usageStore: options.usageStore });
   
   // Load built-in tools
-  await registry.loadFromDirectory(path.join(__dirname, 'builtin'));
+  const builtinToolsDir = path.join(__dirname, 'builtin');
+  await registry.loadFromDirectory(builtinToolsDir);
   
-  // Load custom tools if available
+  // Load custom tools if available; they run in the sandbox with the access granted to them
   const customToolsDir = process.env.CUSTOM_TOOLS_DIR || path.join(__dirname, 'custom');
   
   try {
-    await registry.loadFromDirectory(customToolsDir);
+    await registry.loadFromDirectory(customToolsDir, { sandboxGrants: await loadSandboxGrants() });
   } catch (error) {
     logger.warn(`Failed to load custom tools from ${customToolsDir}:`, error);
   }
   
+  // Reload tool files when they change; listen to `registry.watcher.events` for the changes
+  if (process.env.TOOL_HOT_RELOAD !== 'false') {
+    registry.watcher = createToolWatcher(registry, [
+      { path: builtinToolsDir, sandboxed: false },
+      { path: customToolsDir, sandboxed: true }
+    ]);
+    registry.watcher.start();
+  }
+  
+  // Import the tools of the configured MCP servers
+  registry.mcpServers = createMcpServerManager(registry);
+  await registry.mcpServers.start(await loadMcpServerConfig());
+  
   logger.info(`Tool Registry initialized with ${registry.size} tools`);
   
   // Register registry as a tool for introspection
@@ -496,26 +1231,45 @@ export async function setupToolRegistry() {
     author: 'System',
     capabilities: ['introspection', 'discovery'],
     keywords: ['tools', 'list', 'available', 'discover'],
-    execute: async (input, context) => {
+    riskLevel: 'read-only',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'What to look for, or "list" for every available tool' }
+      },
+      required: ['query']
+    },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        toolCount: { type: 'integer' },
+        categories: { type: 'array', items: { type: 'string' } },
+        capabilities: { type: 'array', items: { type: 'string' } },
+        tools: { type: 'array', items: TOOL_SUMMARY_SCHEMA },
+        searchTerm: { type: 'string' },
+        matchCount: { type: 'integer' },
+        results: { type: 'array', items: TOOL_SUMMARY_SCHEMA },
+        error: { type: 'string' }
+      }
+    },
+    execute: async ({ query }, context = {}) => {
+      const request = query.toLowerCase();
+      const tools = registry.getCurrentTools(context.toolVersions);
+      
       // Basic implementation for tool discovery
-      if (input.toLowerCase().includes('list') || input.toLowerCase().includes('available')) {
+      if (request.includes('list') || request.includes('available')) {
         return {
-          toolCount: registry.size,
+          toolCount: tools.length,
           categories: registry.getAllCategories(),
           capabilities: registry.getAllCapabilities(),
-          tools: [...registry.values()].map(tool => ({
-            name: tool.name,
-            description: tool.description,
-            category: tool.category,
-            capabilities: tool.capabilities
-          }))
+          tools: tools.map(summarizeTool)
         };
       }
       
       // Search for specific tools
-      const searchTerm = input.toLowerCase().replace(/find|search|tool|tools/g, '').trim();
+      const searchTerm = request.replace(/find|search|tool|tools/g, '').trim();
       if (searchTerm) {
-        const matchingTools = [...registry.values()].filter(tool => 
+        const matchingTools = tools.filter(tool => 
           tool.name.toLowerCase().includes(searchTerm) || 
           (tool.description && tool.description.toLowerCase().includes(searchTerm)) ||
           (tool.keywords && tool.keywords.some(k => k.toLowerCase().includes(searchTerm)))
@@ -524,12 +1278,7 @@ export async function setupToolRegistry() {
         return {
           searchTerm,
           matchCount: matchingTools.length,
-          results: matchingTools.map(tool => ({
-            name: tool.name,
-            description: tool.description,
-            category: tool.category,
-            capabilities: tool.capabilities
-          }))
+          results: matchingTools.map(summarizeTool)
         };
       }
       
@@ -539,5 +1288,78 @@ export async function setupToolRegistry() {
     }
   });
   
+  // Register retrieval over the user's uploaded documents
+  if (options.documentStore) {
+    const { documentStore } = options;
+    
+    registry.registerTool({
+      name: 'DocumentSearch',
+      description: 'Searches the documents the user uploaded (and their workspace documents) and returns the most relevant passages with citations',
+      category: 'knowledge',
+      version: '1.0.0',
+      author: 'System',
+      capabilities: ['retrieval', 'search', 'documents'],
+      keywords: ['document', 'documents', 'file', 'files', 'uploaded', 'knowledge', 'notes', 'pdf', 'according to'],
+      riskLevel: 'read-only',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string', minLength: 1, description: 'What to search for' },
+          topK: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of passages to return (default 5)' }
+        },
+        required: ['query']
+      },
+      outputSchema: {
+        type: 'object',
+        properties: {
+          query: { type: 'string' },
+          passages: { type: 'array', items: { type: 'object' } },
+          sources: {
+            type: 'array',
+            items: {
+              type: 'object',
+              properties: {
+                title: { type: 'string' },
+                url: { type: 'string' },
+                documentId: { type: 'string' },
+                chunkIndex: { type: 'integer' },
+                excerpt: { type: 'string' }
+              },
+              required: ['title', 'url']
+            }
+          }
+        },
+        required: ['query', 'passages', 'sources']
+      },
+      execute: async ({ query, topK = 5 }, context) => {
+        const passages = await documentStore.search(
+          { id: context.userId, workspaceId: context.workspaceId },
+          query,
+          { topK, signal: context.signal }
+        );
+        
+        return {
+          query,
+          passages,
+          sources: passages.map(passage => ({
+            title: `${passage.title}, passage ${passage.chunkIndex + 1}`,
+            url: `/documents/${passage.documentId}?passage=${passage.chunkIndex}`,
+            documentId: passage.documentId,
+            chunkIndex: passage.chunkIndex,
+            excerpt: passage.text.slice(0, 200)
+          }))
+        };
+      }
+    });
+  }
+  
+  // Restore the usage statistics of earlier runs
+  try {
+    const restored = await registry.loadUsageStats();
+    logger.info(`Restored usage statistics of ${restored} tool versions`);
+  } catch (error) {
+    logger.warn('Failed to restore tool usage statistics:', error);
+  }
+  
   return registry;
 }
\ No newline at end of file
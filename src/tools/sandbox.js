@@ -0,0 +1,272 @@
+/**
+ * Custom Tool Sandbox
+ *
+ * Runs JavaScript custom tools in worker threads isolated from the server process. Each call
+ * gets a fresh worker (see sandboxWorker.js) that:
+ *   - only sees the environment variables granted to the tool, none by default
+ *   - may only import the granted modules (plus a few harmless built-ins) and files from the
+ *     tools directory; granted packages are trusted (see below)
+ *   - can only fetch from the granted hosts and only reach files under the granted directories,
+ *     through `context.fs`
+ *   - is terminated when it exceeds its time limit, which also bounds its CPU use, or its heap
+ *     limit
+ *
+ * Calls run the source the definition was read from, so an edit to the tool's file only takes
+ * effect once the tool is loaded again. Violations fail the call with SANDBOX_VIOLATION and are
+ * logged. Grants are made by the operator per tool file, in a JSON file or inline:
+ *
+ *   {
+ *     "weather.js": {
+ *       "modules": ["lodash"],
+ *       "network": ["api.weather.gov", "*.example.com"],
+ *       "filesystem": ["/srv/reports", { "path": "/srv/cache", "write": true }],
+ *       "env": ["WEATHER_API_KEY"],
+ *       "limits": { "timeoutMs": 5000, "memoryMb": 128 }
+ *     }
+ *   }
+ *
+ * Granting a package gives it full capability: its own imports are not checked (CommonJS
+ * `require` cannot be), so it can reach any host, file or built-in module. Packages are
+ * therefore only granted to tools that already hold a network or filesystem grant; a tool
+ * granted packages without either is refused when it is loaded.
+ *
+ * Configuration:
+ *   CUSTOM_TOOL_GRANTS_FILE - Path of the grants file
+ *   CUSTOM_TOOL_GRANTS - Grants as JSON, used when no file is set
+ *   CUSTOM_TOOL_TIMEOUT_MS - Default time limit of a call (default 10000)
+ *   CUSTOM_TOOL_MEMORY_MB - Default heap limit of a call (default 64)
+ */
+
+import { Worker, MessageChannel } from 'worker_threads';
+import { isBuiltin } from 'module';
+import { promises as fs } from 'fs';
+import path from 'path';
+import { pathToFileURL } from 'url';
+import { logger } from '../utils/logger.js';
+import { createCancellationError } from '../core/cancellation.js';
+
+const WORKER_URL = new URL('./sandboxWorker.js', import.meta.url);
+
+/**
+ * Built-in modules every custom tool may import; none of them reach outside the worker
+ */
+export const DEFAULT_ALLOWED_MODULES = ['assert', 'buffer', 'crypto', 'events', 'path', 'querystring', 'string_decoder', 'url', 'util'];
+
+// Time allowed for loading a tool's module to read its definition
+const DESCRIBE_TIMEOUT_MS = 10000;
+
+// Context fields passed into the worker; the rest (signals, clients) cannot cross threads
+const CONTEXT_FIELDS = ['id', 'sessionId', 'userId', 'workspaceId', 'currentQuery', 'currentQueryId', 'stepId'];
+
+function createSandboxError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  // Violations and limits are properties of the tool, so a retry would fail the same way
+  error.retryable = code === 'SANDBOX_TIMEOUT';
+  return error;
+}
+
+/**
+ * Load the sandbox grants of the custom tools
+ *
+ * Problems are logged and leave every tool with the default, empty grant.
+ *
+ * @returns {Promise<Object>} - Grants by tool file name
+ */
+export async function loadSandboxGrants() {
+  let raw = process.env.CUSTOM_TOOL_GRANTS || null;
+
+  if (process.env.CUSTOM_TOOL_GRANTS_FILE) {
+    try {
+      raw = await fs.readFile(process.env.CUSTOM_TOOL_GRANTS_FILE, 'utf8');
+    } catch (error) {
+      logger.error(`Failed to read custom tool grants ${process.env.CUSTOM_TOOL_GRANTS_FILE}:`, error);
+      return {};
+    }
+  }
+
+  if (!raw) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error('Custom tool grants are not valid JSON:', error);
+    return {};
+  }
+}
+
+/**
+ * Fill in the defaults of a tool's grant
+ *
+ * @param {Object} grant - Grant from the configuration
+ * @returns {Object} - { modules, network, filesystem, env, limits }
+ */
+export function normalizeGrant(grant = {}) {
+  const list = (value) => (Array.isArray(value) ? value.filter(item => typeof item === 'string') : []);
+
+  return {
+    modules: [...new Set([...DEFAULT_ALLOWED_MODULES, ...list(grant.modules).map(name => name.replace(/^node:/, ''))])],
+    network: list(grant.network).map(host => host.toLowerCase()),
+    filesystem: (Array.isArray(grant.filesystem) ? grant.filesystem : [])
+      .map(entry => (typeof entry === 'string' ? { path: entry, write: false } : entry))
+      .filter(entry => entry && typeof entry.path === 'string')
+      .map(entry => ({ path: path.resolve(entry.path), write: entry.write === true })),
+    env: list(grant.env),
+    limits: {
+      timeoutMs: Number(grant.limits?.timeoutMs) || Number(process.env.CUSTOM_TOOL_TIMEOUT_MS) || 10000,
+      memoryMb: Number(grant.limits?.memoryMb) || Number(process.env.CUSTOM_TOOL_MEMORY_MB) || 64
+    }
+  };
+}
+
+/**
+ * Run a task in a fresh sandbox worker
+ *
+ * @param {String} task - `describe` or `execute`
+ * @param {Object} options - { filePath, source, roots, grant, name, input, context, signal, timeoutMs }
+ * @returns {Promise<*>} - Definition or tool output
+ */
+function runInWorker(task, { filePath, source, roots, grant, name, input, context = {}, signal = null, timeoutMs }) {
+  if (signal?.aborted) {
+    return Promise.reject(createCancellationError());
+  }
+
+  const { port1: violations, port2: violationPort } = new MessageChannel();
+  const reportViolation = ({ message }) => logger.warn(`Sandbox violation by custom tool ${name}: ${message}`);
+  violations.on('message', reportViolation);
+
+  const worker = new Worker(WORKER_URL, {
+    workerData: {
+      task,
+      fileUrl: pathToFileURL(filePath).href,
+      source,
+      roots,
+      grant,
+      input,
+      context: Object.fromEntries(CONTEXT_FIELDS.filter(field => context[field] !== undefined).map(field => [field, context[field]])),
+      violationPort
+    },
+    transferList: [violationPort],
+    env: Object.fromEntries(grant.env.filter(key => process.env[key] !== undefined).map(key => [key, process.env[key]])),
+    resourceLimits: { maxOldGenerationSizeMb: grant.limits.memoryMb, stackSizeMb: 4 },
+    stdout: true,
+    stderr: true
+  });
+
+  // Console output of the tool goes to the log rather than the server's stdout
+  worker.stdout.on('data', chunk => logger.debug(`[${name}] ${chunk.toString().trimEnd()}`));
+  worker.stderr.on('data', chunk => logger.debug(`[${name}] ${chunk.toString().trimEnd()}`));
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const finish = (error, value) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      // Let violations reported just before the end arrive before the port closes
+      setImmediate(() => violations.close());
+      if (error) {
+        reject(error);
+      } else {
+        resolve(value);
+      }
+    };
+
+    const onAbort = () => finish(createCancellationError());
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const timer = setTimeout(() => finish(createSandboxError(
+      'SANDBOX_TIMEOUT',
+      `Custom tool ${name} exceeded its time limit of ${timeoutMs}ms`
+    )), timeoutMs);
+
+    worker.on('message', (message) => {
+      if (message.type === 'violation') {
+        reportViolation(message);
+      } else if (message.type === 'result') {
+        finish(null, message.value);
+      } else if (message.type === 'error') {
+        const { code, message: text } = message.error;
+        finish(code === 'SANDBOX_VIOLATION'
+          ? createSandboxError(code, `Custom tool ${name} violated its sandbox: ${text}`)
+          : Object.assign(new Error(text), { code }));
+      }
+    });
+
+    worker.on('error', (error) => {
+      finish(error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+        ? createSandboxError('SANDBOX_MEMORY_LIMIT', `Custom tool ${name} exceeded its memory limit of ${grant.limits.memoryMb}MB`)
+        : error);
+    });
+
+    worker.on('exit', (code) => {
+      finish(createSandboxError('SANDBOX_CRASHED', `Custom tool ${name} exited unexpectedly (code ${code})`));
+    });
+  });
+}
+
+/**
+ * Load a custom tool that runs in the sandbox
+ *
+ * The module is imported in a sandbox worker to read its definition, so its top-level code
+ * is confined like its calls.
+ *
+ * @param {String} filePath - Path of the tool's module
+ * @param {Object} options - { toolsDir, grant } where grant is the configured grant of the file
+ * @returns {Promise<Object>} - Tool definition whose `execute` runs in the sandbox
+ * @throws {Error} - SANDBOX_GRANT_REFUSED if the tool is granted packages but neither network
+ *                   nor filesystem access
+ */
+export async function loadSandboxedTool(filePath, { toolsDir, grant: configuredGrant = {} }) {
+  const grant = normalizeGrant(configuredGrant);
+  const roots = [await fs.realpath(toolsDir).catch(() => path.resolve(toolsDir))];
+  const file = path.basename(filePath);
+
+  // Granted packages are not confined, so they must not widen a tool that has no I/O grant
+  const packages = grant.modules.filter(name => !isBuiltin(name));
+  if (packages.length > 0 && grant.network.length === 0 && grant.filesystem.length === 0) {
+    throw createSandboxError(
+      'SANDBOX_GRANT_REFUSED',
+      `Custom tool ${file} is granted the packages ${packages.join(', ')}, which get full network and filesystem access; ` +
+      'packages are only granted to tools that also hold a network or filesystem grant'
+    );
+  }
+
+  const source = await fs.readFile(filePath, 'utf8');
+
+  const definition = await runInWorker('describe', {
+    filePath,
+    source,
+    roots,
+    grant,
+    name: file,
+    timeoutMs: DESCRIBE_TIMEOUT_MS
+  });
+
+  return {
+    ...definition,
+    sandbox: {
+      file,
+      modules: grant.modules,
+      network: grant.network,
+      filesystem: grant.filesystem,
+      limits: grant.limits
+    },
+    execute: (input, context = {}) => runInWorker('execute', {
+      filePath,
+      source,
+      roots,
+      grant,
+      name: definition.name || file,
+      input,
+      context,
+      signal: context.signal,
+      timeoutMs: grant.limits.timeoutMs
+    })
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Sandbox Module Hooks
+ *
+ * Module resolution hooks registered inside a sandbox worker (see sandbox.js). Imports made by
+ * the custom tool are checked against its module allowlist: built-in modules and packages must
+ * be granted by name, and files may only be imported from the tools directory. Packages the
+ * tool was granted may import whatever they need themselves, which gives them full capability
+ * (sandbox.js only grants packages to tools with network or filesystem access); a module counts
+ * as part of a granted package only if it was reached through the grant, never because of its
+ * URL. Refused
+ * imports are reported to the main thread on the port passed at registration and fail with
+ * SANDBOX_VIOLATION.
+ *
+ * The tool's own code is always loaded as ES modules: CommonJS `require` does not go through
+ * these hooks, so a CommonJS file (e.g. a `.cjs` helper next to the tool) could require any
+ * built-in module.
+ *
+ * The tool's own module is loaded from the source passed at registration rather than from
+ * disk, so a call runs the version of the tool that is registered.
+ */
+
+import { isBuiltin } from 'module';
+import { fileURLToPath } from 'url';
+import path from 'path';
+
+let allowedModules = new Set();
+let roots = [];
+let entry = null;
+let violationPort = null;
+
+// URLs of the modules of granted packages, whose own imports are not checked
+const trusted = new Set();
+
+// Extensions of the files the tool's own code may import, and the format each is loaded as
+const TOOL_FORMATS = { '.js': 'module', '.mjs': 'module', '.json': 'json' };
+
+export async function initialize(data) {
+  allowedModules = new Set(data.allowedModules);
+  roots = data.roots;
+  entry = data.entry;
+  violationPort = data.violationPort;
+}
+
+function deny(message) {
+  violationPort?.postMessage({ message });
+  const error = new Error(message);
+  error.code = 'SANDBOX_VIOLATION';
+  throw error;
+}
+
+// Package name of a bare specifier, e.g. `@scope/pkg/sub` => `@scope/pkg`
+function packageName(specifier) {
+  const parts = specifier.split('/');
+  return specifier.startsWith('@') ? parts.slice(0, 2).join('/') : parts[0];
+}
+
+function isInside(filePath, root) {
+  return filePath === root || filePath.startsWith(root + path.sep);
+}
+
+function trust(resolved) {
+  trusted.add(resolved.url);
+  return resolved;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  if (context.parentURL && trusted.has(context.parentURL)) {
+    return trust(await nextResolve(specifier, context));
+  }
+
+  if (isBuiltin(specifier)) {
+    const name = specifier.replace(/^node:/, '');
+    if (!allowedModules.has(name)) {
+      deny(`Module '${name}' is not allowed`);
+    }
+    return nextResolve(specifier, context);
+  }
+
+  if (!/^(\.{1,2}\/|\/|file:|data:)/.test(specifier)) {
+    if (!allowedModules.has(packageName(specifier))) {
+      deny(`Package '${packageName(specifier)}' is not allowed`);
+    }
+    return trust(await nextResolve(specifier, context));
+  }
+
+  const resolved = await nextResolve(specifier, context);
+
+  if (resolved.url.startsWith('file:')) {
+    const filePath = fileURLToPath(resolved.url);
+    const marker = `${path.sep}node_modules${path.sep}`;
+    const index = filePath.lastIndexOf(marker);
+
+    // Installed packages must be granted, like when they are imported by name
+    const allowed = index === -1
+      ? roots.some(root => isInside(filePath, root))
+      : allowedModules.has(packageName(filePath.slice(index + marker.length).split(path.sep).join('/')));
+
+    if (!allowed) {
+      deny(`Importing ${filePath} is not allowed`);
+    }
+    if (index !== -1) {
+      trust(resolved);
+    }
+  }
+
+  return resolved;
+}
+
+export async function load(url, context, nextLoad) {
+  if (trusted.has(url) || url.startsWith('node:')) {
+    return nextLoad(url, context);
+  }
+
+  if (entry && url === entry.url) {
+    return { format: 'module', source: entry.source, shortCircuit: true };
+  }
+
+  let format;
+  if (url.startsWith('file:')) {
+    format = TOOL_FORMATS[path.extname(fileURLToPath(url)).toLowerCase()];
+    if (!format) {
+      deny(`Importing ${fileURLToPath(url)} is not allowed, custom tools may only import ES modules and JSON`);
+    }
+  }
+
+  const loaded = await nextLoad(url, format ? { ...context, format } : context);
+
+  if (loaded.format !== 'module' && loaded.format !== 'json') {
+    deny(`Loading ${url.slice(0, 100)} as ${loaded.format} is not allowed, custom tools may only import ES modules and JSON`);
+  }
+  return loaded;
+}
@@ -0,0 +1,176 @@
+/**
+ * Sandbox Worker
+ *
+ * Entry point of the worker threads custom tools run in (see sandbox.js). Before the tool's
+ * module is imported, the worker registers the module hooks that enforce the allowlist,
+ * removes the process APIs that reach outside the worker, and limits `fetch` to the granted
+ * hosts. Files are reached through `context.fs`, which only opens paths under the granted
+ * directories.
+ *
+ * Runs one task and exits: `describe` returns the tool definition without its functions,
+ * `execute` runs the tool and returns its output.
+ */
+
+import { register } from 'module';
+import { parentPort, workerData } from 'worker_threads';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const { task, fileUrl, source, roots, grant, input, context, violationPort } = workerData;
+
+// Redirects followed by the guarded fetch, each checked against the granted hosts
+const MAX_REDIRECTS = 5;
+
+// Process APIs that act on the whole server process or load native code
+const BLOCKED_PROCESS_APIS = [
+  'abort', 'binding', '_linkedBinding', 'dlopen', 'getBuiltinModule', 'chdir', 'kill', 'umask',
+  'setuid', 'setgid', 'seteuid', 'setegid', 'setgroups', 'initgroups'
+];
+
+function violation(message) {
+  parentPort.postMessage({ type: 'violation', message });
+  const error = new Error(message);
+  error.code = 'SANDBOX_VIOLATION';
+  return error;
+}
+
+function isInside(filePath, root) {
+  return filePath === root || filePath.startsWith(root + path.sep);
+}
+
+// `*.example.com` grants the subdomains of example.com
+function isHostGranted(hostname) {
+  return grant.network.some(host => (host.startsWith('*.')
+    ? hostname.endsWith(host.slice(1))
+    : hostname === host));
+}
+
+function lockDownProcess() {
+  for (const name of BLOCKED_PROCESS_APIS) {
+    if (name in process) {
+      Object.defineProperty(process, name, {
+        value: () => { throw violation(`process.${name} is not available to custom tools`); },
+        configurable: false,
+        writable: false
+      });
+    }
+  }
+
+  // Only fetch is guarded, so the other network clients are removed
+  delete globalThis.WebSocket;
+  delete globalThis.EventSource;
+}
+
+function guardFetch() {
+  const unguardedFetch = globalThis.fetch;
+
+  globalThis.fetch = async (resource, options = {}) => {
+    let url = new URL(resource instanceof Request ? resource.url : String(resource));
+
+    for (let redirects = 0; ; redirects++) {
+      if (!['http:', 'https:'].includes(url.protocol) || !isHostGranted(url.hostname)) {
+        throw violation(`Outbound request to ${url.host || url.protocol} is not granted`);
+      }
+
+      const response = await unguardedFetch(redirects === 0 ? resource : url, { ...options, redirect: 'manual' });
+      const location = response.headers.get('location');
+
+      if (response.status < 300 || response.status >= 400 || !location || options.redirect === 'manual') {
+        return response;
+      }
+      if (redirects >= MAX_REDIRECTS) {
+        throw new Error(`Too many redirects fetching ${url.href}`);
+      }
+      url = new URL(location, url);
+    }
+  };
+}
+
+/**
+ * Create the file access helpers for the granted directories
+ *
+ * Paths are resolved through symlinks before they are checked, so a link inside a granted
+ * directory cannot lead outside it.
+ */
+async function createFileAccess() {
+  const grants = await Promise.all(grant.filesystem.map(async entry => ({
+    ...entry,
+    path: await fs.realpath(entry.path).catch(() => entry.path)
+  })));
+
+  // Resolve symlinks in the part of the path that exists; new files are checked by their parent
+  const realPath = async (target) => {
+    const resolved = path.resolve(target);
+    try {
+      return await fs.realpath(resolved);
+    } catch (error) {
+      const parent = path.dirname(resolved);
+      return parent === resolved ? resolved : path.join(await realPath(parent), path.basename(resolved));
+    }
+  };
+
+  const grantedPath = async (target, write) => {
+    const resolved = await realPath(String(target));
+    const entry = grants.find(candidate => isInside(resolved, candidate.path));
+
+    if (!entry) {
+      throw violation(`Access to ${resolved} is not granted`);
+    }
+    if (write && !entry.write) {
+      throw violation(`Write access to ${resolved} is not granted`);
+    }
+    return resolved;
+  };
+
+  return {
+    readFile: async (target, encoding = 'utf8') => fs.readFile(await grantedPath(target, false), encoding),
+    writeFile: async (target, data) => fs.writeFile(await grantedPath(target, true), data),
+    readdir: async (target) => fs.readdir(await grantedPath(target, false)),
+    stat: async (target) => {
+      const stats = await fs.stat(await grantedPath(target, false));
+      return { size: stats.size, isFile: stats.isFile(), isDirectory: stats.isDirectory(), modifiedAt: stats.mtime.toISOString() };
+    }
+  };
+}
+
+function postError(error) {
+  parentPort.postMessage({
+    type: 'error',
+    error: { message: error?.message || String(error), code: error?.code || null }
+  });
+}
+
+async function run() {
+  register('./sandboxHooks.js', {
+    parentURL: import.meta.url,
+    data: { allowedModules: grant.modules, roots, entry: { url: fileUrl, source }, violationPort },
+    transferList: [violationPort]
+  });
+
+  const fileAccess = grant.filesystem.length > 0 ? await createFileAccess() : null;
+  lockDownProcess();
+  guardFetch();
+
+  const module = await import(fileUrl);
+  const definition = module.default || module;
+
+  if (!definition || typeof definition.execute !== 'function') {
+    throw new Error('The module must export a tool definition with an execute function');
+  }
+
+  if (task === 'describe') {
+    return Object.fromEntries(Object.entries(definition).filter(([, value]) => typeof value !== 'function'));
+  }
+
+  return definition.execute(input, { ...context, ...(fileAccess && { fs: fileAccess }) });
+}
+
+run()
+  .then(value => {
+    try {
+      parentPort.postMessage({ type: 'result', value });
+    } catch (error) {
+      postError({ message: 'The tool returned a value that is not plain data', code: 'SANDBOX_OUTPUT_INVALID' });
+    }
+  })
+  .catch(postError);
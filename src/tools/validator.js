@@ -0,0 +1,165 @@
+/**
+ * Tool Validation
+ *
+ * Checks tool definitions when they are registered, and tool inputs and outputs when tools
+ * are called. Every tool declares JSON Schemas for what it takes and what it returns:
+ *
+ *   inputSchema  - Schema of the `input` passed to `execute(input, context)`
+ *   outputSchema - Schema of the value `execute` resolves with (`{}` accepts anything)
+ *
+ * Planners often pass a plain string where a tool takes an object. A string input for an
+ * object schema is used as the value of the schema's only required string property, or of
+ * its only string property, before it is validated.
+ *
+ * Validation failures are typed so the planner can react to them: TOOL_INPUT_INVALID means
+ * the step needs different input, TOOL_OUTPUT_INVALID that the tool broke its contract.
+ * Both carry `validationErrors` ([{ path, keyword, message }]).
+ */
+
+import { validateJsonSchema, checkJsonSchema } from '../core/jsonSchema.js';
+import { parseVersion } from '../core/semver.js';
+
+// Validation errors included in an error message; the rest are only on `validationErrors`
+const MAX_MESSAGE_ERRORS = 5;
+
+function createValidationError(code, message, validationErrors = []) {
+  const error = new Error(message);
+  error.code = code;
+  error.validationErrors = validationErrors;
+  error.retryable = false; // Calling again with the same input gives the same result
+  return error;
+}
+
+function describeErrors(errors) {
+  const described = errors
+    .slice(0, MAX_MESSAGE_ERRORS)
+    .map(error => `${error.path}: ${error.message}`)
+    .join('; ');
+
+  return errors.length > MAX_MESSAGE_ERRORS
+    ? `${described} (and ${errors.length - MAX_MESSAGE_ERRORS} more)`
+    : described;
+}
+
+/**
+ * Validate a tool definition before it is registered
+ *
+ * @param {Object} definition - Tool definition
+ * @returns {Object} - The definition
+ * @throws {Error} - INVALID_TOOL_DEFINITION listing every problem found
+ */
+export function validateToolDefinition(definition) {
+  if (!definition || typeof definition !== 'object') {
+    throw createValidationError('INVALID_TOOL_DEFINITION', 'Tool definition must be an object');
+  }
+
+  const problems = [];
+
+  if (typeof definition.name !== 'string' || !definition.name.trim()) {
+    problems.push('name is required');
+  }
+
+  if (typeof definition.execute !== 'function') {
+    problems.push('execute must be a function');
+  }
+
+  if (definition.version !== undefined && !parseVersion(definition.version)) {
+    problems.push(`version must be a semantic version such as 1.2.0, got ${JSON.stringify(definition.version)}`);
+  }
+
+  if (definition.deprecated !== undefined && !['boolean', 'string'].includes(typeof definition.deprecated)) {
+    problems.push('deprecated must be true or a message');
+  }
+
+  if (definition.sunsetAt !== undefined && Number.isNaN(Date.parse(definition.sunsetAt))) {
+    problems.push('sunsetAt must be a date');
+  }
+
+  if (definition.examples !== undefined &&
+      (!Array.isArray(definition.examples) || definition.examples.some(example => typeof example !== 'string'))) {
+    problems.push('examples must be a list of example queries');
+  }
+
+  for (const keyword of ['inputSchema', 'outputSchema']) {
+    if (definition[keyword] === undefined) {
+      problems.push(`${keyword} is required`);
+    } else {
+      problems.push(...checkJsonSchema(definition[keyword]).map(problem => `${keyword}${problem.slice(1)}`));
+    }
+  }
+
+  if (problems.length > 0) {
+    throw createValidationError(
+      'INVALID_TOOL_DEFINITION',
+      `Invalid definition for tool ${definition.name || '(unnamed)'}: ${problems.join('; ')}`
+    );
+  }
+
+  return definition;
+}
+
+/**
+ * Find the property a string input belongs to in an object schema
+ *
+ * @param {Object} schema - Input schema
+ * @returns {String|null} - Property name, or null if the schema does not single one out
+ */
+function stringInputProperty(schema) {
+  const types = [].concat(schema.type ?? []);
+  if (!types.includes('object') || types.includes('string')) {
+    return null;
+  }
+
+  const stringProperties = Object.entries(schema.properties || {})
+    .filter(([, property]) => [].concat(property?.type ?? []).includes('string'))
+    .map(([name]) => name);
+  const requiredStrings = stringProperties.filter(name => (schema.required || []).includes(name));
+
+  if (requiredStrings.length === 1) {
+    return requiredStrings[0];
+  }
+  return stringProperties.length === 1 ? stringProperties[0] : null;
+}
+
+/**
+ * Prepare and validate the input for a tool call
+ *
+ * @param {Object} tool - Tool definition
+ * @param {*} input - Input produced by the planner or the caller
+ * @returns {*} - Input to pass to the tool
+ * @throws {Error} - TOOL_INPUT_INVALID with `validationErrors`
+ */
+export function prepareToolInput(tool, input) {
+  let prepared = input;
+
+  if (typeof input === 'string' && tool.inputSchema && typeof tool.inputSchema === 'object') {
+    const property = stringInputProperty(tool.inputSchema);
+    if (property) {
+      prepared = { [property]: input };
+    }
+  }
+
+  const { valid, errors } = validateJsonSchema(tool.inputSchema ?? true, prepared);
+  if (!valid) {
+    throw createValidationError('TOOL_INPUT_INVALID', `Invalid input for tool ${tool.name}: ${describeErrors(errors)}`, errors);
+  }
+
+  return prepared;
+}
+
+/**
+ * Validate the output of a tool call
+ *
+ * @param {Object} tool - Tool definition
+ * @param {*} output - Value the tool returned
+ * @returns {*} - The output
+ * @throws {Error} - TOOL_OUTPUT_INVALID with `validationErrors`
+ */
+export function checkToolOutput(tool, output) {
+  const { valid, errors } = validateJsonSchema(tool.outputSchema ?? true, output);
+  if (!valid) {
+    throw createValidationError('TOOL_OUTPUT_INVALID', `Tool ${tool.name} returned invalid output: ${describeErrors(errors)}`, errors);
+  }
+
+  return output;
+}
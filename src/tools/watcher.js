@@ -0,0 +1,93 @@
+/**
+ * Tool Watcher
+ *
+ * Watches the tool directories and reloads changed tool files into the registry without a
+ * restart (see ToolRegistry.reloadToolFile). Edits are debounced per file, since editors
+ * often write a file in several steps, and reloads run one at a time. A file that fails to
+ * load leaves the version registered before it in place.
+ *
+ * Every change to the registry is emitted as an `updated` event with
+ * { action: 'added' | 'updated' | 'removed', toolId, name, file }.
+ *
+ * Configuration:
+ *   TOOL_HOT_RELOAD - Set to `false` to load the tool directories only at startup
+ *   TOOL_RELOAD_DEBOUNCE_MS - Quiet time after a change before the file is reloaded (default 250)
+ */
+
+import { watch } from 'fs';
+import { EventEmitter } from 'events';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+import { loadSandboxGrants } from './sandbox.js';
+
+const TOOL_FILE_PATTERN = /\.(js|json)$/;
+
+/**
+ * Create a watcher for tool directories
+ *
+ * @param {Object} registry - Tool registry the files were loaded into
+ * @param {Array} directories - [{ path, sandboxed }] where sandboxed directories run their
+ *                              JavaScript tools in the sandbox
+ * @param {Object} options - { debounceMs }
+ * @returns {Object} - { events, start, stop }
+ */
+export function createToolWatcher(registry, directories, options = {}) {
+  const debounceMs = options.debounceMs ?? (Number(process.env.TOOL_RELOAD_DEBOUNCE_MS) || 250);
+  const events = new EventEmitter();
+  const watchers = [];
+  const timers = new Map();
+  let queue = Promise.resolve();
+
+  const reload = async (filePath, directory) => {
+    // Grants are read again so that changing them does not need a restart either
+    const sandboxGrants = directory.sandboxed ? await loadSandboxGrants() : null;
+    const change = await registry.reloadToolFile(filePath, { directory: directory.path, sandboxGrants });
+
+    if (change) {
+      logger.info(`Tool ${change.name} ${change.action} from ${change.file}`);
+      events.emit('updated', change);
+    }
+  };
+
+  const schedule = (filePath, directory) => {
+    clearTimeout(timers.get(filePath));
+    timers.set(filePath, setTimeout(() => {
+      timers.delete(filePath);
+      queue = queue
+        .then(() => reload(filePath, directory))
+        .catch(error => logger.error(`Failed to reload tool file ${filePath}:`, error));
+    }, debounceMs));
+  };
+
+  return {
+    events,
+
+    start() {
+      for (const directory of directories) {
+        try {
+          const watcher = watch(directory.path, (eventType, file) => {
+            if (file && TOOL_FILE_PATTERN.test(file)) {
+              schedule(path.join(directory.path, file), directory);
+            }
+          });
+
+          watcher.on('error', error => logger.error(`Stopped watching tools directory ${directory.path}:`, error));
+          watchers.push(watcher);
+          logger.info(`Watching tools directory ${directory.path} for changes`);
+        } catch (error) {
+          logger.warn(`Cannot watch tools directory ${directory.path}: ${error.message}`);
+        }
+      }
+    },
+
+    stop() {
+      for (const watcher of watchers.splice(0)) {
+        watcher.close();
+      }
+      for (const timer of timers.values()) {
+        clearTimeout(timer);
+      }
+      timers.clear();
+    }
+  };
+}